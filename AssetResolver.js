@@ -0,0 +1,117 @@
+// Where runtime assets come from, so the app runs on machines without internet.
+// Libraries load through the page's import map (index.html points it at vendor/,
+// or at the original CDNs with ?assets=cdn);
+// the MediaPipe wasm files and the hand model are fetched at runtime from the
+// resolver's base. `npm run vendor` (VendorAssets.js) fills vendor/ once from
+// node_modules and the model download.
+//
+// source 'local' (default) serves everything from the app's own origin;
+// 'cdn' fetches the wasm and model from their original hosts.
+// missing() / check() probe every asset up front, so a missing file is named
+// instead of surfacing as an opaque wasm or fetch error later.
+//
+// No imports: the page loads this before anything that needs the import map to work.
+
+export const ASSET_SOURCES = ['local', 'cdn'];
+
+// name -> { specifier } (resolved through the import map) or { path, cdn, probe? }
+// (path under the base; probe: file inside a directory asset to check for)
+export const ASSETS = {
+    three: { specifier: 'three' },
+    threeAddons: { specifier: 'three/addons/controls/OrbitControls.js' },
+    lilGui: { specifier: 'lil-gui' },
+    tasksVision: { specifier: '@mediapipe/tasks-vision' },
+    visionWasm: {
+        path: 'mediapipe/wasm/',
+        cdn: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.9/wasm/', // same version as package.json
+        probe: 'vision_wasm_internal.wasm'
+    },
+    handModel: {
+        path: 'models/hand_landmarker.task',
+        cdn: 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task'
+    }
+};
+
+export const defaultAssetOptions = {
+    source: 'local',
+    base: './vendor/', // relative to the page
+    overrides: {} // name -> URL, wins over source and base
+};
+
+export class AssetResolver {
+    constructor(options = {}) {
+        this.configure({ ...defaultAssetOptions, ...options });
+    }
+
+    configure(options) {
+        if (options.source !== undefined && !ASSET_SOURCES.includes(options.source)) {
+            throw new Error(`Unknown asset source "${options.source}", expected one of ${ASSET_SOURCES.join(', ')}`);
+        }
+        Object.assign(this, options);
+        return this;
+    }
+
+    // Absolute URL of an asset (directory assets end in '/')
+    url(name) {
+        const asset = ASSETS[name];
+        if (!asset) throw new Error(`Unknown asset "${name}", expected one of ${Object.keys(ASSETS).join(', ')}`);
+        if (this.overrides[name]) return new URL(this.overrides[name], pageURL()).href;
+        if (asset.specifier) return import.meta.resolve(asset.specifier);
+        if (this.source === 'cdn') return asset.cdn;
+        return new URL(asset.path, new URL(this.base, pageURL())).href;
+    }
+
+    // The URL a presence check fetches
+    probeURL(name) {
+        const asset = ASSETS[name];
+        const url = this.url(name);
+        return asset.probe ? new URL(asset.probe, url).href : url;
+    }
+
+    // [{ name, url, reason }] for every asset that can't be fetched
+    async missing(names = Object.keys(ASSETS), fetchImpl = globalThis.fetch) {
+        const results = await Promise.all(names.map(async (name) => {
+            let url;
+            try {
+                url = this.probeURL(name);
+            } catch (e) {
+                return { name, url: ASSETS[name] ? ASSETS[name].specifier : name, reason: 'not in the import map' };
+            }
+            try {
+                let res = await fetchImpl(url, { method: 'HEAD', cache: 'no-store' });
+                // Some static servers only answer GET
+                if (res.status === 405 || res.status === 501) res = await fetchImpl(url, { cache: 'no-store' });
+                return res.ok ? null : { name, url, reason: `HTTP ${res.status}` };
+            } catch (e) {
+                return { name, url, reason: 'unreachable' };
+            }
+        }));
+        return results.filter(Boolean);
+    }
+
+    // Throws one Error naming every missing asset (the list is on error.missing)
+    async check(names, fetchImpl) {
+        const missing = await this.missing(names, fetchImpl);
+        if (missing.length) {
+            const error = new Error(describeMissing(missing, this.source));
+            error.missing = missing;
+            throw error;
+        }
+        return this;
+    }
+}
+
+export function describeMissing(missing, source = 'local') {
+    const hint = source === 'local'
+        ? "Run `npm run vendor` once (with internet) and serve the vendor/ folder with the app, or add ?assets=cdn to the URL."
+        : "Check the network connection, or serve local copies (`npm run vendor`) without ?assets=cdn.";
+    return `Missing assets:\n${missing.map(m => `- ${m.name}: ${m.url} (${m.reason})`).join('\n')}\n${hint}`;
+}
+
+function pageURL() {
+    return globalThis.document ? document.baseURI : import.meta.url;
+}
+
+// Shared resolver for the app; ?assets=cdn switches the runtime assets back online
+const sourceParam = globalThis.location ? new URLSearchParams(location.search).get('assets') : null;
+export const assets = new AssetResolver(ASSET_SOURCES.includes(sourceParam) ? { source: sourceParam } : {});
@@ -0,0 +1,236 @@
+// Audio-reactive heartbeat.
+// BeatDetector is pure math over PCM frames, so it runs the same on live
+// AnalyserNode data and on decoded buffers offline (BeatDetector.analyze).
+// AudioInput wires it to the microphone or an audio file and drives
+// HeartSystem / BloomManager from the result.
+
+// One-pole low-pass coefficient for a cutoff in Hz
+function lowpassCoefficient(cutoff, sampleRate) {
+    return 1 - Math.exp(-2 * Math.PI * cutoff / sampleRate);
+}
+
+export class BeatDetector {
+    constructor(options = {}) {
+        this.sensitivity = options.sensitivity ?? 1.4; // beat when low energy > average * sensitivity
+        this.minInterval = options.minInterval ?? 0.25; // seconds, caps detection at 240 BPM
+        this.historySeconds = options.historySeconds ?? 1.0;
+        this.decay = options.decay ?? 6; // envelope falloff per second
+        this.lowCutoff = options.lowCutoff ?? 150;
+        this.highCutoff = options.highCutoff ?? 2000;
+        this.reset();
+    }
+
+    reset() {
+        this.lowState = 0;
+        this.midState = 0;
+        this.history = [];
+        this.lastBeat = -Infinity;
+        this.intervals = [];
+        this.envelope = 0;
+        this.lastTime = 0;
+        this.result = { time: 0, level: 0, bands: { low: 0, mid: 0, high: 0 }, beat: false, bpm: 0, envelope: 0 };
+    }
+
+    // Feed one frame of mono samples that ends at `time` seconds.
+    process(samples, sampleRate, time) {
+        const kLow = lowpassCoefficient(this.lowCutoff, sampleRate);
+        const kMid = lowpassCoefficient(this.highCutoff, sampleRate);
+
+        // Split into bands: low = LP(low), mid = LP(high) - low, high = rest
+        let low = 0, mid = 0, high = 0, total = 0;
+        for (let i = 0; i < samples.length; i++) {
+            const x = samples[i];
+            this.lowState += (x - this.lowState) * kLow;
+            this.midState += (x - this.midState) * kMid;
+            const l = this.lowState;
+            const m = this.midState - this.lowState;
+            const h = x - this.midState;
+            low += l * l;
+            mid += m * m;
+            high += h * h;
+            total += x * x;
+        }
+        const n = samples.length || 1;
+        low = Math.sqrt(low / n);
+        mid = Math.sqrt(mid / n);
+        high = Math.sqrt(high / n);
+        const level = Math.sqrt(total / n);
+
+        // Adaptive threshold over the recent low-band history
+        // (live frames may skip audio after a stall, so use the real time step when we have one)
+        const frameSeconds = time > this.lastTime ? time - this.lastTime : n / sampleRate;
+        const maxHistory = Math.max(1, Math.round(this.historySeconds / frameSeconds));
+        const average = this.history.length
+            ? this.history.reduce((a, b) => a + b, 0) / this.history.length
+            : Infinity;
+        this.history.push(low);
+        if (this.history.length > maxHistory) this.history.shift();
+
+        const beat = low > average * this.sensitivity && low > 0.01 && time - this.lastBeat >= this.minInterval;
+        if (beat) {
+            if (this.lastBeat > -Infinity) {
+                this.intervals.push(time - this.lastBeat);
+                if (this.intervals.length > 8) this.intervals.shift();
+            }
+            this.lastBeat = time;
+            this.envelope = 1;
+        } else {
+            this.envelope *= Math.exp(-this.decay * Math.max(0, time - this.lastTime));
+        }
+        this.lastTime = time;
+
+        this.result = { time, level, bands: { low, mid, high }, beat, bpm: this.estimateBpm(), envelope: this.envelope };
+        return this.result;
+    }
+
+    // Median inter-beat interval, robust against the odd missed or extra beat
+    estimateBpm() {
+        if (this.intervals.length < 2) return 0;
+        const sorted = [...this.intervals].sort((a, b) => a - b);
+        return 60 / sorted[Math.floor(sorted.length / 2)];
+    }
+
+    // Offline analysis of a decoded buffer (AudioBuffer.getChannelData(0) or any Float32Array)
+    static analyze(samples, sampleRate, { frameSize = 1024, ...options } = {}) {
+        const detector = new BeatDetector(options);
+        const frames = [];
+        const beats = [];
+        for (let start = 0; start + frameSize <= samples.length; start += frameSize) {
+            const time = (start + frameSize) / sampleRate;
+            const r = detector.process(samples.subarray(start, start + frameSize), sampleRate, time);
+            frames.push(r);
+            if (r.beat) beats.push(time);
+        }
+        return { frames, beats, bpm: detector.estimateBpm() };
+    }
+}
+
+const PREDICTED_BEATS = 4;
+
+export class AudioInput {
+    constructor(options = {}) {
+        this.detector = new BeatDetector(options);
+        this.context = null;
+        this.analyser = null;
+        this.source = null;
+        this.stream = null;
+        this.buffer = null;
+        this.active = false;
+        this.previousSource = null;
+
+        // How strongly each band drives the scene
+        this.gains = {
+            pulse: 0.15, // envelope -> heartbeat scale
+            noise: 2.0, // high band -> noiseStrength
+            bloom: 1.5 // low band + envelope -> bloomStrength
+        };
+    }
+
+    async ensureContext() {
+        if (!this.context) this.context = new AudioContext();
+        if (this.context.state === 'suspended') await this.context.resume();
+        this.stop();
+
+        this.analyser = this.context.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.buffer = new Float32Array(this.analyser.fftSize);
+    }
+
+    async startMicrophone() {
+        await this.ensureContext();
+        this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        this.source = this.context.createMediaStreamSource(this.stream);
+        this.source.connect(this.analyser); // not to destination, avoids feedback
+        this.start();
+    }
+
+    // `file` is a File/Blob or ArrayBuffer, e.g. from drag & drop
+    async startFile(file) {
+        await this.ensureContext();
+        const data = file instanceof ArrayBuffer ? file : await file.arrayBuffer();
+        const decoded = await this.context.decodeAudioData(data);
+
+        this.source = this.context.createBufferSource();
+        this.source.buffer = decoded;
+        this.source.loop = true;
+        this.source.connect(this.analyser);
+        this.analyser.connect(this.context.destination);
+        this.source.start();
+        this.start();
+    }
+
+    start() {
+        this.detector.reset();
+        this.startTime = this.context.currentTime;
+        this.active = true;
+    }
+
+    stop() {
+        if (this.source) {
+            if (this.source.stop) this.source.stop();
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(t => t.stop());
+            this.stream = null;
+        }
+        if (this.analyser) this.analyser.disconnect();
+        this.active = false;
+    }
+
+    // Pull the latest analyser frame. Returns the detector result or null when idle.
+    // Successive frames overlap, and the detector's band filters carry their state from
+    // one call to the next, so only the samples that arrived since the last call go in.
+    update() {
+        if (!this.active) return null;
+        const time = this.context.currentTime - this.startTime;
+        const fresh = Math.min(this.buffer.length, Math.round((time - this.detector.lastTime) * this.context.sampleRate));
+        if (fresh <= 0) return this.detector.result; // the audio clock hasn't moved
+        this.analyser.getFloatTimeDomainData(this.buffer);
+        return this.detector.process(this.buffer.subarray(this.buffer.length - fresh), this.context.sampleRate, time);
+    }
+
+    // HeartSystem pulse source: extra scale on top of 1. Detected beats kick the envelope;
+    // once the tempo is known, the beats it predicts keep the heart on the music through
+    // a few quiet bars (up to PREDICTED_BEATS after the last detected one)
+    getPulse() {
+        const d = this.detector;
+        let envelope = d.envelope;
+        const bpm = d.result.bpm;
+        const since = d.result.time - d.lastBeat;
+        if (bpm > 0 && since > 0 && since < PREDICTED_BEATS * 60 / bpm) {
+            envelope = Math.max(envelope, Math.exp(-d.decay * (since % (60 / bpm))));
+        }
+        return envelope * this.gains.pulse;
+    }
+
+    // Hand the heart back to its own beat and the user's settings (once; also while
+    // an export keeps the sound out of the capture)
+    release(heartSystem, bloomManager, base) {
+        if (heartSystem.pulseSource !== this) return;
+        heartSystem.pulseSource = this.previousSource;
+        this.previousSource = null;
+        heartSystem.params.noiseStrength = base.noiseStrength;
+        bloomManager.updateSettings({ bloomStrength: base.bloomStrength });
+    }
+
+    // Map the current analysis onto the scene. `base` holds the user's
+    // un-modulated settings so modulation never accumulates.
+    apply(heartSystem, bloomManager, base) {
+        const r = this.detector.result;
+        if (!this.active) {
+            this.release(heartSystem, bloomManager, base);
+            return;
+        }
+
+        if (heartSystem.pulseSource !== this) {
+            this.previousSource = heartSystem.pulseSource; // e.g. a heart-rate source, restored on stop
+            heartSystem.pulseSource = this;
+        }
+        heartSystem.params.noiseStrength = base.noiseStrength + r.bands.high * this.gains.noise;
+        bloomManager.updateSettings({
+            bloomStrength: base.bloomStrength + (r.bands.low + r.envelope * 0.5) * this.gains.bloom
+        });
+    }
+}
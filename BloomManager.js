@@ -1,14 +1,278 @@
 import * as THREE from 'three';
 import { EffectComposer } from 'three/addons/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/addons/postprocessing/RenderPass.js';
+import { Pass, FullScreenQuad } from 'three/addons/postprocessing/Pass.js';
+import { ShaderPass } from 'three/addons/postprocessing/ShaderPass.js';
 import { UnrealBloomPass } from 'three/addons/postprocessing/UnrealBloomPass.js';
+import { FilmPass } from 'three/addons/postprocessing/FilmPass.js';
+import { AfterimagePass } from 'three/addons/postprocessing/AfterimagePass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { VignetteShader } from 'three/addons/shaders/VignetteShader.js';
+import { CopyShader } from 'three/addons/shaders/CopyShader.js';
+
+// Post-processing chain: RenderPass -> effects (in order) -> OutputPass.
+// Effects can be added, removed, reordered and toggled at runtime; each has plain
+// JSON settings (toJSON / fromJSON) and its own GUI folder (createGUI).
+// Every effect runs on the linear HDR image, before tone mapping.
+// renderStereo draws both eyes of an XR view (see XRMode.js) through the same chain.
+
+// Objects on this layer (as well as layer 0) glow under 'selectiveBloom'
+export const BLOOM_LAYER = 1;
+
+// Radial RGB split, stronger towards the edges like a cheap lens
+const ChromaticAberrationShader = {
+    name: 'ChromaticAberrationShader',
+    uniforms: {
+        tDiffuse: { value: null },
+        amount: { value: 0.005 }
+    },
+    vertexShader: /* glsl */ `
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+        }
+    `,
+    fragmentShader: /* glsl */ `
+        uniform sampler2D tDiffuse;
+        uniform float amount;
+        varying vec2 vUv;
+        void main() {
+            vec2 offset = (vUv - 0.5) * amount;
+            vec4 center = texture2D(tDiffuse, vUv);
+            float r = texture2D(tDiffuse, vUv + offset).r;
+            float b = texture2D(tDiffuse, vUv - offset).b;
+            gl_FragColor = vec4(r, center.g, b, center.a);
+        }
+    `
+};
+
+// base + (layer with bloom - layer): adds only the glow, the objects are already in base
+const GlowMixShader = {
+    name: 'GlowMixShader',
+    uniforms: {
+        tDiffuse: { value: null },
+        tGlow: { value: null },
+        tLayer: { value: null }
+    },
+    vertexShader: ChromaticAberrationShader.vertexShader,
+    fragmentShader: /* glsl */ `
+        uniform sampler2D tDiffuse;
+        uniform sampler2D tGlow;
+        uniform sampler2D tLayer;
+        varying vec2 vUv;
+        void main() {
+            vec4 base = texture2D(tDiffuse, vUv);
+            vec3 glow = max(texture2D(tGlow, vUv).rgb - texture2D(tLayer, vUv).rgb, 0.0);
+            gl_FragColor = vec4(base.rgb + glow, base.a);
+        }
+    `
+};
+
+// UnrealBloomPass whose blur runs at a fraction of the composer's resolution
+class ScaledBloomPass extends UnrealBloomPass {
+    constructor(strength, radius, threshold) {
+        super(new THREE.Vector2(256, 256), strength, radius, threshold);
+        this.resolutionScale = 1;
+        this.fullSize = [256, 256];
+    }
+
+    setSize(width, height) {
+        this.fullSize = [width, height];
+        const scale = this.resolutionScale || 1;
+        super.setSize(Math.max(1, Math.round(width * scale)), Math.max(1, Math.round(height * scale)));
+    }
+
+    setResolutionScale(scale) {
+        if (scale === this.resolutionScale) return;
+        this.resolutionScale = scale;
+        this.setSize(...this.fullSize);
+    }
+}
+
+// Bloom for objects on BLOOM_LAYER only: render that layer alone, bloom it, then
+// add just the glow onto the full image. Hand skeleton, rings etc. stay crisp.
+class SelectiveBloomPass extends Pass {
+    constructor(scene, camera, strength, radius, threshold) {
+        super();
+        this.scene = scene;
+        this.camera = camera;
+        this.layer = BLOOM_LAYER;
+        this.bloom = new ScaledBloomPass(strength, radius, threshold);
+
+        const options = { type: THREE.HalfFloatType };
+        this.glowTarget = new THREE.WebGLRenderTarget(1, 1, options);
+        this.layerTarget = new THREE.WebGLRenderTarget(1, 1, options);
+
+        this.copyMaterial = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(CopyShader.uniforms),
+            vertexShader: CopyShader.vertexShader,
+            fragmentShader: CopyShader.fragmentShader
+        });
+        this.mixMaterial = new THREE.ShaderMaterial({
+            uniforms: THREE.UniformsUtils.clone(GlowMixShader.uniforms),
+            vertexShader: GlowMixShader.vertexShader,
+            fragmentShader: GlowMixShader.fragmentShader
+        });
+        this.fsQuad = new FullScreenQuad(this.copyMaterial);
+        this.clearColor = new THREE.Color();
+    }
+
+    setSize(width, height) {
+        this.glowTarget.setSize(width, height);
+        this.layerTarget.setSize(width, height);
+        this.bloom.setSize(width, height);
+    }
+
+    // camera: renderStereo passes its ArrayCamera in
+    render(renderer, writeBuffer, readBuffer, deltaTime, maskActive, camera = this.camera) {
+        const scene = this.scene;
+        // An ArrayCamera culls with its own layers and draws each eye with that eye's
+        const cameras = camera.isArrayCamera ? [camera, ...camera.cameras] : [camera];
+        const masks = cameras.map(c => c.layers.mask);
+        const background = scene.background;
+        const clearAlpha = renderer.getClearAlpha();
+        renderer.getClearColor(this.clearColor);
+
+        // 1. The bloom layer on black
+        cameras.forEach(c => c.layers.set(this.layer));
+        scene.background = null;
+        renderer.setClearColor(0x000000, 0);
+        renderer.setRenderTarget(this.glowTarget);
+        renderer.clear();
+        renderer.render(scene, camera);
+        cameras.forEach((c, i) => { c.layers.mask = masks[i]; });
+        scene.background = background;
+        renderer.setClearColor(this.clearColor, clearAlpha);
+
+        // 2. Keep a copy, then bloom in place (UnrealBloomPass adds onto its input)
+        this.fsQuad.material = this.copyMaterial;
+        this.copyMaterial.uniforms.tDiffuse.value = this.glowTarget.texture;
+        renderer.setRenderTarget(this.layerTarget);
+        this.fsQuad.render(renderer);
+        this.bloom.render(renderer, null, this.glowTarget, deltaTime, maskActive);
+
+        // 3. Add the glow to the scene
+        const u = this.mixMaterial.uniforms;
+        u.tDiffuse.value = readBuffer.texture;
+        u.tGlow.value = this.glowTarget.texture;
+        u.tLayer.value = this.layerTarget.texture;
+        this.fsQuad.material = this.mixMaterial;
+        renderer.setRenderTarget(this.renderToScreen ? null : writeBuffer);
+        if (this.clear) renderer.clear();
+        this.fsQuad.render(renderer);
+    }
+
+    dispose() {
+        this.bloom.dispose();
+        this.glowTarget.dispose();
+        this.layerTarget.dispose();
+        this.copyMaterial.dispose();
+        this.mixMaterial.dispose();
+        this.fsQuad.dispose();
+    }
+}
+
+const bloomParams = {
+    strength: [0, 3, 0.01],
+    radius: [0, 1, 0.01],
+    threshold: [0, 1, 0.01],
+    resolution: [0.25, 1, 0.05] // fraction of the render size the blur runs at
+};
+
+// type -> { label, defaults, params: { key: [min, max, step] }, create(manager, settings), apply(pass, settings, manager), stereo }
+// Boolean settings get a checkbox and need no range. stereo: false skips the effect
+// in renderStereo, for effects laid out around the middle of the screen.
+export const EFFECTS = {
+    bloom: {
+        label: 'Glow',
+        defaults: { strength: 1.5, radius: 0.4, threshold: 0.85, resolution: 1 },
+        params: bloomParams,
+        create: (m, s) => new ScaledBloomPass(s.strength, s.radius, s.threshold),
+        apply: (pass, s, m) => {
+            pass.strength = s.strength * m.quality.bloomStrength;
+            pass.radius = s.radius;
+            pass.threshold = s.threshold;
+            pass.setResolutionScale(s.resolution * m.quality.bloomResolution);
+        },
+        stereo: true
+    },
+    selectiveBloom: {
+        label: 'Selective Glow',
+        defaults: { strength: 1.5, radius: 0.4, threshold: 0.85, resolution: 1 },
+        params: bloomParams,
+        create: (m, s) => new SelectiveBloomPass(m.scene, m.camera, s.strength, s.radius, s.threshold),
+        apply: (pass, s, m) => EFFECTS.bloom.apply(pass.bloom, s, m),
+        stereo: true
+    },
+    chromaticAberration: {
+        label: 'Chromatic Aberration',
+        defaults: { amount: 0.005 },
+        params: { amount: [0, 0.05, 0.001] },
+        create: () => new ShaderPass(ChromaticAberrationShader),
+        apply: (pass, s) => { pass.uniforms.amount.value = s.amount; },
+        stereo: false // would split around the seam between the eyes
+    },
+    filmGrain: {
+        label: 'Film Grain',
+        defaults: { intensity: 0.35, grayscale: false },
+        params: { intensity: [0, 1, 0.01] },
+        create: (m, s) => new FilmPass(s.intensity, s.grayscale),
+        apply: (pass, s) => {
+            pass.uniforms.intensity.value = s.intensity;
+            pass.uniforms.grayscale.value = s.grayscale;
+        },
+        stereo: true
+    },
+    vignette: {
+        label: 'Vignette',
+        defaults: { offset: 1, darkness: 1.2 },
+        params: { offset: [0, 2, 0.01], darkness: [0, 2, 0.01] },
+        create: () => new ShaderPass(VignetteShader),
+        apply: (pass, s) => {
+            pass.uniforms.offset.value = s.offset;
+            pass.uniforms.darkness.value = s.darkness;
+        },
+        stereo: false
+    },
+    afterimage: {
+        label: 'Motion Blur',
+        defaults: { damp: 0.85 },
+        params: { damp: [0, 0.99, 0.01] }, // how much of the previous frame lingers
+        create: (m, s) => new AfterimagePass(s.damp),
+        apply: (pass, s) => { pass.uniforms.damp.value = s.damp; },
+        stereo: true
+    }
+};
+
+export const EFFECT_TYPES = Object.keys(EFFECTS);
+
+// The chain before anything is changed: the original glow
+export const defaultEffects = [{ type: 'bloom', enabled: true, settings: { ...EFFECTS.bloom.defaults } }];
+
+// Checks a settings object against an effect's defaults; returns the merged settings.
+// Ranges are only the GUI's: audio may push the glow past them.
+function validateSettings(type, settings = {}) {
+    const def = EFFECTS[type];
+    if (!def) throw new Error(`Unknown effect "${type}", expected one of ${EFFECT_TYPES.join(', ')}`);
+    const out = { ...def.defaults };
+    for (const [key, value] of Object.entries(settings)) {
+        if (!(key in def.defaults)) throw new Error(`Effect "${type}" has no setting "${key}"`);
+        if (typeof value !== typeof def.defaults[key] || (typeof value === 'number' && !Number.isFinite(value))) {
+            throw new Error(`Effect "${type}" setting "${key}" must be a ${typeof def.defaults[key]}`);
+        }
+        out[key] = value;
+    }
+    return out;
+}
 
 export class BloomManager {
     constructor(scene, camera, renderer, width, height) {
         this.scene = scene;
         this.camera = camera;
         this.renderer = renderer;
+        this.width = width;
+        this.height = height;
 
         // Configure tone mapping for HDR glow
         this.renderer.toneMapping = THREE.ReinhardToneMapping;
@@ -25,41 +289,265 @@ export class BloomManager {
             }
         );
 
-        // Composer
+        // Composer (sizes its targets and passes at width/height * pixel ratio)
         this.composer = new EffectComposer(this.renderer, renderTarget);
+        this.pixelRatio = this.renderer.getPixelRatio();
         this.composer.setSize(width, height);
 
-        // 1. Render Pass
-        const renderPass = new RenderPass(scene, camera);
-        this.composer.addPass(renderPass);
-
-        // 2. Bloom Pass
-        // resolution, strength, radius, threshold
-        this.bloomPass = new UnrealBloomPass(
-            new THREE.Vector2(width, height),
-            1.5, // strength
-            0.4, // radius
-            0.85 // threshold
-        );
-        this.composer.addPass(this.bloomPass);
+        this.renderPass = new RenderPass(scene, camera);
+        // Tone Mapping + sRGB conversion
+        this.outputPass = new OutputPass();
+
+        this.effects = []; // [{ type, enabled, settings, pass }] in chain order
+        this.quality = { bloomResolution: 1, bloomStrength: 1 }; // multipliers from QualityGovernor tiers
+        this.gui = null; // { parent, folders } once createGUI has run
+        this.onEdit = null; // (type, settings) after a change made in the GUI
+        this.stereo = null; // { read, write, width, height } while renderStereo is in use
+        this.bufferSize = new THREE.Vector2();
+
+        this.fromJSON({ effects: defaultEffects });
+    }
+
+    getEffect(type) {
+        return this.effects.find(e => e.type === type) || null;
+    }
+
+    // Inserts a pass at index (default: last before the output)
+    addEffect(type, settings = {}, index = this.effects.length, enabled = true) {
+        if (this.getEffect(type)) throw new Error(`Effect "${type}" is already in the chain`);
+        const merged = validateSettings(type, settings);
+        const effect = { type, enabled, settings: merged, pass: EFFECTS[type].create(this, merged) };
+        EFFECTS[type].apply(effect.pass, merged, this);
+        effect.pass.enabled = enabled;
+        this.effects.splice(Math.min(Math.max(index, 0), this.effects.length), 0, effect);
+        this.rebuild();
+        return effect;
+    }
+
+    removeEffect(type) {
+        const effect = this.getEffect(type);
+        if (!effect) return;
+        this.effects.splice(this.effects.indexOf(effect), 1);
+        effect.pass.dispose();
+        this.rebuild();
+    }
+
+    moveEffect(type, index) {
+        const effect = this.getEffect(type);
+        if (!effect) throw new Error(`Effect "${type}" is not in the chain`);
+        this.effects.splice(this.effects.indexOf(effect), 1);
+        this.effects.splice(Math.min(Math.max(index, 0), this.effects.length), 0, effect);
+        this.rebuild();
+    }
+
+    setEnabled(type, enabled) {
+        const effect = this.getEffect(type);
+        if (!effect) throw new Error(`Effect "${type}" is not in the chain`);
+        effect.enabled = enabled;
+        effect.pass.enabled = enabled; // EffectComposer skips disabled passes
+    }
+
+    // Changes some of an effect's settings
+    updateEffect(type, settings) {
+        const effect = this.getEffect(type);
+        if (!effect) throw new Error(`Effect "${type}" is not in the chain`);
+        // In place: GUI controllers hold this object
+        Object.assign(effect.settings, validateSettings(type, { ...effect.settings, ...settings }));
+        EFFECTS[type].apply(effect.pass, effect.settings, this);
+    }
+
+    // Re-adds every pass in chain order; addPass sizes each one
+    rebuild() {
+        while (this.composer.passes.length) this.composer.removePass(this.composer.passes[0]);
+        this.composer.addPass(this.renderPass);
+        this.effects.forEach(e => this.composer.addPass(e.pass));
+        this.composer.addPass(this.outputPass);
+        if (this.stereo) this.stereo.width = 0; // addPass sized the passes for the composer
+        if (this.gui) this.refreshGUI();
+    }
+
+    // Plain JSON: { effects: [{ type, enabled, settings }] }
+    toJSON() {
+        return {
+            effects: this.effects.map(e => ({ type: e.type, enabled: e.enabled, settings: { ...e.settings } }))
+        };
+    }
+
+    // Replaces the whole chain; validates everything before touching it
+    fromJSON(json) {
+        if (!json || !Array.isArray(json.effects)) throw new Error("Effect settings need an \"effects\" array");
+        const seen = new Set();
+        const effects = json.effects.map((e) => {
+            if (!e || typeof e.type !== 'string') throw new Error("Every effect needs a type");
+            if (seen.has(e.type)) throw new Error(`Effect "${e.type}" appears twice`);
+            seen.add(e.type);
+            return { type: e.type, enabled: e.enabled !== false, settings: validateSettings(e.type, e.settings) };
+        });
+
+        const gui = this.gui;
+        this.gui = null; // one refresh at the end
+        [...this.effects].forEach(e => this.removeEffect(e.type));
+        effects.forEach(e => this.addEffect(e.type, e.settings, this.effects.length, e.enabled));
+        this.gui = gui;
+        if (this.gui) this.refreshGUI();
+    }
+
+    // One folder per effect inside `parent` (a lil-gui GUI or folder); rebuilt when the chain changes
+    createGUI(parent) {
+        this.gui = { parent, folders: [] };
+        this.refreshGUI();
+    }
+
+    refreshGUI() {
+        const gui = this.gui;
+        gui.folders.forEach(f => f.destroy());
+        gui.folders = this.effects.map((effect, i) => {
+            const def = EFFECTS[effect.type];
+            const folder = gui.parent.addFolder(def.label);
+            const edited = () => { if (this.onEdit) this.onEdit(effect.type, effect.settings); };
+
+            folder.add(effect, 'enabled').onChange((v) => {
+                this.setEnabled(effect.type, v);
+                edited();
+            });
+            Object.keys(def.defaults).forEach((key) => {
+                const range = def.params[key] || [];
+                folder.add(effect.settings, key, ...range).onChange((v) => {
+                    this.updateEffect(effect.type, { [key]: v });
+                    edited();
+                });
+            });
+            const actions = {
+                up: () => this.moveEffect(effect.type, i - 1),
+                down: () => this.moveEffect(effect.type, i + 1),
+                remove: () => this.removeEffect(effect.type)
+            };
+            if (i > 0) folder.add(actions, 'up').name('Move Up');
+            if (i < this.effects.length - 1) folder.add(actions, 'down').name('Move Down');
+            folder.add(actions, 'remove').name('Remove');
+            folder.close();
+            return folder;
+        });
+    }
 
-        // 3. Output Pass (Tone Mapping + sRGB conversion)
-        const outputPass = new OutputPass();
-        this.composer.addPass(outputPass);
+    // Scales every glow effect without touching its saved settings
+    setQuality(quality) {
+        if (quality.bloomResolution !== undefined) this.quality.bloomResolution = quality.bloomResolution;
+        if (quality.bloomStrength !== undefined) this.quality.bloomStrength = quality.bloomStrength;
+        this.effects.forEach(e => EFFECTS[e.type].apply(e.pass, e.settings, this));
     }
 
-    resize(width, height) {
+    // Sizes in CSS pixels; the composer renders at width/height * pixel ratio
+    resize(width, height, pixelRatio = this.renderer.getPixelRatio()) {
+        this.width = width;
+        this.height = height;
+        if (pixelRatio !== this.pixelRatio) {
+            this.pixelRatio = pixelRatio;
+            this.composer.setPixelRatio(pixelRatio); // also resizes, at the old size
+        }
         this.composer.setSize(width, height);
-        this.bloomPass.strength = this.bloomPass.strength; // trigger update? no need usually.
+        if (this.stereo) this.stereo.width = 0;
+    }
+
+    dispose() {
+        this.endStereo();
+        this.effects.forEach(e => e.pass.dispose());
+        this.effects = [];
+        this.renderPass.dispose();
+        this.outputPass.dispose();
+        this.composer.dispose();
     }
 
-    render() {
-        this.composer.render();
+    render(deltaTime) {
+        this.endStereo();
+        this.composer.render(deltaTime);
     }
 
+    // Both eyes side by side, the WebXR layout, into the current render target: the
+    // headset's framebuffer while a session is presenting (its ArrayCamera is used),
+    // otherwise `camera`, an ArrayCamera whose eyes carry pixel viewports, onto the canvas.
+    // EffectComposer can only end on the canvas or a target of its own, so the chain
+    // runs here on separate targets and the OutputPass writes to the framebuffer itself.
+    renderStereo(deltaTime, camera = null) {
+        const renderer = this.renderer;
+        const xr = renderer.xr;
+        const target = renderer.getRenderTarget();
+        if (xr.isPresenting) {
+            xr.updateCamera(this.camera);
+            camera = xr.getCamera();
+        }
+        const { width, height } = renderer.getDrawingBufferSize(this.bufferSize);
+        const stereo = this.stereoTargets(width, height);
+
+        // The passes' full-screen quads must not be swapped for the headset's cameras
+        const xrEnabled = xr.enabled;
+        xr.enabled = false;
+
+        renderer.setRenderTarget(stereo.read);
+        renderer.render(this.scene, camera);
+        let read = stereo.read;
+        let write = stereo.write;
+        for (const effect of this.effects) {
+            if (!effect.enabled || !EFFECTS[effect.type].stereo) continue;
+            effect.pass.render(renderer, write, read, deltaTime, false, camera);
+            if (effect.pass.needsSwap) [read, write] = [write, read];
+        }
+
+        const toScreen = this.outputPass.renderToScreen;
+        this.outputPass.renderToScreen = false;
+        this.outputPass.render(renderer, target, read);
+        this.outputPass.renderToScreen = toScreen;
+
+        xr.enabled = xrEnabled;
+        renderer.setRenderTarget(target);
+    }
+
+    // Targets at the full side-by-side size, with every pass sized to match
+    stereoTargets(width, height) {
+        if (!this.stereo) {
+            const options = { type: THREE.HalfFloatType, colorSpace: THREE.LinearSRGBColorSpace };
+            this.stereo = {
+                read: new THREE.WebGLRenderTarget(width, height, options),
+                write: new THREE.WebGLRenderTarget(width, height, options),
+                width: 0,
+                height: 0
+            };
+        }
+        const stereo = this.stereo;
+        if (stereo.width !== width || stereo.height !== height) {
+            stereo.width = width;
+            stereo.height = height;
+            stereo.read.setSize(width, height);
+            stereo.write.setSize(width, height);
+            this.composer.passes.forEach(pass => pass.setSize(width, height));
+        }
+        return stereo;
+    }
+
+    // Back to the composer's own targets and sizes
+    endStereo() {
+        if (!this.stereo) return;
+        this.stereo.read.dispose();
+        this.stereo.write.dispose();
+        this.stereo = null;
+        this.composer.setSize(this.width, this.height);
+    }
+
+    // Legacy flat settings (presets, themes, audio): bloom* drive both glow effects
     updateSettings(params) {
-        if (params.bloomStrength !== undefined) this.bloomPass.strength = params.bloomStrength;
-        if (params.bloomRadius !== undefined) this.bloomPass.radius = params.bloomRadius;
-        if (params.bloomThreshold !== undefined) this.bloomPass.threshold = params.bloomThreshold;
+        const glow = {};
+        if (params.bloomStrength !== undefined) glow.strength = params.bloomStrength;
+        if (params.bloomRadius !== undefined) glow.radius = params.bloomRadius;
+        if (params.bloomThreshold !== undefined) glow.threshold = params.bloomThreshold;
+        if (Object.keys(glow).length) {
+            for (const type of ['bloom', 'selectiveBloom']) {
+                const effect = this.getEffect(type);
+                if (!effect) continue;
+                // Plain numbers, possibly every frame (timeline, audio): skip updateEffect's validation copies
+                Object.assign(effect.settings, glow);
+                EFFECTS[type].apply(effect.pass, effect.settings, this);
+            }
+        }
+        if (params.exposure !== undefined) this.renderer.toneMappingExposure = params.exposure;
     }
 }
@@ -0,0 +1,288 @@
+// Reference WebSocket relay for collaborative mode (see CollabSync.js).
+// Plain Node, no dependencies: `npm run relay` (PORT env var, default 8787).
+//
+// Clients join a room and everything they send is fanned out to the rest of it.
+// The relay is also the referee for shared controls: each channel ('params',
+// 'rotation') has one owner at a time. An owner keeps the channel while it keeps
+// sending active updates; once it has been quiet for LEASE_MS anyone can take over.
+// Updates from non-owners are answered with 'denied'.
+//
+// Protocol (JSON text frames):
+//   -> { type: 'join', room, name }
+//   <- { type: 'welcome', id, peers: [{ id, name }], owners: { channel: id }, snapshot: { channel: value } }
+//   <- { type: 'join', peer } / { type: 'leave', id }
+//   -> { type: 'gesture', state }                <- { type: 'gesture', id, state }
+//   -> { type: 'update', channel, value, active } <- { type: 'update', id, channel, value }
+//   <- { type: 'owner', channel, id } / { type: 'denied', channel, owner }
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+export const LEASE_MS = 3000;
+export const CHANNELS = ['params', 'rotation'];
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 1 << 20;
+
+// Just enough RFC 6455 for a relay: masked client text frames in, unmasked text frames out
+// (OscBridge.js reuses it)
+export class Connection {
+    constructor(socket) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.fragmentBytes = 0; // MAX_MESSAGE applies to the joined message, not just each frame
+        this.onMessage = () => {};
+        this.onClose = () => {};
+        this.closed = false;
+
+        socket.on('data', (chunk) => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this.parse();
+        });
+        // http.Server sockets allow half-open: a peer that just hangs up would linger forever
+        socket.on('end', () => this.close(1000));
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    parse() {
+        while (this.buffer.length >= 2) {
+            const b0 = this.buffer[0];
+            const b1 = this.buffer[1];
+            const fin = (b0 & 0x80) !== 0;
+            const opcode = b0 & 0x0f;
+            let length = b1 & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (length > MAX_MESSAGE) return this.close(1009);
+
+            const masked = (b1 & 0x80) !== 0;
+            const frameEnd = offset + (masked ? 4 : 0) + length;
+            if (this.buffer.length < frameEnd) return;
+
+            let payload = this.buffer.subarray(offset + (masked ? 4 : 0), frameEnd);
+            if (masked) {
+                const mask = this.buffer.subarray(offset, offset + 4);
+                payload = Buffer.from(payload.map((byte, i) => byte ^ mask[i & 3]));
+            }
+            this.buffer = this.buffer.subarray(frameEnd);
+
+            if (opcode === 0x8) return this.close(1000);
+            if (opcode === 0x9) {
+                this.write(0xA, payload);
+            } else if (opcode === 0x1 || opcode === 0x0) {
+                this.fragmentBytes += payload.length;
+                if (this.fragmentBytes > MAX_MESSAGE) return this.close(1009);
+                this.fragments.push(payload);
+                if (fin) {
+                    const text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragmentBytes = 0;
+                    this.onMessage(text);
+                }
+            }
+        }
+    }
+
+    write(opcode, payload) {
+        if (this.closed) return;
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    send(message) {
+        this.write(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+    }
+
+    close(code = 1000) {
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code, 0);
+        this.write(0x8, payload);
+        this.socket.end();
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose();
+    }
+}
+
+// Completes the upgrade handshake; null (after a 400) for anything but a WebSocket request
+export function acceptWebSocket(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write(
+        'HTTP/1.1 101 Switching Protocols\r\n' +
+        'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    socket.setNoDelay(true);
+    return new Connection(socket);
+}
+
+export function createRelay({ port = 8787, host = '0.0.0.0', leaseMs = LEASE_MS } = {}) {
+    const rooms = new Map(); // name -> { peers: Map(id -> { id, name, conn }), owners: { channel: { id, active } }, snapshot }
+    let nextId = 1;
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end("Kinetic Heart relay: connect with a WebSocket\n");
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const conn = acceptWebSocket(req, socket);
+        if (conn) handleConnection(conn);
+    });
+
+    function broadcast(room, message, exceptId = null) {
+        for (const peer of room.peers.values()) {
+            if (peer.id !== exceptId) peer.conn.send(message);
+        }
+    }
+
+    function handleConnection(conn) {
+        let peer = null;
+        let room = null;
+        let roomName = null;
+
+        conn.onMessage = (text) => {
+            let msg;
+            try {
+                msg = JSON.parse(text);
+            } catch (e) {
+                conn.send({ type: 'error', message: "Messages must be JSON" });
+                return;
+            }
+            // `null`, numbers and arrays parse fine but aren't messages
+            if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+                conn.send({ type: 'error', message: "Messages must be JSON objects" });
+                return;
+            }
+
+            if (msg.type === 'join') {
+                if (peer) return;
+                roomName = String(msg.room || 'lobby');
+                if (!rooms.has(roomName)) rooms.set(roomName, { peers: new Map(), owners: {}, snapshot: {} });
+                room = rooms.get(roomName);
+                peer = { id: `p${nextId++}`, name: String(msg.name || 'Guest').slice(0, 40), conn };
+
+                const owners = {};
+                for (const [channel, o] of Object.entries(room.owners)) owners[channel] = o.id;
+                conn.send({
+                    type: 'welcome',
+                    id: peer.id,
+                    peers: [...room.peers.values()].map(({ id, name }) => ({ id, name })),
+                    owners,
+                    snapshot: room.snapshot
+                });
+                room.peers.set(peer.id, peer);
+                broadcast(room, { type: 'join', peer: { id: peer.id, name: peer.name } }, peer.id);
+                return;
+            }
+            if (!peer) {
+                conn.send({ type: 'error', message: "Send join first" });
+                return;
+            }
+
+            if (msg.type === 'gesture') {
+                broadcast(room, { type: 'gesture', id: peer.id, state: msg.state }, peer.id);
+            } else if (msg.type === 'update') {
+                handleUpdate(room, peer, msg);
+            } else {
+                conn.send({ type: 'error', message: `Unknown message type "${msg.type}"` });
+            }
+        };
+
+        conn.onClose = () => {
+            if (!peer) return;
+            room.peers.delete(peer.id);
+            // The last one out takes the room's snapshot and owners with it
+            if (room.peers.size === 0) {
+                rooms.delete(roomName);
+                return;
+            }
+            broadcast(room, { type: 'leave', id: peer.id });
+            for (const channel of CHANNELS) {
+                if (room.owners[channel] && room.owners[channel].id === peer.id) {
+                    delete room.owners[channel];
+                    broadcast(room, { type: 'owner', channel, id: null });
+                }
+            }
+        };
+    }
+
+    function handleUpdate(room, peer, msg) {
+        const { channel } = msg;
+        if (!CHANNELS.includes(channel)) {
+            peer.conn.send({ type: 'error', message: `Unknown channel "${channel}"` });
+            return;
+        }
+
+        const now = Date.now();
+        const owner = room.owners[channel];
+        const mine = owner && owner.id === peer.id;
+        if (owner && !mine && now - owner.active < leaseMs) {
+            peer.conn.send({ type: 'denied', channel, owner: owner.id });
+            return;
+        }
+
+        if (!mine) {
+            room.owners[channel] = { id: peer.id, active: now };
+            broadcast(room, { type: 'owner', channel, id: peer.id });
+        } else if (msg.active !== false) {
+            owner.active = now;
+        }
+        room.snapshot[channel] = msg.value;
+        broadcast(room, { type: 'update', id: peer.id, channel, value: msg.value }, peer.id);
+    }
+
+    return {
+        server,
+        rooms,
+        listen: () => new Promise((resolve) => {
+            server.listen(port, host, () => resolve(server.address().port));
+        }),
+        close: () => new Promise((resolve) => {
+            for (const room of rooms.values()) {
+                for (const peer of room.peers.values()) peer.conn.close(1001);
+            }
+            server.close(() => resolve());
+        })
+    };
+}
+
+// Run directly: node CollabRelay.js
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+    const relay = createRelay({ port: Number(process.env.PORT) || 8787 });
+    relay.listen().then((port) => console.log(`Kinetic Heart relay listening on ws://localhost:${port}`));
+}
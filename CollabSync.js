@@ -0,0 +1,197 @@
+// Collaborative mode: several screens shape the same heart.
+// Talks to a relay (CollabRelay.js) over WebSockets. It broadcasts this
+// client's gesture state, mirrors shared channels ('params' = scene settings,
+// 'rotation' = container rotation), and tracks who owns each channel. The relay
+// decides ownership; this class only sends on a channel it owns or can claim.
+//
+// Remote hands are kept per peer so the app can turn each one into its own
+// localized force fields (see HandFields) instead of one global gesture.
+
+const GESTURE_TTL = 1000; // ms before a silent peer's hand stops counting
+
+export class CollabSync {
+    // options: { url, room, name, WebSocket (for Node), gestureRate (Hz), rotationRate (Hz) }
+    constructor(options = {}) {
+        this.url = options.url || 'ws://localhost:8787';
+        this.room = options.room || 'lobby';
+        this.name = options.name || 'Guest';
+        this.WebSocket = options.WebSocket || globalThis.WebSocket;
+        this.gestureInterval = 1000 / (options.gestureRate || 20);
+        this.rotationInterval = 1000 / (options.rotationRate || 10);
+
+        this.socket = null;
+        this.id = null;
+        this.connected = false;
+        this.peers = new Map(); // id -> { id, name, gesture, seen }
+        this.owners = {}; // channel -> peer id
+        this.snapshot = {}; // channel -> last value seen
+
+        this.lastGestureSent = 0;
+        this.lastRotationSent = 0;
+
+        // Callbacks
+        this.onUpdate = null; // (channel, value, fromId)
+        this.onDenied = null; // (channel, ownerId) - a local change was rejected
+        this.onPeers = null; // (peers)
+        this.onStatus = null; // (status: 'connecting' | 'connected' | 'disconnected', error?)
+    }
+
+    // Resolves once the relay has welcomed us
+    connect() {
+        if (!this.WebSocket) return Promise.reject(new Error("WebSockets are not available here"));
+        this.disconnect();
+        this.setStatus('connecting');
+
+        return new Promise((resolve, reject) => {
+            const socket = new this.WebSocket(this.url);
+            this.socket = socket;
+            let welcomed = false;
+
+            socket.onopen = () => this.send({ type: 'join', room: this.room, name: this.name });
+            socket.onmessage = (e) => {
+                let msg;
+                try {
+                    msg = JSON.parse(e.data);
+                } catch (error) {
+                    return;
+                }
+                if (!msg || typeof msg !== 'object') return;
+                if (msg.type === 'welcome') {
+                    welcomed = true;
+                    resolve(this);
+                }
+                this.handleMessage(msg);
+            };
+            socket.onerror = () => {
+                if (!welcomed) reject(new Error(`Could not reach relay at ${this.url}`));
+            };
+            socket.onclose = () => {
+                if (this.socket !== socket) return;
+                this.reset();
+                this.setStatus('disconnected');
+                if (!welcomed) reject(new Error(`Relay at ${this.url} closed the connection`));
+            };
+        });
+    }
+
+    disconnect() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.socket = null;
+        socket.close();
+        this.reset();
+        this.setStatus('disconnected');
+    }
+
+    reset() {
+        this.connected = false;
+        this.id = null;
+        this.peers.clear();
+        this.owners = {};
+    }
+
+    setStatus(status, error) {
+        if (this.onStatus) this.onStatus(status, error);
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === 1) this.socket.send(JSON.stringify(message));
+    }
+
+    handleMessage(msg) {
+        switch (msg.type) {
+            case 'welcome':
+                this.id = msg.id;
+                this.connected = true;
+                msg.peers.forEach(p => this.peers.set(p.id, { ...p, gesture: null, seen: 0 }));
+                this.owners = { ...msg.owners };
+                this.snapshot = { ...msg.snapshot };
+                this.setStatus('connected');
+                // Late joiners pick up the room's current scene
+                for (const [channel, value] of Object.entries(this.snapshot)) {
+                    if (this.onUpdate) this.onUpdate(channel, value, this.owners[channel] || null);
+                }
+                this.peersChanged();
+                break;
+            case 'join':
+                this.peers.set(msg.peer.id, { ...msg.peer, gesture: null, seen: 0 });
+                this.peersChanged();
+                break;
+            case 'leave':
+                this.peers.delete(msg.id);
+                this.peersChanged();
+                break;
+            case 'gesture': {
+                const peer = this.peers.get(msg.id);
+                if (peer) {
+                    peer.gesture = msg.state;
+                    peer.seen = Date.now();
+                }
+                break;
+            }
+            case 'update':
+                this.snapshot[msg.channel] = msg.value;
+                if (this.onUpdate) this.onUpdate(msg.channel, msg.value, msg.id);
+                break;
+            case 'owner':
+                if (msg.id) this.owners[msg.channel] = msg.id;
+                else delete this.owners[msg.channel];
+                break;
+            case 'denied':
+                this.owners[msg.channel] = msg.owner;
+                if (this.onDenied) this.onDenied(msg.channel, msg.owner);
+                break;
+            case 'error':
+                console.warn("Relay:", msg.message);
+                break;
+        }
+    }
+
+    peersChanged() {
+        if (this.onPeers) this.onPeers([...this.peers.values()]);
+    }
+
+    isOwner(channel) {
+        return this.connected && this.owners[channel] === this.id;
+    }
+
+    // Someone else holds the channel (we'd be denied until their lease runs out)
+    isLocked(channel) {
+        return this.connected && this.owners[channel] !== undefined && this.owners[channel] !== this.id;
+    }
+
+    // Throttled; only the parts another client needs to build force fields
+    sendGesture(state, now = Date.now()) {
+        if (!this.connected || now - this.lastGestureSent < this.gestureInterval) return;
+        this.lastGestureSent = now;
+        const round = (v) => Math.round(v * 1000) / 1000;
+        this.send({
+            type: 'gesture',
+            state: {
+                type: state.type,
+                strength: state.strength || 0,
+                hand: state.hand || null,
+                hands: (state.hands || []).map(hand => hand.map(p => ({ x: round(p.x), y: round(p.y), z: round(p.z) })))
+            }
+        });
+    }
+
+    // Active changes claim the channel (if free) and renew our lease
+    setChannel(channel, value, active = true) {
+        if (!this.connected) return;
+        this.send({ type: 'update', channel, value, active });
+    }
+
+    // Rotation is streamed: owners mirror it continuously (passive), input claims it (active)
+    sendRotation(value, active, now = Date.now()) {
+        if (!this.connected || now - this.lastRotationSent < this.rotationInterval) return;
+        if (!active && !this.isOwner('rotation')) return;
+        this.lastRotationSent = now;
+        this.setChannel('rotation', value, active);
+    }
+
+    // Peers whose hands are currently in view: [{ id, name, gesture }]
+    activeHands(now = Date.now()) {
+        return [...this.peers.values()].filter(p => p.gesture && p.gesture.hand && now - p.seen < GESTURE_TTL);
+    }
+}
@@ -0,0 +1,213 @@
+// Hardware control surfaces: MIDI and OSC messages -> app parameters and actions.
+// Like GestureMapping, this module only connects names: sources (ControlSources.js)
+// turn raw input into messages, the app registers named targets, and bindings
+// join the two. Nothing here reads a clock or the DOM, so feeding a synthetic
+// message stream to handle() and stepping update(dt) replays a session exactly.
+//
+// message: { control, value, momentary? }
+//   control is a stable id: 'midi:cc:<channel>:<number>', 'midi:note:<channel>:<note>'
+//   or 'osc:<address>'; value is normalized to 0-1.
+// target:  { min, max, step?, get(), set(value) } for a continuous parameter,
+//          or { trigger(value, args), args? } for a one-shot action.
+// binding: { control, target, min?, max?, invert?, smoothing?, args? }
+//   min / max narrow the target's range, smoothing is a time constant in seconds
+//   (0 = jump), args are merged over the target's. Actions fire when the value
+//   rises past 0.5: note on, button press.
+//
+// Bindings persist in localStorage; learn(target) binds whatever moves next.
+
+const STORAGE_KEY = 'kinetic-heart.controls';
+export const DEFAULT_SMOOTHING = 0.08; // seconds; hides the 1/127 steps of a MIDI fader
+const TRIGGER_LEVEL = 0.5;
+const CONTROL_ID = /^(midi:(cc|note):\d+:\d+|osc:\/\S*)$/;
+
+// Raw Web MIDI bytes -> message, or null for anything but CC, note on and note off
+export function parseMidi(data) {
+    const [status = 0, d1 = 0, d2 = 0] = data;
+    const type = status & 0xf0;
+    const channel = (status & 0x0f) + 1;
+    if (type === 0xb0) return { control: `midi:cc:${channel}:${d1}`, value: d2 / 127 };
+    if (type === 0x90 && d2 > 0) return { control: `midi:note:${channel}:${d1}`, value: d2 / 127 };
+    if (type === 0x80 || type === 0x90) return { control: `midi:note:${channel}:${d1}`, value: 0 };
+    return null;
+}
+
+// OSC address + arguments -> message. The first number or boolean is the value
+// (TouchOSC and most surfaces send 0-1 floats); an address without one is a button press.
+export function parseOsc(address, args = []) {
+    if (typeof address !== 'string' || address[0] !== '/') return null;
+    const arg = args.find(a => typeof a === 'number' || typeof a === 'boolean');
+    if (arg === undefined) return { control: `osc:${address}`, value: 1, momentary: true };
+    return { control: `osc:${address}`, value: Math.min(Math.max(Number(arg), 0), 1) };
+}
+
+// Throws one Error listing every problem, e.g.
+// Invalid control binding midi:cc:1:7 -> foo:
+// - unknown target "foo"
+export function validateBinding(binding, targets) {
+    if (!binding || typeof binding !== 'object' || Array.isArray(binding)) {
+        throw new Error("Invalid control binding: expected an object with control and target");
+    }
+    const errors = [];
+    if (typeof binding.control !== 'string' || !CONTROL_ID.test(binding.control)) {
+        errors.push(`control must look like midi:cc:1:7, midi:note:1:60 or osc:/address (got ${JSON.stringify(binding.control)})`);
+    }
+    if (!targets.has(binding.target)) errors.push(`unknown target "${binding.target}"`);
+    for (const key of ['min', 'max', 'smoothing']) {
+        if (binding[key] !== undefined && !Number.isFinite(binding[key])) errors.push(`${key} must be a number`);
+    }
+    if (binding.smoothing < 0) errors.push("smoothing can't be negative");
+    if (binding.invert !== undefined && typeof binding.invert !== 'boolean') errors.push("invert must be true or false");
+    if (binding.args !== undefined && (typeof binding.args !== 'object' || binding.args === null)) errors.push("args must be an object");
+    if (errors.length) {
+        throw new Error(`Invalid control binding ${binding.control} -> ${binding.target}:\n- ${errors.join('\n- ')}`);
+    }
+    return binding;
+}
+
+export class ControlMapper {
+    // targets: name -> target (see above)
+    constructor(targets = {}, storage = globalThis.localStorage) {
+        this.targets = new Map(Object.entries(targets));
+        this.storage = storage || null;
+        this.state = new Map(); // binding -> { goal, current, applied, level, moving }
+        this.learning = null; // { target, options } waiting for the next control
+        this.onLearn = null; // (binding)
+        this.bindings = this.loadStored();
+    }
+
+    targetNames() {
+        return [...this.targets.keys()];
+    }
+
+    loadStored() {
+        if (!this.storage) return [];
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '[]');
+            return stored.filter((binding) => {
+                try {
+                    return validateBinding(binding, this.targets);
+                } catch (e) {
+                    console.warn("Skipping stored control binding:", e.message);
+                    return false;
+                }
+            });
+        } catch (e) {
+            console.warn("Stored control bindings unreadable, ignoring:", e.message);
+            return [];
+        }
+    }
+
+    persist() {
+        if (this.storage) this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+    }
+
+    // Replaces any binding between the same control and target
+    bind(control, target, options = {}) {
+        const binding = validateBinding({ ...options, control, target }, this.targets);
+        this.unbind(control, target, false);
+        this.bindings.push(binding);
+        this.persist();
+        return binding;
+    }
+
+    // Every binding of `control` (to `target` if given); either may be null for "any"
+    unbind(control, target = null, persist = true) {
+        this.bindings = this.bindings.filter((b) => {
+            const match = (control === null || b.control === control) && (target === null || b.target === target);
+            if (match) this.state.delete(b);
+            return !match;
+        });
+        if (persist) this.persist();
+    }
+
+    clear() {
+        this.unbind(null, null);
+    }
+
+    // The next control that moves (or note that's played) gets bound to `target`
+    learn(target, options = {}) {
+        if (!this.targets.has(target)) throw new Error(`Unknown control target "${target}"`);
+        this.learning = { target, options };
+    }
+
+    cancelLearn() {
+        this.learning = null;
+    }
+
+    // One incoming message; continuous targets move on the next update()
+    handle(message) {
+        if (!message) return;
+        const { control, value } = message;
+
+        if (this.learning) {
+            if (value <= 0) return; // note off, or a fader parked at zero
+            const binding = this.bind(control, this.learning.target, this.learning.options);
+            this.learning = null;
+            if (this.onLearn) this.onLearn(binding);
+            return;
+        }
+
+        for (const binding of this.bindings) {
+            if (binding.control !== control) continue;
+            const target = this.targets.get(binding.target);
+            let s = this.state.get(binding);
+            if (!s) {
+                s = { goal: 0, current: 0, applied: null, level: 0, moving: false };
+                this.state.set(binding, s);
+            }
+            const t = binding.invert ? 1 - value : value;
+
+            if (target.trigger) {
+                if (t >= TRIGGER_LEVEL && s.level < TRIGGER_LEVEL) {
+                    target.trigger(t, { ...target.args, ...binding.args });
+                }
+                s.level = message.momentary ? 0 : t;
+                continue;
+            }
+
+            const min = binding.min !== undefined ? binding.min : target.min;
+            const max = binding.max !== undefined ? binding.max : target.max;
+            // Glide from wherever the parameter is now (GUI, preset or another binding may have moved it)
+            if (!s.moving) s.current = target.get();
+            s.goal = min + (max - min) * t;
+            s.moving = true;
+        }
+    }
+
+    // Call once per frame; returns true when any parameter changed
+    update(dt) {
+        let changed = false;
+        for (const [binding, s] of this.state) {
+            if (!s.moving) continue;
+            const target = this.targets.get(binding.target);
+            const smoothing = binding.smoothing !== undefined ? binding.smoothing : DEFAULT_SMOOTHING;
+            s.current += (s.goal - s.current) * (smoothing > 0 ? 1 - Math.exp(-dt / smoothing) : 1);
+            if (Math.abs(s.goal - s.current) <= Math.abs(target.max - target.min) * 1e-4) {
+                s.current = s.goal;
+                s.moving = false;
+            }
+            const value = target.step ? Math.round(s.current / target.step) * target.step : s.current;
+            if (value !== s.applied) {
+                s.applied = value;
+                target.set(value);
+                changed = true;
+            }
+        }
+        return changed;
+    }
+
+    // Plain JSON: { bindings: [{ control, target, ... }] }
+    toJSON() {
+        return { bindings: this.bindings.map(b => ({ ...b })) };
+    }
+
+    // Replaces every binding; validates all of them before touching any
+    fromJSON(json) {
+        if (!json || !Array.isArray(json.bindings)) throw new Error("Control mappings need a \"bindings\" array");
+        const bindings = json.bindings.map(b => validateBinding({ ...b }, this.targets));
+        this.state.clear();
+        this.bindings = bindings;
+        this.persist();
+    }
+}
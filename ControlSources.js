@@ -0,0 +1,116 @@
+// Browser inputs for ControlMapping: Web MIDI devices, and OSC through the
+// WebSocket bridge (OscBridge.js, since pages can't receive UDP). Both turn raw
+// input into { control, value } messages for onMessage and know nothing about bindings.
+
+import { parseMidi, parseOsc } from './ControlMapping.js';
+
+export class MidiInput {
+    // options: { navigator (for tests) }
+    constructor(onMessage, options = {}) {
+        this.onMessage = onMessage;
+        this.navigator = options.navigator || globalThis.navigator;
+        this.access = null;
+        this.devices = []; // names of connected inputs
+        this.onDevices = null; // (names)
+        this.listener = (e) => {
+            const message = parseMidi(e.data);
+            if (message) this.onMessage(message);
+        };
+    }
+
+    // Listens to every input, including ones plugged in later; resolves to the device names
+    async connect() {
+        if (!this.navigator || !this.navigator.requestMIDIAccess) throw new Error("Web MIDI is not supported in this browser");
+        this.disconnect();
+        const access = await this.navigator.requestMIDIAccess();
+        this.access = access;
+        access.onstatechange = () => this.attach();
+        this.attach();
+        return this.devices;
+    }
+
+    attach() {
+        if (!this.access) return;
+        this.devices = [];
+        this.access.inputs.forEach((input) => {
+            input.onmidimessage = this.listener;
+            if (input.state !== 'disconnected') this.devices.push(input.name);
+        });
+        if (this.onDevices) this.onDevices(this.devices);
+    }
+
+    disconnect() {
+        if (!this.access) return;
+        this.access.inputs.forEach((input) => { input.onmidimessage = null; });
+        this.access.onstatechange = null;
+        this.access = null;
+        this.devices = [];
+        if (this.onDevices) this.onDevices(this.devices);
+    }
+}
+
+export class OscInput {
+    // options: { url, WebSocket (for Node) }
+    constructor(onMessage, options = {}) {
+        this.onMessage = onMessage;
+        this.url = options.url || 'ws://localhost:8788';
+        this.WebSocket = options.WebSocket || globalThis.WebSocket;
+        this.socket = null;
+        this.connected = false;
+        this.onStatus = null; // (status: 'connecting' | 'connected' | 'disconnected')
+    }
+
+    // Resolves once the bridge accepts the connection
+    connect() {
+        if (!this.WebSocket) return Promise.reject(new Error("WebSockets are not available here"));
+        this.disconnect();
+        this.setStatus('connecting');
+
+        return new Promise((resolve, reject) => {
+            const socket = new this.WebSocket(this.url);
+            this.socket = socket;
+
+            socket.onopen = () => {
+                this.connected = true;
+                this.setStatus('connected');
+                resolve(this);
+            };
+            socket.onmessage = (e) => this.handle(e.data);
+            socket.onerror = () => {
+                if (!this.connected) reject(new Error(`Could not reach OSC bridge at ${this.url}`));
+            };
+            socket.onclose = () => {
+                if (this.socket !== socket) return;
+                this.socket = null;
+                this.connected = false;
+                this.setStatus('disconnected');
+            };
+        });
+    }
+
+    disconnect() {
+        if (!this.socket) return;
+        const socket = this.socket;
+        this.socket = null;
+        this.connected = false;
+        socket.close();
+        this.setStatus('disconnected');
+    }
+
+    // One bridge frame: { type: 'osc', address, args }
+    handle(text) {
+        let msg;
+        try {
+            msg = JSON.parse(text);
+        } catch (e) {
+            return;
+        }
+        if (msg.type !== 'osc') return;
+        const message = parseOsc(msg.address, msg.args);
+        if (message) this.onMessage(message);
+    }
+
+    setStatus(status) {
+        if (this.onStatus) this.onStatus(status);
+    }
+}
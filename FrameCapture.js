@@ -0,0 +1,175 @@
+import * as THREE from 'three';
+import { WebmWriter } from './WebmWriter.js';
+
+// Offline capture of the composer output at a fixed timestep.
+// The scene is stepped by `1 / fps` per frame no matter how long rendering or
+// encoding takes, so with a seed and a scripted GestureTimeline two exports
+// match frame for frame.
+//
+// WebM frames are encoded with WebCodecs and stamped i / fps, so the video plays at
+// its frame rate too, not at the speed the capture happened to run.
+//
+// The app provides the hooks (prepare and step may return promises, e.g. to wait
+// for a simulation worker):
+//   prepare(seed)            reset simulation state and seed randomness
+//   step(dt, gesture, time)  advance the scene one tick
+//   render()                 draw one frame (BloomManager.render)
+//   resize(width, height)    resize renderer + composer + camera aspect
+
+// Scripted gestures for captures.
+// keys: [{ time, type, strength, rotationY }] hold until the next key;
+// events: [{ time, action, args }] fire once when playback passes `time`.
+export class GestureTimeline {
+    constructor({ keys = [], events = [] } = {}) {
+        keys.forEach((k, i) => {
+            if (typeof k.time !== 'number') throw new Error(`Timeline key ${i} needs a numeric time`);
+            if (!['IDLE', 'EXPAND', 'CONTRACT'].includes(k.type)) throw new Error(`Timeline key ${i}: unknown gesture type "${k.type}"`);
+        });
+        events.forEach((e, i) => {
+            if (typeof e.time !== 'number' || typeof e.action !== 'string') throw new Error(`Timeline event ${i} needs time and action`);
+        });
+        this.keys = [...keys].sort((a, b) => a.time - b.time);
+        this.events = [...events].sort((a, b) => a.time - b.time);
+    }
+
+    static fromJSON(json) {
+        return new GestureTimeline(typeof json === 'string' ? JSON.parse(json) : json);
+    }
+
+    stateAt(time) {
+        let key = null;
+        for (const k of this.keys) {
+            if (k.time > time) break;
+            key = k;
+        }
+        if (!key) return { type: 'IDLE', strength: 0, rotationY: undefined };
+        return { type: key.type, strength: key.strength ?? 1, rotationY: key.rotationY };
+    }
+
+    // Events in [from, to)
+    eventsBetween(from, to) {
+        return this.events.filter(e => e.time >= from && e.time < to);
+    }
+}
+
+function waitFor(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Canvas capture failed"))), 'image/png');
+    });
+}
+
+const KEYFRAME_INTERVAL = 2; // seconds
+const MAX_ENCODE_QUEUE = 4; // frames waiting in the encoder before the capture holds back
+
+// VP9 where the browser encodes it, VP8 otherwise
+async function createEncoder(width, height, fps) {
+    const candidates = [['vp9', 'vp09.00.10.08'], ['vp8', 'vp8']];
+    for (const [name, codec] of candidates) {
+        const config = { codec, width, height, bitrate: 20e6, framerate: fps };
+        const { supported } = await VideoEncoder.isConfigSupported(config);
+        if (!supported) continue;
+
+        const writer = new WebmWriter({ codec: name, width, height });
+        const encoder = {
+            writer,
+            error: null,
+            video: new VideoEncoder({
+                output: (chunk) => {
+                    const data = new Uint8Array(chunk.byteLength);
+                    chunk.copyTo(data);
+                    writer.addFrame(data, Math.round(chunk.timestamp / 1000), chunk.type === 'key');
+                },
+                error: (e) => { encoder.error = e; }
+            })
+        };
+        encoder.video.configure(config);
+        return encoder;
+    }
+    throw new Error(`This browser can't encode VP8 or VP9 at ${width}x${height}`);
+}
+
+export class FrameCapture {
+    constructor(renderer, hooks) {
+        this.renderer = renderer;
+        this.hooks = hooks;
+        this.capturing = false;
+        this.cancelled = false;
+    }
+
+    cancel() {
+        this.cancelled = true;
+    }
+
+    // options:
+    //   width, height, fps, duration (seconds), seed
+    //   format: 'png' (frame sequence) | 'webm' (WebCodecs)
+    //   timeline: GestureTimeline, onAction(action, args) for its events
+    //   onFrame(blob, index) for PNG frames, onProgress(done, total)
+    // Resolves with the WebM Blob, or the frame count for PNG.
+    async capture(options) {
+        const {
+            width = 1920, height = 1080, fps = 30, duration = 5, seed = 1,
+            format = 'png', timeline = new GestureTimeline(), onAction, onFrame, onProgress
+        } = options;
+
+        if (this.capturing) throw new Error("A capture is already running");
+        if (format === 'png' && !onFrame) throw new Error("PNG capture needs an onFrame(blob, index) callback");
+        if (format === 'webm' && typeof VideoEncoder === 'undefined') throw new Error("WebM export needs WebCodecs, which this browser lacks (PNG frames still work)");
+
+        this.capturing = true;
+        this.cancelled = false;
+
+        const canvas = this.renderer.domElement;
+        const savedSize = this.renderer.getSize(new THREE.Vector2());
+        const savedRatio = this.renderer.getPixelRatio();
+        this.renderer.setPixelRatio(1);
+        this.hooks.resize(width, height);
+
+        const dt = 1 / fps;
+        const total = Math.round(duration * fps);
+        let encoder = null;
+
+        try {
+            if (format === 'webm') encoder = await createEncoder(width, height, fps);
+
+            await this.hooks.prepare(seed);
+
+            for (let i = 0; i < total && !this.cancelled; i++) {
+                const time = i * dt;
+                for (const e of timeline.eventsBetween(time, time + dt)) {
+                    if (onAction) onAction(e.action, e.args || {});
+                }
+                await this.hooks.step(dt, timeline.stateAt(time), time);
+                this.hooks.render();
+
+                if (format === 'png') {
+                    await onFrame(await canvasToBlob(canvas), i);
+                } else {
+                    if (encoder.error) throw encoder.error;
+                    const frame = new VideoFrame(canvas, { timestamp: Math.round(i * 1e6 / fps), duration: Math.round(1e6 / fps) });
+                    encoder.video.encode(frame, { keyFrame: i % Math.round(KEYFRAME_INTERVAL * fps) === 0 });
+                    frame.close();
+                    // Back-pressure only: timestamps come from the frame index, not the clock
+                    while (encoder.video.encodeQueueSize > MAX_ENCODE_QUEUE) await waitFor(1);
+                }
+                if (onProgress) onProgress(i + 1, total);
+            }
+
+            if (encoder) {
+                await encoder.video.flush();
+                if (encoder.error) throw encoder.error;
+                return encoder.writer.finish(1000 / fps);
+            }
+            return total;
+        } finally {
+            if (encoder && encoder.video.state !== 'closed') encoder.video.close();
+            this.renderer.setPixelRatio(savedRatio);
+            this.hooks.resize(savedSize.x, savedSize.y);
+            this.capturing = false;
+        }
+    }
+}
@@ -0,0 +1,318 @@
+import * as THREE from 'three';
+import { GPUComputationRenderer } from 'three/addons/misc/GPUComputationRenderer.js';
+import { REFERENCE_RATE, MAX_FIELDS, FIELD_TYPES } from './ParticlePhysics.js';
+import { pointStyleVertex, pointStyleFragment, createPointStyleUniforms } from './ParticleMaterial.js';
+
+// GPU backend for HeartSystem.
+// Position and velocity live in float textures (one texel per particle) and are
+// stepped in fragment shaders with the same forces as ParticlePhysics.stepParticles:
+// spring to home * pulse, gesture push/pull, hand fields, noise, semi-implicit Euler + damping.
+// Verlet is CPU only; the GPU always integrates with Euler.
+// Like the CPU path, points are drawn between the last two steps (setAlpha): the
+// ping-pong target the last step read from still holds the step before.
+// Points are drawn with the same style chunks as the CPU material (ParticleMaterial).
+
+// Shared by both compute shaders. GPUComputationRenderer reads the *previous*
+// velocity in the position pass, so the position pass recomputes the new
+// velocity itself to match the CPU order (vel += f * s; vel *= damping^s; pos += vel * s),
+// where s is the step length in 60 Hz ticks.
+const forceChunk = /* glsl */ `
+    #define REFERENCE_RATE ${REFERENCE_RATE.toFixed(1)}
+    #define MAX_FIELDS ${MAX_FIELDS}
+
+    uniform sampler2D tTarget;
+    uniform float stepScale;
+    uniform float seed;
+    uniform float pulseScale;
+    uniform float springStrength;
+    uniform float damping;
+    uniform float noiseStrength;
+    uniform float handStrength;
+    uniform float impulse;
+    uniform int gesture; // 0 idle, 1 expand, 2 contract
+    uniform vec4 fieldShape[MAX_FIELDS]; // xyz center, radius
+    uniform vec4 fieldForce[MAX_FIELDS]; // strength, type (0 attract, 1 repel, 2 vortex), falloff, unused
+    uniform vec3 fieldAxis[MAX_FIELDS]; // vortex axis
+    uniform int fieldCount;
+
+    float hash(vec2 p) {
+        return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+    }
+
+    vec3 nextVelocity(vec2 uv, vec3 p, vec3 v) {
+        vec3 t = texture2D(tTarget, uv).xyz * pulseScale;
+
+        // 1. Spring Force to Home
+        vec3 f = (t - p) * springStrength;
+
+        // 2. Gesture Forces
+        if (gesture == 1) {
+            f += p / (length(p) + 0.001) * 50.0 * handStrength / REFERENCE_RATE;
+        } else if (gesture == 2) {
+            f -= p * 5.0 * handStrength / REFERENCE_RATE;
+        }
+
+        // Localized fields (see ParticlePhysics.applyFields)
+        for (int k = 0; k < MAX_FIELDS; k++) {
+            if (k >= fieldCount) break;
+            vec3 d = p - fieldShape[k].xyz;
+            float dist = length(d) + 0.001;
+            float radius = fieldShape[k].w;
+            if (dist < radius) {
+                float w = pow(1.0 - dist / radius, fieldForce[k].z);
+                if (fieldForce[k].y > 1.5) {
+                    f += cross(fieldAxis[k], d) / dist * 20.0 * fieldForce[k].x * w / REFERENCE_RATE;
+                    f -= d * fieldForce[k].x * w / REFERENCE_RATE;
+                } else if (fieldForce[k].y > 0.5) {
+                    f += d / dist * 50.0 * fieldForce[k].x * w / REFERENCE_RATE;
+                } else {
+                    f -= d * 5.0 * fieldForce[k].x * w / REFERENCE_RATE;
+                }
+            }
+        }
+
+        // 3. Noise / Brownian
+        vec2 s = uv + seed;
+        f += (vec3(hash(s), hash(s + 1.7), hash(s + 3.1)) - 0.5) * noiseStrength;
+
+        // Burst impulse is a one-off velocity kick, not scaled by the step
+        vec3 kick = p / (length(p) + 0.001) * impulse;
+
+        return (v + f * stepScale + kick) * pow(damping, stepScale);
+    }
+`;
+
+const velocityShader = /* glsl */ `
+    ${forceChunk}
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 p = texture2D(texturePosition, uv).xyz;
+        vec3 v = texture2D(textureVelocity, uv).xyz;
+        gl_FragColor = vec4(nextVelocity(uv, p, v), 1.0);
+    }
+`;
+
+const positionShader = /* glsl */ `
+    ${forceChunk}
+
+    void main() {
+        vec2 uv = gl_FragCoord.xy / resolution.xy;
+        vec3 p = texture2D(texturePosition, uv).xyz;
+        vec3 v = texture2D(textureVelocity, uv).xyz;
+        gl_FragColor = vec4(p + nextVelocity(uv, p, v) * stepScale, 1.0);
+    }
+`;
+
+const pointsVertexShader = /* glsl */ `
+    uniform sampler2D texturePosition;
+    uniform sampler2D texturePrevious;
+    uniform sampler2D textureVelocity;
+    uniform float alpha; // FixedTimestep.alpha
+    uniform vec3 gradient[8];
+    uniform int gradientCount;
+    attribute vec2 reference;
+    varying vec3 vColor;
+
+    ${pointStyleVertex}
+    #include <fog_pars_vertex>
+
+    void main() {
+        vec3 p = mix(texture2D(texturePrevious, reference).xyz, texture2D(texturePosition, reference).xyz, alpha);
+        vec3 v = texture2D(textureVelocity, reference).xyz;
+
+        // Low speed = first stop, high speed = last (color1 -> color2 without a gradient)
+        float x = min(length(v) * 0.5, 1.0) * float(gradientCount - 1);
+        int i = int(min(floor(x), float(gradientCount - 2)));
+        vColor = mix(gradient[i], gradient[i + 1], x - float(i));
+
+        vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        gl_PointSize = stylePoint(mvPosition, length(v));
+
+        #include <fog_vertex>
+    }
+`;
+
+const pointsFragmentShader = /* glsl */ `
+    varying vec3 vColor;
+
+    ${pointStyleFragment}
+    #include <fog_pars_fragment>
+
+    void main() {
+        gl_FragColor = vec4(vColor, spriteAlpha());
+
+        #include <fog_fragment>
+    }
+`;
+
+const GESTURES = { IDLE: 0, EXPAND: 1, CONTRACT: 2 };
+
+export class GPUParticleSim {
+    constructor(renderer, maxCount, geometry) {
+        this.renderer = renderer;
+        this.maxCount = maxCount;
+        this.size = Math.ceil(Math.sqrt(maxCount));
+
+        const gpu = new GPUComputationRenderer(this.size, this.size, renderer);
+        this.gpu = gpu;
+
+        // Home positions are written from JS whenever they change (morphs)
+        this.targetData = new Float32Array(this.size * this.size * 4);
+        this.targetTexture = new THREE.DataTexture(this.targetData, this.size, this.size, THREE.RGBAFormat, THREE.FloatType);
+        this.targetTexture.needsUpdate = true;
+
+        this.posVar = gpu.addVariable('texturePosition', positionShader, gpu.createTexture());
+        this.velVar = gpu.addVariable('textureVelocity', velocityShader, gpu.createTexture());
+        gpu.setVariableDependencies(this.posVar, [this.posVar, this.velVar]);
+        gpu.setVariableDependencies(this.velVar, [this.posVar, this.velVar]);
+
+        for (const variable of [this.posVar, this.velVar]) {
+            Object.assign(variable.material.uniforms, {
+                tTarget: { value: this.targetTexture },
+                stepScale: { value: 1 },
+                seed: { value: 0 },
+                pulseScale: { value: 1 },
+                springStrength: { value: 0 },
+                damping: { value: 0 },
+                noiseStrength: { value: 0 },
+                handStrength: { value: 0 },
+                impulse: { value: 0 },
+                gesture: { value: 0 },
+                fieldShape: { value: Array.from({ length: MAX_FIELDS }, () => new THREE.Vector4()) },
+                fieldForce: { value: Array.from({ length: MAX_FIELDS }, () => new THREE.Vector4()) },
+                fieldAxis: { value: Array.from({ length: MAX_FIELDS }, () => new THREE.Vector3(0, 1, 0)) },
+                fieldCount: { value: 0 }
+            });
+        }
+
+        const error = gpu.init();
+        if (error !== null) throw new Error(`GPU particle init failed: ${error}`);
+
+        // Each vertex looks up its own texel
+        const reference = new Float32Array(maxCount * 2);
+        for (let i = 0; i < maxCount; i++) {
+            reference[i * 2] = ((i % this.size) + 0.5) / this.size;
+            reference[i * 2 + 1] = (Math.floor(i / this.size) + 0.5) / this.size;
+        }
+        geometry.setAttribute('reference', new THREE.BufferAttribute(reference, 2));
+
+        // Style uniforms (size, sprite, twinkle, ...) are set by HeartSystem
+        const uniforms = createPointStyleUniforms();
+        uniforms.gradient = { value: Array.from({ length: 8 }, () => new THREE.Color()) };
+        uniforms.gradientCount = { value: 2 };
+        uniforms.texturePosition = { value: null };
+        uniforms.texturePrevious = { value: null };
+        uniforms.textureVelocity = { value: null };
+        uniforms.alpha = { value: 1 };
+
+        this.material = new THREE.ShaderMaterial({
+            uniforms,
+            vertexShader: pointsVertexShader,
+            fragmentShader: pointsFragmentShader,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false,
+            fog: true
+        });
+
+        this.bindTextures();
+    }
+
+    bindTextures() {
+        this.material.uniforms.texturePosition.value = this.gpu.getCurrentRenderTarget(this.posVar).texture;
+        this.material.uniforms.texturePrevious.value = this.gpu.getAlternateRenderTarget(this.posVar).texture;
+        this.material.uniforms.textureVelocity.value = this.gpu.getCurrentRenderTarget(this.velVar).texture;
+    }
+
+    writeTexture(texture, array) {
+        const data = texture.image.data;
+        data.fill(0);
+        for (let i = 0; i < this.maxCount; i++) {
+            data[i * 4] = array[i * 3];
+            data[i * 4 + 1] = array[i * 3 + 1];
+            data[i * 4 + 2] = array[i * 3 + 2];
+            data[i * 4 + 3] = 1;
+        }
+        texture.needsUpdate = true;
+    }
+
+    setTargets(targetArray) {
+        this.writeTexture(this.targetTexture, targetArray);
+    }
+
+    // Upload fresh positions/velocities into both ping-pong targets
+    reset(posArray, velArray, targetArray) {
+        const pos = this.gpu.createTexture();
+        const vel = this.gpu.createTexture();
+        this.writeTexture(pos, posArray);
+        this.writeTexture(vel, velArray);
+
+        for (const rt of this.posVar.renderTargets) this.gpu.renderTexture(pos, rt);
+        for (const rt of this.velVar.renderTargets) this.gpu.renderTexture(vel, rt);
+        pos.dispose();
+        vel.dispose();
+
+        this.setTargets(targetArray);
+        this.bindTextures();
+    }
+
+    // One fixed step of `h` seconds. `seed` varies the noise hash per step;
+    // pass a seeded value for reproducible runs
+    update(h, pulseScale, gestureState, params, impulse = 0, seed = Math.random() * 100) {
+        const handStrength = gestureState.strength || 0;
+        const gesture = GESTURES[gestureState.type] || 0;
+        const fields = (gestureState.fields || []).slice(0, MAX_FIELDS);
+
+        for (const variable of [this.posVar, this.velVar]) {
+            const u = variable.material.uniforms;
+            u.stepScale.value = h * REFERENCE_RATE;
+            u.seed.value = seed;
+            u.pulseScale.value = pulseScale;
+            u.springStrength.value = params.springStrength;
+            u.damping.value = params.damping;
+            u.noiseStrength.value = params.noiseStrength;
+            u.handStrength.value = handStrength;
+            u.impulse.value = impulse;
+            u.gesture.value = gesture;
+            fields.forEach((field, k) => {
+                u.fieldShape.value[k].set(field.x, field.y, field.z, field.radius);
+                u.fieldForce.value[k].set(field.strength, Math.max(FIELD_TYPES.indexOf(field.type), 0), field.falloff ?? 2, 0);
+                u.fieldAxis.value[k].fromArray(field.axis || [0, 1, 0]);
+            });
+            u.fieldCount.value = fields.length;
+        }
+
+        const stops = params.gradient || [params.color1, params.color2];
+        const gradient = this.material.uniforms.gradient.value;
+        stops.forEach((c, i) => gradient[i].copy(c));
+        this.material.uniforms.gradientCount.value = stops.length;
+
+        this.gpu.compute();
+        this.bindTextures();
+    }
+
+    // How far the frame is from the last step towards the next (see FixedTimestep)
+    setAlpha(alpha) {
+        this.material.uniforms.alpha.value = alpha;
+    }
+
+    // Read positions back to the CPU (slow, for debugging and comparing against the CPU path)
+    readPositions(out = new Float32Array(this.maxCount * 3)) {
+        const pixels = new Float32Array(this.size * this.size * 4);
+        this.renderer.readRenderTargetPixels(this.gpu.getCurrentRenderTarget(this.posVar), 0, 0, this.size, this.size, pixels);
+        for (let i = 0; i < this.maxCount; i++) {
+            out[i * 3] = pixels[i * 4];
+            out[i * 3 + 1] = pixels[i * 4 + 1];
+            out[i * 3 + 2] = pixels[i * 4 + 2];
+        }
+        return out;
+    }
+
+    dispose() {
+        this.gpu.dispose();
+        this.targetTexture.dispose();
+        this.material.dispose();
+    }
+}
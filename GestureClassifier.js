@@ -0,0 +1,230 @@
+// Landmark-only gesture recognition, no MediaPipe or DOM needed.
+// Each gesture gets a raw score in [0, 1] per frame. Scores are smoothed and
+// pass through enter/exit thresholds (hysteresis) so a hand hovering at the
+// edge of a pose doesn't flicker between states.
+//
+// MediaPipe hand landmarks: 0 wrist, 4 thumb tip, 5/9/13/17 finger MCPs,
+// 6/10/14/18 PIPs, 8/12/16/20 tips. Coordinates are normalized 0-1 image space.
+
+export const GESTURES = [
+    'FIST', 'OPEN_PALM', 'POINT', 'PEACE', 'THUMBS_UP',
+    'PINCH', 'PINCH_DRAG', 'PINCH_OPEN',
+    'SWIPE_LEFT', 'SWIPE_RIGHT',
+    'HANDS_APART', 'TWO_HAND_ROTATE', 'TWO_HAND_ZOOM'
+];
+
+export const defaultClassifierOptions = {
+    enter: 0.7, // smoothed score needed to activate
+    exit: 0.4, // smoothed score below which an active gesture ends
+    smoothing: 0.5, // EMA factor per frame (1 = no smoothing)
+
+    foldedFingers: 3, // FIST: fingers folded
+    pinchClosed: 0.05, // PINCH: thumb-index distance
+    pinchOpen: 0.25, // PINCH_OPEN: thumb-index distance for one-hand expand
+    handsApart: 0.5, // HANDS_APART: wrist distance for two-hand expand
+    swipeSpeed: 1.5, // SWIPE: wrist X speed in screen widths per second
+    swipeWindow: 0.2, // seconds of wrist history used for swipe speed
+    twoHandRotateSpeed: 1.5, // rad/s between the two wrists
+    twoHandZoomSpeed: 0.4 // wrist distance change per second
+};
+
+const TIPS = [8, 12, 16, 20];
+const PIPS = [6, 10, 14, 18];
+
+function clamp01(v) {
+    return Math.min(Math.max(v, 0), 1);
+}
+
+// 0.5 exactly at `threshold`, saturating `width / 2` either side
+function around(value, threshold, width) {
+    return clamp01(0.5 + (value - threshold) / width);
+}
+
+function dist(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Per-finger extension in [0, 1] (index, middle, ring, pinky) plus thumb
+export function fingerExtension(hand) {
+    const wrist = hand[0];
+    const fingers = TIPS.map((tip, i) => {
+        const ratio = dist(hand[tip], wrist) / (dist(hand[PIPS[i]], wrist) || 1e-6);
+        return clamp01((ratio - 0.85) / 0.3); // tip level with PIP (ratio 1) = 0.5
+    });
+
+    const palm = dist(hand[0], hand[9]) || 1e-6;
+    const thumb = clamp01((dist(hand[4], hand[5]) / palm - 0.35) / 0.3);
+    return { fingers, thumb, palm };
+}
+
+// Hard count, matches the original isFist check (tip closer to wrist than PIP)
+export function countFoldedFingers(hand) {
+    const wrist = hand[0];
+    let folded = 0;
+    for (let i = 0; i < 4; i++) {
+        if (dist(hand[TIPS[i]], wrist) < dist(hand[PIPS[i]], wrist)) folded++;
+    }
+    return folded;
+}
+
+// Raw single-frame scores for one hand
+export function scoreHandPoses(hand, options = defaultClassifierOptions) {
+    const { fingers, thumb, palm } = fingerExtension(hand);
+    const folded = fingers.map(e => 1 - e);
+    const foldedSum = folded.reduce((a, b) => a + b, 0);
+    const pinch = dist(hand[4], hand[8]);
+    const thumbUp = clamp01((hand[2].y - hand[4].y) / palm / 0.5); // image Y points down
+    const thumbsUp = Math.min(thumb, thumbUp, ...folded);
+    // Folded fingers with the thumb raised are a thumbs-up, not a fist (reset, not contract)
+    const fist = Math.min(around(foldedSum, options.foldedFingers - 0.5, 1), 1 - thumbsUp);
+
+    return {
+        FIST: fist,
+        OPEN_PALM: Math.min(...fingers, thumb),
+        POINT: Math.min(fingers[0], folded[1], folded[2], folded[3]),
+        PEACE: Math.min(fingers[0], fingers[1], folded[2], folded[3]),
+        THUMBS_UP: thumbsUp,
+        PINCH: Math.min(clamp01((options.pinchClosed * 2 - pinch) / options.pinchClosed), 1 - fist), // a fist also brings thumb and index together
+        PINCH_OPEN: around(pinch, options.pinchOpen, 0.1),
+        pinchDistance: pinch
+    };
+}
+
+export class GestureClassifier {
+    constructor(options = {}) {
+        this.options = { ...defaultClassifierOptions, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.tracks = {};
+        for (const name of GESTURES) {
+            this.tracks[name] = { active: false, confidence: 0, phase: null, value: 0 };
+        }
+        this.wristHistory = []; // [{ t, x }]
+        this.lastPinchPoint = null;
+        this.lastTwoHand = null; // { angle, distance }
+        this.lastTime = null;
+    }
+
+    // Smooth a raw score and run it through the enter/exit thresholds
+    updateTrack(name, raw, value = 0) {
+        const o = this.options;
+        const track = this.tracks[name];
+        track.confidence += (raw - track.confidence) * o.smoothing;
+        track.value = value;
+
+        if (!track.active && track.confidence >= o.enter) {
+            track.active = true;
+            track.phase = 'start';
+        } else if (track.active && track.confidence < o.exit) {
+            track.active = false;
+            track.phase = 'end';
+        } else {
+            track.phase = track.active ? 'hold' : null;
+        }
+    }
+
+    // `hands`: array of landmark arrays, `timestamp`: milliseconds.
+    // Returns { time, dt, hands, gestures: { NAME: { active, confidence, phase, value } } };
+    // the gestures are copies, safe to keep after the next frame
+    classify(hands, timestamp) {
+        const o = this.options;
+        const t = timestamp / 1000;
+        const dt = this.lastTime === null ? 0 : Math.max(t - this.lastTime, 0);
+        this.lastTime = t;
+
+        const raw = {};
+        const values = {};
+        for (const name of GESTURES) raw[name] = 0;
+
+        if (hands.length > 0) {
+            const primary = scoreHandPoses(hands[0], o);
+            const secondary = hands.length > 1 ? scoreHandPoses(hands[1], o) : null;
+
+            for (const name of ['OPEN_PALM', 'POINT', 'PEACE', 'THUMBS_UP', 'PINCH']) raw[name] = primary[name];
+
+            // Either hand in a fist counts
+            raw.FIST = secondary ? Math.max(primary.FIST, secondary.FIST) : primary.FIST;
+
+            // One-hand expand (open "L" between thumb and index)
+            if (!secondary) {
+                raw.PINCH_OPEN = primary.PINCH_OPEN;
+                values.PINCH_OPEN = Math.max(0, (primary.pinchDistance - o.pinchOpen) * 3);
+            }
+
+            this.classifyMotion(hands, t, dt, raw, values);
+        } else {
+            this.wristHistory.length = 0;
+            this.lastTwoHand = null;
+        }
+
+        // Pinch drag rides on an active pinch and reports how far the pinch point moved
+        const pinching = this.tracks.PINCH.active || raw.PINCH >= o.enter;
+        if (hands.length > 0 && pinching) {
+            const h = hands[0];
+            const point = { x: (h[4].x + h[8].x) / 2, y: (h[4].y + h[8].y) / 2 };
+            if (this.lastPinchPoint) {
+                values.PINCH_DRAG = point.x - this.lastPinchPoint.x;
+                raw.PINCH_DRAG = 1;
+            }
+            this.lastPinchPoint = point;
+        } else {
+            this.lastPinchPoint = null;
+        }
+
+        const gestures = {};
+        for (const name of GESTURES) {
+            this.updateTrack(name, raw[name], values[name] || 0);
+            gestures[name] = { ...this.tracks[name] };
+        }
+
+        return { time: t, dt, hands: hands.length, gestures };
+    }
+
+    classifyMotion(hands, t, dt, raw, values) {
+        const o = this.options;
+
+        // Swipes: wrist X speed over a short window
+        const wrist = hands[0][0];
+        this.wristHistory.push({ t, x: wrist.x });
+        while (this.wristHistory.length > 1 && t - this.wristHistory[0].t > o.swipeWindow) {
+            this.wristHistory.shift();
+        }
+        const first = this.wristHistory[0];
+        const span = t - first.t;
+        if (span > 0) {
+            const speed = (wrist.x - first.x) / span;
+            raw.SWIPE_RIGHT = around(speed, o.swipeSpeed, o.swipeSpeed);
+            raw.SWIPE_LEFT = around(-speed, o.swipeSpeed, o.swipeSpeed);
+            values.SWIPE_RIGHT = values.SWIPE_LEFT = speed;
+        }
+
+        if (hands.length < 2) {
+            this.lastTwoHand = null;
+            return;
+        }
+
+        // Two hands: separation (expand), plus rate of change of angle and distance
+        const a = hands[0][0];
+        const b = hands[1][0];
+        const distance = dist(a, b);
+        const angle = Math.atan2(b.y - a.y, b.x - a.x);
+
+        raw.HANDS_APART = around(distance, o.handsApart, 0.1);
+        values.HANDS_APART = Math.max(0, (distance - o.handsApart) * 2);
+
+        if (this.lastTwoHand && dt > 0) {
+            let dAngle = angle - this.lastTwoHand.angle;
+            if (dAngle > Math.PI) dAngle -= Math.PI * 2;
+            if (dAngle < -Math.PI) dAngle += Math.PI * 2;
+            const dDistance = distance - this.lastTwoHand.distance;
+
+            raw.TWO_HAND_ROTATE = around(Math.abs(dAngle) / dt, o.twoHandRotateSpeed, o.twoHandRotateSpeed);
+            raw.TWO_HAND_ZOOM = around(Math.abs(dDistance) / dt, o.twoHandZoomSpeed, o.twoHandZoomSpeed);
+            values.TWO_HAND_ROTATE = dAngle;
+            values.TWO_HAND_ZOOM = dDistance;
+        }
+        this.lastTwoHand = { angle, distance };
+    }
+}
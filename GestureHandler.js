@@ -1,81 +1,164 @@
 import { HandLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+import { GestureClassifier, countFoldedFingers } from './GestureClassifier.js';
+import { assets } from './AssetResolver.js';
 
 export class GestureHandler {
-    constructor(videoElement, onGestureUpdate) {
+    // options.classifier: thresholds and hysteresis, see defaultClassifierOptions
+    // options.autoStart: false skips camera/model setup (e.g. for LandmarkReplay)
+    // options.onError: called with the init error instead of the global error overlay
+    // options.detectionRate: max hand detections per second (0 = every camera frame)
+    // options.assets: AssetResolver for the wasm and model (default: the shared one)
+    // options.delegate: 'GPU' (default, falls back to CPU if it can't start) | 'CPU'
+    constructor(videoElement, onGestureUpdate, options = {}) {
         this.video = videoElement;
         this.onGestureUpdate = onGestureUpdate;
+        this.classifier = new GestureClassifier(options.classifier);
         this.landmarker = null;
         this.lastVideoTime = -1;
         this.isReady = false;
-
-        this.init();
+        this.paused = false; // skip live detection while true (pointer mode, replay)
+        this.recorder = null; // GestureRecorder receiving raw live results
+        this.detectionRate = options.detectionRate || 0; // lowered by the quality governor on slow machines
+        this.lastDetection = -Infinity;
+        this.frame = 0; // requestAnimationFrame id of the detection loop
+        this.disposed = false;
+        this.onError = options.onError || null;
+        this.assets = options.assets || assets;
+        this.delegate = options.delegate || 'GPU'; // what the landmarker actually runs on once init is done
+
+        // Resolves true once the camera stream is running, false if init failed
+        this.ready = options.autoStart !== false ? this.init() : Promise.resolve(false);
     }
 
     async init() {
+        // A retry (e.g. after the camera was denied) replaces the last attempt's landmarker
+        if (this.landmarker) {
+            cancelAnimationFrame(this.frame);
+            this.landmarker.close();
+            this.landmarker = null;
+            this.isReady = false;
+        }
         try {
             console.log("Initializing Vision...");
-            const vision = await FilesetResolver.forVisionTasks(
-                "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.9/wasm"
-            );
-
-            this.landmarker = await HandLandmarker.createFromOptions(vision, {
-                baseOptions: {
-                    modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
-                    delegate: "GPU"
-                },
-                runningMode: "VIDEO",
-                numHands: 2
-            });
+            // Name a missing wasm or model file up front instead of failing inside MediaPipe
+            await this.assets.check(['visionWasm', 'handModel']);
+            const vision = await FilesetResolver.forVisionTasks(this.assets.url('visionWasm').replace(/\/$/, ''));
+
+            this.landmarker = await this.createLandmarker(vision);
+            if (this.disposed) {
+                this.landmarker.close();
+                this.landmarker = null;
+                return false;
+            }
 
             console.log("Vision Initialized. Starting Camera...");
 
             // Start Camera
             const stream = await navigator.mediaDevices.getUserMedia({ video: true });
+            if (this.disposed) {
+                stream.getTracks().forEach(track => track.stop());
+                return false;
+            }
             this.video.srcObject = stream;
             this.video.addEventListener("loadeddata", () => {
                 this.isReady = true;
                 console.log("Camera Ready. Starting Predictions.");
                 this.predict();
-            });
+            }, { once: true });
+            return true;
         } catch (error) {
             console.error("GestureHandler Init Error:", error);
-            // Report to global error handler if available
-            if (window.showError) {
-                window.showError(`Vision Init Failed: ${error.message}\n(App will continue in Demo Mode)`);
+            if (this.onError) {
+                this.onError(error);
+            } else if (window.showError) {
+                // Report to global error handler if available
+                window.showError(`Vision Init Failed: ${error.message}\n(App will continue with mouse/touch/keyboard input)`);
             }
+            return false;
         }
     }
 
+    // GPU delegate first; machines without usable WebGL for MediaPipe get the CPU one
+    async createLandmarker(vision) {
+        const options = delegate => ({
+            baseOptions: { modelAssetPath: this.assets.url('handModel'), delegate },
+            runningMode: "VIDEO",
+            numHands: 2
+        });
+        if (this.delegate === 'GPU') {
+            try {
+                return await HandLandmarker.createFromOptions(vision, options('GPU'));
+            } catch (error) {
+                console.warn("GestureHandler: GPU delegate failed, using CPU.", error);
+                this.delegate = 'CPU';
+            }
+        }
+        return HandLandmarker.createFromOptions(vision, options('CPU'));
+    }
+
     predict() {
         if (!this.landmarker) return;
 
         // Loop
-        requestAnimationFrame(() => this.predict());
+        this.frame = requestAnimationFrame(() => this.predict());
+
+        if (this.paused) return;
+
+        const now = performance.now();
+        if (this.detectionRate > 0 && now - this.lastDetection < 1000 / this.detectionRate) return;
 
         if (this.video.currentTime !== this.lastVideoTime) {
             this.lastVideoTime = this.video.currentTime;
-            const result = this.landmarker.detectForVideo(this.video, performance.now());
-            this.processResult(result);
+            this.lastDetection = now;
+            const result = this.landmarker.detectForVideo(this.video, now);
+            const state = this.processResult(result, now);
+            if (this.recorder) this.recorder.record(result, now, state.type);
         }
     }
 
-    processResult(result) {
+    // Stops detection and the camera stream; an init still in flight gives up
+    dispose() {
+        this.disposed = true;
+        cancelAnimationFrame(this.frame);
+        // Replay-only handlers (autoStart: false) have no video
+        if (this.video) {
+            const stream = this.video.srcObject;
+            if (stream) stream.getTracks().forEach(track => track.stop());
+            this.video.srcObject = null;
+        }
+        if (this.landmarker) this.landmarker.close();
+        this.landmarker = null;
+        this.isReady = false;
+    }
+
+    processResult(result, timestamp = performance.now()) {
         // Output State:
         // type: 'IDLE' | 'EXPAND' | 'CONTRACT'
         // strength: 0.0 - 1.0
         // rotationY: float (radians) relative to center of screen
+        // hand: { x, y } palm center in 0-1 screen space as seen in the mirrored video (undefined without a hand)
+        // hands: per detected hand, its 21 landmarks { x, y, z } mirrored the same way
+        //        (z: depth relative to the wrist, negative = towards the camera;
+        //        XR joints also keep `world`, their scene position, see XRMode)
+        // gestures: per-gesture { active, confidence, phase, value } from the classifier
+
+        const frame = this.classifier.classify(result.landmarks, timestamp);
+        const g = frame.gestures;
 
         let state = {
             type: 'IDLE',
             strength: 0,
-            rotationY: undefined
+            rotationY: undefined,
+            hand: undefined,
+            hands: [],
+            gestures: g,
+            dt: frame.dt
         };
 
         if (result.landmarks.length > 0) {
             // 1. Rotation from Palm Center X
             // Use the first hand found for rotation
-            const hand1 = result.landmarks[0];
-            const wrist = hand1[0];
+            const wrist = result.landmarks[0][0];
             // Map x [0, 1] to [-PI, PI]
             // MediaPipe x is normalized 0-1. 0 is left, 1 is right.
             // Mirroring might be an issue, assume video is mirrored in CSS (transform: scaleX(-1))
@@ -83,69 +166,38 @@ export class GestureHandler {
             // If user moves hand right (screen right), x increases.
             state.rotationY = (wrist.x - 0.5) * Math.PI * 2;
 
-            // 2. Gestures
-            // Check for Fist (Contract)
-            let isFist = this.isFist(hand1);
-            if (result.landmarks.length > 1 && this.isFist(result.landmarks[1])) {
-                isFist = true; // Two fists = SUPER CONTRACT? just contract.
-            }
+            // Palm center (wrist + finger bases), mirrored like the selfie view
+            const palm = [0, 5, 9, 13, 17].map(i => result.landmarks[0][i]);
+            state.hand = {
+                x: 1 - palm.reduce((sum, p) => sum + p.x, 0) / palm.length,
+                y: palm.reduce((sum, p) => sum + p.y, 0) / palm.length
+            };
+            state.hands = result.landmarks.map(hand => hand.map((p) => {
+                const point = { x: 1 - p.x, y: p.y, z: p.z };
+                if (p.world) point.world = p.world;
+                return point;
+            }));
+        }
 
-            if (isFist) {
-                state.type = 'CONTRACT';
-                state.strength = 1.0;
-            } else {
-                // Check for Expand (Pinch Open vs Closed or Two Hands moving apart)
-                // User said: "Distance between Thumb and Index finger tips increases"
-                // OR "hands move apart".
-
-                if (result.landmarks.length === 2) {
-                    // Two hands apart?
-                    const h1 = result.landmarks[0][0];
-                    const h2 = result.landmarks[1][0];
-                    const dist = Math.hypot(h1.x - h2.x, h1.y - h2.y);
-                    if (dist > 0.5) {
-                        state.type = 'EXPAND';
-                        state.strength = (dist - 0.5) * 2; // scale up
-                    }
-                } else {
-                    // One hand pinch open?
-                    // distance between tip 4 and tip 8
-                    const thumbTip = hand1[4];
-                    const indexTip = hand1[8];
-                    const dist = Math.hypot(thumbTip.x - indexTip.x, thumbTip.y - indexTip.y);
-
-                    // Normal rest pinch dist is ~0.05-0.1
-                    // Wide open "L" shape is > 0.2
-                    if (dist > 0.25) {
-                        state.type = 'EXPAND';
-                        state.strength = (dist - 0.25) * 3;
-                    }
-                }
-            }
+        // 2. Gestures (hysteresis is handled by the classifier)
+        // Fist on either hand = CONTRACT, otherwise two hands apart or an open pinch = EXPAND
+        if (g.FIST.active) {
+            state.type = 'CONTRACT';
+            state.strength = 1.0;
+        } else if (g.HANDS_APART.active) {
+            state.type = 'EXPAND';
+            state.strength = g.HANDS_APART.value;
+        } else if (g.PINCH_OPEN.active) {
+            state.type = 'EXPAND';
+            state.strength = g.PINCH_OPEN.value;
         }
 
         this.onGestureUpdate(state);
+        return state;
     }
 
     isFist(landmarks) {
-        // Simple algorithm: Fingertips closer to wrist than PIP joints?
-        // Or simplified: tips are "down" relative to palm?
-        // Let's use the standard "tip is lower than pip" check relative to local hand frame, 
-        // but easier: check distance of tips to wrist vs mcp to wrist.
-
-        const wrist = landmarks[0];
-        let foldedFingers = 0;
-
-        // Indices for tips and PIPs (Index, Middle, Ring, Pinky)
-        const tips = [8, 12, 16, 20];
-        const pips = [6, 10, 14, 18]; // PIP is the joint in middle of finger
-
-        for (let i = 0; i < 4; i++) {
-            const dTip = Math.hypot(landmarks[tips[i]].x - wrist.x, landmarks[tips[i]].y - wrist.y);
-            const dPip = Math.hypot(landmarks[pips[i]].x - wrist.x, landmarks[pips[i]].y - wrist.y);
-            if (dTip < dPip) foldedFingers++;
-        }
-
-        return foldedFingers >= 3; // 3 or more fingers folded = Fist
+        // Fingertips closer to wrist than PIP joints, see GestureClassifier
+        return countFoldedFingers(landmarks) >= this.classifier.options.foldedFingers;
     }
 }
@@ -0,0 +1,86 @@
+import { GESTURES } from './GestureClassifier.js';
+
+// Declarative gesture -> action bindings.
+// A binding fires on a phase of a recognized gesture:
+//   'start' once when it activates, 'hold' every frame while active, 'end' once when it stops.
+// Actions are plain functions registered by the app: fn(event, args) where
+// event = { gesture, phase, confidence, value, dt }.
+// `unless: [gestures]` holds a binding back while any of them is active or halfway
+// there, e.g. an open palm that is really a hand opening to expand.
+
+export const defaultGestureMap = [
+    { gesture: 'PINCH_DRAG', on: 'hold', action: 'rotate', args: { scale: Math.PI * 2 } },
+    { gesture: 'TWO_HAND_ROTATE', on: 'hold', action: 'rotate', args: { scale: -1 } },
+    { gesture: 'TWO_HAND_ZOOM', on: 'hold', action: 'zoom', args: { scale: -60 } },
+    { gesture: 'POINT', on: 'hold', action: 'zoom', args: { rate: -8 } },
+    { gesture: 'SWIPE_LEFT', on: 'start', action: 'morphShape', args: { step: -1 } },
+    { gesture: 'SWIPE_RIGHT', on: 'start', action: 'morphShape', args: { step: 1 } },
+    { gesture: 'PEACE', on: 'start', action: 'changePalette' },
+    { gesture: 'OPEN_PALM', on: 'start', action: 'explode', args: { strength: 1 }, unless: ['PINCH_OPEN', 'HANDS_APART'] },
+    { gesture: 'THUMBS_UP', on: 'start', action: 'reset' }
+];
+
+const PHASES = ['start', 'hold', 'end'];
+const BLOCKING = 0.5; // confidence at which an `unless` gesture starts holding a binding back
+
+export class GestureMapper {
+    constructor(map = defaultGestureMap, actions = {}) {
+        this.actions = new Map(Object.entries(actions));
+        this.warned = new Set();
+        this.setMap(map);
+    }
+
+    registerAction(name, fn) {
+        this.actions.set(name, fn);
+        return this;
+    }
+
+    setMap(map) {
+        if (!Array.isArray(map)) throw new TypeError("Gesture map must be an array of bindings");
+        map.forEach((b, i) => {
+            if (!GESTURES.includes(b.gesture)) throw new Error(`Binding ${i}: unknown gesture "${b.gesture}"`);
+            if (!PHASES.includes(b.on || 'start')) throw new Error(`Binding ${i}: "on" must be one of ${PHASES.join(', ')}`);
+            if (typeof b.action !== 'string') throw new Error(`Binding ${i}: missing action name`);
+            const unknown = (b.unless || []).filter(name => !GESTURES.includes(name));
+            if (unknown.length) throw new Error(`Binding ${i}: unknown gesture in "unless": ${unknown.join(', ')}`);
+        });
+        this.map = map.map(b => ({ on: 'start', minConfidence: 0, args: {}, unless: [], ...b }));
+        return this;
+    }
+
+    // Run an action directly (keyboard shortcuts, other input providers)
+    trigger(name, args = {}, event = {}) {
+        const fn = this.actions.get(name);
+        if (!fn) throw new Error(`Unknown gesture action "${name}"`);
+        fn({ gesture: null, phase: 'start', confidence: 1, value: 0, dt: 0, ...event }, args);
+    }
+
+    // `gestures` is the per-gesture table of a GestureClassifier result (gestureState.gestures)
+    handle(gestures, dt = 0) {
+        if (!gestures) return;
+
+        for (const binding of this.map) {
+            const g = gestures[binding.gesture];
+            if (!g || g.confidence < binding.minConfidence) continue;
+
+            const fires = binding.on === 'hold' ? g.active : g.phase === binding.on;
+            if (!fires) continue;
+            if (binding.unless.some(name => gestures[name] && (gestures[name].active || gestures[name].confidence >= BLOCKING))) continue;
+
+            const fn = this.actions.get(binding.action);
+            if (!fn) {
+                if (!this.warned.has(binding.action)) {
+                    console.warn(`GestureMapper: no action registered for "${binding.action}"`);
+                    this.warned.add(binding.action);
+                }
+                continue;
+            }
+
+            fn({ gesture: binding.gesture, phase: g.phase, confidence: g.confidence, value: g.value, dt }, binding.args);
+        }
+    }
+
+    toJSON() {
+        return this.map;
+    }
+}
@@ -0,0 +1,176 @@
+// Landmark recording and replay.
+// GestureRecorder stores timestamped HandLandmarker results as JSON sessions.
+// LandmarkReplay feeds a session back through GestureHandler.processResult, the
+// same classification path the camera uses, with no camera, model or network.
+//
+// Session format:
+// {
+//   version: 1,
+//   frames: [{ t: ms since start, hands: [[[x, y, z] * 21], ...], handedness: ['Left', ...] }],
+//   expected: ['IDLE', 'CONTRACT', ...] // optional, collapsed gesture-type sequence
+// }
+// Recordings carry the sequence the live classifier produced, so a session doubles
+// as a regression fixture (see test/fixtures/sessions).
+
+const SESSION_VERSION = 1;
+
+function round(v) {
+    return Math.round(v * 1e5) / 1e5;
+}
+
+export class GestureRecorder {
+    constructor() {
+        this.frames = [];
+        this.types = []; // gesture type classified live for each frame
+        this.recording = false;
+        this.startTime = 0;
+    }
+
+    start() {
+        this.frames = [];
+        this.types = [];
+        this.recording = true;
+        this.startTime = null;
+    }
+
+    // `result` is a HandLandmarker result, `timestamp` the ms passed to detectForVideo,
+    // `type` the gesture type processResult made of it
+    record(result, timestamp, type) {
+        if (!this.recording) return;
+        if (this.startTime === null) this.startTime = timestamp;
+
+        const handedness = (result.handednesses || result.handedness || [])
+            .map(h => (h[0] ? h[0].categoryName : null));
+
+        this.frames.push({
+            t: round(timestamp - this.startTime),
+            hands: result.landmarks.map(hand => hand.map(p => [round(p.x), round(p.y), round(p.z || 0)])),
+            handedness
+        });
+        if (type) this.types.push(type);
+    }
+
+    stop() {
+        this.recording = false;
+        return this.toJSON();
+    }
+
+    toJSON() {
+        const session = { version: SESSION_VERSION, createdAt: new Date().toISOString(), frames: this.frames };
+        if (this.types.length) session.expected = collapseSequence(this.types);
+        return session;
+    }
+
+    download(filename = `gesture-session-${Date.now()}.json`) {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(a.href);
+    }
+}
+
+// Validate and normalize a session (object or JSON string)
+export function parseSession(json) {
+    const session = typeof json === 'string' ? JSON.parse(json) : json;
+    if (!session || !Array.isArray(session.frames)) throw new Error("Gesture session has no frames array");
+    if (session.version !== SESSION_VERSION) throw new Error(`Unsupported gesture session version ${session.version}`);
+
+    session.frames.forEach((f, i) => {
+        if (typeof f.t !== 'number' || !Array.isArray(f.hands)) throw new Error(`Frame ${i} needs numeric t and hands array`);
+        if (i > 0 && f.t < session.frames[i - 1].t) throw new Error(`Frame ${i} goes back in time`);
+        f.hands.forEach((hand, h) => {
+            if (!Array.isArray(hand) || hand.length !== 21) throw new Error(`Frame ${i} hand ${h} must have 21 landmarks`);
+        });
+    });
+    return session;
+}
+
+// Back to the HandLandmarker result shape processResult expects
+export function frameToResult(frame) {
+    return {
+        landmarks: frame.hands.map(hand => hand.map(([x, y, z]) => ({ x, y, z }))),
+        handedness: (frame.handedness || []).map(name => [{ categoryName: name }])
+    };
+}
+
+// ['IDLE', 'IDLE', 'CONTRACT', 'CONTRACT', 'IDLE'] -> ['IDLE', 'CONTRACT', 'IDLE']
+export function collapseSequence(types) {
+    return types.filter((type, i) => i === 0 || type !== types[i - 1]);
+}
+
+export class LandmarkReplay {
+    // `handler` is a GestureHandler (or anything with processResult + classifier)
+    constructor(session, handler) {
+        this.session = parseSession(session);
+        this.handler = handler;
+        this.playing = false;
+        this.timer = null;
+    }
+
+    // Feed every frame synchronously. Returns the emitted gesture states.
+    runAll() {
+        const states = [];
+        const onGestureUpdate = this.handler.onGestureUpdate;
+        this.handler.onGestureUpdate = (state) => {
+            states.push(state);
+            onGestureUpdate(state);
+        };
+
+        try {
+            this.handler.classifier.reset();
+            for (const frame of this.session.frames) {
+                this.handler.processResult(frameToResult(frame), frame.t);
+            }
+        } finally {
+            this.handler.onGestureUpdate = onGestureUpdate;
+        }
+        return states;
+    }
+
+    // Compare the collapsed gesture-type sequence against session.expected (or `expected`)
+    verify(expected = this.session.expected) {
+        if (!Array.isArray(expected)) throw new Error("Session has no expected gesture sequence");
+        const actual = collapseSequence(this.runAll().map(s => s.type));
+        const pass = actual.length === expected.length && actual.every((type, i) => type === expected[i]);
+        return { pass, expected, actual };
+    }
+
+    // Real-time playback for watching a session in the app. Timestamps stay the
+    // recorded ones, so classification matches runAll().
+    play({ loop = false, onEnd } = {}) {
+        this.stop();
+        this.playing = true;
+        this.handler.classifier.reset();
+
+        const frames = this.session.frames;
+        let i = 0;
+        const start = performance.now();
+        const offset = frames.length ? frames[0].t : 0;
+
+        const tick = () => {
+            if (!this.playing) return;
+            const elapsed = performance.now() - start;
+            while (i < frames.length && frames[i].t - offset <= elapsed) {
+                this.handler.processResult(frameToResult(frames[i]), frames[i].t);
+                i++;
+            }
+            if (i < frames.length) {
+                this.timer = requestAnimationFrame(tick);
+            } else if (loop) {
+                this.play({ loop, onEnd });
+            } else {
+                this.playing = false;
+                if (onEnd) onEnd();
+            }
+        };
+        tick();
+    }
+
+    stop() {
+        this.playing = false;
+        if (this.timer !== null) cancelAnimationFrame(this.timer);
+        this.timer = null;
+    }
+}
@@ -0,0 +1,139 @@
+import * as THREE from 'three';
+import { countFoldedFingers, defaultClassifierOptions } from './GestureClassifier.js';
+
+// Hand landmarks -> localized force fields in scene space (see ParticlePhysics.applyFields).
+// Screen positions (0-1, mirrored like GestureHandler's state) land on the plane
+// through the orbit target facing the camera; landmark depth moves them along the
+// view ray, so a hand reaching towards the camera touches the front of the cloud.
+// Landmarks that already know their scene position (XR hand joints: `world`) stay there.
+//
+// mode 'gesture' picks the field from what each hand is doing:
+//   fist                 -> the palm attracts
+//   open hand (EXPAND)   -> every fingertip repels
+//   hand in view (IDLE)  -> the index fingertip stirs a vortex around the view axis
+// 'attract' | 'repel' | 'vortex' use that behaviour whatever the gesture.
+// States without landmarks (pointer input, remote peers) get one field at `hand`.
+
+export const PALM = [0, 5, 9, 13, 17];
+export const FINGERTIPS = [4, 8, 12, 16, 20];
+export const INDEX_TIP = 8;
+export const HAND_FIELD_MODES = ['gesture', 'attract', 'repel', 'vortex'];
+
+// MediaPipe hand topology as landmark index pairs
+export const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4],
+    [0, 5], [5, 6], [6, 7], [7, 8],
+    [5, 9], [9, 10], [10, 11], [11, 12],
+    [9, 13], [13, 14], [14, 15], [15, 16],
+    [13, 17], [0, 17], [17, 18], [18, 19], [19, 20]
+];
+
+export const defaultHandFieldOptions = {
+    mode: 'gesture',
+    palmRadius: 10,
+    tipRadius: 4,
+    vortexRadius: 8,
+    falloff: 2, // (1 - d / radius)^falloff
+    strength: 1,
+    depthScale: 40, // scene units per unit of landmark z
+    foldedFingers: defaultClassifierOptions.foldedFingers
+};
+
+export class HandFields {
+    // target: THREE.Vector3 the projection plane passes through (e.g. OrbitControls.target)
+    constructor(camera, target, options = {}) {
+        this.camera = camera;
+        this.target = target;
+        this.options = { ...defaultHandFieldOptions, ...options };
+        this.ray = new THREE.Vector3();
+        this.viewDir = new THREE.Vector3();
+        this.origin = new THREE.Vector3();
+    }
+
+    // { x, y, z?, world? } screen point -> world position
+    project(point, out = new THREE.Vector3()) {
+        if (point.world) return out.fromArray(point.world);
+        const camera = this.camera;
+        const origin = camera.getWorldPosition(this.origin); // the camera sits in a rig while in XR
+        this.ray.set(point.x * 2 - 1, -(point.y * 2 - 1), 0.5).unproject(camera).sub(origin).normalize();
+        camera.getWorldDirection(this.viewDir);
+        const distance = out.copy(this.target).sub(origin).dot(this.viewDir) / this.ray.dot(this.viewDir);
+        return out.copy(origin).addScaledVector(this.ray, distance + (point.z || 0) * this.options.depthScale);
+    }
+
+    // Every hand in gesture.hands as 21 world positions
+    projectHands(gesture) {
+        return (gesture && gesture.hands ? gesture.hands : []).map(hand => hand.map(p => this.project(p)));
+    }
+
+    // Gesture state -> world-space fields, [] when there's no hand to place them at
+    fields(gesture) {
+        if (!gesture) return [];
+        if (!gesture.hands || gesture.hands.length === 0) {
+            const field = this.pointField(gesture);
+            return field ? [field] : [];
+        }
+
+        const fields = [];
+        gesture.hands.forEach((hand) => {
+            const behaviour = this.behaviour(gesture, hand, gesture.hands.length);
+            if (behaviour === 'attract') {
+                fields.push(this.field(this.palmCenter(hand), 'attract', this.options.palmRadius, gesture.type === 'CONTRACT' ? gesture.strength : 1));
+            } else if (behaviour === 'repel') {
+                const strength = gesture.type === 'EXPAND' ? gesture.strength : 1;
+                FINGERTIPS.forEach(i => fields.push(this.field(hand[i], 'repel', this.options.tipRadius, strength)));
+            } else {
+                fields.push(this.field(hand[INDEX_TIP], 'vortex', this.options.vortexRadius, 0.5));
+            }
+        });
+        return fields;
+    }
+
+    behaviour(gesture, hand, handCount) {
+        if (this.options.mode !== 'gesture') return this.options.mode;
+        // The classifier's fist has hysteresis; with one hand trust it over the raw finger count
+        if (countFoldedFingers(hand) >= this.options.foldedFingers) return 'attract';
+        if (gesture.type === 'CONTRACT' && handCount === 1) return 'attract';
+        return gesture.type === 'EXPAND' ? 'repel' : 'vortex';
+    }
+
+    // Single field at gesture.hand (no landmarks): only while a gesture is held, unless the mode forces one
+    pointField(gesture) {
+        if (!gesture.hand) return null;
+        const mode = this.options.mode;
+        if (mode === 'gesture') {
+            if (gesture.type === 'IDLE') return null;
+            const type = gesture.type === 'CONTRACT' ? 'attract' : 'repel';
+            return this.field(gesture.hand, type, this.options.palmRadius, gesture.strength || 1);
+        }
+        const radius = mode === 'vortex' ? this.options.vortexRadius : this.options.palmRadius;
+        return this.field(gesture.hand, mode, radius, 1);
+    }
+
+    palmCenter(hand) {
+        const center = { x: 0, y: 0, z: 0 };
+        PALM.forEach((i) => {
+            center.x += hand[i].x / PALM.length;
+            center.y += hand[i].y / PALM.length;
+            center.z += hand[i].z / PALM.length;
+        });
+        if (hand[0].world) {
+            center.world = [0, 1, 2].map(axis => PALM.reduce((sum, i) => sum + hand[i].world[axis], 0) / PALM.length);
+        }
+        return center;
+    }
+
+    field(point, type, radius, strength) {
+        const p = this.project(point);
+        const field = {
+            x: p.x, y: p.y, z: p.z,
+            radius,
+            strength: strength * this.options.strength,
+            falloff: this.options.falloff,
+            type
+        };
+        // Swirl in the screen plane, the way the hand sees it
+        if (type === 'vortex') field.axis = this.camera.getWorldDirection(this.viewDir).negate().toArray();
+        return field;
+    }
+}
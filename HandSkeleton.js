@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+import { HAND_CONNECTIONS } from './HandFields.js';
+import { MAX_FIELDS } from './ParticlePhysics.js';
+
+// On-screen 3D hand skeleton: bones and joints where HandFields projects the
+// landmarks, plus a ring per active force field (sized to its radius, facing the
+// camera) so users can see where they are touching the particle cloud.
+// Drawn on top of the particles (no depth test).
+
+const MAX_HANDS = 2;
+const RING_SEGMENTS = 48;
+const FIELD_COLORS = { attract: '#4dd2ff', repel: '#ffaa33', vortex: '#c77dff' };
+
+export class HandSkeleton {
+    constructor(scene) {
+        this.group = new THREE.Group();
+        this.group.visible = false;
+        this.group.renderOrder = 10;
+
+        const bones = new THREE.BufferGeometry();
+        bones.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_HANDS * HAND_CONNECTIONS.length * 6), 3));
+        this.bones = new THREE.LineSegments(bones, new THREE.LineBasicMaterial({
+            color: '#ffffff', transparent: true, opacity: 0.6, depthTest: false
+        }));
+
+        const joints = new THREE.BufferGeometry();
+        joints.setAttribute('position', new THREE.BufferAttribute(new Float32Array(MAX_HANDS * 21 * 3), 3));
+        this.joints = new THREE.Points(joints, new THREE.PointsMaterial({
+            color: '#ffffff', size: 0.35, transparent: true, opacity: 0.9, depthTest: false
+        }));
+
+        // Unit circles in the XY plane, scaled to each field's radius
+        const circle = [];
+        for (let i = 0; i < RING_SEGMENTS; i++) {
+            const a = i / RING_SEGMENTS * Math.PI * 2;
+            circle.push(Math.cos(a), Math.sin(a), 0);
+        }
+        const ringGeometry = new THREE.BufferGeometry();
+        ringGeometry.setAttribute('position', new THREE.Float32BufferAttribute(circle, 3));
+        this.rings = Array.from({ length: MAX_FIELDS }, () => {
+            const ring = new THREE.LineLoop(ringGeometry, new THREE.LineBasicMaterial({
+                transparent: true, opacity: 0.5, depthTest: false
+            }));
+            ring.visible = false;
+            this.group.add(ring);
+            return ring;
+        });
+
+        this.facing = new THREE.Quaternion();
+        this.group.add(this.bones, this.joints);
+        this.bones.frustumCulled = this.joints.frustumCulled = false;
+        scene.add(this.group);
+    }
+
+    // hands: [[THREE.Vector3 x 21]] (HandFields.projectHands), fields: world-space fields
+    update(hands, fields, camera) {
+        hands = hands.slice(0, MAX_HANDS);
+        const bones = this.bones.geometry.attributes.position;
+        const joints = this.joints.geometry.attributes.position;
+
+        let b = 0;
+        let j = 0;
+        hands.forEach((hand) => {
+            HAND_CONNECTIONS.forEach(([from, to]) => {
+                bones.setXYZ(b++, hand[from].x, hand[from].y, hand[from].z);
+                bones.setXYZ(b++, hand[to].x, hand[to].y, hand[to].z);
+            });
+            hand.forEach(p => joints.setXYZ(j++, p.x, p.y, p.z));
+        });
+        this.bones.geometry.setDrawRange(0, b);
+        this.joints.geometry.setDrawRange(0, j);
+        bones.needsUpdate = true;
+        joints.needsUpdate = true;
+
+        camera.getWorldQuaternion(this.facing); // the camera may sit in an XR rig
+        this.rings.forEach((ring, k) => {
+            const field = fields[k];
+            ring.visible = !!field;
+            if (!field) return;
+            ring.position.set(field.x, field.y, field.z);
+            ring.scale.setScalar(field.radius);
+            ring.quaternion.copy(this.facing);
+            ring.material.color.set(FIELD_COLORS[field.type] || '#ffffff');
+        });
+    }
+
+    setVisible(visible) {
+        this.group.visible = visible;
+    }
+}
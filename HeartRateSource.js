@@ -0,0 +1,259 @@
+import { createRandom } from './Random.js';
+
+// Heart-rate sources for HeartSystem.pulseSource.
+// Every source is a sequence of beat-to-beat (RR) intervals in seconds. The base
+// class walks through them with a phase and shapes each beat with a lub-dub
+// envelope, so BLE monitors, recordings and the synthetic generator all beat
+// the same way and only differ in where the next interval comes from.
+
+// Systole/diastole envelope for `t` seconds into a beat of length `interval`.
+// S1 ("lub") opens systole, S2 ("dub") closes it. Systole length follows
+// Bazett's QT ~ 0.4 * sqrt(RR), so fast rates shorten diastole, not systole.
+// S1 rises from exactly 0 (a smoothstep attack into its peak) so the envelope is
+// continuous across the beat boundary instead of jumping to the Gaussian's tail.
+export function heartbeatEnvelope(t, interval) {
+    const systole = Math.min(0.4 * Math.sqrt(interval), interval * 0.6);
+    const attack = Math.min(Math.max(t / 0.05, 0), 1);
+    const lub = t < 0.05 ? attack * attack * (3 - 2 * attack) : Math.exp(-(((t - 0.05) / 0.035) ** 2));
+    const dub = 0.6 * Math.exp(-(((t - systole) / 0.04) ** 2));
+    return Math.min(lub + dub, 1);
+}
+
+export class HeartRateSource {
+    constructor({ bpm = 60, amplitude = 0.08 } = {}) {
+        this.startBpm = bpm;
+        this.interval = 60 / bpm;
+        this.bpm = bpm;
+        this.amplitude = amplitude; // extra pulse scale at the peak of S1
+        this.beatTime = 0; // seconds into the current beat
+        this.lastTime = null;
+        this.listeners = new Set();
+        this.live = false; // beats come from outside (a sensor), so reset() can't replay them
+    }
+
+    // Back to the first beat, e.g. before a seeded export
+    reset() {
+        this.interval = 60 / this.startBpm;
+        this.bpm = this.startBpm;
+        this.beatTime = 0;
+        this.lastTime = null;
+    }
+
+    // fn({ bpm, interval }) on every new beat
+    onBeat(fn) {
+        this.listeners.add(fn);
+        return () => this.listeners.delete(fn);
+    }
+
+    // Override: length of the next beat in seconds
+    nextInterval() {
+        return this.interval;
+    }
+
+    advance(dt) {
+        this.beatTime += dt;
+        while (this.beatTime >= this.interval) {
+            this.beatTime -= this.interval;
+            const next = this.nextInterval();
+            // Clamp to 30-220 BPM so one corrupt sample can't stall or strobe the heart
+            this.interval = Math.min(Math.max(next, 60 / 220), 60 / 30);
+            this.bpm = 60 / this.interval;
+            this.listeners.forEach(fn => fn({ bpm: this.bpm, interval: this.interval }));
+        }
+    }
+
+    // HeartSystem pulse source. Tracks its own clock from successive `time` values.
+    getPulse(time) {
+        const dt = this.lastTime === null ? 0 : Math.max(0, time - this.lastTime);
+        this.lastTime = time;
+        this.advance(dt);
+        return heartbeatEnvelope(this.beatTime, this.interval) * this.amplitude;
+    }
+
+    dispose() {
+        this.listeners.clear();
+    }
+}
+
+// Generated rhythm: base BPM plus respiratory sinus arrhythmia and random jitter.
+// Seeded, so two runs with the same options produce the same intervals.
+export class SyntheticHeartRate extends HeartRateSource {
+    constructor({ bpm = 70, variability = 0.05, breathingRate = 0.25, seed = 1, ...options } = {}) {
+        super({ bpm, ...options });
+        this.baseBpm = bpm;
+        this.variability = variability; // fraction of the mean interval
+        this.breathingRate = breathingRate; // Hz
+        this.seed = seed;
+        this.random = createRandom(seed);
+        this.elapsed = 0;
+    }
+
+    reset() {
+        super.reset();
+        this.random = createRandom(this.seed);
+        this.elapsed = 0;
+    }
+
+    advance(dt) {
+        this.elapsed += dt;
+        super.advance(dt);
+    }
+
+    // Box-Muller
+    gaussian() {
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    nextInterval() {
+        const mean = 60 / this.baseBpm;
+        const rsa = Math.sin(2 * Math.PI * this.breathingRate * this.elapsed) * 0.5;
+        return mean * (1 + this.variability * (rsa + this.gaussian() * 0.5));
+    }
+}
+
+// Plays back recorded RR intervals (seconds)
+export class ReplayHeartRate extends HeartRateSource {
+    constructor(intervals, { loop = true, ...options } = {}) {
+        if (!intervals || intervals.length === 0) throw new Error("Replay needs at least one RR interval");
+        super({ bpm: 60 / intervals[0], ...options });
+        this.intervals = intervals;
+        this.loop = loop;
+        this.index = 0;
+    }
+
+    reset() {
+        super.reset();
+        this.index = 0;
+    }
+
+    nextInterval() {
+        this.index++;
+        if (this.index >= this.intervals.length) {
+            this.index = this.loop ? 0 : this.intervals.length - 1;
+        }
+        return this.intervals[this.index];
+    }
+
+    // Values above 10 are taken as milliseconds
+    static normalize(values) {
+        const intervals = values.map(Number);
+        intervals.forEach((v, i) => {
+            if (!Number.isFinite(v) || v <= 0) throw new Error(`Invalid RR interval at row ${i + 1}: "${values[i]}"`);
+        });
+        return intervals.map(v => (v > 10 ? v / 1000 : v));
+    }
+
+    // One interval per line, or a column named rr / rr_ms / interval in a header row
+    static fromCSV(text, options) {
+        const rows = text.split(/\r?\n/).map(r => r.trim()).filter(r => r && !r.startsWith('#'));
+        if (!rows.length) throw new Error("CSV has no RR intervals (empty file)");
+        let column = 0;
+        const header = rows[0].split(/[,;\t]/).map(h => h.trim().toLowerCase());
+        if (header.some(h => isNaN(Number(h)))) {
+            column = header.findIndex(h => h === 'rr' || h === 'rr_ms' || h === 'interval');
+            if (column === -1) throw new Error(`CSV header has no rr/rr_ms/interval column: ${rows[0]}`);
+            rows.shift();
+        }
+        const values = rows.map(r => r.split(/[,;\t]/)[column]);
+        return new ReplayHeartRate(ReplayHeartRate.normalize(values), options);
+    }
+
+    // [800, 810, ...] or { "rr": [...] } / { "intervals": [...] }
+    static fromJSON(json, options) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        const values = Array.isArray(data) ? data : (data.rr || data.intervals);
+        if (!Array.isArray(values)) throw new Error("JSON must be an array of RR intervals or { rr: [...] }");
+        return new ReplayHeartRate(ReplayHeartRate.normalize(values), options);
+    }
+}
+
+// Heart Rate Measurement characteristic (0x2A37) -> { bpm, rr: [seconds] }
+export function parseHeartRateMeasurement(view) {
+    const flags = view.getUint8(0);
+    let offset = 1;
+
+    let bpm;
+    if (flags & 0x01) {
+        bpm = view.getUint16(offset, true);
+        offset += 2;
+    } else {
+        bpm = view.getUint8(offset);
+        offset += 1;
+    }
+
+    if (flags & 0x08) offset += 2; // energy expended
+
+    const rr = [];
+    if (flags & 0x10) {
+        for (; offset + 1 < view.byteLength; offset += 2) {
+            rr.push(view.getUint16(offset, true) / 1024);
+        }
+    }
+    return { bpm, rr };
+}
+
+// Standard BLE Heart Rate Service (0x180D) via Web Bluetooth
+export class BluetoothHeartRate extends HeartRateSource {
+    constructor(options) {
+        super(options);
+        this.device = null;
+        this.characteristic = null;
+        this.pendingRR = [];
+        this.live = true;
+        this.onDisconnect = null; // () when the monitor goes away (out of range, switched off)
+        this.onMeasurement = this.onMeasurement.bind(this);
+        this.onGattDisconnected = this.onGattDisconnected.bind(this);
+    }
+
+    // Must be called from a user gesture (button click)
+    async connect() {
+        if (!navigator.bluetooth) throw new Error("Web Bluetooth is not supported in this browser");
+
+        this.device = await navigator.bluetooth.requestDevice({ filters: [{ services: ['heart_rate'] }] });
+        this.device.addEventListener('gattserverdisconnected', this.onGattDisconnected);
+        const server = await this.device.gatt.connect();
+        const service = await server.getPrimaryService('heart_rate');
+        this.characteristic = await service.getCharacteristic('heart_rate_measurement');
+        this.characteristic.addEventListener('characteristicvaluechanged', this.onMeasurement);
+        await this.characteristic.startNotifications();
+        return this.device.name;
+    }
+
+    onMeasurement(event) {
+        const { bpm, rr } = parseHeartRateMeasurement(event.target.value);
+        if (rr.length) {
+            this.pendingRR.push(...rr);
+            if (this.pendingRR.length > 16) this.pendingRR.splice(0, this.pendingRR.length - 16);
+        } else if (bpm > 0) {
+            this.measuredBpm = bpm;
+        }
+    }
+
+    // Keeps beating at the last interval; the app decides what takes over
+    onGattDisconnected() {
+        this.pendingRR = [];
+        this.measuredBpm = 0;
+        this.characteristic = null;
+        if (this.onDisconnect) this.onDisconnect();
+    }
+
+    // Prefer real RR intervals; fall back to the reported BPM
+    nextInterval() {
+        if (this.pendingRR.length) return this.pendingRR.shift();
+        if (this.measuredBpm) return 60 / this.measuredBpm;
+        return this.interval;
+    }
+
+    dispose() {
+        super.dispose();
+        if (this.characteristic) {
+            this.characteristic.removeEventListener('characteristicvaluechanged', this.onMeasurement);
+        }
+        if (this.device) {
+            this.device.removeEventListener('gattserverdisconnected', this.onGattDisconnected);
+            if (this.device.gatt.connected) this.device.gatt.disconnect();
+        }
+    }
+}
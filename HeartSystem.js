@@ -1,47 +1,120 @@
 import * as THREE from 'three';
-
+import { getHeartPoint } from './ShapeLibrary.js';
+import { GPUParticleSim } from './GPUParticleSim.js';
+import { ParticleSimulation } from './ParticleSimulation.js';
+import { WorkerSimulation } from './WorkerSimulation.js';
+import { INTEGRATORS } from './ParticlePhysics.js';
+import { defaultTrailOptions } from './ParticleLifecycle.js';
+import { createPointsMaterial, applyPointStyle, beatFromPulse, defaultPointStyle, SPRITE_SHAPES } from './ParticleMaterial.js';
+import { createRandom } from './Random.js';
+
+// Particles each backend can move at a usable frame rate
+export const MAX_PARTICLES = { gpu: 100000, worker: 20000, cpu: 5000 };
+
+// Three.js renderer adapter for the particle simulation.
+// The physics lives in ParticleSimulation (headless, typed arrays); this class
+// owns the geometry, material and scene graph and draws whatever the simulation
+// produces. Simulation state (time, pulse, shapes) is forwarded so callers can
+// keep treating HeartSystem as the heart.
+// Sparks and trails need particle positions on the CPU, so the GPU backend only
+// gets explosions (and respawns without the fade).
 export class HeartSystem {
-    constructor(scene, maxCount = 5000) {
+    // options.backend: 'cpu' (default), 'gpu' (needs options.renderer) or 'worker'
+    // (simulation in a Web Worker, main thread only renders).
+    // GPU and worker fall back to the CPU loop if they can't start.
+    // options.step: fixed physics step in seconds (default 1/60), options.integrator: 'euler' | 'verlet',
+    // options.seed: PRNG seed for shapes and noise (random if omitted).
+    constructor(scene, maxCount = MAX_PARTICLES.cpu, options = {}) {
         this.scene = scene;
-        this.maxCount = maxCount;
-        this.currentCount = 3000;
+        this.maxCount = maxCount; // lowered to MAX_PARTICLES.cpu if the GPU or worker backend falls back
+        this.options = options;
+        this.onBackendChange = null; // (backend) after a fallback to the CPU, e.g. to lower particle-count limits
         this.geometry = new THREE.BufferGeometry();
 
-        // Arrays
-        this.posArray = new Float32Array(this.maxCount * 3); // current positions
-        this.targetArray = new Float32Array(this.maxCount * 3); // home positions
-        this.velArray = new Float32Array(this.maxCount * 3); // velocities
-        this.colorArray = new Float32Array(this.maxCount * 3);
-
-        // State
-        this.time = 0;
-        this.pulseSpeed = 1.0; // BPM factor
-
         // Uniforms / Settings
         this.params = {
             color1: new THREE.Color('#ff0055'), // Deep Crimson
             color2: new THREE.Color('#ff00ff'), // Neon Pink
+            gradient: null, // [THREE.Color] slow -> fast, replaces color1/color2 when set
             springStrength: 0.05,
             damping: 0.92,
-            noiseStrength: 0.2
+            noiseStrength: 0.2,
+            integrator: INTEGRATORS.includes(options.integrator) ? options.integrator : 'euler'
         };
 
-        this.initParticles();
+        this.backend = 'cpu';
+        this.sim = null;
+        if (options.backend === 'worker') {
+            try {
+                this.sim = new WorkerSimulation(maxCount, options);
+                this.sim.onError = (e) => this.fallBackToCPU(e);
+                this.backend = 'worker';
+            } catch (e) {
+                console.warn("HeartSystem: worker backend unavailable, using CPU.", e);
+            }
+        }
+        if (!this.sim) {
+            if (options.backend === 'worker') this.maxCount = Math.min(maxCount, MAX_PARTICLES.cpu);
+            this.sim = new ParticleSimulation(this.maxCount, options);
+        }
+
+        // Drawn arrays: written by the simulation, or swapped for worker frames
+        this.renderArray = new Float32Array(maxCount * 3);
+        this.colorArray = new Float32Array(maxCount * 3);
+        this.speedArray = new Float32Array(maxCount);
+        this.alphaArray = new Float32Array(maxCount).fill(1);
+        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.renderArray, 3));
+        this.geometry.setAttribute('color', new THREE.BufferAttribute(this.colorArray, 3));
+        this.geometry.setAttribute('speed', new THREE.BufferAttribute(this.speedArray, 1));
+        this.geometry.setAttribute('alpha', new THREE.BufferAttribute(this.alphaArray, 1));
+        // Per-particle size factor and twinkle phase, fixed for the particle's slot
+        this.geometry.setAttribute('size', new THREE.BufferAttribute(new Float32Array(maxCount), 1));
+        this.geometry.setAttribute('phase', new THREE.BufferAttribute(new Float32Array(maxCount), 1));
+        this.pointStyle = { ...defaultPointStyle };
+        this.sprites = new Map(); // sprite shape -> texture
+        this.styleTime = 0; // wall-clock seconds for twinkle
+        this.fillPointAttributes();
+        this.trailPositions = null; // allocated when trails are first turned on (CPU)
+        this.trailColors = null;
+        this.trails = null; // THREE.LineSegments
+        this.setParticleCount(this.sim.currentCount);
+        if (this.backend === 'cpu') this.writeFrame();
 
         // Material
-        const texture = this.createGlowTexture();
-        this.material = new THREE.PointsMaterial({
-            size: 0.4, // scalable
-            map: texture,
-            transparent: true,
-            opacity: 0.8,
-            vertexColors: true,
-            blending: THREE.AdditiveBlending,
-            depthWrite: false,
-            sizeAttenuation: true
-        });
+        this.gpu = null;
+        if (options.backend === 'gpu') {
+            try {
+                if (!options.renderer) throw new Error("GPU backend needs a renderer");
+                this.gpu = new GPUParticleSim(options.renderer, maxCount, this.geometry);
+                this.resetGPU();
+                this.backend = 'gpu';
+                this.sim.lifecycle.sparksEnabled = false;
+                this.gpuParams = {};
+            } catch (e) {
+                console.warn("HeartSystem: GPU backend unavailable, using CPU.", e);
+                this.gpu = null;
+                // The main-thread loop can't keep up with a GPU-sized cloud
+                if (this.maxCount > MAX_PARTICLES.cpu) {
+                    this.maxCount = MAX_PARTICLES.cpu;
+                    this.sim = new ParticleSimulation(this.maxCount, options);
+                    this.setParticleCount(this.sim.currentCount);
+                    this.writeFrame();
+                }
+            }
+        }
+
+        this.material = this.gpu ? this.gpu.material : createPointsMaterial();
+        applyPointStyle(this.material, this.pointStyle, this.sprites);
 
         this.mesh = new THREE.Points(this.geometry, this.material);
+        // Point sizes track the drawing buffer height, like PointsMaterial
+        const bufferSize = new THREE.Vector2();
+        this.mesh.onBeforeRender = (renderer) => {
+            renderer.getDrawingBufferSize(bufferSize);
+            this.material.uniforms.scale.value = bufferSize.y * 0.5;
+        };
+        // Real positions live in textures, the position attribute only sets the draw count
+        if (this.gpu) this.mesh.frustumCulled = false;
         this.scene.add(this.mesh);
 
         // Group for rotation
@@ -50,179 +123,320 @@ export class HeartSystem {
         this.scene.add(this.container);
     }
 
-    createGlowTexture() {
-        const canvas = document.createElement('canvas');
-        canvas.width = 64;
-        canvas.height = 64;
-        const ctx = canvas.getContext('2d');
-        const grad = ctx.createRadialGradient(32, 32, 0, 32, 32, 32);
-        grad.addColorStop(0, 'rgba(255, 255, 255, 1)');
-        grad.addColorStop(0.3, 'rgba(255, 255, 255, 0.4)');
-        grad.addColorStop(0.7, 'rgba(255, 255, 255, 0.1)');
-        grad.addColorStop(1, 'rgba(0, 0, 0, 0)');
-        ctx.fillStyle = grad;
-        ctx.fillRect(0, 0, 64, 64);
-        const tex = new THREE.CanvasTexture(canvas);
-        tex.colorSpace = THREE.SRGBColorSpace;
-        return tex;
-    }
-
-    // Parametric Heart Generator
-    getHeartPoint(t, scale) {
-        // x = 16sin^3(t)
-        // y = 13cos(t) - 5cos(2t) - 2cos(3t) - cos(4t)
-        const x = 16 * Math.pow(Math.sin(t), 3);
-        const y = 13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t);
+    // Simulation state, forwarded
+    get time() { return this.sim.time; }
+    set time(value) { this.sim.time = value; }
+    get pulseSpeed() { return this.sim.pulseSpeed; }
+    set pulseSpeed(value) { this.sim.pulseSpeed = value; }
+    get pulseSource() { return this.sim.pulseSource; }
+    set pulseSource(source) { this.sim.pulseSource = source; }
+    get shapes() { return this.sim.shapes; }
+    get shape() { return this.sim.shape; }
+    get currentCount() { return this.sim.currentCount; }
+
+    // Point look, see defaultPointStyle (ParticleMaterial): size, sizeVariation, beatSize,
+    // speedSize, twinkle, twinkleSpeed, opacity, focusDistance, aperture, maxBlur, sprite
+    setPointStyle(options) {
+        if (options.sprite !== undefined && !SPRITE_SHAPES.includes(options.sprite)) {
+            throw new Error(`Unknown sprite "${options.sprite}", expected one of ${SPRITE_SHAPES.join(', ')}`);
+        }
+        const variationChanged = options.sizeVariation !== undefined && options.sizeVariation !== this.pointStyle.sizeVariation;
+        Object.assign(this.pointStyle, options);
+        if (variationChanged) this.fillPointAttributes();
+        applyPointStyle(this.material, this.pointStyle, this.sprites);
+        return this;
+    }
 
-        // Scale for volume
-        // Z distribution: Thicker at top lobes, thinner at bottom point
-        // Heuristic: Z is proportional to some function of x,y or just random.
-        // Let's use simple random box scaled by the radial distance to keep it contained.
-        const z = (Math.random() - 0.5) * 10 * scale;
+    // Same sizes and phases every run, independent of the simulation seed
+    fillPointAttributes() {
+        const random = createRandom(7);
+        const { size, phase } = this.geometry.attributes;
+        const variation = this.pointStyle.sizeVariation;
+        for (let i = 0; i < this.maxCount; i++) {
+            size.array[i] = 1 + (random() - 0.5) * 2 * variation;
+            phase.array[i] = random();
+        }
+        size.needsUpdate = true;
+        phase.needsUpdate = true;
+    }
 
-        return new THREE.Vector3(x * scale, y * scale, z);
+    // Parametric Heart Generator (see ShapeLibrary)
+    getHeartPoint(t, scale) {
+        const p = getHeartPoint(t, scale, undefined, this.sim.random);
+        return new THREE.Vector3(p.x, p.y, p.z);
     }
 
     initParticles() {
-        for (let i = 0; i < this.maxCount; i++) {
-            this.resetParticle(i);
-        }
-        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.posArray, 3));
-        this.geometry.setAttribute('color', new THREE.BufferAttribute(this.colorArray, 3));
+        this.sim.initParticles();
+        if (this.gpu) this.resetGPU();
+        if (this.backend === 'cpu') this.writeFrame();
     }
 
-    resetParticle(i) {
-        // Distribute points inside the heart volume
-        // We can sample t [0, 2PI] and r [0, 1] (sqrt distribution for area)
-        const t = Math.random() * Math.PI * 2;
-        const r = Math.sqrt(Math.random()); // Uniform area distribution
+    resetGPU() {
+        const { position, velocity, target } = this.sim.state;
+        this.gpu.reset(position, velocity, target);
+    }
 
-        const p = this.getHeartPoint(t, r);
+    // Deterministic layouts and noise from here on (null = a fresh random seed).
+    // Call initParticles() afterwards to re-sample the current shape with the seed.
+    setSeed(seed) {
+        this.sim.setSeed(seed);
+        return this;
+    }
 
-        // Center the heart roughly (it's already centered at 0,0 mostly but y is shifted up)
-        // The formula outputs Y roughly in [-17, 13]. Center is around -2?
-        p.y += 2;
+    // Multi-stop speed gradient (2-8 colors, evenly spaced). null = color1 -> color2.
+    setGradient(colors) {
+        if (!colors) {
+            this.params.gradient = null;
+            return this;
+        }
+        if (colors.length < 2 || colors.length > 8) throw new Error("Gradients need 2-8 colors");
+
+        const stops = this.params.gradient && this.params.gradient.length === colors.length
+            ? this.params.gradient
+            : colors.map(() => new THREE.Color());
+        colors.forEach((c, i) => stops[i].set(c));
+        this.params.gradient = stops;
+        return this;
+    }
 
-        // Initial positions (random cloud or already at target)
-        // Let's start at target
-        this.posArray[i * 3] = p.x;
-        this.posArray[i * 3 + 1] = p.y;
-        this.posArray[i * 3 + 2] = p.z;
+    registerShape(name, sampler) {
+        this.sim.registerShape(name, sampler);
+        return this;
+    }
 
-        this.targetArray[i * 3] = p.x;
-        this.targetArray[i * 3 + 1] = p.y;
-        this.targetArray[i * 3 + 2] = p.z;
+    // Jump straight to a shape (particles still spring over to it)
+    setShape(shape) {
+        return this.morphTo(shape, 0);
+    }
 
-        this.velArray[i * 3] = 0;
-        this.velArray[i * 3 + 1] = 0;
-        this.velArray[i * 3 + 2] = 0;
+    // Blend the homes from the current shape to `shape` over `duration` seconds
+    morphTo(shape, duration = 1.5) {
+        this.sim.morphTo(shape, duration);
+        return this;
     }
 
     setParticleCount(count) {
-        this.currentCount = Math.min(count, this.maxCount);
-        this.geometry.setDrawRange(0, this.currentCount);
+        this.sim.setParticleCount(count);
+        this.geometry.setDrawRange(0, this.sim.currentCount);
     }
 
-    update(dt, gestureState) {
-        this.time += dt * this.pulseSpeed;
-
-        // Heartbeat Pulse (Sine wave scaling)
-        // BPM ~ 60 => 1 beat per second. sin(time * PI).
-        const beat = 1 + Math.sin(this.time * 3) * 0.05 * (1 + Math.sin(this.time * 3 + Math.PI) * 0.5); // irregular beat
-        const pulseScale = beat;
-
-        const positions = this.geometry.attributes.position.array;
-        const colors = this.geometry.attributes.color.array;
-
-        // Extract Gesture Physics
-        // Expand: radial force outwards
-        // Contract: suction to 0,0,0
-        // Rotate: handled by container rotation in main loop or here
-
-        const isExp = gestureState.type === 'EXPAND';
-        const isCon = gestureState.type === 'CONTRACT';
-        const handStrength = gestureState.strength || 0;
-
-        for (let i = 0; i < this.currentCount; i++) {
-            const idx = i * 3;
-            let px = positions[idx];
-            let py = positions[idx + 1];
-            let pz = positions[idx + 2];
-
-            let tx = this.targetArray[idx] * pulseScale;
-            let ty = this.targetArray[idx + 1] * pulseScale;
-            let tz = this.targetArray[idx + 2] * pulseScale;
-
-            // --- Physics Forces ---
-            let fx = 0, fy = 0, fz = 0;
-
-            // 1. Spring Force to Home
-            fx += (tx - px) * this.params.springStrength;
-            fy += (ty - py) * this.params.springStrength;
-            fz += (tz - pz) * this.params.springStrength;
-
-            // 2. Gesture Forces
-            if (isExp) {
-                // Explosion: push away from center
-                // Normalized vector from center
-                const len = Math.sqrt(px * px + py * py + pz * pz) + 0.001;
-                const push = 50 * handStrength; // Strong push
-                fx += (px / len) * push * dt;
-                fy += (py / len) * push * dt;
-                fz += (pz / len) * push * dt;
-            } else if (isCon) {
-                // Implosion: pull to center
-                // Override target to be 0,0,0 effectively
-                fx -= px * 5 * handStrength * dt;
-                fy -= py * 5 * handStrength * dt;
-                fz -= pz * 5 * handStrength * dt;
-            }
+    // Kick every particle outwards once; springs pull them back home
+    burst(strength = 1) {
+        this.sim.burst(strength);
+    }
 
-            // 3. Noise / Brownian
-            fx += (Math.random() - 0.5) * this.params.noiseStrength;
-            fy += (Math.random() - 0.5) * this.params.noiseStrength;
-            fz += (Math.random() - 0.5) * this.params.noiseStrength;
+    // Blow the shape apart and reassemble it, see defaultExplosionOptions (ParticleLifecycle)
+    explode(options = {}) {
+        this.sim.explode(options);
+    }
 
+    // Spark emitters, see defaultEmitterOptions. Sparks use the slots the shape leaves free
+    // (maxCount - particle count); CPU and worker backends only.
+    addEmitter(name, options = {}) {
+        this.sim.addEmitter(name, options);
+        return this;
+    }
 
-            // Integration (Euler)
-            this.velArray[idx] += fx;
-            this.velArray[idx + 1] += fy;
-            this.velArray[idx + 2] += fz;
+    removeEmitter(name) {
+        this.sim.removeEmitter(name);
+        return this;
+    }
 
-            // Damping
-            this.velArray[idx] *= this.params.damping;
-            this.velArray[idx + 1] *= this.params.damping;
-            this.velArray[idx + 2] *= this.params.damping;
+    emit(count, options = {}) {
+        this.sim.emit(count, options);
+    }
 
-            // Update Position
-            positions[idx] += this.velArray[idx];
-            positions[idx + 1] += this.velArray[idx + 1];
-            positions[idx + 2] += this.velArray[idx + 2];
+    // Fading motion trails from per-step history, see defaultTrailOptions
+    setTrails(options) {
+        if (this.gpu) return this;
+        this.sim.setTrails(options);
+        if (options.enabled && !this.trails) this.createTrails();
+        if (this.trails && options.enabled !== undefined) this.trails.visible = options.enabled;
+        return this;
+    }
 
-            // Color Dynamics based on Velocity Magnitude
-            const vSq = this.velArray[idx] ** 2 + this.velArray[idx + 1] ** 2 + this.velArray[idx + 2] ** 2;
-            const speed = Math.sqrt(vSq);
+    createTrails() {
+        const size = defaultTrailOptions.maxSegments * 6;
+        if (this.backend === 'cpu') {
+            this.trailPositions = new Float32Array(size);
+            this.trailColors = new Float32Array(size);
+        }
+        const geometry = new THREE.BufferGeometry();
+        // Worker frames bring their own arrays (showTrails swaps them in)
+        geometry.setAttribute('position', new THREE.BufferAttribute(this.trailPositions || new Float32Array(size), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(this.trailColors || new Float32Array(size), 3));
+        geometry.setDrawRange(0, 0);
+        this.trails = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        }));
+        this.trails.frustumCulled = false;
+        this.trails.layers.mask = this.mesh.layers.mask; // glow along with the points
+        this.container.add(this.trails);
+    }
 
-            // Lerp color
-            // Low speed = Deep Crimson (color1)
-            // High speed = Neon Pink (color2)
-            const tColor = Math.min(speed * 0.5, 1.0);
+    // Copy the adapter's settings (Three.js colors) into the simulation's plain params
+    syncParams() {
+        const p = this.params;
+        const stops = p.gradient || [p.color1, p.color2];
+        Object.assign(this.sim.params, {
+            springStrength: p.springStrength,
+            damping: p.damping,
+            noiseStrength: p.noiseStrength,
+            integrator: p.integrator,
+            gradient: stops.map(c => [c.r, c.g, c.b])
+        });
+    }
 
-            colors[idx] = THREE.MathUtils.lerp(this.params.color1.r, this.params.color2.r, tColor);
-            colors[idx + 1] = THREE.MathUtils.lerp(this.params.color1.g, this.params.color2.g, tColor);
-            colors[idx + 2] = THREE.MathUtils.lerp(this.params.color1.b, this.params.color2.b, tColor);
+    // gestureState.fields (optional): localized force fields in world space, see ParticlePhysics
+    update(dt, gestureState) {
+        this.syncParams();
+        this.styleTime += dt;
+        this.material.uniforms.time.value = this.styleTime;
+        this.material.uniforms.beat.value = beatFromPulse(this.sim.lastPulse);
+        if (gestureState.fields) gestureState = { ...gestureState, fields: this.toLocalFields(gestureState.fields) };
+
+        if (this.gpu) {
+            const sim = this.sim;
+            sim.update(dt, gestureState, (h, pulseScale, stepParams) => {
+                if (sim.targetsDirty) this.gpu.setTargets(sim.state.target);
+                if (sim.lifecycle.respawned) this.resetGPU();
+                const params = Object.assign(this.gpuParams, this.params);
+                params.springStrength = stepParams.springStrength; // eased while exploding
+                this.gpu.update(h, pulseScale, gestureState, params, sim.impulse, sim.random() * 100);
+            });
+            this.gpu.setAlpha(sim.timestep.alpha);
+        } else if (this.backend === 'worker') {
+            // Show the newest frame first: update() hands the previous one back to the worker
+            const frame = this.sim.takeFrame();
+            if (frame) {
+                this.showFrame(frame, frame.drawCount);
+                this.showTrails(frame.trailPositions, frame.trailColors, frame.trailCount);
+            }
+            this.sim.update(dt, gestureState);
+        } else {
+            this.sim.update(dt, gestureState);
+            this.writeFrame();
         }
 
-        this.geometry.attributes.position.needsUpdate = true;
-        this.geometry.attributes.color.needsUpdate = true;
-
         if (gestureState.rotationY !== undefined) {
-            // Smooth rotation
-            // this.container.rotation.y = gestureState.rotationY; 
-            // Lerp rotation for smoothness
-            this.container.rotation.y += (gestureState.rotationY - this.container.rotation.y) * 0.1;
+            // Lerp rotation for smoothness (10% per 60 Hz frame, whatever the frame rate)
+            const k = 1 - Math.pow(0.9, dt * 60);
+            this.container.rotation.y += (gestureState.rotationY - this.container.rotation.y) * k;
         } else {
             this.container.rotation.y += dt * 0.1; // Idle spin
         }
     }
+
+    // Offline capture: wait until the worker has finished the step just sent and draw
+    // it, so every captured frame shows its own step instead of the one before
+    // (nothing to wait for on the other backends)
+    async settle() {
+        if (this.backend !== 'worker') return;
+        await this.sim.whenIdle();
+        if (this.backend !== 'worker') return; // it failed meanwhile, see fallBackToCPU
+        const frame = this.sim.takeFrame();
+        if (frame) {
+            this.showFrame(frame, frame.drawCount);
+            this.showTrails(frame.trailPositions, frame.trailColors, frame.trailCount);
+        }
+    }
+
+    // World-space fields -> particle space (the cloud rotates with the container)
+    toLocalFields(fields) {
+        this.container.updateMatrixWorld();
+        return fields.map((field) => {
+            const p = this.mesh.worldToLocal(new THREE.Vector3(field.x, field.y, field.z));
+            const local = { ...field, x: p.x, y: p.y, z: p.z };
+            if (field.axis) {
+                const tip = this.mesh.worldToLocal(new THREE.Vector3(...field.axis).add(new THREE.Vector3(field.x, field.y, field.z)));
+                local.axis = tip.sub(p).normalize().toArray();
+            }
+            return local;
+        });
+    }
+
+    // Local simulation -> our own arrays
+    writeFrame() {
+        const frame = {
+            positions: this.renderArray,
+            colors: this.colorArray,
+            speeds: this.speedArray,
+            alphas: this.alphaArray,
+            trailPositions: this.trailPositions,
+            trailColors: this.trailColors
+        };
+        const trailCount = this.sim.writeFrame(frame.positions, frame.colors, frame);
+        this.showFrame(frame, this.sim.drawCount);
+        this.showTrails(this.trailPositions, this.trailColors, trailCount);
+    }
+
+    // Point the attributes at a frame's arrays (same lengths, so no GPU buffer realloc)
+    showFrame({ positions, colors, speeds, alphas }, count) {
+        const { position, color, speed, alpha } = this.geometry.attributes;
+        position.array = positions;
+        color.array = colors;
+        speed.array = speeds;
+        alpha.array = alphas;
+        position.needsUpdate = color.needsUpdate = speed.needsUpdate = alpha.needsUpdate = true;
+        this.geometry.setDrawRange(0, count); // shape + live sparks
+    }
+
+    showTrails(positions, colors, count) {
+        if (!this.trails || !positions) return;
+        const { position, color } = this.trails.geometry.attributes;
+        position.array = positions;
+        color.array = colors;
+        position.needsUpdate = true;
+        color.needsUpdate = true;
+        this.trails.geometry.setDrawRange(0, count * 2);
+    }
+
+    // Removes the heart from the scene and frees its GPU resources and worker
+    dispose() {
+        this.scene.remove(this.container);
+        this.geometry.dispose();
+        this.material.dispose();
+        this.sprites.forEach(texture => texture.dispose());
+        if (this.trails) {
+            this.trails.geometry.dispose();
+            this.trails.material.dispose();
+        }
+        if (this.gpu) this.gpu.dispose();
+        if (this.sim.dispose) this.sim.dispose();
+    }
+
+    // The worker died: carry on with a local simulation of the same shapes and settings
+    fallBackToCPU(error) {
+        console.warn("HeartSystem: simulation worker failed, using CPU.", error);
+        const old = this.sim;
+        this.maxCount = Math.min(this.maxCount, MAX_PARTICLES.cpu);
+        const sim = new ParticleSimulation(this.maxCount, this.options);
+        sim.shapes = old.shapes;
+        sim.shape = typeof old.shape === 'string' && old.shapes.has(old.shape) ? old.shape : 'heart';
+        sim.pulseSpeed = old.pulseSpeed;
+        sim.pulseSource = old.pulseSource;
+        sim.time = old.time;
+        sim.setParticleCount(old.currentCount);
+        // Pick up from the last frame instead of visibly re-sampling the shape
+        if (old.received) sim.resumeFrom(old.front.positions, old.currentCount, old.lastPulse);
+        else sim.initParticles();
+        old.emitters.forEach((options, name) => sim.addEmitter(name, options));
+        if (old.trailOptions) sim.setTrails(old.trailOptions);
+        old.dispose();
+
+        this.sim = sim;
+        this.backend = 'cpu';
+        if (this.trails) {
+            // Draw trails from our own arrays from now on
+            this.trailPositions = new Float32Array(defaultTrailOptions.maxSegments * 6);
+            this.trailColors = new Float32Array(defaultTrailOptions.maxSegments * 6);
+        }
+        this.setParticleCount(sim.currentCount);
+        this.writeFrame();
+        if (this.onBackendChange) this.onBackendChange(this.backend);
+    }
 }
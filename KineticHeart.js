@@ -0,0 +1,439 @@
+import * as THREE from 'three';
+import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
+import { HeartSystem, MAX_PARTICLES } from './HeartSystem.js';
+import { BloomManager } from './BloomManager.js';
+import { GestureHandler } from './GestureHandler.js';
+import { GestureMapper, defaultGestureMap } from './GestureMapping.js';
+import { PointerInput } from './PointerInput.js';
+import { PresetManager, PRESET_VERSION, validatePreset } from './PresetManager.js';
+import { QualityGovernor } from './QualityGovernor.js';
+
+// <kinetic-heart>: the heart as an embeddable custom element.
+// Everything main.js keeps in module globals (scene, heart, glow, input, loop) lives
+// on the element, so a page can hold several hearts and drive them from its own
+// code. No GUI, Stats or status overlay; the page needs the same import map as index.html.
+//
+//   <kinetic-heart particle-count="3000" color1="#ff0055" color2="#ff00ff" input-mode="pointer"></kinetic-heart>
+//
+// Attributes
+//   particle-count     100 - the backend's maximum
+//   color1, color2     base and accent colors
+//   input-mode         'auto' (camera, else pointer) | 'camera' | 'pointer' | 'none'
+//   shape              any registered shape ('heart', 'sphere', ...)
+//   backend            'cpu' | 'gpu' | 'worker', read when the element connects
+//   adaptive-quality   present = step quality down on slow machines (see QualityGovernor)
+//   show-camera        present = small mirrored camera preview
+// Methods: setPreset(name | settings, duration), pulse(strength), explode(options),
+// morphTo(shape, duration), pause(), resume(), dispose()
+// Events (bubble out of the shadow root):
+//   'ready'    { backend } just after the element connects (a microtask later)
+//   'gesture'  { type, strength, previous, hand } when the gesture type changes
+//   'beat'     { time, pulse } at the peak of each heartbeat
+//   'input'    { input: 'camera' | 'pointer' | 'none' } when the active input changes
+//   'error'    { error } if setup fails
+// Removing the element from the page disposes it: WebGL context, camera stream and
+// animation loops. Adding it back starts a fresh heart.
+
+const INPUT_MODES = ['auto', 'camera', 'pointer', 'none'];
+
+const PALETTES = [
+    ['#ff0055', '#ff00ff'],
+    ['#00f2ff', '#7a00ff'],
+    ['#ffaa00', '#ff0033'],
+    ['#00ff88', '#00aaff']
+];
+
+const STYLE = `
+    :host { display: block; position: relative; width: 300px; height: 300px; overflow: hidden; background: #050510; outline: none; }
+    canvas { display: block; width: 100%; height: 100%; }
+    video { position: absolute; right: 8px; bottom: 8px; width: 25%; max-width: 160px; border-radius: 6px;
+        opacity: 0.4; transform: scaleX(-1); pointer-events: none; }
+    :host(:not([show-camera])) video { width: 1px; height: 1px; opacity: 0; }
+`;
+
+export class KineticHeartElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['particle-count', 'color1', 'color2', 'input-mode', 'shape', 'adaptive-quality'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.heartSystem = null; // set while connected
+        this.frame = 0;
+        this.paused = false;
+        this.gesture = { type: 'IDLE', strength: 0, rotationY: undefined };
+        this.input = null; // 'camera' | 'pointer' | 'none'
+    }
+
+    connectedCallback() {
+        if (this.heartSystem) return;
+        try {
+            this.setup();
+        } catch (e) {
+            console.error("kinetic-heart setup error:", e);
+            this.dispose();
+            this.emit('error', { error: e });
+            return;
+        }
+        // Not synchronously: `document.body.append(heart)` runs this before the page can listen
+        const heartSystem = this.heartSystem;
+        queueMicrotask(() => {
+            if (this.heartSystem === heartSystem) this.emit('ready', { backend: heartSystem.backend });
+        });
+        if (!this.paused) this.start();
+    }
+
+    disconnectedCallback() {
+        this.dispose();
+    }
+
+    attributeChangedCallback(name) {
+        if (this.heartSystem) this.applyAttribute(name);
+    }
+
+    setup() {
+        const backendAttr = this.getAttribute('backend');
+        const backend = ['gpu', 'worker'].includes(backendAttr) ? backendAttr : 'cpu';
+        if (!this.hasAttribute('tabindex')) this.tabIndex = 0; // keys go to the focused heart
+
+        const style = document.createElement('style');
+        style.textContent = STYLE;
+        this.video = document.createElement('video');
+        this.video.autoplay = this.video.muted = this.video.playsInline = true;
+
+        this.scene = new THREE.Scene();
+        this.scene.fog = new THREE.FogExp2(0x050510, 0.02);
+        this.camera = new THREE.PerspectiveCamera(60, 1, 0.1, 1000);
+        this.camera.position.set(0, 0, 40);
+
+        this.renderer = new THREE.WebGLRenderer({ antialias: false });
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+        this.shadowRoot.replaceChildren(style, this.renderer.domElement, this.video);
+
+        this.controls = new OrbitControls(this.camera, this.renderer.domElement);
+        this.controls.enableDamping = true;
+        this.controls.enablePan = false;
+        this.controls.maxDistance = 100;
+        this.controls.minDistance = 10;
+
+        const { width, height } = this.size();
+        this.bloomManager = new BloomManager(this.scene, this.camera, this.renderer, width, height);
+        this.heartSystem = new HeartSystem(this.scene, MAX_PARTICLES[backend], { backend, renderer: this.renderer });
+        this.resize();
+
+        this.governor = new QualityGovernor();
+        this.governor.onChange = tier => this.applyQuality(tier);
+
+        this.rotationOffset = 0;
+        this.paletteIndex = 0;
+        this.lastPulse = 1;
+        this.pulseRising = false;
+        this.particleCount = 3000;
+
+        const onGestureUpdate = state => this.onGestureUpdate(state);
+        this.mapper = new GestureMapper(defaultGestureMap, {
+            rotate: (e, args) => { this.rotationOffset += e.value * args.scale; },
+            zoom: (e, args) => this.zoom(args.rate !== undefined ? args.rate * e.dt : e.value * args.scale),
+            morphShape: (e, args) => this.cycleShape(args.step),
+            changePalette: () => this.cyclePalette(),
+            burst: (e, args) => this.heartSystem.burst(args.strength),
+            explode: (e, args) => this.heartSystem.explode(args),
+            reset: () => this.reset()
+        });
+        this.gestureHandler = new GestureHandler(this.video, onGestureUpdate, {
+            autoStart: false, // only asks for the camera when an input mode wants it
+            onError: e => console.warn("kinetic-heart: camera unavailable:", e.message)
+        });
+        this.cameraAvailable = null; // null until tried
+        this.cameraStarting = false;
+        this.pointerInput = new PointerInput(this.renderer.domElement, onGestureUpdate, {
+            getRotation: () => this.heartSystem.container.rotation.y,
+            onAction: (name, args, event) => this.mapper.trigger(name, args, event),
+            keyTarget: this
+        });
+
+        this.presets = new PresetManager({ read: () => this.readSettings(), apply: s => this.applySettings(s) }, globalThis.localStorage, {
+            maxParticles: this.heartSystem.maxCount
+        });
+        this.heartSystem.onBackendChange = () => {
+            this.presets.limits.particleCount = this.heartSystem.maxCount;
+            this.applyParticleCount();
+        };
+
+        this.resizeObserver = new ResizeObserver(() => this.resize());
+        this.resizeObserver.observe(this);
+
+        this.clock = new THREE.Clock();
+        this.tick = this.tick.bind(this);
+        KineticHeartElement.observedAttributes.forEach(name => this.applyAttribute(name));
+    }
+
+    applyAttribute(name) {
+        const value = this.getAttribute(name);
+        const params = this.heartSystem.params;
+        switch (name) {
+            case 'particle-count':
+                if (value !== null && Number.isFinite(Number(value))) this.particleCount = Number(value);
+                this.applyParticleCount();
+                break;
+            case 'color1':
+                if (value) params.color1.set(value);
+                break;
+            case 'color2':
+                if (value) params.color2.set(value);
+                break;
+            case 'input-mode':
+                this.applyInputMode();
+                break;
+            case 'shape':
+                if (value) this.morphTo(value);
+                break;
+            case 'adaptive-quality':
+                this.governor.enabled = value !== null;
+                if (!this.governor.enabled) this.governor.setTier(0);
+                break;
+        }
+    }
+
+    // Element size in CSS pixels (at least 1x1 while it's laid out at zero size)
+    size() {
+        return { width: Math.max(this.clientWidth, 1), height: Math.max(this.clientHeight, 1) };
+    }
+
+    resize() {
+        const { width, height } = this.size();
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height, false);
+        this.bloomManager.resize(width, height);
+    }
+
+    applyQuality(tier) {
+        this.applyParticleCount();
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.pixelRatio));
+        this.bloomManager.setQuality(tier);
+        this.resize();
+        this.gestureHandler.detectionRate = tier.gestureRate;
+    }
+
+    applyParticleCount() {
+        const count = Math.round(this.particleCount * this.governor.tier.particleScale);
+        this.heartSystem.setParticleCount(Math.min(Math.max(count, 100), this.heartSystem.maxCount));
+    }
+
+    applyInputMode() {
+        const mode = INPUT_MODES.includes(this.getAttribute('input-mode')) ? this.getAttribute('input-mode') : 'auto';
+        const wantsCamera = mode === 'camera' || (mode === 'auto' && this.cameraAvailable !== false);
+        const next = mode === 'none' ? 'none' : (wantsCamera ? 'camera' : 'pointer');
+
+        if (next === 'camera' && this.cameraAvailable === null && !this.cameraStarting) {
+            const handler = this.gestureHandler;
+            this.cameraStarting = true;
+            handler.init().then((ok) => {
+                if (this.gestureHandler !== handler) return; // disposed meanwhile
+                this.cameraStarting = false;
+                this.cameraAvailable = ok;
+                this.applyInputMode();
+            });
+        }
+        if (next === this.input) return;
+        this.input = next;
+
+        // Pointer mode owns drag and pinch, so OrbitControls steps aside
+        if (next === 'pointer') this.pointerInput.enable();
+        else this.pointerInput.disable();
+        this.controls.enabled = next === 'camera';
+        this.gestureHandler.paused = next !== 'camera' || this.paused;
+        this.onGestureUpdate({ type: 'IDLE', strength: 0, rotationY: undefined });
+        this.emit('input', { input: next });
+    }
+
+    onGestureUpdate(state) {
+        const previous = this.gesture.type;
+        this.gesture = state;
+        if (state.gestures) this.mapper.handle(state.gestures, state.dt);
+        if (state.type !== previous) {
+            this.emit('gesture', { type: state.type, strength: state.strength, previous, hand: state.hand });
+        }
+    }
+
+    start() {
+        cancelAnimationFrame(this.frame);
+        this.clock.getDelta(); // don't count the time spent stopped
+        this.frame = requestAnimationFrame(this.tick);
+    }
+
+    tick() {
+        this.frame = requestAnimationFrame(this.tick);
+        const delta = this.clock.getDelta();
+
+        this.presets.update(delta);
+        this.controls.update();
+        const g = this.gesture;
+        this.heartSystem.update(delta, g.rotationY === undefined ? g : { ...g, rotationY: g.rotationY + this.rotationOffset });
+        this.detectBeat();
+        this.bloomManager.render();
+
+        this.governor.sample(delta * 1000);
+    }
+
+    // Same peak test as ParticleSimulation.detectBeat, on the pulse each backend reports
+    detectBeat() {
+        const pulse = this.heartSystem.sim.lastPulse;
+        const rising = pulse > this.lastPulse;
+        if (this.pulseRising && !rising && this.lastPulse > 1.01) {
+            this.emit('beat', { time: this.heartSystem.time, pulse: this.lastPulse });
+        }
+        this.pulseRising = rising;
+        this.lastPulse = pulse;
+    }
+
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+    }
+
+    // --- Public API ---
+
+    // A saved/built-in preset name, or a settings object as in PresetManager (validated first)
+    setPreset(preset, duration = 0) {
+        this.requireConnected();
+        if (typeof preset === 'string') {
+            this.presets.load(preset, duration);
+        } else {
+            const { settings } = validatePreset({ name: 'setPreset', version: PRESET_VERSION, settings: preset }, this.presets.limits);
+            this.presets.applySettings(settings, duration);
+        }
+    }
+
+    // One outward kick, like a strong heartbeat
+    pulse(strength = 1) {
+        this.requireConnected();
+        this.heartSystem.burst(strength);
+    }
+
+    // options: see ParticleLifecycle's defaultExplosionOptions
+    explode(options = {}) {
+        this.requireConnected();
+        this.heartSystem.explode(options);
+    }
+
+    morphTo(shape, duration = 2) {
+        this.requireConnected();
+        if (!this.heartSystem.shapes.has(shape)) {
+            console.warn(`kinetic-heart: unknown shape "${shape}", keeping "${this.heartSystem.shape}"`);
+            return;
+        }
+        this.heartSystem.morphTo(shape, duration);
+    }
+
+    // Stops the animation loop and hand detection; the camera stays on for a quick resume
+    pause() {
+        this.paused = true;
+        cancelAnimationFrame(this.frame);
+        if (this.gestureHandler) this.gestureHandler.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        if (!this.heartSystem) return; // starts on connect
+        this.gestureHandler.paused = this.input !== 'camera';
+        this.start();
+    }
+
+    // Frees everything; also runs when the element leaves the page
+    dispose() {
+        cancelAnimationFrame(this.frame);
+        if (this.resizeObserver) this.resizeObserver.disconnect();
+        if (this.pointerInput) this.pointerInput.disable();
+        if (this.gestureHandler) this.gestureHandler.dispose();
+        if (this.heartSystem) this.heartSystem.dispose();
+        if (this.bloomManager) this.bloomManager.dispose();
+        if (this.controls) this.controls.dispose();
+        if (this.renderer) {
+            this.renderer.dispose();
+            this.renderer.forceContextLoss();
+        }
+        this.shadowRoot.replaceChildren();
+        this.heartSystem = this.bloomManager = this.renderer = this.controls = null;
+        this.gestureHandler = this.pointerInput = this.resizeObserver = this.presets = null;
+        this.input = null;
+        this.gesture = { type: 'IDLE', strength: 0, rotationY: undefined };
+    }
+
+    requireConnected() {
+        if (!this.heartSystem) throw new Error("kinetic-heart is not connected to a page");
+    }
+
+    // --- Internals shared with the gesture actions ---
+
+    reset() {
+        this.heartSystem.initParticles();
+        this.gesture = { type: 'IDLE', strength: 0, rotationY: undefined };
+        this.rotationOffset = 0;
+    }
+
+    zoom(delta) {
+        const offset = this.camera.position.clone().sub(this.controls.target);
+        const distance = THREE.MathUtils.clamp(offset.length() + delta, this.controls.minDistance, this.controls.maxDistance);
+        this.camera.position.copy(this.controls.target).add(offset.setLength(distance));
+    }
+
+    cycleShape(step) {
+        const shapes = this.heartSystem.shapes.list();
+        const i = (shapes.indexOf(this.heartSystem.shape) + step + shapes.length) % shapes.length;
+        this.heartSystem.morphTo(shapes[i], 2);
+    }
+
+    cyclePalette() {
+        this.paletteIndex = (this.paletteIndex + 1) % PALETTES.length;
+        const [c1, c2] = PALETTES[this.paletteIndex];
+        this.applySettings({ color1: c1, color2: c2 });
+    }
+
+    // PresetManager adapter: same settings as the app's presets
+    readSettings() {
+        const params = this.heartSystem.params;
+        const glow = this.bloomManager.getEffect('bloom') || this.bloomManager.getEffect('selectiveBloom');
+        const settings = {
+            particleCount: this.particleCount,
+            springStrength: params.springStrength,
+            damping: params.damping,
+            noiseStrength: params.noiseStrength,
+            color1: '#' + params.color1.getHexString(),
+            color2: '#' + params.color2.getHexString(),
+            cameraPosition: this.camera.position.toArray(),
+            cameraTarget: this.controls.target.toArray(),
+            cameraFov: this.camera.fov,
+            shape: typeof this.heartSystem.shape === 'string' ? this.heartSystem.shape : 'heart'
+        };
+        if (glow) {
+            settings.bloomStrength = glow.settings.strength;
+            settings.bloomRadius = glow.settings.radius;
+            settings.bloomThreshold = glow.settings.threshold;
+        }
+        return settings;
+    }
+
+    applySettings(s) {
+        const params = this.heartSystem.params;
+        if (s.particleCount !== undefined) {
+            this.particleCount = s.particleCount;
+            this.applyParticleCount();
+        }
+        ['springStrength', 'damping', 'noiseStrength'].forEach((key) => { if (s[key] !== undefined) params[key] = s[key]; });
+        if (s.color1 !== undefined) params.color1.set(s.color1);
+        if (s.color2 !== undefined) params.color2.set(s.color2);
+        this.bloomManager.updateSettings(s);
+
+        if (s.cameraPosition) this.camera.position.fromArray(s.cameraPosition);
+        if (s.cameraTarget) this.controls.target.fromArray(s.cameraTarget);
+        if (s.cameraFov !== undefined) {
+            this.camera.fov = s.cameraFov;
+            this.camera.updateProjectionMatrix();
+        }
+        if (s.shape !== undefined && s.shape !== this.heartSystem.shape) this.morphTo(s.shape);
+    }
+}
+
+if (!customElements.get('kinetic-heart')) customElements.define('kinetic-heart', KineticHeartElement);
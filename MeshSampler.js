@@ -0,0 +1,265 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { createRandom } from './Random.js';
+
+// Turns glTF/OBJ/PLY meshes into ShapeLibrary samplers.
+// Sampling is area weighted and driven by a seeded PRNG, so the same model
+// with the same seed always yields the same particle layout.
+// Point clouds (PLY without faces) have no surface: their vertices are the samples.
+
+// Load from a URL string or a File/Blob (e.g. from an <input type="file">)
+export async function loadMesh(source) {
+    const name = typeof source === 'string' ? source : (source.name || '');
+    const ext = name.split('?')[0].split('.').pop().toLowerCase();
+    const url = typeof source === 'string' ? source : URL.createObjectURL(source);
+
+    try {
+        if (ext === 'gltf' || ext === 'glb') {
+            const gltf = await new GLTFLoader().loadAsync(url);
+            return gltf.scene;
+        }
+        if (ext === 'obj') {
+            return await new OBJLoader().loadAsync(url);
+        }
+        if (ext === 'ply') {
+            const geometry = await new PLYLoader().loadAsync(url);
+            return geometry.index ? new THREE.Mesh(geometry) : new THREE.Points(geometry);
+        }
+        throw new Error(`Unsupported model format ".${ext}" (expected glb, gltf, obj or ply)`);
+    } finally {
+        if (url !== source) URL.revokeObjectURL(url);
+    }
+}
+
+// Flatten every mesh under `object` into world-space triangles (9 floats each)
+export function collectTriangles(object) {
+    object.updateMatrixWorld(true);
+    const tris = [];
+    const v = new THREE.Vector3();
+
+    object.traverse((child) => {
+        if (!child.isMesh || !child.geometry.attributes.position) return;
+        const pos = child.geometry.attributes.position;
+        const index = child.geometry.index;
+        const count = index ? index.count : pos.count;
+
+        for (let i = 0; i < count; i++) {
+            v.fromBufferAttribute(pos, index ? index.getX(i) : i).applyMatrix4(child.matrixWorld);
+            tris.push(v.x, v.y, v.z);
+        }
+    });
+
+    if (tris.length < 9) throw new Error("Model contains no triangles");
+    return new Float32Array(tris);
+}
+
+// Every THREE.Points vertex under `object` in world space (3 floats each)
+export function collectPoints(object) {
+    object.updateMatrixWorld(true);
+    const points = [];
+    const v = new THREE.Vector3();
+
+    object.traverse((child) => {
+        if (!child.isPoints || !child.geometry.attributes.position) return;
+        const pos = child.geometry.attributes.position;
+        for (let i = 0; i < pos.count; i++) {
+            v.fromBufferAttribute(pos, i).applyMatrix4(child.matrixWorld);
+            points.push(v.x, v.y, v.z);
+        }
+    });
+
+    if (points.length === 0) throw new Error("Model contains no triangles or points");
+    return new Float32Array(points);
+}
+
+function containsMesh(object) {
+    let found = false;
+    object.traverse((child) => { if (child.isMesh) found = true; });
+    return found;
+}
+
+// Center on the bounding box and scale the longest side to `size` world units
+// (works on any flat xyz list, point clouds included)
+export function normalizeTriangles(tris, size = 30) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < tris.length; i++) {
+        const a = i % 3;
+        if (tris[i] < min[a]) min[a] = tris[i];
+        if (tris[i] > max[a]) max[a] = tris[i];
+    }
+    const extent = Math.max(max[0] - min[0], max[1] - min[1], max[2] - min[2]) || 1;
+    const scale = size / extent;
+    for (let i = 0; i < tris.length; i++) {
+        const a = i % 3;
+        tris[i] = (tris[i] - (min[a] + max[a]) / 2) * scale;
+    }
+    return tris;
+}
+
+function triangleAreas(tris) {
+    const n = Math.floor(tris.length / 9);
+    const cumulative = new Float64Array(n);
+    let total = 0;
+    for (let t = 0; t < n; t++) {
+        const o = t * 9;
+        const ux = tris[o + 3] - tris[o], uy = tris[o + 4] - tris[o + 1], uz = tris[o + 5] - tris[o + 2];
+        const vx = tris[o + 6] - tris[o], vy = tris[o + 7] - tris[o + 1], vz = tris[o + 8] - tris[o + 2];
+        const cx = uy * vz - uz * vy, cy = uz * vx - ux * vz, cz = ux * vy - uy * vx;
+        total += Math.sqrt(cx * cx + cy * cy + cz * cz) / 2;
+        cumulative[t] = total;
+    }
+    if (total === 0) throw new Error("Model surface has zero area");
+    return { cumulative, total };
+}
+
+export function sampleSurface(tris, count, random) {
+    const { cumulative, total } = triangleAreas(tris);
+    const out = new Float32Array(count * 3);
+
+    for (let i = 0; i < count; i++) {
+        // Pick a triangle proportional to area (binary search on the CDF)
+        const target = random() * total;
+        let lo = 0, hi = cumulative.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (cumulative[mid] < target) lo = mid + 1; else hi = mid;
+        }
+
+        // Uniform barycentric point
+        let r1 = random(), r2 = random();
+        if (r1 + r2 > 1) { r1 = 1 - r1; r2 = 1 - r2; }
+        const o = lo * 9;
+        for (let a = 0; a < 3; a++) {
+            const p0 = tris[o + a];
+            out[i * 3 + a] = p0 + (tris[o + 3 + a] - p0) * r1 + (tris[o + 6 + a] - p0) * r2;
+        }
+    }
+    return out;
+}
+
+// Vertices in a seeded shuffle: each one once before any repeats
+export function sampleVertices(points, count, random) {
+    const n = points.length / 3;
+    const order = Uint32Array.from({ length: n }, (_, i) => i);
+    const out = new Float32Array(count * 3);
+
+    for (let i = 0; i < count; i++) {
+        const j = i % n;
+        const k = j + Math.floor(random() * (n - j));
+        [order[j], order[k]] = [order[k], order[j]];
+        out.set(points.subarray(order[j] * 3, order[j] * 3 + 3), i * 3);
+    }
+    return out;
+}
+
+function bounds(tris) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < tris.length; i++) {
+        const a = i % 3;
+        if (tris[i] < min[a]) min[a] = tris[i];
+        if (tris[i] > max[a]) max[a] = tris[i];
+    }
+    return { min, max };
+}
+
+// Point-in-mesh test: crossings of a ray along +x, counted only against the
+// triangles whose y/z extent overlaps the ray's cell of a `resolution`² grid, so a
+// test costs a handful of triangles instead of all of them. Built once per mesh.
+export function createInsideTest(tris, resolution = 64) {
+    const { min, max } = bounds(tris);
+    const sizeY = (max[1] - min[1]) / resolution || 1;
+    const sizeZ = (max[2] - min[2]) / resolution || 1;
+    const cellOf = (v, a, size) => Math.min(Math.max(Math.floor((v - min[a]) / size), 0), resolution - 1);
+
+    const cells = Array.from({ length: resolution * resolution }, () => []);
+    for (let o = 0; o + 9 <= tris.length; o += 9) {
+        const y0 = cellOf(Math.min(tris[o + 1], tris[o + 4], tris[o + 7]), 1, sizeY);
+        const y1 = cellOf(Math.max(tris[o + 1], tris[o + 4], tris[o + 7]), 1, sizeY);
+        const z0 = cellOf(Math.min(tris[o + 2], tris[o + 5], tris[o + 8]), 2, sizeZ);
+        const z1 = cellOf(Math.max(tris[o + 2], tris[o + 5], tris[o + 8]), 2, sizeZ);
+        for (let cy = y0; cy <= y1; cy++) {
+            for (let cz = z0; cz <= z1; cz++) cells[cy * resolution + cz].push(o);
+        }
+    }
+
+    return (x, y, z) => {
+        if (y < min[1] || y > max[1] || z < min[2] || z > max[2]) return false;
+        let hits = 0;
+        for (const o of cells[cellOf(y, 1, sizeY) * resolution + cellOf(z, 2, sizeZ)]) {
+            // Where the ray meets the triangle's plane, if (y, z) is inside its y/z projection
+            const ay = tris[o + 1], az = tris[o + 2];
+            const e1y = tris[o + 4] - ay, e1z = tris[o + 5] - az;
+            const e2y = tris[o + 7] - ay, e2z = tris[o + 8] - az;
+            const det = e1y * e2z - e1z * e2y;
+            if (Math.abs(det) < 1e-12) continue; // edge-on to the ray
+            const u = ((y - ay) * e2z - (z - az) * e2y) / det;
+            const v = ((z - az) * e1y - (y - ay) * e1z) / det;
+            if (u < 0 || v < 0 || u + v > 1) continue;
+            const hitX = tris[o] + (tris[o + 3] - tris[o]) * u + (tris[o + 6] - tris[o]) * v;
+            if (hitX > x) hits++;
+        }
+        return (hits & 1) === 1;
+    };
+}
+
+// Rejection sampling inside a closed mesh. Open or broken meshes may reject
+// everything, so after `maxAttempts` we fall back to the surface.
+// `isInside` can be passed in to reuse a createInsideTest across calls.
+export function sampleVolume(tris, count, random, maxAttempts = count * 50, isInside = createInsideTest(tris)) {
+    const { min, max } = bounds(tris);
+
+    const out = new Float32Array(count * 3);
+    let found = 0;
+    for (let attempt = 0; attempt < maxAttempts && found < count; attempt++) {
+        const x = min[0] + random() * (max[0] - min[0]);
+        const y = min[1] + random() * (max[1] - min[1]);
+        const z = min[2] + random() * (max[2] - min[2]);
+        if (isInside(x, y, z)) {
+            out[found * 3] = x;
+            out[found * 3 + 1] = y;
+            out[found * 3 + 2] = z;
+            found++;
+        }
+    }
+
+    if (found < count) {
+        console.warn(`MeshSampler: only ${found}/${count} volume samples found, filling the rest from the surface`);
+        out.set(sampleSurface(tris, count - found, random), found * 3);
+    }
+    return out;
+}
+
+// Sampler for ShapeLibrary / HeartSystem.registerShape
+// mode: 'surface' | 'volume'
+// The seed is fixed, so each count always yields the same points: they are sampled
+// once and copied out on every later initParticles or morph.
+export function meshShape(object, { mode = 'surface', seed = 1, size = 30 } = {}) {
+    const cloud = !containsMesh(object);
+    if (cloud && mode === 'volume') console.warn("MeshSampler: a point cloud has no volume, sampling its points");
+    const tris = normalizeTriangles(cloud ? collectPoints(object) : collectTriangles(object), size);
+    const cache = new Map(); // count -> points
+    let isInside = null;
+
+    return (count) => {
+        if (!cache.has(count)) {
+            const random = createRandom(seed);
+            if (cloud) {
+                cache.set(count, sampleVertices(tris, count, random));
+            } else if (mode === 'volume') {
+                if (!isInside) isInside = createInsideTest(tris);
+                cache.set(count, sampleVolume(tris, count, random, count * 50, isInside));
+            } else {
+                cache.set(count, sampleSurface(tris, count, random));
+            }
+        }
+        return cache.get(count).slice();
+    };
+}
+
+export async function loadMeshShape(source, options) {
+    return meshShape(await loadMesh(source), options);
+}
@@ -0,0 +1,153 @@
+// OSC-to-WebSocket bridge for control surfaces (TouchOSC, Lemur, Max, ...).
+// Pages can't receive UDP, so this listens for OSC packets and forwards every
+// message to each connected page (OscInput in ControlSources.js).
+// Plain Node, no dependencies: `npm run osc` (OSC_PORT env var for UDP, default 9000;
+// PORT for the WebSocket side, default 8788). Point the surface at this machine.
+//
+// Protocol (JSON text frames, bridge -> page):
+//   <- { type: 'osc', address, args: [number | string | boolean | null] }
+// Bundles are unpacked and delivered at once (time tags are ignored); blobs arrive as null.
+
+import http from 'node:http';
+import dgram from 'node:dgram';
+import { pathToFileURL } from 'node:url';
+import { acceptWebSocket } from './CollabRelay.js';
+
+// OSC strings are null-terminated and padded to 4 bytes
+function readString(buf, offset) {
+    const end = buf.indexOf(0, offset);
+    if (end < 0) throw new Error("Unterminated OSC string");
+    return [buf.toString('utf8', offset, end), offset + Math.ceil((end - offset + 1) / 4) * 4];
+}
+
+function writeString(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    const out = Buffer.alloc(Math.ceil((bytes.length + 1) / 4) * 4);
+    bytes.copy(out);
+    return out;
+}
+
+// One UDP packet (message or bundle) -> [{ address, args }]; throws on malformed packets
+export function parseOscPacket(buf, out = []) {
+    if (buf.length >= 8 && buf.toString('latin1', 0, 8) === '#bundle\0') {
+        let offset = 16; // '#bundle' + 8-byte time tag
+        while (offset + 4 <= buf.length) {
+            const size = buf.readInt32BE(offset);
+            offset += 4;
+            if (size <= 0 || offset + size > buf.length) throw new Error("Truncated OSC bundle");
+            parseOscPacket(buf.subarray(offset, offset + size), out);
+            offset += size;
+        }
+        return out;
+    }
+
+    let [address, offset] = readString(buf, 0);
+    if (address[0] !== '/') throw new Error(`Not an OSC message: "${address}"`);
+    let tags = ',';
+    if (offset < buf.length) [tags, offset] = readString(buf, offset);
+
+    const args = [];
+    for (const tag of tags.slice(1)) {
+        switch (tag) {
+            case 'i': args.push(buf.readInt32BE(offset)); offset += 4; break;
+            case 'f': args.push(buf.readFloatBE(offset)); offset += 4; break;
+            case 'd': args.push(buf.readDoubleBE(offset)); offset += 8; break;
+            case 'h': args.push(Number(buf.readBigInt64BE(offset))); offset += 8; break;
+            case 's':
+            case 'S': {
+                let text;
+                [text, offset] = readString(buf, offset);
+                args.push(text);
+                break;
+            }
+            case 'b': offset += 4 + Math.ceil(buf.readInt32BE(offset) / 4) * 4; args.push(null); break;
+            case 'T': args.push(true); break;
+            case 'F': args.push(false); break;
+            case 'N':
+            case 'I': args.push(null); break;
+            default: throw new Error(`Unsupported OSC type tag "${tag}"`);
+        }
+    }
+    out.push({ address, args });
+    return out;
+}
+
+// address + args -> packet (numbers go out as floats); for synthetic streams and tests
+export function encodeOscMessage(address, args = []) {
+    let tags = ',';
+    const data = [];
+    for (const arg of args) {
+        if (typeof arg === 'number') {
+            tags += 'f';
+            const b = Buffer.alloc(4);
+            b.writeFloatBE(arg);
+            data.push(b);
+        } else if (typeof arg === 'string') {
+            tags += 's';
+            data.push(writeString(arg));
+        } else if (typeof arg === 'boolean') {
+            tags += arg ? 'T' : 'F';
+        } else if (arg === null) {
+            tags += 'N';
+        } else {
+            throw new Error(`Can't encode OSC argument ${JSON.stringify(arg)}`);
+        }
+    }
+    return Buffer.concat([writeString(address), writeString(tags), ...data]);
+}
+
+export function createOscBridge({ port = 8788, oscPort = 9000, host = '0.0.0.0' } = {}) {
+    const clients = new Set();
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end("Kinetic Heart OSC bridge: connect with a WebSocket\n");
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const conn = acceptWebSocket(req, socket);
+        if (!conn) return;
+        clients.add(conn);
+        conn.onClose = () => clients.delete(conn);
+    });
+
+    const udp = dgram.createSocket('udp4');
+    udp.on('message', (packet) => {
+        let messages;
+        try {
+            messages = parseOscPacket(packet);
+        } catch (e) {
+            return; // not OSC, or nothing a page could use
+        }
+        for (const { address, args } of messages) {
+            for (const conn of clients) conn.send({ type: 'osc', address, args });
+        }
+    });
+
+    return {
+        server,
+        udp,
+        clients,
+        // Resolves to the bound { port, oscPort }
+        listen: () => Promise.all([
+            new Promise((resolve) => server.listen(port, host, () => resolve(server.address().port))),
+            new Promise((resolve) => udp.bind(oscPort, host, () => resolve(udp.address().port)))
+        ]).then(([wsPort, udpPort]) => ({ port: wsPort, oscPort: udpPort })),
+        close: () => new Promise((resolve) => {
+            for (const conn of clients) conn.close(1001);
+            udp.close();
+            server.close(() => resolve());
+        })
+    };
+}
+
+// Run directly: node OscBridge.js
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+    const bridge = createOscBridge({
+        port: Number(process.env.PORT) || 8788,
+        oscPort: Number(process.env.OSC_PORT) || 9000
+    });
+    bridge.listen().then(({ port, oscPort }) => {
+        console.log(`Kinetic Heart OSC bridge: OSC on udp://0.0.0.0:${oscPort}, pages connect to ws://localhost:${port}`);
+    });
+}
@@ -0,0 +1,353 @@
+// Particle lifecycle for ParticleSimulation: emitted sparks with age and lifetime,
+// explode-and-reassemble sequences and per-step trail history.
+// Headless like ParticlePhysics; everything is allocated up front so a running
+// show never allocates per frame.
+//
+// Slot layout in the simulation's state arrays (maxCount particles):
+//   [0, bodyCount)                          the shape, bound to their homes by springs
+//   [bodyCount, bodyCount + sparkCount)     live sparks, packed (a dying spark swaps in the last one)
+//   [bodyCount + sparkCount, maxCount)      free pool
+// So sparks only ever use what the shape leaves of maxCount.
+
+import { REFERENCE_RATE } from './ParticlePhysics.js';
+
+export const EXPLOSION_STYLES = ['spring', 'respawn'];
+
+// Emitters shed sparks from random points of the shape, along the outward direction
+export const defaultEmitterOptions = {
+    rate: 0, // sparks per second
+    perBeat: 40, // sparks per heartbeat
+    lifetime: [0.8, 1.6], // seconds, random in range
+    speed: [0.3, 0.8], // units per 60 Hz tick
+    spread: 0.4, // random direction jitter (0 = straight out)
+    gravity: -0.004, // y velocity change per tick
+    drag: 0.96 // velocity kept per tick
+};
+
+// Phases in seconds: explode (springs off, outward kick), hold (drift), reassemble
+export const defaultExplosionOptions = {
+    strength: 1,
+    explode: 0.4,
+    hold: 0.6,
+    reassemble: 1.5,
+    style: 'spring', // 'spring': springs ease back in, 'respawn': fade out and reappear at home
+    sparks: 150 // extra sparks shed by the blast (needs free slots)
+};
+
+export const defaultTrailOptions = {
+    enabled: false,
+    length: 8, // physics steps of history per particle
+    stride: 4, // every Nth shape particle gets a trail (sparks always do)
+    maxSegments: 30000 // cap on line segments written per frame
+};
+
+// How the blast's own sparks fly
+const BLAST_SPARKS = { ...defaultEmitterOptions, speed: [0.6, 1.4], lifetime: [0.6, 1.4], spread: 0.8 };
+
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+export class ParticleLifecycle {
+    constructor(state, maxCount, random) {
+        this.state = state;
+        this.maxCount = maxCount;
+        this.random = random;
+
+        this.age = new Float32Array(maxCount);
+        this.life = new Float32Array(maxCount);
+        this.fade = new Float32Array(maxCount).fill(1); // brightness, multiplied into colors
+        this.gravity = new Float32Array(maxCount); // per spark, from its emitter
+        this.drag = new Float32Array(maxCount);
+        this.bodyCount = 0;
+        this.sparkCount = 0;
+        this.sparksEnabled = true; // off when something else (the GPU) moves the particles
+
+        this.emitters = new Map(); // name -> options (+ carry for fractional rates)
+        this.explosion = null; // { options, elapsed, respawned }
+        this.springScale = 1; // multiplies springStrength while exploding
+        this.bodyFade = 1;
+        this.respawned = false; // body particles were reset this step (GPU re-upload)
+
+        this.trails = { ...defaultTrailOptions };
+        this.history = null; // Float32Array(length * maxCount * 3), ring of step positions
+        this.born = new Int32Array(maxCount); // step at which each slot last (re)spawned
+        this.stepIndex = 0;
+    }
+
+    setBodyCount(count) {
+        // Live sparks stay packed right after the shape, so they move with its end;
+        // only those that no longer fit in maxCount are dropped
+        const kept = Math.max(0, Math.min(this.sparkCount, this.maxCount - count));
+        if (kept > 0 && count !== this.bodyCount) this.moveSlots(this.bodyCount, count, kept);
+        this.sparkCount = kept;
+        if (count > this.bodyCount) {
+            this.fade.fill(this.bodyFade, this.bodyCount, count);
+            this.born.fill(this.stepIndex, this.bodyCount, count); // their trails start now
+        }
+        this.bodyCount = count;
+    }
+
+    clear() {
+        this.sparkCount = 0;
+        this.explosion = null;
+        this.springScale = 1;
+        this.bodyFade = 1;
+        this.fade.fill(1);
+        this.born.fill(this.stepIndex);
+    }
+
+    get drawCount() {
+        return this.bodyCount + this.sparkCount;
+    }
+
+    // --- Emitters ---
+
+    addEmitter(name, options = {}) {
+        const emitter = { ...defaultEmitterOptions, ...options, carry: 0 };
+        if (!(emitter.lifetime[0] > 0) || emitter.lifetime[1] < emitter.lifetime[0]) {
+            throw new Error(`Emitter "${name}": lifetime must be [min, max] seconds`);
+        }
+        this.emitters.set(name, emitter);
+        return emitter;
+    }
+
+    removeEmitter(name) {
+        this.emitters.delete(name);
+    }
+
+    // Shed `count` sparks now (as many as there are free slots); returns how many
+    emit(count, options = {}) {
+        return this.spawn(count, { ...defaultEmitterOptions, ...options });
+    }
+
+    // `o`: complete emitter options
+    spawn(count, o) {
+        const { position, previous, velocity } = this.state;
+        const random = this.random;
+        if (!this.sparksEnabled || this.bodyCount === 0) return 0;
+        const n = Math.min(Math.floor(count), this.maxCount - this.drawCount);
+
+        for (let k = 0; k < n; k++) {
+            const i = this.bodyCount + this.sparkCount++;
+            const src = Math.floor(random() * this.bodyCount) * 3;
+            const idx = i * 3;
+            const px = position[src];
+            const py = position[src + 1];
+            const pz = position[src + 2];
+            const len = Math.sqrt(px * px + py * py + pz * pz) + 0.001;
+            const speed = o.speed[0] + (o.speed[1] - o.speed[0]) * random();
+
+            let dx = px / len + (random() - 0.5) * 2 * o.spread;
+            let dy = py / len + (random() - 0.5) * 2 * o.spread;
+            let dz = pz / len + (random() - 0.5) * 2 * o.spread;
+            const dlen = Math.sqrt(dx * dx + dy * dy + dz * dz) + 0.001;
+            dx /= dlen;
+            dy /= dlen;
+            dz /= dlen;
+
+            position[idx] = previous[idx] = px;
+            position[idx + 1] = previous[idx + 1] = py;
+            position[idx + 2] = previous[idx + 2] = pz;
+            velocity[idx] = dx * speed;
+            velocity[idx + 1] = dy * speed;
+            velocity[idx + 2] = dz * speed;
+
+            this.age[i] = 0;
+            this.life[i] = o.lifetime[0] + (o.lifetime[1] - o.lifetime[0]) * random();
+            this.fade[i] = 1;
+            this.born[i] = this.stepIndex;
+            this.gravity[i] = o.gravity;
+            this.drag[i] = o.drag;
+        }
+        return n;
+    }
+
+    onBeat() {
+        for (const emitter of this.emitters.values()) {
+            if (emitter.perBeat > 0) this.spawn(emitter.perBeat, emitter);
+        }
+    }
+
+    // --- Explosion ---
+
+    // Returns the outward kick for the simulation's impulse (springs are off, so it's
+    // gentler than burst() for the same strength)
+    explode(options = {}) {
+        const o = { ...defaultExplosionOptions, ...options };
+        if (!EXPLOSION_STYLES.includes(o.style)) throw new Error(`Unknown explosion style "${o.style}"`);
+        this.explosion = { options: o, elapsed: 0, respawned: false };
+        this.springScale = 0;
+        if (o.sparks > 0) this.spawn(o.sparks, BLAST_SPARKS);
+        return 1.5 * o.strength;
+    }
+
+    // `resetBody()` puts every shape particle back at its home (respawn style)
+    updateExplosion(h, resetBody) {
+        const e = this.explosion;
+        if (!e) return;
+        const o = e.options;
+        e.elapsed += h;
+
+        const reassembleAt = o.explode + o.hold;
+        if (e.elapsed < reassembleAt) {
+            this.springScale = 0;
+            // Respawn style fades the cloud out while it flies apart
+            if (o.style === 'respawn') this.setBodyFade(1 - smoothstep(Math.min(e.elapsed / reassembleAt, 1)));
+            return;
+        }
+
+        const t = Math.min((e.elapsed - reassembleAt) / Math.max(o.reassemble, 1e-6), 1);
+        if (o.style === 'respawn') {
+            if (!e.respawned) {
+                resetBody();
+                this.respawned = true;
+                e.respawned = true;
+                this.born.fill(this.stepIndex, 0, this.bodyCount);
+            }
+            this.springScale = 1;
+            this.setBodyFade(smoothstep(t));
+        } else {
+            this.springScale = smoothstep(t);
+        }
+
+        if (t >= 1) {
+            this.explosion = null;
+            this.springScale = 1;
+            this.setBodyFade(1);
+        }
+    }
+
+    setBodyFade(value) {
+        this.bodyFade = value;
+        this.fade.fill(value, 0, this.bodyCount);
+    }
+
+    // --- Per step ---
+
+    // Rate emitters, spark motion and aging; call once per fixed step after the body physics
+    step(h) {
+        for (const emitter of this.emitters.values()) {
+            if (emitter.rate <= 0) continue;
+            emitter.carry += emitter.rate * h;
+            const whole = Math.floor(emitter.carry);
+            if (whole > 0) {
+                emitter.carry -= whole;
+                this.spawn(whole, emitter);
+            }
+        }
+
+        const { position, previous, velocity } = this.state;
+        const s = h * REFERENCE_RATE;
+
+        let i = this.bodyCount;
+        while (i < this.bodyCount + this.sparkCount) {
+            this.age[i] += h;
+            if (this.age[i] >= this.life[i]) {
+                this.kill(i);
+                continue; // the spark swapped into `i` still needs its step
+            }
+            const idx = i * 3;
+            const drag = Math.pow(this.drag[i], s);
+            velocity[idx] *= drag;
+            velocity[idx + 1] = velocity[idx + 1] * drag + this.gravity[i] * s;
+            velocity[idx + 2] *= drag;
+            for (let k = idx; k < idx + 3; k++) {
+                previous[k] = position[k];
+                position[k] += velocity[k] * s;
+            }
+            const left = 1 - this.age[i] / this.life[i];
+            this.fade[i] = left * left;
+            i++;
+        }
+
+        this.recordHistory();
+    }
+
+    // Free slot `i` by moving the last live spark into it
+    kill(i) {
+        const last = this.bodyCount + this.sparkCount - 1;
+        if (i !== last) this.moveSlots(last, i, 1);
+        this.sparkCount--;
+    }
+
+    // Copy `n` particles' state and history from slot `from` to slot `to` (the ranges may overlap)
+    moveSlots(from, to, n) {
+        const { position, previous, velocity } = this.state;
+        for (const array of [position, previous, velocity]) array.copyWithin(to * 3, from * 3, (from + n) * 3);
+        for (const array of [this.age, this.life, this.fade, this.gravity, this.drag, this.born]) {
+            array.copyWithin(to, from, from + n);
+        }
+        if (this.history) {
+            const frame = this.maxCount * 3;
+            for (let f = 0; f < this.trails.length; f++) {
+                this.history.copyWithin(f * frame + to * 3, f * frame + from * 3, f * frame + (from + n) * 3);
+            }
+        }
+    }
+
+    // --- Trails ---
+
+    setTrails(options = {}) {
+        const length = options.length ?? this.trails.length;
+        if (length < 2) throw new Error("Trails need a length of at least 2 steps");
+        if (length !== this.trails.length) this.history = null;
+        Object.assign(this.trails, options, { length });
+        if (this.trails.enabled && !this.history) {
+            this.history = new Float32Array(length * this.maxCount * 3);
+            this.born.fill(this.stepIndex); // no history yet
+        }
+    }
+
+    recordHistory() {
+        this.stepIndex++;
+        if (!this.trails.enabled || !this.history) return;
+        const frame = this.maxCount * 3;
+        const offset = (this.stepIndex % this.trails.length) * frame;
+        this.history.set(this.state.position.subarray(0, this.drawCount * 3), offset);
+    }
+
+    // Line segments from each trailed particle's drawn position back through its
+    // history, fading along the trail. `applyFade`: colors don't include the particle's
+    // own fade yet. Returns the number of segments written.
+    writeTrails(drawn, colors, outPositions, outColors, applyFade = false) {
+        if (!this.trails.enabled || !this.history) return 0;
+        const { length, stride } = this.trails;
+        const frame = this.maxCount * 3;
+        const capacity = Math.min(this.trails.maxSegments, outPositions.length / 6);
+        let n = 0;
+
+        for (let i = 0; i < this.drawCount && n < capacity; i++) {
+            if (i < this.bodyCount && i % stride !== 0) continue;
+            const idx = i * 3;
+            const steps = Math.min(length - 1, this.stepIndex - this.born[i]);
+
+            let ax = drawn[idx];
+            let ay = drawn[idx + 1];
+            let az = drawn[idx + 2];
+            for (let k = 0; k < steps && n < capacity; k++) {
+                const h = ((this.stepIndex - k) % length) * frame + idx;
+                const bx = this.history[h];
+                const by = this.history[h + 1];
+                const bz = this.history[h + 2];
+                const fade = applyFade ? this.fade[i] : 1;
+                const fa = (1 - k / steps) * fade;
+                const fb = (1 - (k + 1) / steps) * fade;
+                const o = n * 6;
+                outPositions[o] = ax;
+                outPositions[o + 1] = ay;
+                outPositions[o + 2] = az;
+                outPositions[o + 3] = bx;
+                outPositions[o + 4] = by;
+                outPositions[o + 5] = bz;
+                for (let c = 0; c < 3; c++) {
+                    outColors[o + c] = colors[idx + c] * fa * 0.6;
+                    outColors[o + 3 + c] = colors[idx + c] * fb * 0.6;
+                }
+                ax = bx;
+                ay = by;
+                az = bz;
+                n++;
+            }
+        }
+        return n;
+    }
+}
@@ -0,0 +1,219 @@
+import * as THREE from 'three';
+
+// Point sprites for the particle cloud.
+// One ShaderMaterial for the CPU / worker backends (positions in attributes) and
+// shared GLSL chunks for GPUParticleSim (positions in textures), so both draw the
+// same way: per-particle size and alpha attributes, size swelling on the beat and
+// with speed, twinkle, and a soft depth-of-field blur around a focus distance.
+// Sprite shapes are generated procedurally, no image assets.
+
+export const SPRITE_SHAPES = ['glow', 'star', 'heart', 'ring'];
+
+export const defaultPointStyle = {
+    size: 0.4, // world units, like PointsMaterial.size
+    sizeVariation: 0.4, // per-particle size spread (0 = all equal)
+    beatSize: 0.5, // extra size at the peak of a heartbeat
+    speedSize: 0.3, // extra size per unit of speed (capped at 2)
+    twinkle: 0.25, // 0-1 brightness flicker
+    twinkleSpeed: 2, // radians per second
+    opacity: 0.8,
+    focusDistance: 40, // distance from the camera that stays sharp
+    aperture: 0, // blur per unit away from focus (0 = no depth of field)
+    maxBlur: 4, // cap, in multiples of the point size
+    sprite: 'glow'
+};
+
+// Pulse scale above 1 that counts as a full beat (heart-rate sources peak around 0.08)
+const BEAT_RANGE = 0.08;
+
+// Alpha for u, v in [-1, 1] (v up)
+const SPRITES = {
+    glow: (u, v) => {
+        const r = Math.min(Math.hypot(u, v), 1);
+        const stops = [[0, 1], [0.3, 0.4], [0.7, 0.1], [1, 0]]; // [radius, alpha], the original canvas gradient
+        let k = 1;
+        while (k < stops.length - 1 && stops[k][0] < r) k++;
+        const [r0, a0] = stops[k - 1];
+        const [r1, a1] = stops[k];
+        return a0 + (a1 - a0) * (r - r0) / (r1 - r0);
+    },
+    star: (u, v) => {
+        const core = Math.exp(-(u * u + v * v) * 16);
+        const spikes = Math.exp(-Math.abs(u) * 24) * (1 - Math.min(Math.abs(v), 1)) +
+            Math.exp(-Math.abs(v) * 24) * (1 - Math.min(Math.abs(u), 1));
+        return Math.min(core + spikes * 0.8, 1);
+    },
+    heart: (u, v) => {
+        // (x^2 + y^2 - 1)^3 - x^2 y^3 <= 0, with a soft edge and a faint halo
+        const x = u * 1.4;
+        const y = v * 1.4 + 0.2;
+        const f = (x * x + y * y - 1) ** 3 - x * x * y ** 3;
+        const fill = Math.min(Math.max(-f / 0.02, 0), 1);
+        const halo = Math.exp(-Math.max(f, 0) * 6) * 0.25;
+        return Math.min(fill * 0.9 + halo * (1 - Math.min(Math.hypot(u, v), 1)), 1);
+    },
+    ring: (u, v) => {
+        const r = Math.hypot(u, v);
+        const band = Math.exp(-(((r - 0.6) / 0.12) ** 2));
+        return Math.min(band + Math.exp(-r * r * 20) * 0.3, 1);
+    }
+};
+
+// White RGBA sprite with the shape in alpha
+export function createSpriteTexture(shape = 'glow', size = 64) {
+    const sprite = SPRITES[shape];
+    if (!sprite) throw new Error(`Unknown sprite "${shape}", expected one of ${SPRITE_SHAPES.join(', ')}`);
+
+    const data = new Uint8Array(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const u = (x + 0.5) / size * 2 - 1;
+            const v = (y + 0.5) / size * 2 - 1;
+            const i = (y * size + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = 255;
+            data[i + 3] = Math.round(Math.max(0, Math.min(sprite(u, v), 1)) * 255);
+        }
+    }
+    const tex = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+    tex.colorSpace = THREE.SRGBColorSpace;
+    tex.magFilter = tex.minFilter = THREE.LinearFilter;
+    tex.needsUpdate = true;
+    return tex;
+}
+
+// Vertex side: declares the style uniforms and per-particle attributes and
+// stylePoint(mvPosition, speed), which sets vAlpha / vBlur and returns gl_PointSize
+export const pointStyleVertex = /* glsl */ `
+    uniform float pointSize;
+    uniform float scale;
+    uniform float time;
+    uniform float beat;
+    uniform float beatSize;
+    uniform float speedSize;
+    uniform float twinkle;
+    uniform float twinkleSpeed;
+    uniform float focusDistance;
+    uniform float aperture;
+    uniform float maxBlur;
+    attribute float size;
+    attribute float alpha;
+    attribute float phase;
+    varying float vAlpha;
+    varying float vBlur;
+
+    float stylePoint(vec4 mvPosition, float speed) {
+        float depth = -mvPosition.z;
+        float blur = min(abs(depth - focusDistance) * aperture, maxBlur);
+        float flicker = 1.0 - twinkle * (0.5 + 0.5 * sin(time * twinkleSpeed + phase * 6.2831853));
+
+        // A blurred point spreads the same light over a bigger disc
+        vAlpha = alpha * flicker / ((1.0 + blur) * (1.0 + blur));
+        vBlur = maxBlur > 0.0 ? blur / maxBlur : 0.0;
+
+        float grow = (1.0 + beat * beatSize) * (1.0 + min(speed, 2.0) * speedSize) * (1.0 + blur);
+        return pointSize * size * grow * (scale / depth); // sizeAttenuation like PointsMaterial
+    }
+`;
+
+// Fragment side: spriteAlpha() blends the sprite into a soft disc as blur grows
+export const pointStyleFragment = /* glsl */ `
+    uniform sampler2D map;
+    uniform float opacity;
+    varying float vAlpha;
+    varying float vBlur;
+
+    float spriteAlpha() {
+        vec2 uv = vec2(gl_PointCoord.x, 1.0 - gl_PointCoord.y);
+        float sharp = texture2D(map, uv).a;
+        float soft = 1.0 - smoothstep(0.0, 1.0, length(uv - 0.5) * 2.0);
+        return mix(sharp, soft, vBlur) * opacity * vAlpha;
+    }
+`;
+
+const vertexShader = /* glsl */ `
+    attribute float speed;
+    varying vec3 vColor;
+
+    ${pointStyleVertex}
+    #include <fog_pars_vertex>
+
+    void main() {
+        vColor = color;
+        vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+        gl_Position = projectionMatrix * mvPosition;
+        gl_PointSize = stylePoint(mvPosition, speed);
+
+        #include <fog_vertex>
+    }
+`;
+
+const fragmentShader = /* glsl */ `
+    varying vec3 vColor;
+
+    ${pointStyleFragment}
+    #include <fog_pars_fragment>
+
+    void main() {
+        gl_FragColor = vec4(vColor, spriteAlpha());
+
+        #include <fog_fragment>
+    }
+`;
+
+// Uniforms for both materials (fog included); `map` is set from the style's sprite
+export function createPointStyleUniforms() {
+    const uniforms = THREE.UniformsUtils.merge([
+        THREE.UniformsLib.fog,
+        {
+            pointSize: { value: defaultPointStyle.size },
+            scale: { value: 1 },
+            time: { value: 0 },
+            beat: { value: 0 },
+            beatSize: { value: 0 },
+            speedSize: { value: 0 },
+            twinkle: { value: 0 },
+            twinkleSpeed: { value: 0 },
+            focusDistance: { value: 0 },
+            aperture: { value: 0 },
+            maxBlur: { value: 0 },
+            opacity: { value: 1 }
+        }
+    ]);
+    uniforms.map = { value: null }; // merge() clones values, textures go in afterwards
+    return uniforms;
+}
+
+// CPU / worker backends: position, color, size, alpha, phase and speed attributes
+export function createPointsMaterial() {
+    return new THREE.ShaderMaterial({
+        uniforms: createPointStyleUniforms(),
+        vertexShader,
+        fragmentShader,
+        vertexColors: true,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        fog: true
+    });
+}
+
+// Copy a point style onto either material's uniforms. Sprite textures are made once per shape.
+export function applyPointStyle(material, style, sprites) {
+    const u = material.uniforms;
+    u.pointSize.value = style.size;
+    u.beatSize.value = style.beatSize;
+    u.speedSize.value = style.speedSize;
+    u.twinkle.value = style.twinkle;
+    u.twinkleSpeed.value = style.twinkleSpeed;
+    u.opacity.value = style.opacity;
+    u.focusDistance.value = style.focusDistance;
+    u.aperture.value = style.aperture;
+    u.maxBlur.value = style.maxBlur;
+    if (!sprites.has(style.sprite)) sprites.set(style.sprite, createSpriteTexture(style.sprite));
+    u.map.value = sprites.get(style.sprite);
+}
+
+// Heartbeat phase for the `beat` uniform from a pulse scale (1 = at rest)
+export function beatFromPulse(pulseScale) {
+    return Math.min(Math.max((pulseScale - 1) / BEAT_RANGE, 0), 1);
+}
@@ -0,0 +1,202 @@
+// Fixed-timestep particle physics, plain typed arrays and no Three.js or DOM,
+// so it runs headless in Node for snapshot tests.
+//
+// Forces are tuned in "ticks" of the original 60 Hz frame loop. A step of
+// `h` seconds covers s = h * 60 ticks: forces and velocity scale by s and
+// damping becomes damping^s. At the default 1/60 step this is exactly the
+// original per-frame update, now independent of the display refresh rate.
+
+export const REFERENCE_RATE = 60;
+export const INTEGRATORS = ['euler', 'verlet'];
+export const FIELD_TYPES = ['attract', 'repel', 'vortex'];
+export const MAX_FIELDS = 16; // two hands: palm + five fingertips each, plus a few remote hands
+
+const GESTURES = { IDLE: 0, EXPAND: 1, CONTRACT: 2 };
+
+// Accumulates frame time and hands out whole fixed steps.
+// `alpha` is how far the leftover time is into the next step, for interpolation.
+export class FixedTimestep {
+    constructor(step = 1 / REFERENCE_RATE, maxSteps = 8) {
+        this.step = step;
+        this.maxSteps = maxSteps; // cap per frame so a long stall can't spiral
+        this.reset();
+    }
+
+    reset() {
+        this.accumulator = 0;
+        this.alpha = 0;
+    }
+
+    // Returns how many steps to run for a frame of `dt` seconds
+    advance(dt) {
+        this.accumulator += Math.max(dt, 0);
+        let steps = Math.floor(this.accumulator / this.step + 1e-9); // 1/144 * 144 may land just under 1
+        if (steps > this.maxSteps) {
+            steps = this.maxSteps;
+            this.accumulator = 0; // drop the backlog rather than fast-forward
+        } else {
+            this.accumulator -= steps * this.step;
+        }
+        this.alpha = Math.max(this.accumulator, 0) / this.step;
+        return steps;
+    }
+}
+
+// position, previous (last step, for Verlet + interpolation), velocity (units per tick), target
+export function createParticleState(count) {
+    return {
+        count,
+        position: new Float32Array(count * 3),
+        previous: new Float32Array(count * 3),
+        velocity: new Float32Array(count * 3),
+        target: new Float32Array(count * 3)
+    };
+}
+
+// Localized force fields, e.g. a hand's palm and fingertips.
+// { x, y, z, radius, strength, type: 'attract' | 'repel' | 'vortex', falloff, axis } in particle space.
+// The force fades to zero at `radius` as (1 - d / radius)^falloff (default 2).
+// Vortices swirl around `axis` ([x, y, z], unit length, default +Y) and pull in slightly
+// so particles orbit instead of flying off.
+function applyFields(fields, px, py, pz, f) {
+    for (let k = 0; k < fields.length; k++) {
+        const field = fields[k];
+        const dx = px - field.x;
+        const dy = py - field.y;
+        const dz = pz - field.z;
+        const d = Math.sqrt(dx * dx + dy * dy + dz * dz) + 0.001;
+        if (d >= field.radius) continue;
+
+        const w = (1 - d / field.radius) ** (field.falloff ?? 2);
+        if (field.type === 'vortex') {
+            const [ax, ay, az] = field.axis || [0, 1, 0];
+            const spin = 20 * field.strength * w / REFERENCE_RATE / d;
+            const pull = field.strength * w / REFERENCE_RATE;
+            f[0] += (ay * dz - az * dy) * spin - dx * pull;
+            f[1] += (az * dx - ax * dz) * spin - dy * pull;
+            f[2] += (ax * dy - ay * dx) * spin - dz * pull;
+        } else if (field.type === 'repel') {
+            const push = 50 * field.strength * w / REFERENCE_RATE / d;
+            f[0] += dx * push;
+            f[1] += dy * push;
+            f[2] += dz * push;
+        } else {
+            const pull = 5 * field.strength * w / REFERENCE_RATE;
+            f[0] -= dx * pull;
+            f[1] -= dy * pull;
+            f[2] -= dz * pull;
+        }
+    }
+}
+
+// Advance `count` particles one step of `h` seconds.
+// params: { springStrength, damping, noiseStrength, integrator }
+// forces: { pulseScale, gesture: 'IDLE' | 'EXPAND' | 'CONTRACT', strength, impulse, fields }
+// `random` is any Math.random-style function (seed it for reproducible runs).
+export function stepParticles(state, count, params, forces, h, random = Math.random) {
+    const { position, previous, velocity, target } = state;
+    const s = h * REFERENCE_RATE;
+    const damping = Math.pow(params.damping, s);
+    const verlet = params.integrator === 'verlet';
+
+    const gesture = GESTURES[forces.gesture] || 0;
+    const handStrength = forces.strength || 0;
+    const pulseScale = forces.pulseScale ?? 1;
+    const impulse = forces.impulse || 0;
+    const spring = params.springStrength;
+    const noise = params.noiseStrength;
+    const fields = forces.fields && forces.fields.length ? forces.fields.slice(0, MAX_FIELDS) : null;
+    const fieldForce = [0, 0, 0];
+
+    for (let i = 0; i < count; i++) {
+        const idx = i * 3;
+        const px = position[idx];
+        const py = position[idx + 1];
+        const pz = position[idx + 2];
+
+        // 1. Spring Force to Home
+        let fx = (target[idx] * pulseScale - px) * spring;
+        let fy = (target[idx + 1] * pulseScale - py) * spring;
+        let fz = (target[idx + 2] * pulseScale - pz) * spring;
+
+        // 2. Gesture Forces
+        const len = Math.sqrt(px * px + py * py + pz * pz) + 0.001;
+        if (gesture === 1) {
+            // Explosion: push away from center
+            const push = 50 * handStrength / REFERENCE_RATE;
+            fx += (px / len) * push;
+            fy += (py / len) * push;
+            fz += (pz / len) * push;
+        } else if (gesture === 2) {
+            // Implosion: pull to center
+            const pull = 5 * handStrength / REFERENCE_RATE;
+            fx -= px * pull;
+            fy -= py * pull;
+            fz -= pz * pull;
+        }
+
+        if (fields) {
+            fieldForce[0] = fieldForce[1] = fieldForce[2] = 0;
+            applyFields(fields, px, py, pz, fieldForce);
+            fx += fieldForce[0];
+            fy += fieldForce[1];
+            fz += fieldForce[2];
+        }
+
+        // 3. Noise / Brownian
+        fx += (random() - 0.5) * noise;
+        fy += (random() - 0.5) * noise;
+        fz += (random() - 0.5) * noise;
+
+        let nx, ny, nz;
+        if (verlet) {
+            // Position Verlet: x' = x + (x - x_prev) * damping + f * s^2
+            nx = px + (px - previous[idx]) * damping + fx * s * s;
+            ny = py + (py - previous[idx + 1]) * damping + fy * s * s;
+            nz = pz + (pz - previous[idx + 2]) * damping + fz * s * s;
+            if (impulse) {
+                nx += (px / len) * impulse * s;
+                ny += (py / len) * impulse * s;
+                nz += (pz / len) * impulse * s;
+            }
+            velocity[idx] = (nx - px) / s;
+            velocity[idx + 1] = (ny - py) / s;
+            velocity[idx + 2] = (nz - pz) / s;
+        } else {
+            // Semi-implicit Euler: velocity first, then position with the new velocity
+            let vx = (velocity[idx] + fx * s) * damping;
+            let vy = (velocity[idx + 1] + fy * s) * damping;
+            let vz = (velocity[idx + 2] + fz * s) * damping;
+            if (impulse) {
+                // Burst is a one-off velocity kick, not a force
+                vx += (px / len) * impulse * damping;
+                vy += (py / len) * impulse * damping;
+                vz += (pz / len) * impulse * damping;
+            }
+            velocity[idx] = vx;
+            velocity[idx + 1] = vy;
+            velocity[idx + 2] = vz;
+            nx = px + vx * s;
+            ny = py + vy * s;
+            nz = pz + vz * s;
+        }
+
+        previous[idx] = px;
+        previous[idx + 1] = py;
+        previous[idx + 2] = pz;
+        position[idx] = nx;
+        position[idx + 1] = ny;
+        position[idx + 2] = nz;
+    }
+}
+
+// Blend the last two steps into `out` (alpha from FixedTimestep) so motion stays
+// smooth when the display rate isn't a multiple of the step rate
+export function interpolatePositions(state, count, alpha, out) {
+    const { position, previous } = state;
+    const n = count * 3;
+    for (let i = 0; i < n; i++) {
+        out[i] = previous[i] + (position[i] - previous[i]) * alpha;
+    }
+    return out;
+}
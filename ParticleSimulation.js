@@ -0,0 +1,285 @@
+// Headless particle simulation: shapes, morphing, heartbeat, fixed-step physics,
+// particle lifecycle (sparks, explosions, trails) and velocity colors. Typed arrays in, typed arrays out; no Three.js or DOM, so
+// it runs in Node (tests), in a Web Worker (ParticleWorker.js) or behind
+// HeartSystem, which only draws what this produces.
+
+import { ShapeLibrary } from './ShapeLibrary.js';
+import { createRandom } from './Random.js';
+import { FixedTimestep, INTEGRATORS, createParticleState, stepParticles, interpolatePositions } from './ParticlePhysics.js';
+import { ParticleLifecycle } from './ParticleLifecycle.js';
+
+export class ParticleSimulation {
+    // options.step: fixed physics step in seconds (default 1/60), options.integrator: 'euler' | 'verlet',
+    // options.seed: PRNG seed for shapes and noise (random if omitted).
+    constructor(maxCount = 5000, options = {}) {
+        this.maxCount = maxCount;
+        this.currentCount = Math.min(3000, maxCount);
+
+        // Physics state (see ParticlePhysics)
+        this.state = createParticleState(maxCount);
+
+        // State
+        this.time = 0;
+        this.pulseSpeed = 1.0; // BPM factor
+        this.pulseSource = null; // { getPulse(time) } replaces the built-in sine beat
+        this.impulse = 0; // one-shot outward kick, see burst()
+        this.timestep = new FixedTimestep(options.step);
+        this.setSeed(options.seed); // shape sampling + noise
+        this.lifecycle = new ParticleLifecycle(this.state, maxCount, (...args) => this.random(...args));
+        this.lifecycle.setBodyCount(this.currentCount);
+        this.lastPulse = 1; // pulse scale of the last step: beat detection, point size on the beat
+        this.pulseRising = false;
+        this.stepParams = {}; // params with the lifecycle's spring scale, reused every step
+
+        this.params = {
+            springStrength: 0.05,
+            damping: 0.92,
+            noiseStrength: 0.2,
+            integrator: INTEGRATORS.includes(options.integrator) ? options.integrator : 'euler',
+            gradient: [[1, 0, 0.0908], [1, 0, 1]] // linear RGB stops, slow -> fast (#ff0055 -> #ff00ff)
+        };
+
+        // Shapes
+        this.shapes = new ShapeLibrary();
+        this.shape = 'heart';
+        this.shapeArray = null; // home positions sampled from the current shape
+        this.morph = null; // { from, to, elapsed, duration } while blending targets
+        this.targetsDirty = false; // targets changed since the last step (GPU re-upload)
+
+        this.initParticles();
+    }
+
+    // Deterministic layouts and noise from here on (null = a fresh random seed).
+    // Call initParticles() afterwards to re-sample the current shape with the seed.
+    setSeed(seed) {
+        this.random = createRandom(seed === null || seed === undefined ? Math.random() * 2 ** 32 : seed);
+        return this;
+    }
+
+    initParticles() {
+        this.morph = null;
+        this.shapeArray = this.shapes.sample(this.shape, this.maxCount, this.random);
+        for (let i = 0; i < this.maxCount; i++) {
+            this.resetParticle(i);
+        }
+        this.lifecycle.clear();
+        this.timestep.reset();
+        this.targetsDirty = true;
+    }
+
+    // Carry on from drawn positions, e.g. a dead worker's last frame: the first `count`
+    // particles stay where they are and take that spot, minus the beat, as home
+    resumeFrom(positions, count, pulseScale = 1) {
+        this.initParticles(); // homes for the slots the frame doesn't cover
+        const { position, previous, target } = this.state;
+        const n = Math.min(count, this.currentCount) * 3;
+        this.shapeArray = this.shapeArray.slice(); // samplers may hand out the same array every time
+        for (let i = 0; i < n; i++) {
+            position[i] = previous[i] = positions[i];
+            target[i] = this.shapeArray[i] = positions[i] / pulseScale;
+        }
+        this.lastPulse = pulseScale;
+    }
+
+    resetParticle(i) {
+        const { position, previous, velocity, target } = this.state;
+        const idx = i * 3;
+
+        // Initial positions: start at target
+        for (let k = idx; k < idx + 3; k++) {
+            position[k] = previous[k] = target[k] = this.shapeArray[k];
+            velocity[k] = 0;
+        }
+    }
+
+    registerShape(name, sampler) {
+        this.shapes.register(name, sampler);
+        return this;
+    }
+
+    // Jump straight to a shape (particles still spring over to it)
+    setShape(shape) {
+        return this.morphTo(shape, 0);
+    }
+
+    // Blend the targets from the current homes to `shape` over `duration` seconds.
+    // Physics keeps running, so particles follow the moving targets.
+    morphTo(shape, duration = 1.5) {
+        const next = this.shapes.sample(shape, this.maxCount, this.random);
+        this.shape = shape;
+
+        if (duration <= 0) {
+            this.morph = null;
+            this.shapeArray = next;
+            this.state.target.set(next);
+            this.targetsDirty = true;
+        } else {
+            this.morph = {
+                from: this.state.target.slice(),
+                to: next,
+                elapsed: 0,
+                duration
+            };
+        }
+        return this;
+    }
+
+    updateMorph(dt) {
+        const m = this.morph;
+        if (!m) return;
+
+        m.elapsed += dt;
+        const t = Math.min(m.elapsed / m.duration, 1);
+        const k = t * t * (3 - 2 * t); // smoothstep easing
+
+        const target = this.state.target;
+        const n = this.maxCount * 3;
+        for (let i = 0; i < n; i++) {
+            target[i] = m.from[i] + (m.to[i] - m.from[i]) * k;
+        }
+        this.targetsDirty = true;
+
+        if (t >= 1) {
+            this.shapeArray = m.to;
+            this.morph = null;
+        }
+    }
+
+    setParticleCount(count) {
+        const previous = this.currentCount;
+        this.currentCount = Math.min(count, this.maxCount);
+        this.lifecycle.setBodyCount(this.currentCount); // moves the live sparks out of the way
+        // Slots the shape takes back held sparks, live or dead: put them home
+        for (let i = previous; i < this.currentCount; i++) this.resetParticle(i);
+    }
+
+    // Shape particles plus live sparks
+    get drawCount() {
+        return this.lifecycle.drawCount;
+    }
+
+    // Kick every particle outwards once; springs pull them back home
+    burst(strength = 1) {
+        this.impulse += 3 * strength;
+    }
+
+    // Blow the shape apart and bring it back, see defaultExplosionOptions
+    explode(options = {}) {
+        this.impulse += this.lifecycle.explode(options);
+    }
+
+    // Sparks shed from the shape, see defaultEmitterOptions
+    addEmitter(name, options = {}) {
+        this.lifecycle.addEmitter(name, options);
+        return this;
+    }
+
+    removeEmitter(name) {
+        this.lifecycle.removeEmitter(name);
+        return this;
+    }
+
+    emit(count, options = {}) {
+        return this.lifecycle.emit(count, options);
+    }
+
+    // { enabled, length, stride, maxSegments }, see defaultTrailOptions
+    setTrails(options) {
+        this.lifecycle.setTrails(options);
+        return this;
+    }
+
+    // Emitters shed on each heartbeat: the peak of the pulse
+    detectBeat(pulseScale) {
+        const rising = pulseScale > this.lastPulse;
+        if (this.pulseRising && !rising && this.lastPulse > 1.01) this.lifecycle.onBeat();
+        this.pulseRising = rising;
+        this.lastPulse = pulseScale;
+    }
+
+    getPulseScale() {
+        if (this.pulseSource) return 1 + this.pulseSource.getPulse(this.time);
+
+        // Heartbeat Pulse (Sine wave scaling)
+        // BPM ~ 60 => 1 beat per second. sin(time * PI).
+        return 1 + Math.sin(this.time * 3) * 0.05 * (1 + Math.sin(this.time * 3 + Math.PI) * 0.5); // irregular beat
+    }
+
+    // Advance by a frame of `dt` seconds in fixed steps; returns the step count.
+    // `stepper(h, pulseScale, params)` replaces the CPU physics (the GPU backend steps its
+    // textures; sparks and trails are CPU only).
+    update(dt, gestureState, stepper = null) {
+        const h = this.timestep.step;
+        const steps = this.timestep.advance(dt);
+        const lifecycle = this.lifecycle;
+
+        for (let n = 0; n < steps; n++) {
+            this.time += h * this.pulseSpeed;
+            this.updateMorph(h);
+            const pulseScale = this.getPulseScale();
+            this.detectBeat(pulseScale);
+            lifecycle.updateExplosion(h, () => {
+                for (let i = 0; i < this.currentCount; i++) this.resetParticle(i);
+            });
+            const params = Object.assign(this.stepParams, this.params);
+            params.springStrength *= lifecycle.springScale;
+
+            if (stepper) {
+                stepper(h, pulseScale, params);
+            } else {
+                stepParticles(this.state, this.currentCount, params, {
+                    pulseScale,
+                    gesture: gestureState.type,
+                    strength: gestureState.strength,
+                    impulse: this.impulse,
+                    fields: gestureState.fields
+                }, h, this.random);
+                lifecycle.step(h);
+            }
+            this.targetsDirty = false;
+            lifecycle.respawned = false;
+            this.impulse = 0; // burst is consumed by the first step
+        }
+        return steps;
+    }
+
+    // Interpolated positions and velocity colors for drawing (xyz / rgb per particle,
+    // drawCount of them). Optional outputs in `out`:
+    //   speeds                        per-particle speed
+    //   alphas                        per-particle fade (sparks dying, respawns); without
+    //                                 it the fade is multiplied into the colors instead
+    //   trailPositions, trailColors   trail line segments (two xyz / rgb vertices each)
+    // Returns the number of trail segments written.
+    writeFrame(positions, colors, out = {}) {
+        const { speeds = null, alphas = null, trailPositions = null, trailColors = null } = out;
+        const count = this.drawCount;
+        interpolatePositions(this.state, count, this.timestep.alpha, positions);
+
+        const velocity = this.state.velocity;
+        const fade = this.lifecycle.fade;
+        const gradient = this.params.gradient;
+        const last = gradient.length - 2;
+        for (let i = 0; i < count; i++) {
+            const idx = i * 3;
+
+            // Color Dynamics based on Velocity Magnitude
+            // Low speed = first stop, high speed = last
+            const speed = Math.sqrt(velocity[idx] ** 2 + velocity[idx + 1] ** 2 + velocity[idx + 2] ** 2);
+            const x = Math.min(speed * 0.5, 1.0) * (gradient.length - 1);
+            const s = Math.min(Math.floor(x), last);
+            const a = gradient[s];
+            const b = gradient[s + 1];
+            const t = x - s;
+            // Additive blending: dimming to black fades a particle out
+            const k = alphas ? 1 : fade[i];
+            colors[idx] = (a[0] + (b[0] - a[0]) * t) * k;
+            colors[idx + 1] = (a[1] + (b[1] - a[1]) * t) * k;
+            colors[idx + 2] = (a[2] + (b[2] - a[2]) * t) * k;
+            if (speeds) speeds[i] = speed;
+            if (alphas) alphas[i] = fade[i];
+        }
+
+        if (!trailPositions) return 0;
+        return this.lifecycle.writeTrails(positions, colors, trailPositions, trailColors, !!alphas);
+    }
+}
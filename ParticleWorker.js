@@ -0,0 +1,58 @@
+// Web Worker entry: runs a ParticleSimulation off the main thread.
+// Driven by WorkerSimulation; each 'update' carries the frame time, gesture and
+// params plus an output buffer pair, which comes back filled in a 'frame' message
+// (transferred, or shared when the page is cross-origin isolated).
+
+import { ParticleSimulation } from './ParticleSimulation.js';
+
+const METHODS = [
+    'setSeed', 'initParticles', 'setShape', 'morphTo', 'burst', 'setParticleCount',
+    'explode', 'addEmitter', 'removeEmitter', 'emit', 'setTrails'
+];
+
+let sim = null;
+
+function postFrame(buffers) {
+    buffers.trailCount = sim.writeFrame(buffers.positions, buffers.colors, buffers);
+    buffers.drawCount = sim.drawCount;
+    buffers.pulse = sim.lastPulse;
+    const arrays = [buffers.positions, buffers.colors, buffers.speeds, buffers.alphas, buffers.trailPositions, buffers.trailColors];
+    const transfer = buffers.positions.buffer instanceof ArrayBuffer
+        ? arrays.map(a => a.buffer)
+        : []; // SharedArrayBuffer views are shared, not moved
+    self.postMessage({ type: 'frame', buffers, time: sim.time }, transfer);
+}
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    try {
+        switch (msg.type) {
+            case 'init':
+                sim = new ParticleSimulation(msg.maxCount, msg.options);
+                postFrame(msg.buffers);
+                break;
+            case 'update':
+                Object.assign(sim.params, msg.params);
+                sim.pulseSpeed = msg.pulseSpeed;
+                // The pulse source lives on the main thread; it sends this frame's value
+                sim.pulseSource = msg.pulse === null ? null : { getPulse: () => msg.pulse };
+                sim.update(msg.dt, msg.gesture);
+                postFrame(msg.buffers);
+                break;
+            case 'shape':
+                sim.registerShape(msg.name, () => msg.points);
+                break;
+            case 'time':
+                sim.time = msg.value;
+                break;
+            case 'call':
+                if (!METHODS.includes(msg.method)) throw new Error(`Unknown simulation method "${msg.method}"`);
+                sim[msg.method](...msg.args);
+                break;
+            default:
+                throw new Error(`Unknown message "${msg.type}"`);
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
@@ -0,0 +1,225 @@
+// Mouse / touch / keyboard input provider.
+// Produces the same { type, strength, rotationY, hand } state as GestureHandler so the
+// app can run without a camera (kiosks, phones that deny camera permission).
+//
+//   drag             rotate the heart
+//   two-finger pinch CONTRACT, spread EXPAND (strength from how far)
+//   long press       CONTRACT while held
+//   wheel            zoom action
+//   keyboard         see defaultKeyBindings
+
+// Held keys set the gesture type; tapped keys fire app actions (same names as GestureMapper actions)
+export const defaultKeyBindings = {
+    hold: {
+        ' ': 'CONTRACT',
+        c: 'CONTRACT',
+        e: 'EXPAND'
+    },
+    tap: {
+        r: { action: 'reset' },
+        b: { action: 'burst', args: { strength: 1 } },
+        x: { action: 'explode', args: { strength: 1 } },
+        p: { action: 'changePalette' },
+        '[': { action: 'morphShape', args: { step: -1 } },
+        ']': { action: 'morphShape', args: { step: 1 } },
+        ArrowLeft: { action: 'rotate', args: { scale: 1 }, value: -0.3 },
+        ArrowRight: { action: 'rotate', args: { scale: 1 }, value: 0.3 }
+    }
+};
+
+// Letters the same with Shift or Caps Lock (a 'C' keydown can end in a 'c' keyup);
+// named keys like ArrowLeft stay as they are
+function keyName(e) {
+    return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+}
+
+export class PointerInput {
+    // options.getRotation: () => current heart rotation, so drags continue from it
+    // options.onAction: (name, args, event) for wheel zoom and tapped keys
+    // options.keyTarget: where key events are heard (default window; a focusable element
+    // keeps several hearts on one page from all reacting to the same keys)
+    constructor(element, onGestureUpdate, options = {}) {
+        this.element = element;
+        this.onGestureUpdate = onGestureUpdate;
+        this.getRotation = options.getRotation || (() => 0);
+        this.onAction = options.onAction || (() => {});
+        this.keyBindings = options.keyBindings || defaultKeyBindings;
+        this.keyTarget = options.keyTarget || window;
+        this.longPressDelay = options.longPressDelay ?? 500; // ms
+        this.enabled = false;
+
+        this.pointers = new Map(); // pointerId -> { x, y, startX, startY }
+        this.pinchStart = 0;
+        this.dragStartRotation = 0;
+        this.longPressTimer = null;
+        this.longPress = false;
+        this.heldKeys = new Set();
+        this.rotationY = undefined;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+        this.onKeyDown = this.onKeyDown.bind(this);
+        this.onKeyUp = this.onKeyUp.bind(this);
+    }
+
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        this.element.style.touchAction = 'none'; // we handle pinch ourselves
+        this.element.addEventListener('pointerdown', this.onPointerDown);
+        this.element.addEventListener('pointermove', this.onPointerMove);
+        this.element.addEventListener('pointerup', this.onPointerUp);
+        this.element.addEventListener('pointercancel', this.onPointerUp);
+        this.element.addEventListener('wheel', this.onWheel, { passive: true });
+        this.keyTarget.addEventListener('keydown', this.onKeyDown);
+        this.keyTarget.addEventListener('keyup', this.onKeyUp);
+    }
+
+    disable() {
+        if (!this.enabled) return;
+        this.enabled = false;
+        this.element.style.touchAction = '';
+        this.element.removeEventListener('pointerdown', this.onPointerDown);
+        this.element.removeEventListener('pointermove', this.onPointerMove);
+        this.element.removeEventListener('pointerup', this.onPointerUp);
+        this.element.removeEventListener('pointercancel', this.onPointerUp);
+        this.element.removeEventListener('wheel', this.onWheel);
+        this.keyTarget.removeEventListener('keydown', this.onKeyDown);
+        this.keyTarget.removeEventListener('keyup', this.onKeyUp);
+
+        this.pointers.clear();
+        this.heldKeys.clear();
+        this.cancelLongPress();
+        this.rotationY = undefined;
+        this.onGestureUpdate({ type: 'IDLE', strength: 0, rotationY: undefined });
+    }
+
+    onPointerDown(e) {
+        this.element.setPointerCapture(e.pointerId);
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY, startX: e.clientX, startY: e.clientY });
+
+        if (this.pointers.size === 1) {
+            this.dragStartRotation = this.getRotation();
+            this.longPressTimer = setTimeout(() => {
+                this.longPress = true;
+                this.emit();
+            }, this.longPressDelay);
+        } else {
+            this.cancelLongPress();
+            this.pinchStart = this.pinchDistance();
+        }
+        this.emit();
+    }
+
+    onPointerMove(e) {
+        const p = this.pointers.get(e.pointerId);
+        if (!p) return;
+        p.x = e.clientX;
+        p.y = e.clientY;
+
+        // Moving more than a few pixels means it's a drag, not a long press
+        if (Math.hypot(p.x - p.startX, p.y - p.startY) > 10 && !this.longPress) this.cancelLongPress();
+
+        if (this.pointers.size === 1 && !this.longPress) {
+            // Full canvas width = one turn, same scale as the wrist mapping
+            const dx = (p.x - p.startX) / this.element.clientWidth;
+            this.rotationY = this.dragStartRotation + dx * Math.PI * 2;
+        }
+        this.emit();
+    }
+
+    onPointerUp(e) {
+        this.pointers.delete(e.pointerId);
+        if (this.pointers.size === 0) {
+            this.cancelLongPress();
+            this.rotationY = undefined; // back to idle spin
+        } else if (this.pointers.size === 1) {
+            // Lifting one finger of a pinch continues as a drag from here
+            const [p] = this.pointers.values();
+            p.startX = p.x;
+            p.startY = p.y;
+            this.dragStartRotation = this.getRotation();
+        }
+        this.emit();
+    }
+
+    onWheel(e) {
+        this.onAction('zoom', { scale: 1 }, { value: e.deltaY * 0.02, dt: 0 });
+    }
+
+    onKeyDown(e) {
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA')) return;
+
+        const key = keyName(e);
+        if (this.keyBindings.hold[key]) {
+            e.preventDefault();
+            this.heldKeys.add(key);
+            this.emit();
+            return;
+        }
+
+        const tap = this.keyBindings.tap[key];
+        if (tap && !e.repeat) {
+            e.preventDefault();
+            this.onAction(tap.action, tap.args || {}, { value: tap.value || 0, dt: 0 });
+        }
+    }
+
+    onKeyUp(e) {
+        if (this.heldKeys.delete(keyName(e))) this.emit();
+    }
+
+    cancelLongPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+        this.longPress = false;
+    }
+
+    pinchDistance() {
+        const [a, b] = this.pointers.values();
+        return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+    }
+
+    // Resolve everything currently held into one gesture state
+    emit() {
+        const state = { type: 'IDLE', strength: 0, rotationY: this.rotationY, hand: undefined };
+
+        if (this.pointers.size > 0) {
+            // Centroid of the touching pointers, 0-1 over the element
+            const rect = this.element.getBoundingClientRect();
+            let x = 0, y = 0;
+            for (const p of this.pointers.values()) {
+                x += p.x;
+                y += p.y;
+            }
+            state.hand = {
+                x: (x / this.pointers.size - rect.left) / rect.width,
+                y: (y / this.pointers.size - rect.top) / rect.height
+            };
+        }
+
+        if (this.pointers.size >= 2) {
+            const ratio = this.pinchDistance() / this.pinchStart;
+            if (ratio > 1.1) {
+                state.type = 'EXPAND';
+                state.strength = Math.min((ratio - 1.1) * 2, 1);
+            } else if (ratio < 0.9) {
+                state.type = 'CONTRACT';
+                state.strength = Math.min((0.9 - ratio) * 2.5, 1);
+            }
+        } else if (this.longPress) {
+            state.type = 'CONTRACT';
+            state.strength = 1.0;
+        }
+
+        // Keys win over pointers
+        for (const key of this.heldKeys) {
+            state.type = this.keyBindings.hold[key];
+            state.strength = 1.0;
+        }
+
+        this.onGestureUpdate(state);
+    }
+}
@@ -0,0 +1,316 @@
+// Named scene presets: physics, colors, bloom, camera and particle count.
+// Presets are plain JSON ({ name, version, settings }) so they can live in
+// localStorage, be exported/imported as files and be packed into a URL hash.
+// The app supplies an adapter with read() / apply(settings); this module never
+// touches HeartSystem or the GUI directly.
+
+export const PRESET_VERSION = 1;
+const STORAGE_KEY = 'kinetic-heart.presets';
+
+// Every setting a preset may carry, with its type and valid range
+export const PRESET_FIELDS = {
+    particleCount: { type: 'number', min: 100, max: 100000, integer: true },
+    springStrength: { type: 'number', min: 0, max: 1 },
+    damping: { type: 'number', min: 0, max: 1 },
+    noiseStrength: { type: 'number', min: 0, max: 5 },
+    color1: { type: 'color' },
+    color2: { type: 'color' },
+    bloomStrength: { type: 'number', min: 0, max: 3 },
+    bloomRadius: { type: 'number', min: 0, max: 1 },
+    bloomThreshold: { type: 'number', min: 0, max: 1 },
+    cameraPosition: { type: 'vec3', min: -1000, max: 1000 },
+    cameraTarget: { type: 'vec3', min: -1000, max: 1000 },
+    cameraFov: { type: 'number', min: 10, max: 150 },
+    shape: { type: 'string' }
+};
+
+export const builtInPresets = {
+    'Default': {
+        particleCount: 3000, springStrength: 0.05, damping: 0.92, noiseStrength: 0.2,
+        color1: '#ff0055', color2: '#ff00ff',
+        bloomStrength: 1.5, bloomRadius: 0.4, bloomThreshold: 0.85,
+        cameraPosition: [0, 0, 40], cameraTarget: [0, 0, 0], cameraFov: 60, shape: 'heart'
+    },
+    'Calm': {
+        particleCount: 2000, springStrength: 0.02, damping: 0.96, noiseStrength: 0.05,
+        color1: '#3a0ca3', color2: '#4cc9f0',
+        bloomStrength: 0.9, bloomRadius: 0.6, bloomThreshold: 0.7,
+        cameraPosition: [0, 5, 55], cameraTarget: [0, 0, 0], cameraFov: 50, shape: 'heart'
+    },
+    'Neon Storm': {
+        particleCount: 5000, springStrength: 0.08, damping: 0.88, noiseStrength: 0.8,
+        color1: '#ff0033', color2: '#00f2ff',
+        bloomStrength: 2.5, bloomRadius: 0.3, bloomThreshold: 0.5,
+        cameraPosition: [0, 0, 30], cameraTarget: [0, 0, 0], cameraFov: 70, shape: 'heart'
+    }
+};
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Throws one Error listing every problem, e.g.
+// Invalid preset "Foo":
+// - damping must be between 0 and 1 (got 3)
+// `limits` lowers a field's max for this scene, e.g. { particleCount: 5000 } on the CPU backend
+export function validatePreset(preset, limits = {}) {
+    const errors = [];
+    const name = preset && typeof preset.name === 'string' ? preset.name : '(unnamed)';
+
+    if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        throw new Error("Invalid preset: expected an object with name and settings");
+    }
+    if (typeof preset.name !== 'string' || !preset.name.trim()) errors.push("name must be a non-empty string");
+    if (preset.version !== undefined && preset.version !== PRESET_VERSION) {
+        errors.push(`version ${preset.version} is not supported (expected ${PRESET_VERSION})`);
+    }
+
+    const settings = preset.settings;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        errors.push("settings must be an object");
+    } else {
+        errors.push(...settingErrors(settings, limits));
+    }
+
+    if (errors.length) {
+        const error = new Error(`Invalid preset "${name}":\n- ${errors.join('\n- ')}`);
+        error.errors = errors;
+        throw error;
+    }
+    return preset;
+}
+
+// One message per invalid setting (also used for timeline keys)
+export function settingErrors(settings, limits = {}) {
+    const errors = [];
+    for (const key of Object.keys(settings)) {
+        const field = PRESET_FIELDS[key];
+        const value = settings[key];
+        if (!field) {
+            errors.push(`unknown setting "${key}"`);
+        } else if (field.type === 'number') {
+            const max = Math.min(field.max, limits[key] ?? Infinity);
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${key} must be a number (got ${JSON.stringify(value)})`);
+            } else if (value < field.min || value > max) {
+                errors.push(`${key} must be between ${field.min} and ${max} (got ${value})`);
+            } else if (field.integer && !Number.isInteger(value)) {
+                errors.push(`${key} must be a whole number (got ${value})`);
+            }
+        } else if (field.type === 'color') {
+            if (typeof value !== 'string' || !HEX_COLOR.test(value)) {
+                errors.push(`${key} must be a #rrggbb color (got ${JSON.stringify(value)})`);
+            }
+        } else if (field.type === 'vec3') {
+            if (!Array.isArray(value) || value.length !== 3 || !value.every(v => typeof v === 'number' && Number.isFinite(v))) {
+                errors.push(`${key} must be an array of 3 numbers (got ${JSON.stringify(value)})`);
+            } else if (value.some(v => v < field.min || v > field.max)) {
+                errors.push(`${key} components must be between ${field.min} and ${field.max}`);
+            }
+        } else if (field.type === 'string' && typeof value !== 'string') {
+            errors.push(`${key} must be a string (got ${JSON.stringify(value)})`);
+        }
+    }
+    return errors;
+}
+
+export function lerpColor(a, b, t) {
+    const ca = parseInt(a.slice(1), 16);
+    const cb = parseInt(b.slice(1), 16);
+    let out = 0;
+    for (let shift = 16; shift >= 0; shift -= 8) {
+        const va = (ca >> shift) & 0xff;
+        const vb = (cb >> shift) & 0xff;
+        out |= Math.round(va + (vb - va) * t) << shift;
+    }
+    return '#' + out.toString(16).padStart(6, '0');
+}
+
+// Blend two settings objects. Numbers, colors and vectors interpolate;
+// strings (shape) switch halfway. Keys missing from either side come from the other.
+export function interpolateSettings(a, b, t) {
+    const out = { ...a, ...b };
+    for (const key of Object.keys(out)) {
+        if (!(key in a) || !(key in b)) continue;
+        const field = PRESET_FIELDS[key];
+        if (!field) continue;
+
+        if (field.type === 'number') {
+            const v = a[key] + (b[key] - a[key]) * t;
+            out[key] = field.integer ? Math.round(v) : v;
+        } else if (field.type === 'color') {
+            out[key] = lerpColor(a[key], b[key], t);
+        } else if (field.type === 'vec3') {
+            out[key] = a[key].map((v, i) => v + (b[key][i] - v) * t);
+        } else {
+            out[key] = t < 0.5 ? a[key] : b[key];
+        }
+    }
+    return out;
+}
+
+// URL-safe base64 of the preset JSON
+export function encodePresetHash(preset) {
+    const bytes = new TextEncoder().encode(JSON.stringify(preset));
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function decodePresetHash(hash, limits = {}) {
+    const b64 = hash.replace(/-/g, '+').replace(/_/g, '/');
+    let preset;
+    try {
+        const binary = atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+        preset = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, c => c.charCodeAt(0))));
+    } catch (e) {
+        throw new Error(`Shared preset link is corrupted: ${e.message}`);
+    }
+    return validatePreset(preset, limits);
+}
+
+export class PresetManager {
+    // adapter: { read() => settings, apply(settings) }
+    // maxParticles: what the scene's backend can draw; presets asking for more are rejected
+    // rather than clamped, so the particle count setting never disagrees with the scene
+    constructor(adapter, storage = globalThis.localStorage, { maxParticles = PRESET_FIELDS.particleCount.max } = {}) {
+        this.adapter = adapter;
+        this.storage = storage || null;
+        this.limits = { particleCount: maxParticles };
+        this.fade = null; // { from, to, elapsed, duration }
+        this.presets = this.loadStored();
+    }
+
+    loadStored() {
+        const presets = {};
+        for (const [name, settings] of Object.entries(builtInPresets)) {
+            presets[name] = { name, version: PRESET_VERSION, settings, builtIn: true };
+        }
+        if (!this.storage) return presets;
+
+        try {
+            const stored = JSON.parse(this.storage.getItem(STORAGE_KEY) || '{}');
+            for (const preset of Object.values(stored)) {
+                try {
+                    // Stored on another backend maybe, so checked against the limits only when loaded
+                    const { builtIn, ...user } = validatePreset(preset);
+                    if (builtInPresets[user.name]) throw new Error(`"${user.name}" is a built-in name`);
+                    presets[user.name] = user;
+                } catch (e) {
+                    console.warn("Skipping stored preset:", e.message);
+                }
+            }
+        } catch (e) {
+            console.warn("Stored presets unreadable, ignoring:", e.message);
+        }
+        return presets;
+    }
+
+    persist() {
+        if (!this.storage) return;
+        const user = {};
+        for (const preset of Object.values(this.presets)) {
+            if (!preset.builtIn) user[preset.name] = preset;
+        }
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(user));
+    }
+
+    list() {
+        return Object.keys(this.presets);
+    }
+
+    get(name) {
+        const preset = this.presets[name];
+        if (!preset) throw new Error(`No preset named "${name}"`);
+        return preset;
+    }
+
+    // Snapshot the current scene under `name`
+    save(name) {
+        this.requireUserName(name);
+        const preset = validatePreset({ name, version: PRESET_VERSION, settings: this.adapter.read() }, this.limits);
+        this.presets[name] = preset;
+        this.persist();
+        return preset;
+    }
+
+    remove(name) {
+        if (this.presets[name] && this.presets[name].builtIn) throw new Error(`"${name}" is built in and can't be deleted`);
+        delete this.presets[name];
+        this.persist();
+    }
+
+    requireUserName(name) {
+        if (builtInPresets[name]) throw new Error(`"${name}" is a built-in preset, pick another name`);
+    }
+
+    // Apply now, or crossfade from the current scene over `duration` seconds
+    load(name, duration = 0) {
+        this.applySettings(validatePreset(this.get(name), this.limits).settings, duration);
+    }
+
+    applySettings(settings, duration = 0) {
+        if (duration > 0) {
+            this.fade = { from: this.adapter.read(), to: settings, elapsed: 0, duration };
+        } else {
+            this.fade = null;
+            this.adapter.apply(settings);
+        }
+    }
+
+    // Crossfade between two presets regardless of the current scene
+    crossfade(fromName, toName, duration) {
+        const from = validatePreset(this.get(fromName), this.limits).settings;
+        const to = validatePreset(this.get(toName), this.limits).settings;
+        this.fade = { from, to, elapsed: 0, duration };
+    }
+
+    // Jump to the end of a running crossfade
+    finishFade() {
+        if (this.fade) this.update(this.fade.duration);
+    }
+
+    // Call once per frame
+    update(dt) {
+        const f = this.fade;
+        if (!f) return;
+        f.elapsed += dt;
+        const t = Math.min(f.elapsed / f.duration, 1);
+        const k = t * t * (3 - 2 * t);
+        this.adapter.apply(interpolateSettings(f.from, f.to, k));
+        if (t >= 1) this.fade = null;
+    }
+
+    exportJSON(name) {
+        const { builtIn, ...preset } = this.get(name);
+        return JSON.stringify(preset, null, 2);
+    }
+
+    importJSON(text) {
+        let preset;
+        try {
+            preset = JSON.parse(text);
+        } catch (e) {
+            throw new Error(`Preset file is not valid JSON: ${e.message}`);
+        }
+        // Built-in names are taken, and a file can't mark itself built in (it could never be deleted)
+        const { builtIn, ...user } = validatePreset(preset, this.limits);
+        this.requireUserName(user.name);
+        user.version = PRESET_VERSION;
+        this.presets[user.name] = user;
+        this.persist();
+        return user;
+    }
+
+    shareHash(name) {
+        const { builtIn, ...preset } = this.get(name);
+        return 'preset=' + encodePresetHash(preset);
+    }
+
+    // Apply a preset from `#preset=...`; returns it, or null when the hash has none
+    loadFromHash(hash) {
+        const match = /preset=([A-Za-z0-9_-]+)/.exec(hash);
+        if (!match) return null;
+        const preset = decodePresetHash(match[1], this.limits);
+        this.adapter.apply(preset.settings);
+        return preset;
+    }
+}
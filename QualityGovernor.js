@@ -0,0 +1,147 @@
+// Adaptive quality: watches frame times and steps through quality tiers.
+// Pure logic, no DOM or three.js: feed it frame durations with sample(ms) and
+// apply the tier it hands to onChange. Time is the sum of the samples, so a
+// synthetic frame-time trace makes the same decisions as a live run.
+//
+// Decisions use a rolling percentile (p90 by default) of recent frames, so one
+// hitch doesn't count but steady stutter does. Hysteresis keeps it from
+// oscillating:
+//   - step down when the percentile stays over budget * downgradeAt for downgradeAfter s
+//     (two tiers at once past budget * severeAt, so a laptop at 8 fps isn't stuck there for long)
+//   - step up only when it stays under budget * upgradeAt for upgradeAfter s
+//   - after any change the window starts over and nothing moves for `cooldown` s
+//   - an upgrade undone within `probation` s doubles the wait before trying that tier again
+//
+// Frame times are whole frame intervals, which vsync caps at the display rate; a
+// percentile near the budget is as good as it gets, hence upgradeAt just above 1.
+
+// Best first. pixelRatio caps devicePixelRatio; gestureRate is hand detections per
+// second (0 = every camera frame); bloom values scale the user's glow settings.
+export const QUALITY_TIERS = [
+    { name: 'ultra', particleScale: 1, pixelRatio: 2, bloomResolution: 1, bloomStrength: 1, gestureRate: 0 },
+    { name: 'high', particleScale: 0.75, pixelRatio: 1.5, bloomResolution: 0.75, bloomStrength: 1, gestureRate: 30 },
+    { name: 'medium', particleScale: 0.5, pixelRatio: 1, bloomResolution: 0.5, bloomStrength: 0.9, gestureRate: 20 },
+    { name: 'low', particleScale: 0.3, pixelRatio: 1, bloomResolution: 0.35, bloomStrength: 0.8, gestureRate: 15 },
+    { name: 'minimal', particleScale: 0.15, pixelRatio: 0.75, bloomResolution: 0.25, bloomStrength: 0.7, gestureRate: 10 }
+];
+
+export const defaultGovernorOptions = {
+    targetFps: 60,
+    window: 90, // frames in the rolling window
+    minSamples: 20, // frames needed before judging
+    percentile: 0.9,
+    downgradeAt: 1.4, // x budget
+    severeAt: 3, // x budget
+    upgradeAt: 1.1, // x budget
+    downgradeAfter: 1, // seconds
+    upgradeAfter: 4, // seconds, doubled per failed attempt
+    maxUpgradeAfter: 120,
+    cooldown: 2, // seconds after any change
+    probation: 10, // seconds an upgrade has to hold
+    maxFrameMs: 250, // longer frames (tab switch, breakpoint) are ignored
+    startTier: 0
+};
+
+export class QualityGovernor {
+    constructor(options = {}, tiers = QUALITY_TIERS) {
+        if (!tiers.length) throw new Error("QualityGovernor needs at least one tier");
+        this.options = { ...defaultGovernorOptions, ...options };
+        this.tiers = tiers;
+        this.index = Math.min(Math.max(this.options.startTier, 0), tiers.length - 1);
+        this.enabled = true;
+        this.onChange = null; // (tier, index, previousIndex)
+
+        this.samples = new Float32Array(this.options.window);
+        this.sorted = new Float32Array(this.options.window);
+        this.upgradeWait = tiers.map(() => this.options.upgradeAfter); // per tier an upgrade would land on
+        this.reset();
+    }
+
+    get tier() {
+        return this.tiers[this.index];
+    }
+
+    // Milliseconds per frame at the target rate
+    get budget() {
+        return 1000 / this.options.targetFps;
+    }
+
+    reset() {
+        this.time = 0; // seconds of frames seen
+        this.lastChange = -Infinity;
+        this.lastUpgrade = null; // { time, index }
+        this.clearWindow();
+    }
+
+    clearWindow() {
+        this.count = 0;
+        this.head = 0;
+        this.overSince = null;
+        this.underSince = null;
+    }
+
+    // One frame's duration in ms; returns the new tier when it changes, else null
+    sample(frameMs) {
+        const o = this.options;
+        if (!(frameMs > 0) || frameMs > o.maxFrameMs) return null;
+
+        this.time += frameMs / 1000;
+        this.samples[this.head] = frameMs;
+        this.head = (this.head + 1) % this.samples.length;
+        this.count = Math.min(this.count + 1, this.samples.length);
+
+        if (!this.enabled || this.count < o.minSamples || this.time - this.lastChange < o.cooldown) return null;
+
+        const p = this.percentile(o.percentile);
+        if (p > this.budget * o.downgradeAt) {
+            this.underSince = null;
+            if (this.overSince === null) this.overSince = this.time;
+            if (this.time - this.overSince >= o.downgradeAfter && this.index < this.tiers.length - 1) {
+                const step = p > this.budget * o.severeAt ? 2 : 1;
+                return this.change(Math.min(this.index + step, this.tiers.length - 1));
+            }
+        } else if (p < this.budget * o.upgradeAt) {
+            this.overSince = null;
+            if (this.underSince === null) this.underSince = this.time;
+            if (this.index > 0 && this.time - this.underSince >= this.upgradeWait[this.index - 1]) {
+                return this.change(this.index - 1);
+            }
+        } else {
+            this.overSince = null;
+            this.underSince = null;
+        }
+        return null;
+    }
+
+    // p in [0, 1] over the current window (0 when empty)
+    percentile(p) {
+        if (this.count === 0) return 0;
+        const sorted = this.sorted.subarray(0, this.count);
+        sorted.set(this.samples.subarray(0, this.count));
+        sorted.sort();
+        return sorted[Math.min(this.count - 1, Math.floor(p * this.count))];
+    }
+
+    change(index) {
+        const previous = this.index;
+        const o = this.options;
+        if (index > previous && this.lastUpgrade && this.lastUpgrade.index === previous &&
+            this.time - this.lastUpgrade.time < o.probation) {
+            // That tier couldn't hold: wait longer before trying it again
+            this.upgradeWait[previous] = Math.min(this.upgradeWait[previous] * 2, o.maxUpgradeAfter);
+        }
+        this.lastUpgrade = index < previous ? { time: this.time, index } : null;
+        return this.setTier(index);
+    }
+
+    // Jump to a tier (also for a manual override); the window starts over
+    setTier(index) {
+        if (!this.tiers[index]) throw new Error(`Unknown quality tier ${index}, expected 0-${this.tiers.length - 1}`);
+        const previous = this.index;
+        this.index = index;
+        this.lastChange = this.time;
+        this.clearWindow();
+        if (this.onChange) this.onChange(this.tier, index, previous);
+        return this.tier;
+    }
+}
@@ -0,0 +1,13 @@
+// Seedable PRNG (mulberry32).
+// createRandom(seed) returns a function with the same contract as Math.random,
+// so it can be dropped in anywhere a deterministic sequence is needed.
+export function createRandom(seed = 1) {
+    let a = seed >>> 0;
+    return function random() {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
@@ -0,0 +1,206 @@
+// Shape providers for HeartSystem.
+// A shape sampler is any function `(count, random) => Float32Array(count * 3)` that
+// returns home positions for `count` particles. `random` behaves like Math.random
+// but may be seeded, so samplers should use it for reproducible layouts. The library resolves names,
+// sampler functions, raw position arrays and `{ sample(count) }` objects
+// to the same Float32Array so HeartSystem never cares where points came from.
+
+// Parametric Heart
+// x = 16sin^3(t)
+// y = 13cos(t) - 5cos(2t) - 2cos(3t) - cos(4t)
+export function getHeartPoint(t, scale, out = { x: 0, y: 0, z: 0 }, random = Math.random) {
+    out.x = 16 * Math.pow(Math.sin(t), 3) * scale;
+    out.y = (13 * Math.cos(t) - 5 * Math.cos(2 * t) - 2 * Math.cos(3 * t) - Math.cos(4 * t)) * scale;
+
+    // Z distribution: simple random box scaled by the radial distance to keep it contained.
+    out.z = (random() - 0.5) * 10 * scale;
+    return out;
+}
+
+export function heartShape(count, random = Math.random) {
+    const out = new Float32Array(count * 3);
+    const p = { x: 0, y: 0, z: 0 };
+    for (let i = 0; i < count; i++) {
+        // Sample t [0, 2PI] and r [0, 1] (sqrt distribution for area)
+        const t = random() * Math.PI * 2;
+        const r = Math.sqrt(random());
+        getHeartPoint(t, r, p, random);
+
+        // The formula outputs Y roughly in [-17, 13], shift it to the middle
+        out[i * 3] = p.x;
+        out[i * 3 + 1] = p.y + 2;
+        out[i * 3 + 2] = p.z;
+    }
+    return out;
+}
+
+export function sphereShape(radius = 14) {
+    return (count, random = Math.random) => {
+        const out = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            // Uniform in volume: cube root on radius
+            const u = random() * 2 - 1;
+            const phi = random() * Math.PI * 2;
+            const r = radius * Math.cbrt(random());
+            const s = Math.sqrt(1 - u * u);
+            out[i * 3] = r * s * Math.cos(phi);
+            out[i * 3 + 1] = r * s * Math.sin(phi);
+            out[i * 3 + 2] = r * u;
+        }
+        return out;
+    };
+}
+
+// Any curve `fn(t) => {x, y, z}` or `[x, y, z]`, t sampled in [tMin, tMax].
+// `thickness` scatters particles around the curve so it reads as a tube.
+export function curveShape(fn, { tMin = 0, tMax = Math.PI * 2, scale = 1, thickness = 0.5 } = {}) {
+    return (count, random = Math.random) => {
+        const out = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const t = tMin + random() * (tMax - tMin);
+            const p = fn(t);
+            const x = Array.isArray(p) ? p[0] : p.x;
+            const y = Array.isArray(p) ? p[1] : p.y;
+            const z = Array.isArray(p) ? p[2] : (p.z || 0);
+            out[i * 3] = x * scale + (random() - 0.5) * thickness;
+            out[i * 3 + 1] = y * scale + (random() - 0.5) * thickness;
+            out[i * 3 + 2] = z * scale + (random() - 0.5) * thickness;
+        }
+        return out;
+    };
+}
+
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// Rasterize a 2D drawing into a mask and scatter particles over the filled pixels.
+// `draw(ctx, width, height)` fills whatever should become particles.
+export function rasterShape(draw, { width = 512, height = 256, size = 30, depth = 4 } = {}) {
+    return (count, random = Math.random) => {
+        const canvas = createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        ctx.fillStyle = '#fff';
+        draw(ctx, width, height);
+
+        const data = ctx.getImageData(0, 0, width, height).data;
+        const filled = [];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (data[(y * width + x) * 4 + 3] > 127) filled.push(x, y);
+            }
+        }
+        if (filled.length === 0) throw new Error("Shape rasterized to an empty mask");
+
+        // Fit the longest canvas side to `size` world units, centered at origin
+        const unit = size / Math.max(width, height);
+        const out = new Float32Array(count * 3);
+        const pixels = filled.length / 2;
+        for (let i = 0; i < count; i++) {
+            const k = Math.floor(random() * pixels) * 2;
+            const px = filled[k] + random();
+            const py = filled[k + 1] + random();
+            out[i * 3] = (px - width / 2) * unit;
+            out[i * 3 + 1] = (height / 2 - py) * unit; // canvas Y points down
+            out[i * 3 + 2] = (random() - 0.5) * depth;
+        }
+        return out;
+    };
+}
+
+export function textShape(text, { font = 'bold 160px sans-serif', ...options } = {}) {
+    return rasterShape((ctx, width, height) => {
+        ctx.font = font;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, width / 2, height / 2);
+    }, options);
+}
+
+// `pathData` is an SVG path `d` string; `viewBox` is [minX, minY, width, height]
+// in path units and gets fitted into the raster canvas.
+export function svgPathShape(pathData, { viewBox = [0, 0, 100, 100], ...options } = {}) {
+    return rasterShape((ctx, width, height) => {
+        const [minX, minY, vbW, vbH] = viewBox;
+        const fit = Math.min(width / vbW, height / vbH);
+        ctx.translate((width - vbW * fit) / 2, (height - vbH * fit) / 2);
+        ctx.scale(fit, fit);
+        ctx.translate(-minX, -minY);
+        ctx.fill(new Path2D(pathData));
+    }, options);
+}
+
+export class ShapeLibrary {
+    constructor() {
+        this.shapes = new Map();
+
+        // Built-ins
+        this.register('heart', heartShape);
+        this.register('sphere', sphereShape());
+        this.register('torus knot', curveShape((t) => {
+            const r = 2 + Math.cos(3 * t);
+            return [r * Math.cos(2 * t), r * Math.sin(2 * t), Math.sin(3 * t)];
+        }, { scale: 4, thickness: 2 }));
+    }
+
+    register(name, sampler) {
+        if (typeof sampler !== 'function') {
+            throw new TypeError(`Shape "${name}" must be a sampler function (count) => Float32Array`);
+        }
+        this.shapes.set(name, sampler);
+        return this;
+    }
+
+    unregister(name) {
+        return this.shapes.delete(name);
+    }
+
+    has(name) {
+        return this.shapes.has(name);
+    }
+
+    list() {
+        return [...this.shapes.keys()];
+    }
+
+    // Resolve anything shape-like to `count * 3` positions
+    sample(shape, count, random = Math.random) {
+        let points;
+        if (typeof shape === 'string') {
+            const sampler = this.shapes.get(shape);
+            if (!sampler) throw new Error(`Unknown shape "${shape}"`);
+            points = sampler(count, random);
+        } else if (typeof shape === 'function') {
+            points = shape(count, random);
+        } else if (shape && typeof shape.sample === 'function') {
+            points = shape.sample(count, random);
+        } else if (shape instanceof Float32Array || Array.isArray(shape)) {
+            points = shape;
+        } else {
+            throw new TypeError("Shape must be a name, sampler function, { sample } object or position array");
+        }
+
+        return this.fit(points, count);
+    }
+
+    // Tile shorter arrays so every particle gets a home
+    fit(points, count) {
+        const available = Math.floor(points.length / 3);
+        if (available === 0) throw new Error("Shape produced no points");
+        if (points instanceof Float32Array && available === count && points.length === count * 3) return points;
+
+        const out = new Float32Array(count * 3);
+        for (let i = 0; i < count; i++) {
+            const j = (i % available) * 3;
+            out[i * 3] = points[j];
+            out[i * 3 + 1] = points[j + 1];
+            out[i * 3 + 2] = points[j + 2];
+        }
+        return out;
+    }
+}
@@ -0,0 +1,154 @@
+// Time-of-day ambient theming.
+// A theme is a set of keyframes on a 24h clock; between two keyframes every
+// value blends linearly (wrapping past midnight). The clock is the local time,
+// a manual hour, or a simulated day running at `speed` hours per second.
+// Like PresetManager, the app supplies an adapter ({ apply(theme), restore() })
+// and this module never touches the scene directly.
+//
+// Keyframe: {
+//   hour,                          0-24
+//   palette: ['#rrggbb', ...],     particle gradient, slow -> fast (2-8 stops)
+//   background, fogColor,          '#rrggbb'
+//   fogDensity, bloomStrength, bloomRadius, bloomThreshold, exposure
+// }
+
+import { lerpColor } from './PresetManager.js';
+
+export const THEME_MODES = ['off', 'manual', 'clock', 'simulated'];
+export const MAX_GRADIENT_STOPS = 8;
+
+const NUMBER_FIELDS = ['fogDensity', 'bloomStrength', 'bloomRadius', 'bloomThreshold', 'exposure'];
+const COLOR_FIELDS = ['background', 'fogColor'];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// Warm daytime tones, deep neon at night
+export const defaultThemeKeyframes = [
+    {
+        hour: 0, palette: ['#2b00ff', '#ff00aa', '#00f2ff'],
+        background: '#02010a', fogColor: '#050018', fogDensity: 0.025,
+        bloomStrength: 2.2, bloomRadius: 0.5, bloomThreshold: 0.6, exposure: 1.6
+    },
+    {
+        hour: 6, palette: ['#ff5e62', '#ff9966', '#ffd1dc'],
+        background: '#140a14', fogColor: '#2a1420', fogDensity: 0.018,
+        bloomStrength: 1.4, bloomRadius: 0.4, bloomThreshold: 0.8, exposure: 1.4
+    },
+    {
+        hour: 12, palette: ['#ff2a2a', '#ff7b00', '#ffd166'],
+        background: '#1a120c', fogColor: '#2b2018', fogDensity: 0.012,
+        bloomStrength: 0.9, bloomRadius: 0.35, bloomThreshold: 0.9, exposure: 1.2
+    },
+    {
+        hour: 18, palette: ['#ff0055', '#ff00ff', '#7b2cff'],
+        background: '#0d0518', fogColor: '#140822', fogDensity: 0.02,
+        bloomStrength: 1.6, bloomRadius: 0.4, bloomThreshold: 0.75, exposure: 1.5
+    }
+];
+
+// Throws one Error listing every problem, same format as validatePreset
+export function validateThemeKeyframes(keyframes) {
+    if (!Array.isArray(keyframes) || keyframes.length === 0) {
+        throw new Error("Invalid theme: expected a non-empty array of keyframes");
+    }
+
+    const errors = [];
+    keyframes.forEach((k, i) => {
+        if (typeof k.hour !== 'number' || k.hour < 0 || k.hour > 24) errors.push(`keyframe ${i}: hour must be between 0 and 24`);
+        if (!Array.isArray(k.palette) || k.palette.length < 2 || k.palette.length > MAX_GRADIENT_STOPS) {
+            errors.push(`keyframe ${i}: palette must have 2-${MAX_GRADIENT_STOPS} colors`);
+        } else if (!k.palette.every(c => typeof c === 'string' && HEX_COLOR.test(c))) {
+            errors.push(`keyframe ${i}: palette colors must be #rrggbb`);
+        }
+        for (const key of COLOR_FIELDS) {
+            if (typeof k[key] !== 'string' || !HEX_COLOR.test(k[key])) errors.push(`keyframe ${i}: ${key} must be a #rrggbb color`);
+        }
+        for (const key of NUMBER_FIELDS) {
+            if (typeof k[key] !== 'number' || !Number.isFinite(k[key]) || k[key] < 0) errors.push(`keyframe ${i}: ${key} must be a positive number`);
+        }
+    });
+
+    if (errors.length) {
+        const error = new Error(`Invalid theme:\n- ${errors.join('\n- ')}`);
+        error.errors = errors;
+        throw error;
+    }
+    return keyframes;
+}
+
+// Evenly spaced hex stops, t in [0, 1]
+export function sampleGradient(stops, t) {
+    const x = Math.min(Math.max(t, 0), 1) * (stops.length - 1);
+    const i = Math.min(Math.floor(x), stops.length - 2);
+    return lerpColor(stops[i], stops[i + 1], x - i);
+}
+
+// Blend two gradients with different stop counts by resampling both to the longer one
+function lerpPalette(a, b, t) {
+    const n = Math.max(a.length, b.length);
+    const out = [];
+    for (let i = 0; i < n; i++) {
+        const u = i / (n - 1);
+        out.push(lerpColor(sampleGradient(a, u), sampleGradient(b, u), t));
+    }
+    return out;
+}
+
+// Local wall-clock time as fractional hours
+export function currentHour(date = new Date()) {
+    return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+// Theme at `hour`, keyframes sorted by hour. Wraps from the last keyframe to the first.
+export function themeAt(keyframes, hour) {
+    const h = ((hour % 24) + 24) % 24;
+    let next = keyframes.findIndex(k => k.hour > h);
+    if (next === -1) next = 0;
+    const prev = (next - 1 + keyframes.length) % keyframes.length;
+    const a = keyframes[prev];
+    const b = keyframes[next];
+
+    const span = ((b.hour - a.hour) + 24) % 24 || 24;
+    const t = keyframes.length === 1 ? 0 : (((h - a.hour) + 24) % 24) / span;
+
+    const theme = { hour: h, palette: lerpPalette(a.palette, b.palette, t) };
+    for (const key of COLOR_FIELDS) theme[key] = lerpColor(a[key], b[key], t);
+    for (const key of NUMBER_FIELDS) theme[key] = a[key] + (b[key] - a[key]) * t;
+    return theme;
+}
+
+export class ThemeEngine {
+    // adapter: { apply(theme), restore() }
+    constructor(adapter, keyframes = defaultThemeKeyframes) {
+        this.adapter = adapter;
+        this.mode = 'off';
+        this.hour = 0;
+        this.speed = 1; // simulated hours per second
+        this.current = null; // last applied theme, null while off
+        this.setKeyframes(keyframes);
+    }
+
+    setKeyframes(keyframes) {
+        validateThemeKeyframes(keyframes);
+        this.keyframes = [...keyframes].sort((a, b) => a.hour - b.hour);
+    }
+
+    setMode(mode) {
+        if (!THEME_MODES.includes(mode)) throw new Error(`Unknown theme mode "${mode}"`);
+        if (mode === 'off' && this.mode !== 'off') {
+            this.current = null;
+            this.adapter.restore();
+        }
+        this.mode = mode;
+    }
+
+    // Call once per frame; returns the applied theme (null while off)
+    update(dt) {
+        if (this.mode === 'off') return null;
+        if (this.mode === 'clock') this.hour = currentHour();
+        else if (this.mode === 'simulated') this.hour = (this.hour + dt * this.speed) % 24;
+
+        this.current = themeAt(this.keyframes, this.hour);
+        this.adapter.apply(this.current);
+        return this.current;
+    }
+}
@@ -0,0 +1,306 @@
+// Keyframed choreography: camera paths, scene parameter tracks and triggered
+// events on one clock, with easing. Like PresetManager and ThemeEngine, the app
+// supplies an adapter and this module never touches the scene:
+//   adapter: { read() => settings, apply(settings), trigger(action, args) }
+// Track names and values are preset settings (PRESET_FIELDS): numbers, '#rrggbb'
+// colors and [x, y, z] vectors, so the preset adapter applies them as they are.
+//
+// JSON: {
+//   duration?, loop?,                         duration defaults to the last key or event
+//   tracks: { cameraPosition: [{ time, value, ease? }], ... },
+//   events: [{ time, action, args? }]          fire once when playback passes `time`
+// }
+// A key's ease shapes the segment arriving at it. Vectors follow a Catmull-Rom
+// curve through their keys, so camera paths sweep instead of turning corners.
+//
+// override(tracks) hands tracks to the user (a zoom gesture, an orbit drag): the
+// timeline stops writing them, and once they've been left alone for `hold`
+// seconds it blends from wherever they are back onto the timeline over `blendBack`.
+
+import { PRESET_FIELDS, settingErrors, lerpColor, interpolateSettings } from './PresetManager.js';
+
+// t in [0, 1] -> eased t
+export const EASINGS = {
+    linear: t => t,
+    step: t => (t < 1 ? 0 : 1), // hold the previous value until the key
+    smooth: t => t * t * (3 - 2 * t),
+    easeIn: t => t * t * t,
+    easeOut: t => 1 - (1 - t) ** 3,
+    easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+    backOut: t => 1 + 2.70158 * (t - 1) ** 3 + 1.70158 * (t - 1) ** 2 // overshoots a little
+};
+
+export const TIMELINE_TRACKS = Object.keys(PRESET_FIELDS).filter(key => PRESET_FIELDS[key].type !== 'string');
+
+// A slow orbit with a color change, a glow swell and a few beats
+export const exampleTimeline = {
+    loop: true,
+    tracks: {
+        cameraPosition: [
+            { time: 0, value: [0, 0, 40] },
+            { time: 6, value: [34, 8, 20], ease: 'easeInOut' },
+            { time: 12, value: [0, -6, -38], ease: 'easeInOut' },
+            { time: 18, value: [-34, 10, 20], ease: 'easeInOut' },
+            { time: 24, value: [0, 0, 40], ease: 'easeInOut' }
+        ],
+        cameraFov: [
+            { time: 0, value: 60 },
+            { time: 10, value: 45, ease: 'smooth' },
+            { time: 20, value: 70, ease: 'smooth' },
+            { time: 24, value: 60, ease: 'smooth' }
+        ],
+        color1: [
+            { time: 0, value: '#ff0055' },
+            { time: 12, value: '#00f2ff', ease: 'smooth' },
+            { time: 24, value: '#ff0055', ease: 'smooth' }
+        ],
+        color2: [
+            { time: 0, value: '#ff00ff' },
+            { time: 12, value: '#7a00ff', ease: 'smooth' },
+            { time: 24, value: '#ff00ff', ease: 'smooth' }
+        ],
+        bloomStrength: [
+            { time: 0, value: 1.5 },
+            { time: 6, value: 2.4, ease: 'easeOut' },
+            { time: 12, value: 1.2, ease: 'easeIn' },
+            { time: 24, value: 1.5 }
+        ]
+    },
+    events: [
+        { time: 6, action: 'burst', args: { strength: 1 } },
+        { time: 12, action: 'morphShape', args: { step: 1 } },
+        { time: 20, action: 'explode', args: { strength: 1 } },
+        { time: 23, action: 'morphShape', args: { step: -1 } }
+    ]
+};
+
+// Throws one Error listing every problem, same format as validatePreset
+export function validateTimeline(timeline) {
+    if (!timeline || typeof timeline !== 'object' || Array.isArray(timeline)) {
+        throw new Error("Invalid timeline: expected an object with tracks and events");
+    }
+    const errors = [];
+    const { tracks = {}, events = [] } = timeline;
+
+    if (timeline.duration !== undefined && !(timeline.duration > 0)) errors.push("duration must be a positive number");
+    if (timeline.loop !== undefined && typeof timeline.loop !== 'boolean') errors.push("loop must be true or false");
+
+    if (!tracks || typeof tracks !== 'object' || Array.isArray(tracks)) {
+        errors.push("tracks must be an object of track name -> keys");
+    } else {
+        for (const [name, keys] of Object.entries(tracks)) {
+            if (!TIMELINE_TRACKS.includes(name)) {
+                errors.push(`unknown track "${name}" (expected one of ${TIMELINE_TRACKS.join(', ')})`);
+            } else if (!Array.isArray(keys) || keys.length === 0) {
+                errors.push(`${name} needs at least one key`);
+            } else {
+                keys.forEach((k, i) => {
+                    if (!k || typeof k.time !== 'number' || !(k.time >= 0)) {
+                        errors.push(`${name} key ${i}: time must be a number >= 0`);
+                        return;
+                    }
+                    settingErrors({ [name]: k.value }).forEach(e => errors.push(`${name} key ${i}: ${e}`));
+                    if (k.ease !== undefined && !EASINGS[k.ease]) errors.push(`${name} key ${i}: unknown ease "${k.ease}"`);
+                });
+            }
+        }
+    }
+
+    if (!Array.isArray(events)) {
+        errors.push("events must be an array");
+    } else {
+        events.forEach((e, i) => {
+            if (!e || typeof e.time !== 'number' || !(e.time >= 0) || typeof e.action !== 'string') {
+                errors.push(`event ${i} needs a time >= 0 and an action`);
+            }
+        });
+    }
+
+    if (errors.length) {
+        const error = new Error(`Invalid timeline:\n- ${errors.join('\n- ')}`);
+        error.errors = errors;
+        throw error;
+    }
+    return timeline;
+}
+
+function catmullRom(p0, p1, p2, p3, t) {
+    const t2 = t * t;
+    return 0.5 * (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 + (3 * p1 - p0 - 3 * p2 + p3) * t2 * t);
+}
+
+// Value of a track (keys sorted by time) at `time`; holds the first and last keys
+export function sampleTrack(name, keys, time) {
+    const last = keys.length - 1;
+    if (time <= keys[0].time) return keys[0].value;
+    if (time >= keys[last].time) return keys[last].value;
+
+    const i = keys.findIndex(k => k.time > time);
+    const a = keys[i - 1];
+    const b = keys[i];
+    const t = EASINGS[b.ease || 'linear']((time - a.time) / (b.time - a.time));
+    const field = PRESET_FIELDS[name];
+
+    if (field.type === 'color') return lerpColor(a.value, b.value, Math.min(Math.max(t, 0), 1));
+    if (field.type === 'vec3') {
+        const before = keys[Math.max(i - 2, 0)].value;
+        const after = keys[Math.min(i + 1, last)].value;
+        return a.value.map((v, j) => catmullRom(before[j], v, b.value[j], after[j], t));
+    }
+    const v = a.value + (b.value - a.value) * t;
+    return field.integer ? Math.round(v) : v;
+}
+
+export class Timeline {
+    // adapter: { read() => settings, apply(settings), trigger(action, args) }
+    constructor(adapter, json = { tracks: {}, events: [] }) {
+        this.adapter = adapter;
+        this.time = 0;
+        this.playing = false;
+        this.speed = 1;
+        this.hold = 1.5; // seconds an override lasts after the last touch
+        this.blendBack = 2; // seconds to ease back onto the timeline
+        this.overrides = new Map(); // track -> { idle, blend, from }
+        this.load(json);
+    }
+
+    // Replaces everything; the playhead stays where it is
+    load(json) {
+        validateTimeline(json);
+        this.tracks = {};
+        for (const [name, keys] of Object.entries(json.tracks || {})) {
+            this.tracks[name] = keys.map(k => ({ ...k })).sort((a, b) => a.time - b.time);
+        }
+        this.events = (json.events || []).map(e => ({ args: {}, ...e })).sort((a, b) => a.time - b.time);
+        this.fixedDuration = json.duration || null;
+        this.loop = json.loop === true;
+        this.overrides.clear();
+        this.time = Math.min(this.time, this.duration);
+    }
+
+    toJSON() {
+        const json = { tracks: this.tracks, events: this.events };
+        if (this.fixedDuration) json.duration = this.fixedDuration;
+        if (this.loop) json.loop = true;
+        return JSON.parse(JSON.stringify(json));
+    }
+
+    get duration() {
+        if (this.fixedDuration) return this.fixedDuration;
+        const ends = Object.values(this.tracks).map(keys => keys[keys.length - 1].time);
+        return Math.max(0, ...ends, ...this.events.map(e => e.time));
+    }
+
+    // 0 = up to the last key or event
+    set duration(seconds) {
+        this.fixedDuration = seconds > 0 ? seconds : null;
+        this.time = Math.min(this.time, this.duration);
+    }
+
+    // Key every setting in `settings` (a readSettings() snapshot or part of one) at `time`;
+    // an existing key at that time is replaced
+    addKeys(settings, time = this.time, ease = 'linear') {
+        const tracks = {};
+        for (const name of Object.keys(settings)) {
+            if (TIMELINE_TRACKS.includes(name)) tracks[name] = [{ time, value: settings[name], ease }];
+        }
+        validateTimeline({ tracks });
+        for (const [name, [key]] of Object.entries(tracks)) {
+            const keys = (this.tracks[name] = this.tracks[name] || []);
+            const existing = keys.findIndex(k => Math.abs(k.time - time) < 1e-3);
+            if (existing >= 0) keys[existing] = key;
+            else keys.push(key);
+            keys.sort((a, b) => a.time - b.time);
+        }
+    }
+
+    addEvent(action, args = {}, time = this.time) {
+        validateTimeline({ events: [{ time, action }] });
+        this.events.push({ time, action, args });
+        this.events.sort((a, b) => a.time - b.time);
+    }
+
+    // Every track's value at `time`
+    sample(time = this.time) {
+        const values = {};
+        for (const [name, keys] of Object.entries(this.tracks)) values[name] = sampleTrack(name, keys, time);
+        return values;
+    }
+
+    play() {
+        if (this.time >= this.duration) this.time = 0;
+        this.playing = true;
+    }
+
+    pause() {
+        this.playing = false;
+    }
+
+    stop() {
+        this.playing = false;
+        this.seek(0);
+    }
+
+    // Jump without firing events, applying every track at once (scrubbing)
+    seek(time) {
+        this.time = Math.min(Math.max(time, 0), this.duration);
+        this.overrides.clear();
+        this.apply(this.sample());
+    }
+
+    // The user has these tracks (name or array) for now; call again on every touch
+    override(tracks) {
+        for (const name of [].concat(tracks)) {
+            if (this.tracks[name]) this.overrides.set(name, { idle: 0, blend: 0, from: null });
+        }
+    }
+
+    // Call once per frame; returns the values applied (null while stopped)
+    update(dt) {
+        if (!this.playing) return null;
+        const duration = this.duration;
+        const from = this.time;
+        let to = from + dt * this.speed;
+        let events;
+
+        if (to < duration) {
+            events = this.eventsBetween(from, to);
+        } else if (this.loop && duration > 0) {
+            to %= duration;
+            events = [...this.eventsBetween(from, duration, true), ...this.eventsBetween(0, to)];
+        } else {
+            to = duration;
+            this.playing = false;
+            events = this.eventsBetween(from, duration, true);
+        }
+        this.time = to;
+
+        const values = this.sample();
+        const current = this.overrides.size ? this.adapter.read() : null;
+        for (const [name, o] of this.overrides) {
+            o.idle += dt;
+            if (o.idle < this.hold) {
+                delete values[name];
+                continue;
+            }
+            if (o.from === null) o.from = current[name];
+            o.blend += dt;
+            const k = EASINGS.smooth(Math.min(o.blend / this.blendBack, 1));
+            values[name] = interpolateSettings({ [name]: o.from }, { [name]: values[name] }, k)[name];
+            if (k >= 1) this.overrides.delete(name);
+        }
+        this.apply(values);
+
+        events.forEach(e => this.adapter.trigger(e.action, e.args));
+        return values;
+    }
+
+    // Events in [from, to), or [from, to] at the end of the timeline
+    eventsBetween(from, to, inclusive = false) {
+        return this.events.filter(e => e.time >= from && (e.time < to || (inclusive && e.time === to)));
+    }
+
+    apply(values) {
+        if (Object.keys(values).length) this.adapter.apply(values);
+    }
+}
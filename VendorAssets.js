@@ -0,0 +1,91 @@
+// Copies every runtime asset into vendor/ so the app runs without internet
+// (see AssetResolver.js). Plain Node, no dependencies: `npm run vendor`.
+//   - three, lil-gui and MediaPipe tasks-vision (bundle + wasm) from node_modules; package.json
+//     pins them to the versions the ?assets=cdn URLs load, so offline and online run the same code
+//   - the hand model, downloaded once, or copied with --model path/to/hand_landmarker.task
+// Existing files are kept unless --force. The layout matches index.html's import
+// map and AssetResolver's paths; copy vendor/ along with the app to offline machines.
+//
+//   node VendorAssets.js [--out vendor] [--model file] [--force]
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { ASSETS } from './AssetResolver.js';
+
+// node_modules path -> vendor path
+export const VENDOR_FILES = [
+    { from: 'three/build/three.module.js', to: 'three/build/three.module.js' },
+    { from: 'three/examples/jsm', to: 'three/examples/jsm' },
+    { from: 'lil-gui/dist/lil-gui.esm.min.js', to: 'lil-gui/lil-gui.esm.min.js' },
+    { from: '@mediapipe/tasks-vision/vision_bundle.mjs', to: 'mediapipe/vision_bundle.mjs' },
+    { from: '@mediapipe/tasks-vision/wasm', to: ASSETS.visionWasm.path }
+];
+
+async function exists(file) {
+    try {
+        await fs.access(file);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// options: { root (app folder), out, model (local file), force, fetch, log }
+// Resolves to the vendor paths written
+export async function vendorAssets(options = {}) {
+    const root = options.root || path.dirname(fileURLToPath(import.meta.url));
+    const out = path.resolve(root, options.out || 'vendor');
+    const fetchImpl = options.fetch || globalThis.fetch;
+    const log = options.log || console.log;
+    const written = [];
+
+    for (const { from, to } of VENDOR_FILES) {
+        const source = path.join(root, 'node_modules', from);
+        const target = path.join(out, to);
+        if (!options.force && await exists(target)) continue;
+        if (!await exists(source)) throw new Error(`Missing node_modules/${from} - run \`npm install\` first`);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.cp(source, target, { recursive: true, force: true });
+        written.push(to);
+        log(`vendor/${to}`);
+    }
+
+    const modelTarget = path.join(out, ASSETS.handModel.path);
+    if (options.force || !await exists(modelTarget)) {
+        await fs.mkdir(path.dirname(modelTarget), { recursive: true });
+        if (options.model) {
+            await fs.copyFile(path.resolve(options.model), modelTarget);
+        } else {
+            let res;
+            try {
+                res = await fetchImpl(ASSETS.handModel.cdn);
+            } catch (e) {
+                res = null;
+            }
+            if (!res || !res.ok) {
+                throw new Error(`Could not download the hand model from ${ASSETS.handModel.cdn}` +
+                    (res ? ` (HTTP ${res.status})` : '') + ". Copy it over with --model path/to/hand_landmarker.task");
+            }
+            await fs.writeFile(modelTarget, Buffer.from(await res.arrayBuffer()));
+        }
+        written.push(ASSETS.handModel.path);
+        log(`vendor/${ASSETS.handModel.path}`);
+    }
+    return written;
+}
+
+// Run directly: node VendorAssets.js
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+    const args = process.argv.slice(2);
+    const value = (flag) => {
+        const i = args.indexOf(flag);
+        return i >= 0 ? args[i + 1] : undefined;
+    };
+    vendorAssets({ out: value('--out'), model: value('--model'), force: args.includes('--force') })
+        .then((written) => console.log(written.length ? "Assets ready for offline use." : "vendor/ is already complete."))
+        .catch((e) => {
+            console.error(e.message);
+            process.exitCode = 1;
+        });
+}
@@ -0,0 +1,124 @@
+// Just enough Matroska to wrap encoded VP8/VP9 frames in a playable .webm:
+// EBML header, segment info, one video track and a cluster per keyframe.
+// Frames keep the timestamps they are given, so a fixed-step capture plays back at
+// exactly its frame rate however long each frame took to render (see FrameCapture).
+// No cues: players seek by scanning the clusters.
+
+const CODEC_IDS = { vp8: 'V_VP8', vp9: 'V_VP9' };
+const MAX_CLUSTER_MS = 30000; // SimpleBlock timecodes are int16 offsets from their cluster
+
+// Element IDs
+const EBML = 0x1A45DFA3;
+const SEGMENT = 0x18538067;
+const INFO = 0x1549A966;
+const TRACKS = 0x1654AE6B;
+const CLUSTER = 0x1F43B675;
+
+function idBytes(id) {
+    const bytes = [];
+    for (let v = id; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+    return bytes;
+}
+
+// Data size as an EBML variable-length integer (8 bytes covers anything we write)
+function sizeBytes(size) {
+    for (let length = 1; length <= 8; length++) {
+        if (size < 2 ** (7 * length) - 1) {
+            const bytes = [];
+            let v = size;
+            for (let i = 0; i < length; i++) {
+                bytes.unshift(v & 0xff);
+                v = Math.floor(v / 256);
+            }
+            bytes[0] |= 0x80 >> (length - 1);
+            return bytes;
+        }
+    }
+    throw new Error(`EBML element too large (${size} bytes)`);
+}
+
+function uintBytes(value) {
+    const bytes = [];
+    for (let v = value; v > 0; v = Math.floor(v / 256)) bytes.unshift(v & 0xff);
+    return bytes.length ? bytes : [0];
+}
+
+function byteLength(parts) {
+    return parts.reduce((sum, part) => sum + part.length, 0);
+}
+
+// -> [Uint8Array, ...] for one element; `body` is a list of parts, a string or a number
+export function element(id, body) {
+    let parts;
+    if (typeof body === 'number') parts = [Uint8Array.from(uintBytes(body))];
+    else if (typeof body === 'string') parts = [new TextEncoder().encode(body)];
+    else parts = body.flat();
+    return [Uint8Array.from([...idBytes(id), ...sizeBytes(byteLength(parts))]), ...parts];
+}
+
+function floatElement(id, value) {
+    const data = new Uint8Array(8);
+    new DataView(data.buffer).setFloat64(0, value);
+    return element(id, [data]);
+}
+
+export class WebmWriter {
+    // codec: 'vp8' | 'vp9'
+    constructor({ codec, width, height }) {
+        if (!CODEC_IDS[codec]) throw new Error(`Unsupported WebM codec "${codec}", expected one of ${Object.keys(CODEC_IDS).join(', ')}`);
+        this.codec = codec;
+        this.width = width;
+        this.height = height;
+        this.clusters = []; // { time, blocks: [parts] }
+        this.duration = 0;
+    }
+
+    // `data`: one encoded frame (EncodedVideoChunk bytes), `time` in ms
+    addFrame(data, time, keyFrame) {
+        let cluster = this.clusters[this.clusters.length - 1];
+        if (!cluster && !keyFrame) throw new Error("A WebM stream has to start with a keyframe");
+        if (!cluster || keyFrame || time - cluster.time > MAX_CLUSTER_MS) {
+            cluster = { time, blocks: [] };
+            this.clusters.push(cluster);
+        }
+        const header = new Uint8Array(4);
+        header[0] = 0x81; // track 1
+        new DataView(header.buffer).setInt16(1, time - cluster.time);
+        header[3] = keyFrame ? 0x80 : 0;
+        cluster.blocks.push(element(0xA3, [header, data]));
+        this.duration = Math.max(this.duration, time);
+    }
+
+    // `frameDuration` (ms) is added to the last timestamp for the file's duration
+    finish(frameDuration = 0) {
+        const header = element(EBML, [
+            element(0x4286, 1), // EBMLVersion
+            element(0x42F7, 1), // EBMLReadVersion
+            element(0x42F2, 4), // EBMLMaxIDLength
+            element(0x42F3, 8), // EBMLMaxSizeLength
+            element(0x4282, 'webm'), // DocType
+            element(0x4287, 2), // DocTypeVersion
+            element(0x4285, 2) // DocTypeReadVersion
+        ]);
+        const info = element(INFO, [
+            element(0x2AD7B1, 1000000), // TimecodeScale: timestamps in ms
+            element(0x4D80, 'Kinetic Heart'), // MuxingApp
+            element(0x5741, 'Kinetic Heart'), // WritingApp
+            floatElement(0x4489, this.duration + frameDuration) // Duration
+        ]);
+        const tracks = element(TRACKS, [
+            element(0xAE, [ // TrackEntry
+                element(0xD7, 1), // TrackNumber
+                element(0x73C5, 1), // TrackUID
+                element(0x83, 1), // TrackType: video
+                element(0x86, CODEC_IDS[this.codec]), // CodecID
+                element(0xE0, [ // Video
+                    element(0xB0, this.width), // PixelWidth
+                    element(0xBA, this.height) // PixelHeight
+                ])
+            ])
+        ]);
+        const clusters = this.clusters.map(cluster => element(CLUSTER, [element(0xE7, cluster.time), ...cluster.blocks]));
+        return new Blob([...header, ...element(SEGMENT, [info, tracks, ...clusters])], { type: 'video/webm' });
+    }
+}
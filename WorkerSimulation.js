@@ -0,0 +1,220 @@
+// Main-thread stand-in for a ParticleSimulation running in ParticleWorker.js.
+// Same surface as ParticleSimulation, but update() is fire-and-forget: results
+// arrive a frame later and are picked up with takeFrame().
+//
+// Two output buffer pairs ping-pong between the threads, so the worker never
+// writes into the arrays being drawn. They are SharedArrayBuffers when the page
+// is cross-origin isolated and transferred ArrayBuffers otherwise.
+
+import { ShapeLibrary } from './ShapeLibrary.js';
+import { createRandom } from './Random.js';
+import { defaultTrailOptions } from './ParticleLifecycle.js';
+
+export class WorkerSimulation {
+    // options: same as ParticleSimulation, plus options.worker to supply your own Worker
+    constructor(maxCount = 5000, options = {}) {
+        this.maxCount = maxCount;
+        this.currentCount = Math.min(3000, maxCount);
+        this.shapes = new ShapeLibrary(); // main-thread copy for list()/has() and custom samplers
+        this.shape = 'heart';
+        this.pulseSpeed = 1.0;
+        this.pulseSource = null;
+        this.params = {};
+        this.onError = null; // (error) => void, e.g. fall back to a local simulation
+        this.emitters = new Map(); // name -> options, kept so a fallback can carry them over
+        this.trailOptions = null;
+
+        this.simTime = 0;
+        this.shared = typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+        this.front = this.createBuffers(); // latest frame, owned by the main thread
+        this.spare = null; // free pair to send with the next update
+        this.frameReady = false;
+        this.received = false; // front holds real positions once a frame has come back
+        this.busy = true; // until the worker posts its first frame
+        this.pendingDt = 0; // frame time not yet sent while the worker is busy
+        this.idleWaiters = []; // whenIdle() promises
+
+        this.worker = options.worker || new Worker(new URL('./ParticleWorker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => this.onMessage(e.data);
+        this.worker.onerror = (e) => this.fail(new Error(e.message || "Simulation worker failed to start"));
+
+        const { step, integrator, seed } = options; // only what the worker's ParticleSimulation needs (and can clone)
+        const buffers = this.createBuffers();
+        this.worker.postMessage({ type: 'init', maxCount, options: { step, integrator, seed }, buffers }, this.transferList(buffers));
+    }
+
+    get time() {
+        return this.simTime;
+    }
+
+    set time(value) {
+        this.simTime = value;
+        this.worker.postMessage({ type: 'time', value });
+    }
+
+    // One frame's outputs (see ParticleSimulation.writeFrame); drawCount, trailCount
+    // and pulse come back with each frame
+    createBuffers() {
+        const n = this.maxCount;
+        const make = (size) => (this.shared ? new Float32Array(new SharedArrayBuffer(size * 4)) : new Float32Array(size));
+        const trailSize = defaultTrailOptions.maxSegments * 6;
+        return {
+            positions: make(n * 3),
+            colors: make(n * 3),
+            speeds: make(n),
+            alphas: make(n).fill(1),
+            trailPositions: make(trailSize),
+            trailColors: make(trailSize),
+            drawCount: this.currentCount,
+            trailCount: 0,
+            pulse: 1
+        };
+    }
+
+    transferList(buffers) {
+        if (this.shared) return [];
+        return ['positions', 'colors', 'speeds', 'alphas', 'trailPositions', 'trailColors'].map(key => buffers[key].buffer);
+    }
+
+    // Shape particles plus live sparks, as of the latest frame
+    get drawCount() {
+        return this.front.drawCount;
+    }
+
+    // Pulse scale the worker last stepped with
+    get lastPulse() {
+        return this.front.pulse;
+    }
+
+    onMessage(msg) {
+        if (msg.type === 'frame') {
+            this.spare = this.front;
+            this.front = msg.buffers;
+            this.simTime = msg.time;
+            this.frameReady = true;
+            this.received = true;
+            this.busy = false;
+            this.wake();
+        } else if (msg.type === 'error') {
+            this.fail(new Error(msg.message));
+        }
+    }
+
+    // Resolves once the worker has posted the frame for the last update. Drops banked
+    // time, so an offline capture steps exactly one update per frame.
+    whenIdle() {
+        this.pendingDt = 0;
+        if (!this.busy) return Promise.resolve();
+        return new Promise(resolve => this.idleWaiters.push(resolve));
+    }
+
+    wake() {
+        const waiters = this.idleWaiters;
+        this.idleWaiters = [];
+        waiters.forEach(resolve => resolve());
+    }
+
+    fail(error) {
+        this.wake(); // nobody waits on a dead worker
+        if (this.onError) this.onError(error);
+        else console.error("Simulation worker:", error);
+    }
+
+    call(method, ...args) {
+        this.worker.postMessage({ type: 'call', method, args });
+    }
+
+    setSeed(seed) {
+        this.call('setSeed', seed);
+        return this;
+    }
+
+    initParticles() {
+        this.call('initParticles');
+    }
+
+    // Samplers can't cross threads, so custom shapes are sampled here once and sent as points
+    registerShape(name, sampler) {
+        this.shapes.register(name, sampler);
+        const points = this.shapes.sample(name, this.maxCount, createRandom(1));
+        this.worker.postMessage({ type: 'shape', name, points });
+        return this;
+    }
+
+    setShape(shape) {
+        return this.morphTo(shape, 0);
+    }
+
+    morphTo(shape, duration = 1.5) {
+        this.shape = shape;
+        const target = typeof shape === 'string' ? shape : this.shapes.sample(shape, this.maxCount, createRandom(1));
+        this.call('morphTo', target, duration);
+        return this;
+    }
+
+    setParticleCount(count) {
+        this.currentCount = Math.min(count, this.maxCount);
+        this.call('setParticleCount', count);
+    }
+
+    burst(strength = 1) {
+        this.call('burst', strength);
+    }
+
+    explode(options = {}) {
+        this.call('explode', options);
+    }
+
+    addEmitter(name, options = {}) {
+        this.emitters.set(name, options);
+        this.call('addEmitter', name, options);
+        return this;
+    }
+
+    removeEmitter(name) {
+        this.emitters.delete(name);
+        this.call('removeEmitter', name);
+        return this;
+    }
+
+    emit(count, options = {}) {
+        this.call('emit', count, options);
+    }
+
+    setTrails(options) {
+        this.trailOptions = { ...this.trailOptions, ...options };
+        this.call('setTrails', options);
+        return this;
+    }
+
+    // Send this frame to the worker, or bank the time if it's still on the last one
+    update(dt, gestureState) {
+        this.pendingDt += dt;
+        if (this.busy || !this.spare) return;
+
+        const buffers = this.spare;
+        this.spare = null;
+        this.busy = true;
+        this.worker.postMessage({
+            type: 'update',
+            dt: this.pendingDt,
+            gesture: { type: gestureState.type, strength: gestureState.strength, fields: gestureState.fields },
+            params: this.params,
+            pulseSpeed: this.pulseSpeed,
+            pulse: this.pulseSource ? this.pulseSource.getPulse(this.simTime) : null,
+            buffers
+        }, this.transferList(buffers));
+        this.pendingDt = 0;
+    }
+
+    // The newest { positions, colors } once per frame that arrived, else null
+    takeFrame() {
+        if (!this.frameReady) return null;
+        this.frameReady = false;
+        return this.front;
+    }
+
+    dispose() {
+        this.worker.terminate();
+    }
+}
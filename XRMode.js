@@ -0,0 +1,388 @@
+import * as THREE from 'three';
+import { GestureHandler } from './GestureHandler.js';
+
+// Immersive VR / AR on the app's own renderer, scene and effects. Tracked hand
+// joints are projected through the viewer's eyes into MediaPipe-style landmarks,
+// so a GestureHandler classifies fists, open palms and two-hand gestures exactly
+// as it does for the webcam; each landmark keeps its scene position (`world`), so
+// HandFields touches the particles where the hands really are.
+// BloomManager.renderStereo draws both eyes into the headset's framebuffer.
+//
+// Without a headset, emulate() runs the same path on the desktop: scripted hands
+// (EmulatedHands) in front of the orbit camera, seen side by side in stereo or
+// through the usual flat view. Where WebXR is missing isSupported() says so and
+// the page simply stays flat.
+
+export const XR_MODES = ['immersive-vr', 'immersive-ar'];
+export const XR_EMULATOR_VIEWS = ['stereo', 'flat'];
+
+// WebXR hand joints in MediaPipe landmark order (metacarpals have no landmark)
+export const XR_HAND_JOINTS = [
+    'wrist',
+    'thumb-metacarpal', 'thumb-phalanx-proximal', 'thumb-phalanx-distal', 'thumb-tip',
+    ...['index-finger', 'middle-finger', 'ring-finger', 'pinky-finger'].flatMap(finger => [
+        `${finger}-phalanx-proximal`, `${finger}-phalanx-intermediate`, `${finger}-phalanx-distal`, `${finger}-tip`
+    ])
+];
+
+const EYE_HEIGHT = 1.6; // m above the floor, for runtimes without 'local-floor'
+const IPD = 0.064; // m between the emulated eyes
+
+// Tracked hands of an XRFrame (or EmulatedHands) -> per hand, 21 scene positions in
+// MediaPipe order. `toWorld` maps the reference space into the scene; hands the
+// runtime can't fully locate this frame are left out.
+export function readHands(frame, space, toWorld) {
+    const hands = [];
+    for (const source of frame.session.inputSources) {
+        if (!source.hand) continue;
+        const points = [];
+        for (const name of XR_HAND_JOINTS) {
+            const pose = frame.getJointPose(source.hand.get(name), space);
+            if (!pose) break;
+            const { x, y, z } = pose.transform.position;
+            points.push(new THREE.Vector3(x, y, z).applyMatrix4(toWorld));
+        }
+        if (points.length === XR_HAND_JOINTS.length) hands.push(points);
+    }
+    return hands;
+}
+
+const _view = new THREE.Vector3();
+const _ndc = new THREE.Vector3();
+
+// Scene-space joints -> landmarks as MediaPipe would report them from `camera`:
+// x, y in 0-1 across its view (x not mirrored, GestureHandler does that), z the depth
+// from the wrist in view widths (negative = towards the viewer)
+export function jointsToLandmarks(points, camera) {
+    const depth = p => -_view.copy(p).applyMatrix4(camera.matrixWorldInverse).z;
+    const wristDepth = depth(points[0]);
+    const viewWidth = 2 * Math.max(wristDepth, 1e-3) / camera.projectionMatrix.elements[0];
+    return points.map((p) => {
+        _ndc.copy(p).project(camera);
+        return {
+            x: 1 - (_ndc.x + 1) / 2,
+            y: (1 - _ndc.y) / 2,
+            z: (depth(p) - wristDepth) / viewWidth,
+            world: p.toArray()
+        };
+    });
+}
+
+// Finger curls (thumb first; 0 = straight, 1 = folded) and each wrist's distance
+// from the middle in meters
+export const EMULATED_POSES = {
+    open: { curls: [0, 0, 0, 0, 0], spread: 0.12 },
+    fist: { curls: [1, 1, 1, 1, 1], spread: 0.12 },
+    point: { curls: [1, 0, 1, 1, 1], spread: 0.12 },
+    peace: { curls: [1, 0, 0, 1, 1], spread: 0.12 },
+    apart: { curls: [0, 0, 0, 0, 0], spread: 0.4 }
+};
+const CYCLE = ['open', 'fist', 'open', 'apart', 'point', 'peace'];
+const CYCLE_HOLD = 2.5; // seconds per pose while cycling
+const POSE_SMOOTHING = 0.15; // seconds; hands move between poses instead of jumping
+
+// A right hand held up with the palm away from the viewer; +x runs towards the
+// little finger (the left hand is mirrored). Knuckle offsets from the wrist and
+// bone lengths in meters.
+const THUMB = { base: [-0.025, 0.025], bones: [0.04, 0.032, 0.027] };
+const FINGERS = [
+    { base: [-0.025, 0.09], bones: [0.04, 0.025, 0.02] },
+    { base: [-0.005, 0.095], bones: [0.045, 0.028, 0.022] },
+    { base: [0.015, 0.09], bones: [0.042, 0.026, 0.02] },
+    { base: [0.032, 0.08], bones: [0.032, 0.02, 0.018] }
+];
+
+// Scripted hands for testing without a headset. Offers the part of an XRFrame that
+// readHands uses (session.inputSources, getJointPose); joints are in meters in the
+// viewer's space (-z ahead), so the hands stay in view as the camera moves.
+export class EmulatedHands {
+    // options: { pose: EMULATED_POSES name or 'cycle', reach: m from the eyes to the wrists }
+    constructor(options = {}) {
+        this.pose = options.pose || 'cycle';
+        this.reach = options.reach || 1;
+        this.time = 0;
+        this.current = { curls: [...EMULATED_POSES.open.curls], spread: EMULATED_POSES.open.spread };
+        this.inputSources = ['left', 'right'].map(handedness => ({
+            handedness,
+            hand: new Map(XR_HAND_JOINTS.map(jointName => [jointName, { jointName }]))
+        }));
+        this.session = { inputSources: this.inputSources };
+        this.positions = new Map(); // joint -> THREE.Vector3
+        this.inputSources.forEach(source => source.hand.forEach(joint => this.positions.set(joint, new THREE.Vector3())));
+        this.dir = new THREE.Vector3();
+    }
+
+    // The pose being moved towards right now
+    target() {
+        const name = this.pose === 'cycle' ? CYCLE[Math.floor(this.time / CYCLE_HOLD) % CYCLE.length] : this.pose;
+        const pose = EMULATED_POSES[name];
+        if (!pose) throw new Error(`Unknown emulated pose "${name}", expected cycle or one of ${Object.keys(EMULATED_POSES).join(', ')}`);
+        return pose;
+    }
+
+    update(dt) {
+        this.time += dt;
+        const goal = this.target();
+        const k = 1 - Math.exp(-dt / POSE_SMOOTHING);
+        const current = this.current;
+        current.curls = current.curls.map((c, i) => c + (goal.curls[i] - c) * k);
+        current.spread += (goal.spread - current.spread) * k;
+
+        this.inputSources.forEach((source) => {
+            const sign = source.handedness === 'right' ? 1 : -1;
+            const sway = Math.sin(this.time * 1.3 + sign) * 0.015; // a little life, like real tracking
+            const joints = XR_HAND_JOINTS.map(name => this.positions.get(source.hand.get(name)));
+            joints[0].set(sign * current.spread, -0.12 + sway, -this.reach);
+            this.poseHand(joints, sign, current.curls);
+        });
+    }
+
+    // Lays out the 21 joints from the wrist (joints[0]) for the given curls
+    poseHand(joints, sign, curls) {
+        const wrist = joints[0];
+        const dir = this.dir;
+
+        // The thumb swings across the palm as it folds
+        joints[1].set(wrist.x + sign * THUMB.base[0], wrist.y + THUMB.base[1], wrist.z);
+        THUMB.bones.forEach((length, k) => {
+            const angle = 0.8 - 0.1 * k - curls[0] * (0.4 + 0.7 * k); // from straight up, outwards
+            dir.set(-sign * Math.sin(angle), Math.cos(angle), -curls[0] * 0.8).normalize();
+            joints[2 + k].copy(joints[1 + k]).addScaledVector(dir, length);
+        });
+
+        // Fingers bend at every knuckle, towards the palm side (away from the viewer)
+        FINGERS.forEach((finger, f) => {
+            const first = 5 + f * 4;
+            joints[first].set(wrist.x + sign * finger.base[0], wrist.y + finger.base[1], wrist.z);
+            finger.bones.forEach((length, k) => {
+                const angle = curls[f + 1] * 1.5 * (k + 1);
+                dir.set(0, Math.cos(angle), -Math.sin(angle));
+                joints[first + k + 1].copy(joints[first + k]).addScaledVector(dir, length);
+            });
+        });
+    }
+
+    getJointPose(joint) {
+        const position = this.positions.get(joint);
+        return position ? { transform: { position }, radius: 0.008 } : null;
+    }
+}
+
+export class XRMode {
+    // camera: the flat view's camera; while presenting it rides in a rig that sets the
+    // user's scale and starting place. onGestureUpdate receives GestureHandler states.
+    // options: { scale (scene units per meter), classifier, navigator (for tests) }
+    constructor(renderer, scene, camera, onGestureUpdate, options = {}) {
+        this.renderer = renderer;
+        this.scene = scene;
+        this.camera = camera;
+        this.navigator = options.navigator || globalThis.navigator;
+        this.scale = options.scale || 20;
+        this.hands = new GestureHandler(null, onGestureUpdate, { autoStart: false, classifier: options.classifier });
+        this.rig = new THREE.Group();
+        this.mode = null; // 'immersive-vr' | 'immersive-ar' | 'emulated' while active
+        this.session = null;
+        this.emulator = null; // EmulatedHands while emulating
+        this.view = 'stereo'; // emulator view, see XR_EMULATOR_VIEWS
+        this.time = 0; // ms, the classifier's clock
+        this.saved = null; // camera pose from before the session
+        this.onStart = null; // (mode)
+        this.onEnd = null;
+
+        // Emulated eyes: side by side on the canvas, like a headset's framebuffer
+        this.stereoCamera = new THREE.ArrayCamera([new THREE.PerspectiveCamera(), new THREE.PerspectiveCamera()]);
+        this.stereoCamera.cameras.forEach((eye) => {
+            eye.viewport = new THREE.Vector4();
+            this.stereoCamera.add(eye);
+        });
+        this.bufferSize = new THREE.Vector2();
+        this.toWorld = new THREE.Matrix4();
+        this.scaleVector = new THREE.Vector3();
+
+        renderer.xr.enabled = true;
+        // After three.js has put the renderer back
+        renderer.xr.addEventListener('sessionend', () => this.finish());
+    }
+
+    get active() {
+        return this.mode !== null;
+    }
+
+    get presenting() {
+        return this.renderer.xr.isPresenting;
+    }
+
+    // Frames go through BloomManager.renderStereo
+    get stereo() {
+        return this.presenting || (this.mode === 'emulated' && this.view === 'stereo');
+    }
+
+    // Resolves false without WebXR (or off https) and where the runtime lacks the mode
+    async isSupported(mode = 'immersive-vr') {
+        const xr = this.navigator && this.navigator.xr;
+        if (!xr) return false;
+        try {
+            return await xr.isSessionSupported(mode);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Needs a user gesture (a button press); resolves once the headset shows the scene
+    async enter(mode = 'immersive-vr') {
+        if (!XR_MODES.includes(mode)) throw new Error(`Unknown XR mode "${mode}", expected one of ${XR_MODES.join(', ')}`);
+        if (!(await this.isSupported(mode))) {
+            throw new Error(`${mode === 'immersive-ar' ? 'AR' : 'VR'} is not available here: it needs a WebXR browser or headset and an https page`);
+        }
+        await this.exit();
+
+        const session = await this.navigator.xr.requestSession(mode, { optionalFeatures: ['local-floor', 'hand-tracking'] });
+        // Without local-floor the reference space starts at the eyes instead of on the floor
+        const floor = !session.enabledFeatures || session.enabledFeatures.includes('local-floor');
+        this.renderer.xr.setReferenceSpaceType(floor ? 'local-floor' : 'local');
+        this.session = session;
+        this.placeRig(floor);
+        this.begin(mode);
+        try {
+            await this.renderer.xr.setSession(session);
+        } catch (e) {
+            session.end().catch(() => {});
+            this.finish();
+            throw e;
+        }
+        return session;
+    }
+
+    // Desktop stand-in for a session: scripted hands in front of the orbit camera
+    // options: { pose, reach } for EmulatedHands, view: 'stereo' | 'flat'
+    emulate(options = {}) {
+        if (this.session) throw new Error("Leave the XR session before emulating one");
+        const view = options.view || 'stereo';
+        if (!XR_EMULATOR_VIEWS.includes(view)) throw new Error(`Unknown emulator view "${view}", expected one of ${XR_EMULATOR_VIEWS.join(', ')}`);
+        const emulator = new EmulatedHands(options);
+        emulator.target(); // throws on an unknown pose before anything changes
+        this.finish();
+        this.emulator = emulator;
+        this.view = view;
+        this.begin('emulated');
+        return this.emulator;
+    }
+
+    async exit() {
+        if (this.session) await this.session.end(); // 'sessionend' finishes
+        else this.finish();
+    }
+
+    // The user starts where the camera is, facing the same way (level), at `scale`
+    placeRig(floor) {
+        const camera = this.camera;
+        this.saved = { position: camera.position.clone(), quaternion: camera.quaternion.clone(), fov: camera.fov, zoom: camera.zoom };
+
+        const forward = camera.getWorldDirection(new THREE.Vector3());
+        camera.getWorldPosition(this.rig.position);
+        if (floor) this.rig.position.y -= EYE_HEIGHT * this.scale;
+        this.rig.rotation.set(0, Math.atan2(-forward.x, -forward.z), 0);
+        this.rig.scale.setScalar(this.scale);
+        this.rig.add(camera);
+        this.scene.add(this.rig);
+        this.rig.updateMatrixWorld(true);
+    }
+
+    begin(mode) {
+        this.mode = mode;
+        this.hands.classifier.reset();
+        if (this.onStart) this.onStart(mode);
+    }
+
+    // Back to the flat view, with the camera as it was before the session
+    finish() {
+        if (!this.mode) return;
+        const camera = this.camera;
+        if (camera.parent === this.rig) {
+            this.rig.remove(camera);
+            this.scene.remove(this.rig);
+            camera.position.copy(this.saved.position);
+            camera.quaternion.copy(this.saved.quaternion);
+            camera.scale.set(1, 1, 1);
+            camera.fov = this.saved.fov;
+            camera.zoom = this.saved.zoom;
+            camera.updateProjectionMatrix();
+            camera.updateMatrixWorld();
+        }
+        this.mode = null;
+        this.session = null;
+        this.emulator = null;
+        this.hands.classifier.reset();
+        if (this.onEnd) this.onEnd();
+    }
+
+    // Once per frame before the scene steps (frame: the XRFrame from setAnimationLoop)
+    update(dt, frame = null) {
+        if (!this.mode) return;
+        this.time += dt * 1000;
+        let hands;
+        let view;
+
+        if (this.emulator) {
+            this.emulator.update(dt);
+            this.camera.updateMatrixWorld();
+            this.toWorld.copy(this.camera.matrixWorld).scale(this.scaleVector.setScalar(this.scale));
+            hands = readHands(this.emulator, null, this.toWorld);
+            // Classified through the eyes in either view, so gestures match the headset's
+            view = this.updateStereoCamera();
+        } else if (frame) {
+            hands = readHands(frame, this.renderer.xr.getReferenceSpace(), this.rig.matrixWorld);
+            view = this.renderer.xr.getCamera(); // as of the last frame drawn
+        } else {
+            return;
+        }
+
+        this.hands.processResult({ landmarks: hands.map(points => jointsToLandmarks(points, view)) }, this.time);
+    }
+
+    // Two eyes IPD apart on the orbit camera, each on its half of the drawing buffer
+    updateStereoCamera() {
+        const camera = this.camera;
+        const stereo = this.stereoCamera;
+        const { width, height } = this.renderer.getDrawingBufferSize(this.bufferSize);
+        const half = Math.floor(width / 2);
+
+        camera.matrixWorld.decompose(stereo.position, stereo.quaternion, stereo.scale);
+        stereo.fov = camera.fov;
+        stereo.zoom = camera.zoom;
+        stereo.near = camera.near;
+        stereo.far = camera.far;
+        stereo.aspect = half / height;
+        stereo.updateProjectionMatrix();
+
+        stereo.cameras.forEach((eye, i) => {
+            eye.position.set((i - 0.5) * IPD * this.scale, 0, 0);
+            eye.projectionMatrix.copy(stereo.projectionMatrix);
+            eye.projectionMatrixInverse.copy(stereo.projectionMatrixInverse);
+            eye.viewport.set(i * half, 0, half, height);
+        });
+        stereo.updateMatrixWorld(true);
+        return stereo;
+    }
+
+    // Draws the frame: both eyes while presenting or emulating in stereo, else the usual chain
+    render(bloomManager, deltaTime) {
+        if (!this.stereo) {
+            bloomManager.render(deltaTime);
+            return;
+        }
+        // AR shows the room wherever nothing is drawn
+        const ar = this.mode === 'immersive-ar';
+        const background = this.scene.background;
+        const clearAlpha = this.renderer.getClearAlpha();
+        if (ar) {
+            this.scene.background = null;
+            this.renderer.setClearAlpha(0);
+        }
+        bloomManager.renderStereo(deltaTime, this.presenting ? null : this.stereoCamera);
+        if (ar) {
+            this.scene.background = background;
+            this.renderer.setClearAlpha(clearAlpha);
+        }
+    }
+}
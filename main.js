@@ -3,9 +3,30 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import GUI from 'lil-gui';
 import Stats from 'three/addons/libs/stats.module.js';
 
-import { HeartSystem } from './js/HeartSystem.js';
-import { BloomManager } from './js/BloomManager.js';
+import { HeartSystem, MAX_PARTICLES } from './js/HeartSystem.js';
+import { BloomManager, BLOOM_LAYER, EFFECTS, EFFECT_TYPES } from './js/BloomManager.js';
 import { GestureHandler } from './js/GestureHandler.js';
+import { GestureMapper, defaultGestureMap } from './js/GestureMapping.js';
+import { GestureRecorder, LandmarkReplay } from './js/GestureRecorder.js';
+import { PointerInput } from './js/PointerInput.js';
+import { textShape } from './js/ShapeLibrary.js';
+import { loadMeshShape } from './js/MeshSampler.js';
+import { AudioInput } from './js/AudioReactive.js';
+import { SyntheticHeartRate, ReplayHeartRate, BluetoothHeartRate } from './js/HeartRateSource.js';
+import { PresetManager } from './js/PresetManager.js';
+import { FrameCapture, GestureTimeline } from './js/FrameCapture.js';
+import { ThemeEngine, THEME_MODES } from './js/ThemeEngine.js';
+import { INTEGRATORS, MAX_FIELDS } from './js/ParticlePhysics.js';
+import { CollabSync } from './js/CollabSync.js';
+import { HandFields, HAND_FIELD_MODES } from './js/HandFields.js';
+import { HandSkeleton } from './js/HandSkeleton.js';
+import { EXPLOSION_STYLES } from './js/ParticleLifecycle.js';
+import { SPRITE_SHAPES } from './js/ParticleMaterial.js';
+import { QualityGovernor, QUALITY_TIERS } from './js/QualityGovernor.js';
+import { ControlMapper } from './js/ControlMapping.js';
+import { MidiInput, OscInput } from './js/ControlSources.js';
+import { Timeline, EASINGS, exampleTimeline } from './js/Timeline.js';
+import { XRMode, XR_MODES, XR_EMULATOR_VIEWS, EMULATED_POSES } from './js/XRMode.js';
 
 // --- CONFIG ---
 const config = {
@@ -14,10 +35,135 @@ const config = {
     bloomRadius: 0.4,
     bloomThreshold: 0.85,
     baseColor: '#ff0055',
+    accentColor: '#ff00ff',
+    springStrength: 0.05,
+    damping: 0.92,
+    noiseStrength: 0.2,
+    integrator: 'euler', // 'euler' | 'verlet' (CPU backend only)
     timeOfDay: 0, // 0-24h
+    themeMode: 'off', // see THEME_MODES; ?theme=clock for unattended displays
+    themeSpeed: 1, // simulated hours per second
+    loadTheme: () => themeInput.click(),
+    shape: 'heart',
+    morphDuration: 2,
+    modelSampling: 'surface',
+    modelSeed: 1,
+    loadModel: () => modelInput.click(),
+    useMicrophone: () => startAudio(() => audioInput.startMicrophone()),
+    loadAudio: () => audioFileInput.click(),
+    stopAudio: () => audioInput.stop(),
+    heartRateSource: 'built-in',
+    syntheticBpm: 70,
+    syntheticVariability: 0.05,
+    bpm: 0,
+    connectBluetooth: () => connectBluetooth(),
+    loadRecording: () => recordingInput.click(),
+    startGestureRecording: () => startGestureRecording(),
+    stopGestureRecording: () => stopGestureRecording(),
+    replayGestures: () => sessionInput.click(),
+    inputMode: 'auto', // 'auto' | 'camera' | 'pointer'
+    handFields: true, // hands push/pull where they are instead of the whole cloud
+    handFieldMode: 'gesture', // see HAND_FIELD_MODES
+    handFieldStrength: 1,
+    handFieldRadius: 10,
+    showHandSkeleton: false,
+    sparksPerBeat: 0, // shed from the surface on each heartbeat
+    sparkRate: 0, // continuous sparks per second
+    sparkLifetime: 1.2,
+    trails: false,
+    trailLength: 8,
+    explosionStyle: 'spring', // see EXPLOSION_STYLES
+    sprite: 'glow', // see SPRITE_SHAPES
+    pointSize: 0.4,
+    sizeVariation: 0.4,
+    beatSize: 0.5, // points swell on the heartbeat
+    speedSize: 0.3, // and when moving fast
+    twinkle: 0.25,
+    aperture: 0, // depth of field, 0 = everything sharp
+    autoFocus: true, // focus on the orbit target
+    focusDistance: 40,
+    explode: () => heartSystem.explode({ style: config.explosionStyle }),
+    preset: 'Default',
+    presetName: 'My Preset',
+    crossfadeDuration: 2,
+    applyPreset: () => presetAction(() => presets.load(config.preset, config.crossfadeDuration)),
+    savePreset: () => presetAction(() => { presets.save(config.presetName); refreshPresetList(config.presetName); }),
+    deletePreset: () => presetAction(() => { presets.remove(config.preset); refreshPresetList('Default'); }),
+    exportPreset: () => presetAction(() => downloadText(`${config.preset}.json`, presets.exportJSON(config.preset))),
+    importPreset: () => presetInput.click(),
+    sharePreset: () => presetAction(() => sharePreset()),
+    effectType: 'vignette', // see EFFECT_TYPES
+    addEffect: () => presetAction(() => bloomManager.addEffect(config.effectType)),
+    exportEffects: () => downloadText('effects.json', JSON.stringify(bloomManager.toJSON(), null, 2)),
+    importEffects: () => effectsInput.click(),
+    exportWidth: 1920,
+    exportHeight: 1080,
+    exportFps: 30,
+    exportDuration: 5,
+    exportSeed: 1,
+    exportFormat: 'webm',
+    exportProgress: '',
+    loadTimeline: () => timelineInput.click(),
+    startExport: () => startExport(),
+    cancelExport: () => frameCapture.cancel(),
+    collabUrl: 'ws://localhost:8787',
+    collabRoom: 'lobby',
+    collabName: 'Guest',
+    collabStatus: 'offline',
+    collabPeers: 0,
+    collabConnect: () => connectCollab(),
+    collabDisconnect: () => collab.disconnect(),
+    controlTarget: 'bloom.strength', // what Learn binds next
+    learnControl: () => learnControl(),
+    unbindControl: () => controlMapper.unbind(null, config.controlTarget),
+    clearControls: () => controlMapper.clear(),
+    exportControls: () => downloadText('controls.json', JSON.stringify(controlMapper.toJSON(), null, 2)),
+    importControls: () => controlsInput.click(),
+    controlStatus: '', // learn prompt, or the last control that moved
+    connectMidi: () => connectMidi(),
+    midiStatus: 'off',
+    oscUrl: 'ws://localhost:8788',
+    oscStatus: 'offline',
+    connectOsc: () => connectOsc(),
+    disconnectOsc: () => oscInput.disconnect(),
+    adaptiveQuality: true, // step quality down (and back up) to hold the target frame rate
+    targetFps: 60,
+    qualityTier: QUALITY_TIERS[0].name,
+    timelineEase: 'easeInOut', // for new keys
+    timelineEvent: 'burst', // see controlActions
+    playTimeline: () => timeline.play(),
+    pauseTimeline: () => timeline.pause(),
+    stopTimeline: () => timeline.stop(),
+    keyCamera: () => presetAction(() => keyTimeline(CAMERA_TRACKS)),
+    keyScene: () => presetAction(() => keyTimeline(SCENE_TRACKS)),
+    addTimelineEvent: () => presetAction(() => {
+        timeline.addEvent(config.timelineEvent, controlActions[config.timelineEvent]);
+        refreshTimelineGUI();
+    }),
+    clearTimeline: () => {
+        timeline.load({ loop: timeline.loop });
+        refreshTimelineGUI();
+    },
+    exportTimeline: () => downloadText('timeline.json', JSON.stringify(timeline.toJSON(), null, 2)),
+    importTimeline: () => sceneTimelineInput.click(),
+    enterVR: () => enterXR('immersive-vr'),
+    enterAR: () => enterXR('immersive-ar'),
+    emulateXR: () => emulateXR(),
+    exitXR: () => xrMode.exit(),
+    xrScale: 20, // scene units per meter; the heart is about 1.5 m across
+    xrEmulatorPose: 'cycle', // see EMULATED_POSES
+    xrEmulatorView: 'stereo', // see XR_EMULATOR_VIEWS
+    xrStatus: 'flat screen',
     reset: () => resetSystem()
 };
 
+// Simulation backend: add ?backend=gpu to the URL for the GPGPU path (100k particles),
+// or ?backend=worker to run the CPU simulation in a Web Worker.
+// heartSystem.maxCount is the limit that holds (lower if the backend fell back to the CPU)
+const backendParam = new URLSearchParams(window.location.search).get('backend');
+const backend = ['gpu', 'worker'].includes(backendParam) ? backendParam : 'cpu';
+const maxParticles = MAX_PARTICLES[backend];
+
 // --- STATE ---
 const state = {
     gesture: {
@@ -26,6 +172,7 @@ const state = {
         rotationY: undefined
     }
 };
+let capturing = false; // an export is driving the scene (see EXPORT)
 
 // --- DOM ---
 const loader = document.getElementById('loader');
@@ -58,51 +205,1185 @@ try {
 
     // --- SYSTEMS ---
     bloomManager = new BloomManager(scene, camera, renderer, window.innerWidth, window.innerHeight);
-    heartSystem = new HeartSystem(scene, 5000);
+    heartSystem = new HeartSystem(scene, maxParticles, { backend, renderer });
+    heartSystem.mesh.layers.enable(BLOOM_LAYER); // the particles glow under selective bloom
 
     // Set initial count
     heartSystem.setParticleCount(config.particleCount);
 
+    // Extra shapes for the morph dropdown
+    heartSystem.registerShape('love', textShape('LOVE'));
+
 } catch (e) {
     console.error("Setup Error:", e);
     if (window.showError) window.showError("Setup Error: " + e.message);
     throw e; // Stop execution
 }
 
+// --- QUALITY ---
+// Rolling frame-time percentiles pick a tier: particle count, pixel ratio, glow
+// and hand detection rate. ?quality=<tier> pins one (no adaptation).
+const qualityParam = new URLSearchParams(window.location.search).get('quality');
+const pinnedTier = QUALITY_TIERS.findIndex(t => t.name === qualityParam);
+const governor = new QualityGovernor({ targetFps: config.targetFps, startTier: Math.max(pinnedTier, 0) });
+governor.enabled = config.adaptiveQuality = pinnedTier < 0;
+// Only fires from the loop or the GUI, once the hand tracker exists
+governor.onChange = (tier) => {
+    applyQuality(tier);
+    gestureHandler.detectionRate = tier.gestureRate;
+};
+applyQuality(governor.tier);
+
+// Everything but the hand tracker, which reads the tier when it's created
+function applyQuality(tier) {
+    config.qualityTier = tier.name;
+    applyParticleCount();
+    bloomManager.setQuality(tier);
+    if (renderer.xr.isPresenting) return; // the headset sets the resolution; applied again on exit
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio, tier.pixelRatio));
+    bloomManager.resize(window.innerWidth, window.innerHeight);
+}
+
+// config.particleCount is what the user asked for; the tier decides how much of it is drawn
+function applyParticleCount() {
+    heartSystem.setParticleCount(Math.max(100, Math.round(config.particleCount * governor.tier.particleScale)));
+}
+
+// --- AUDIO ---
+const audioInput = new AudioInput();
+
+// --- HEART RATE ---
+let heartRateSource = null;
+let heartRateKind = 'built-in'; // what the GUI's source dropdown shows
+
+function setHeartRateSource(source, kind = 'built-in') {
+    if (heartRateSource) heartRateSource.dispose();
+    heartRateSource = source;
+    heartRateKind = config.heartRateSource = kind;
+    heartSystem.pulseSource = source;
+    heartSystem.pulseSpeed = 1.0;
+    if (source) source.onBeat(({ bpm }) => { config.bpm = Math.round(bpm); });
+}
+
+// --- PRESETS ---
+const PHYSICS_FIELDS = ['springStrength', 'damping', 'noiseStrength'];
+const BLOOM_FIELDS = ['bloomStrength', 'bloomRadius', 'bloomThreshold'];
+
+function readSettings() {
+    return {
+        particleCount: config.particleCount,
+        springStrength: config.springStrength,
+        damping: config.damping,
+        noiseStrength: config.noiseStrength,
+        color1: config.baseColor,
+        color2: config.accentColor,
+        bloomStrength: config.bloomStrength,
+        bloomRadius: config.bloomRadius,
+        bloomThreshold: config.bloomThreshold,
+        cameraPosition: camera.position.toArray(),
+        cameraTarget: controls.target.toArray(),
+        cameraFov: camera.fov,
+        shape: config.shape
+    };
+}
+
+// Applies any subset of settings (crossfades call this every frame)
+function applySettings(s) {
+    const fields = ['particleCount', ...PHYSICS_FIELDS, ...BLOOM_FIELDS];
+    fields.forEach((key) => { if (s[key] !== undefined) config[key] = s[key]; });
+    if (s.color1 !== undefined) config.baseColor = s.color1;
+    if (s.color2 !== undefined) config.accentColor = s.color2;
+
+    applyParticleCount();
+    heartSystem.params.springStrength = config.springStrength;
+    heartSystem.params.damping = config.damping;
+    heartSystem.params.noiseStrength = config.noiseStrength;
+    heartSystem.params.color1.set(config.baseColor);
+    heartSystem.params.color2.set(config.accentColor);
+    bloomManager.updateSettings(config);
+
+    if (s.cameraPosition) camera.position.fromArray(s.cameraPosition);
+    if (s.cameraTarget) controls.target.fromArray(s.cameraTarget);
+    if (s.cameraFov !== undefined) {
+        camera.fov = s.cameraFov;
+        camera.updateProjectionMatrix();
+    }
+
+    if (s.shape !== undefined && s.shape !== config.shape) {
+        if (heartSystem.shapes.has(s.shape)) {
+            config.shape = s.shape;
+            heartSystem.morphTo(s.shape, config.morphDuration);
+        } else {
+            console.warn(`Preset shape "${s.shape}" is not loaded, keeping "${config.shape}"`);
+        }
+    }
+
+    gui.controllersRecursive().forEach(c => c.updateDisplay());
+}
+
+// Timeline tracks change every frame, so they skip applySettings (which resizes the
+// particle buffers and redraws every controller) and refresh only what they touched
+function applyTrackSettings(s) {
+    const touched = [];
+    for (const key of PHYSICS_FIELDS) {
+        if (s[key] === undefined) continue;
+        config[key] = heartSystem.params[key] = s[key];
+        touched.push(key);
+    }
+    if (s.color1 !== undefined) {
+        config.baseColor = s.color1;
+        heartSystem.params.color1.set(s.color1);
+        touched.push('baseColor');
+    }
+    if (s.color2 !== undefined) {
+        config.accentColor = s.color2;
+        heartSystem.params.color2.set(s.color2);
+        touched.push('accentColor');
+    }
+    if (s.particleCount !== undefined && s.particleCount !== config.particleCount) {
+        config.particleCount = s.particleCount;
+        applyParticleCount();
+        touched.push('particleCount');
+    }
+    const glowTouched = BLOOM_FIELDS.some(key => s[key] !== undefined);
+    if (glowTouched) {
+        BLOOM_FIELDS.forEach((key) => { if (s[key] !== undefined) config[key] = s[key]; });
+        bloomManager.updateSettings(s);
+    }
+
+    if (s.cameraPosition) camera.position.fromArray(s.cameraPosition);
+    if (s.cameraTarget) controls.target.fromArray(s.cameraTarget);
+    if (s.cameraFov !== undefined) {
+        camera.fov = s.cameraFov;
+        camera.updateProjectionMatrix();
+    }
+
+    if (!touched.length && !glowTouched) return;
+    const glow = glowTouched ? ['bloom', 'selectiveBloom'].map(type => bloomManager.getEffect(type)).filter(Boolean).map(e => e.settings) : [];
+    gui.controllersRecursive().forEach((c) => {
+        if ((c.object === config && touched.includes(c.property)) || glow.includes(c.object)) c.updateDisplay();
+    });
+}
+
+const presets = new PresetManager({ read: readSettings, apply: applySettings }, window.localStorage, { maxParticles: heartSystem.maxCount });
+
+// --- TIMELINE ---
+// Keyframed camera paths, setting tracks and events (see Timeline.js), applied
+// through the preset adapter. Zooming, orbit drags, palette changes and MIDI take
+// a track over for a moment; it blends back once they stop. ?timeline=play starts it.
+const CAMERA_TRACKS = ['cameraPosition', 'cameraTarget', 'cameraFov'];
+const SCENE_TRACKS = ['color1', 'color2', 'bloomStrength', 'bloomRadius', 'bloomThreshold', 'springStrength', 'damping', 'noiseStrength'];
+
+const timeline = new Timeline({
+    read: readSettings,
+    apply: applyTrackSettings,
+    trigger: (action, args) => {
+        try {
+            gestureMapper.trigger(action, args);
+        } catch (e) {
+            console.warn("Timeline event skipped:", e.message);
+        }
+    }
+}, exampleTimeline);
+if (new URLSearchParams(window.location.search).get('timeline') === 'play') timeline.play();
+
+let orbiting = false; // an OrbitControls drag is in progress
+controls.addEventListener('start', () => { orbiting = true; });
+controls.addEventListener('end', () => { orbiting = false; });
+
+// Key the current values of `tracks` at the playhead
+function keyTimeline(tracks) {
+    const settings = readSettings();
+    timeline.addKeys(Object.fromEntries(tracks.map(name => [name, settings[name]])), timeline.time, config.timelineEase);
+    refreshTimelineGUI();
+}
+
+// --- AMBIENT THEME ---
+// While a theme mode is on it owns the particle gradient, fog, background, bloom
+// and exposure; switching it off restores the user's settings.
+const defaultFog = { color: scene.fog.color.clone(), density: scene.fog.density };
+const defaultExposure = renderer.toneMappingExposure;
+
+const themes = new ThemeEngine({
+    apply: (theme) => {
+        heartSystem.setGradient(theme.palette);
+        scene.fog.color.set(theme.fogColor);
+        scene.fog.density = theme.fogDensity;
+        if (!scene.background) scene.background = new THREE.Color();
+        scene.background.set(theme.background);
+        bloomManager.updateSettings(theme);
+        config.timeOfDay = theme.hour;
+    },
+    restore: () => {
+        heartSystem.setGradient(null);
+        scene.fog.color.copy(defaultFog.color);
+        scene.fog.density = defaultFog.density;
+        scene.background = null;
+        bloomManager.updateSettings({ ...config, exposure: defaultExposure });
+    }
+});
+themes.speed = config.themeSpeed;
+themes.hour = config.timeOfDay;
+
+const themeParam = new URLSearchParams(window.location.search).get('theme');
+if (THEME_MODES.includes(themeParam)) config.themeMode = themeParam;
+themes.setMode(config.themeMode);
+
 // --- GESTURE ---
-const gestureHandler = new GestureHandler(
-    document.getElementById('webcam'),
-    (gestureState) => {
-        state.gesture = gestureState;
-        updateStatusUI(gestureState);
+const palettes = [
+    ['#ff0055', '#ff00ff'], // Crimson / Neon Pink
+    ['#00f2ff', '#7a00ff'], // Ice / Violet
+    ['#ffaa00', '#ff0033'], // Ember
+    ['#00ff88', '#00aaff'] // Aurora
+];
+let paletteIndex = 0;
+let rotationOffset = 0; // added to hand rotation by drag / two-hand rotate
+
+const gestureMapper = new GestureMapper(defaultGestureMap, {
+    rotate: (e, args) => { rotationOffset += e.value * args.scale; },
+    zoom: (e, args) => zoomCamera(args.rate !== undefined ? args.rate * e.dt : e.value * args.scale),
+    morphShape: (e, args) => cycleShape(args.step),
+    setShape: (e, args) => applySettings({ shape: args.shape }),
+    changePalette: () => cyclePalette(),
+    burst: (e, args) => heartSystem.burst(args.strength),
+    explode: (e, args) => heartSystem.explode({ ...args, style: config.explosionStyle }),
+    reset: () => resetSystem()
+});
+
+function onGestureUpdate(gestureState) {
+    if (capturing) return; // exports play their gesture timeline, not the live hands
+    state.gesture = gestureState;
+    gestureMapper.handle(gestureState.gestures, gestureState.dt);
+    updateStatusUI(gestureState);
+}
+
+// --- INPUT PROVIDERS ---
+// Camera hands when available, otherwise mouse/touch/keyboard
+let cameraAvailable = null; // null while the camera is still starting
+let inputProvider = null; // 'camera' | 'pointer'
+
+const gestureHandler = new GestureHandler(document.getElementById('webcam'), onGestureUpdate, {
+    detectionRate: governor.tier.gestureRate,
+    onError: (e) => {
+        statusText.innerText = e.missing ? "Hand tracking files missing - use mouse, touch or keys" : "No camera - use mouse, touch or keys";
+        statusDot.className = "dot warn";
+        console.warn("Camera unavailable, falling back to pointer input:", e.message);
     }
-);
+});
+
+const pointerInput = new PointerInput(renderer.domElement, onGestureUpdate, {
+    getRotation: () => heartSystem.container.rotation.y,
+    onAction: (name, args, event) => gestureMapper.trigger(name, args, event)
+});
+
+gestureHandler.ready.then((ok) => {
+    cameraAvailable = ok;
+    if (!xrMode.active) applyInputMode(); // XR hands keep the input until the session ends
+});
+
+function applyInputMode() {
+    const wantsCamera = config.inputMode === 'camera' || (config.inputMode === 'auto' && cameraAvailable !== false);
+    const next = wantsCamera ? 'camera' : 'pointer';
+    if (next === inputProvider) return;
+    inputProvider = next;
+
+    // Pointer mode owns drag and pinch, so OrbitControls steps aside
+    if (next === 'pointer') {
+        gestureHandler.paused = true;
+        controls.enabled = false;
+        pointerInput.enable();
+    } else {
+        pointerInput.disable();
+        controls.enabled = true;
+        gestureHandler.paused = false;
+        if (cameraAvailable === false) {
+            // Explicit camera choice after a failure: try again (e.g. permission granted since)
+            cameraAvailable = null;
+            gestureHandler.ready = gestureHandler.init();
+            gestureHandler.ready.then((ok) => { cameraAvailable = ok; });
+        }
+    }
+    onGestureUpdate({ type: 'IDLE', strength: 0, rotationY: undefined });
+}
+applyInputMode();
+
+// --- XR ---
+// Immersive VR / AR on the same scene and effects (see XRMode.js). Tracked hands go
+// through the webcam's gesture classifier, so fists, open palms and two-hand gestures
+// work in the headset. Without WebXR the page stays flat; Emulate (or ?xr=emulate)
+// runs the XR path with scripted hands and a side-by-side stereo view instead.
+const xrMode = new XRMode(renderer, scene, camera, onGestureUpdate, { scale: config.xrScale });
+
+xrMode.onStart = (mode) => {
+    // XR hands replace camera and pointer input; a real headset also moves the camera itself
+    gestureHandler.paused = true;
+    pointerInput.disable();
+    controls.enabled = mode === 'emulated';
+    config.xrStatus = mode === 'emulated' ? `emulated (${xrMode.view})` : mode.replace('immersive-', '').toUpperCase();
+};
+xrMode.onEnd = () => {
+    config.xrStatus = 'flat screen';
+    inputProvider = null; // re-applied from scratch
+    applyInputMode();
+    applyQuality(governor.tier);
+    resize();
+};
+
+async function enterXR(mode) {
+    try {
+        await xrMode.enter(mode);
+    } catch (e) {
+        console.error("XR Error:", e);
+        if (window.showError) window.showError("XR Error: " + e.message);
+    }
+}
+
+function emulateXR() {
+    try {
+        xrMode.emulate({ pose: config.xrEmulatorPose, view: config.xrEmulatorView });
+    } catch (e) {
+        console.error("XR Error:", e);
+        if (window.showError) window.showError("XR Error: " + e.message);
+    }
+}
+
+if (new URLSearchParams(window.location.search).get('xr') === 'emulate') emulateXR();
+
+// --- CONTROL SURFACES ---
+// MIDI faders, knobs and pads, and OSC from TouchOSC & co. (through `npm run osc`),
+// drive settings and gesture actions. Bindings are learned from the GUI and persist;
+// mapped settings go through config, so the GUI, presets and collaboration follow them.
+function configTarget(key, min, max, apply, step) {
+    return {
+        min,
+        max,
+        step,
+        get: () => config[key],
+        set: (v) => {
+            config[key] = v;
+            apply(v);
+            timeline.override(key);
+        }
+    };
+}
+
+// Hue of a gradient color; saturation and lightness stay. `track` is its timeline name
+function hueTarget(key, track, color) {
+    const hsl = {};
+    return {
+        min: 0,
+        max: 1,
+        get: () => color.getHSL(hsl).h,
+        set: (h) => {
+            color.getHSL(hsl);
+            color.setHSL(h, hsl.s, hsl.l);
+            config[key] = '#' + color.getHexString();
+            timeline.override(track);
+        }
+    };
+}
+
+const controlTargets = {
+    particleCount: configTarget('particleCount', 1000, heartSystem.maxCount, applyParticleCount, 100),
+    springStrength: configTarget('springStrength', 0, 0.3, (v) => { heartSystem.params.springStrength = v; }),
+    damping: configTarget('damping', 0.5, 1, (v) => { heartSystem.params.damping = v; }),
+    noiseStrength: configTarget('noiseStrength', 0, 2, (v) => { heartSystem.params.noiseStrength = v; }),
+    baseHue: hueTarget('baseColor', 'color1', heartSystem.params.color1),
+    accentHue: hueTarget('accentColor', 'color2', heartSystem.params.color2)
+};
+// '<effect>.<setting>' for every effect parameter; does nothing while that effect is off the chain
+for (const type of EFFECT_TYPES) {
+    for (const [key, [min, max]] of Object.entries(EFFECTS[type].params)) {
+        controlTargets[`${type}.${key}`] = {
+            min,
+            max,
+            get: () => {
+                const effect = bloomManager.getEffect(type);
+                return effect ? effect.settings[key] : EFFECTS[type].defaults[key];
+            },
+            set: (v) => {
+                if (!bloomManager.getEffect(type)) return;
+                bloomManager.updateEffect(type, { [key]: v });
+                bloomManager.onEdit(type, bloomManager.getEffect(type).settings);
+            }
+        };
+    }
+}
+// 'action.<name>' fires a gesture action on a note or button press (binding args override these)
+const controlActions = { burst: { strength: 1 }, explode: { strength: 1 }, morphShape: { step: 1 }, changePalette: {}, reset: {} };
+for (const [name, args] of Object.entries(controlActions)) {
+    controlTargets[`action.${name}`] = { args, trigger: (value, a) => gestureMapper.trigger(name, a, { value }) };
+}
+
+const controlMapper = new ControlMapper(controlTargets);
+controlMapper.onLearn = (binding) => { config.controlStatus = `${binding.control} -> ${binding.target}`; };
+
+function onControlMessage(message) {
+    if (capturing) return;
+    const learning = controlMapper.learning;
+    controlMapper.handle(message);
+    if (!learning) config.controlStatus = `${message.control} ${message.value.toFixed(2)}`;
+}
+
+const midiInput = new MidiInput(onControlMessage);
+midiInput.onDevices = (names) => { config.midiStatus = names.length ? names.join(', ') : 'no devices'; };
+const oscInput = new OscInput(onControlMessage);
+oscInput.onStatus = (status) => { config.oscStatus = status; };
+
+async function connectMidi() {
+    try {
+        await midiInput.connect();
+    } catch (e) {
+        console.error("MIDI Error:", e);
+        if (window.showError) window.showError("MIDI Error: " + e.message);
+    }
+}
+
+async function connectOsc() {
+    oscInput.url = config.oscUrl;
+    try {
+        await oscInput.connect();
+    } catch (e) {
+        console.error("OSC Error:", e);
+        if (window.showError) window.showError(e.message);
+    }
+}
+
+function learnControl() {
+    controlMapper.learn(config.controlTarget);
+    config.controlStatus = `move a control for ${config.controlTarget}`;
+}
+
+// ?midi to listen to MIDI devices right away, ?osc=ws://host:8788 for the bridge
+const controlParams = new URLSearchParams(window.location.search);
+if (controlParams.has('midi')) connectMidi();
+if (controlParams.get('osc')) {
+    config.oscUrl = controlParams.get('osc');
+    connectOsc();
+}
 
 // --- UI ---
 const gui = new GUI({ title: 'Heart Control' });
-gui.add(config, 'particleCount', 1000, 5000, 100).onChange(v => heartSystem.setParticleCount(v));
+const particleCountController = gui.add(config, 'particleCount', 1000, heartSystem.maxCount, 100).onChange(applyParticleCount);
+// A worker that dies hands the simulation to the main thread, which draws fewer particles
+heartSystem.onBackendChange = () => {
+    const max = heartSystem.maxCount;
+    config.particleCount = Math.min(config.particleCount, max);
+    particleCountController.max(max).updateDisplay();
+    controlTargets.particleCount.max = max;
+    presets.limits.particleCount = max;
+    applyParticleCount();
+};
 gui.addColor(config, 'baseColor').onChange(v => {
     heartSystem.params.color1.set(v);
 });
-const bloomFolder = gui.addFolder('Glow Effect');
-bloomFolder.add(config, 'bloomStrength', 0, 3).onChange(updateBloom);
-bloomFolder.add(config, 'bloomRadius', 0, 1).onChange(updateBloom);
-bloomFolder.add(config, 'bloomThreshold', 0, 1).onChange(updateBloom);
+gui.addColor(config, 'accentColor').onChange(v => {
+    heartSystem.params.color2.set(v);
+});
+gui.add(config, 'inputMode', ['auto', 'camera', 'pointer']).name('input').onChange(() => { if (!xrMode.active) applyInputMode(); });
+const shapeFolder = gui.addFolder('Shape');
+const shapeController = shapeFolder.add(config, 'shape', heartSystem.shapes.list()).onChange(v => heartSystem.morphTo(v, config.morphDuration));
+shapeFolder.add(config, 'morphDuration', 0, 5, 0.1);
+shapeFolder.add(config, 'modelSampling', ['surface', 'volume']);
+shapeFolder.add(config, 'modelSeed', 1, 1000, 1);
+shapeFolder.add(config, 'loadModel').name('Load Model (glb/obj/ply)');
+const physicsFolder = gui.addFolder('Physics');
+physicsFolder.add(config, 'springStrength', 0, 0.3, 0.005).onChange(v => { heartSystem.params.springStrength = v; });
+physicsFolder.add(config, 'damping', 0.5, 1, 0.005).onChange(v => { heartSystem.params.damping = v; });
+physicsFolder.add(config, 'noiseStrength', 0, 2, 0.01).onChange(v => { heartSystem.params.noiseStrength = v; });
+const integratorController = physicsFolder.add(config, 'integrator', INTEGRATORS).onChange(v => { heartSystem.params.integrator = v; });
+if (heartSystem.backend === 'gpu') integratorController.disable(); // the GPU path is Euler only
+const handFolder = gui.addFolder('Hand Fields');
+handFolder.add(config, 'handFields').name('local fields');
+handFolder.add(config, 'handFieldMode', HAND_FIELD_MODES).name('mode').onChange(v => { handFields.options.mode = v; });
+handFolder.add(config, 'handFieldStrength', 0, 3, 0.05).name('strength').onChange(v => { handFields.options.strength = v; });
+handFolder.add(config, 'handFieldRadius', 2, 30, 0.5).name('palm radius').onChange(v => {
+    // Fingertips and vortices keep their proportions to the palm
+    Object.assign(handFields.options, { palmRadius: v, tipRadius: v * 0.4, vortexRadius: v * 0.8 });
+});
+handFolder.add(config, 'showHandSkeleton').name('show skeleton');
+handFolder.close();
+const pointFolder = gui.addFolder('Particle Look');
+pointFolder.add(config, 'sprite', SPRITE_SHAPES).onChange(v => heartSystem.setPointStyle({ sprite: v }));
+pointFolder.add(config, 'pointSize', 0.05, 2, 0.05).name('size').onChange(v => heartSystem.setPointStyle({ size: v }));
+pointFolder.add(config, 'sizeVariation', 0, 0.9, 0.05).name('size variation').onChange(v => heartSystem.setPointStyle({ sizeVariation: v }));
+pointFolder.add(config, 'beatSize', 0, 2, 0.05).name('beat swell').onChange(v => heartSystem.setPointStyle({ beatSize: v }));
+pointFolder.add(config, 'speedSize', 0, 2, 0.05).name('speed swell').onChange(v => heartSystem.setPointStyle({ speedSize: v }));
+pointFolder.add(config, 'twinkle', 0, 1, 0.05).onChange(v => heartSystem.setPointStyle({ twinkle: v }));
+pointFolder.add(config, 'aperture', 0, 0.5, 0.01).name('depth of field').onChange(v => heartSystem.setPointStyle({ aperture: v }));
+pointFolder.add(config, 'autoFocus').name('focus on target');
+pointFolder.add(config, 'focusDistance', 1, 100, 0.5).name('focus distance').listen()
+    .onChange(v => heartSystem.setPointStyle({ focusDistance: v }));
+pointFolder.close();
+const lifecycleFolder = gui.addFolder('Sparks & Trails');
+lifecycleFolder.add(config, 'sparksPerBeat', 0, 300, 5).name('sparks per beat').onChange(updateEmitter);
+lifecycleFolder.add(config, 'sparkRate', 0, 1000, 10).name('sparks per second').onChange(updateEmitter);
+lifecycleFolder.add(config, 'sparkLifetime', 0.2, 4, 0.1).name('spark lifetime').onChange(updateEmitter);
+lifecycleFolder.add(config, 'trails').onChange(updateTrails);
+lifecycleFolder.add(config, 'trailLength', 2, 30, 1).name('trail length').onChange(updateTrails);
+lifecycleFolder.add(config, 'explosionStyle', EXPLOSION_STYLES).name('explosion');
+lifecycleFolder.add(config, 'explode').name('Explode (X)');
+if (heartSystem.backend === 'gpu') {
+    // Sparks and trails need CPU-side particles
+    lifecycleFolder.controllers.slice(0, 5).forEach(c => c.disable());
+}
+lifecycleFolder.close();
+const effectsFolder = gui.addFolder('Effects');
+effectsFolder.add(config, 'effectType', EFFECT_TYPES).name('effect');
+effectsFolder.add(config, 'addEffect').name('Add Effect');
+effectsFolder.add(config, 'exportEffects').name('Export JSON');
+effectsFolder.add(config, 'importEffects').name('Import JSON');
+bloomManager.createGUI(effectsFolder); // one folder per pass, in chain order
+// Glow edits become the base that presets, themes and audio start from
+bloomManager.onEdit = (type, settings) => {
+    if (type !== 'bloom' && type !== 'selectiveBloom') return;
+    config.bloomStrength = settings.strength;
+    config.bloomRadius = settings.radius;
+    config.bloomThreshold = settings.threshold;
+    bloomManager.updateSettings(config);
+};
+const qualityFolder = gui.addFolder('Performance');
+qualityFolder.add(config, 'adaptiveQuality').name('adaptive quality').onChange((v) => { governor.enabled = v; });
+qualityFolder.add(config, 'targetFps', 20, 120, 1).name('target fps').onChange((v) => { governor.options.targetFps = v; });
+qualityFolder.add(config, 'qualityTier', QUALITY_TIERS.map(t => t.name)).name('quality').listen()
+    .onChange(v => governor.setTier(QUALITY_TIERS.findIndex(t => t.name === v)));
+qualityFolder.close();
+const audioFolder = gui.addFolder('Audio');
+audioFolder.add(config, 'useMicrophone').name('Use Microphone');
+audioFolder.add(config, 'loadAudio').name('Load Audio File');
+audioFolder.add(config, 'stopAudio').name('Stop Audio');
+audioFolder.add(audioInput.detector, 'sensitivity', 1, 3, 0.05);
+audioFolder.add(audioInput.gains, 'pulse', 0, 0.5).name('pulse gain');
+audioFolder.add(audioInput.gains, 'noise', 0, 5).name('noise gain');
+audioFolder.add(audioInput.gains, 'bloom', 0, 5).name('bloom gain');
+audioFolder.close();
+const heartRateFolder = gui.addFolder('Heart Rate');
+heartRateFolder.add(config, 'heartRateSource', ['built-in', 'synthetic', 'replay', 'bluetooth']).name('source').listen().onChange(v => {
+    // A recording or monitor only takes over once it has loaded / connected
+    if (v === 'replay' || v === 'bluetooth') {
+        config.heartRateSource = heartRateKind;
+        if (v === 'replay') recordingInput.click();
+        else connectBluetooth();
+        return;
+    }
+    setHeartRateSource(v === 'synthetic' ? createSyntheticSource() : null, v);
+});
+heartRateFolder.add(config, 'syntheticBpm', 30, 200, 1).name('synthetic bpm').onFinishChange(refreshSynthetic);
+heartRateFolder.add(config, 'syntheticVariability', 0, 0.3, 0.01).name('variability').onFinishChange(refreshSynthetic);
+heartRateFolder.add(config, 'connectBluetooth').name('Connect BLE Monitor');
+heartRateFolder.add(config, 'loadRecording').name('Load RR Recording');
+heartRateFolder.add(config, 'bpm').listen().disable();
+heartRateFolder.close();
+const gestureFolder = gui.addFolder('Gesture Recording');
+gestureFolder.add(config, 'startGestureRecording').name('Start Recording');
+gestureFolder.add(config, 'stopGestureRecording').name('Stop & Save JSON');
+gestureFolder.add(config, 'replayGestures').name('Replay Session');
+gestureFolder.close();
+const presetFolder = gui.addFolder('Presets');
+const presetController = presetFolder.add(config, 'preset', presets.list());
+presetFolder.add(config, 'crossfadeDuration', 0, 10, 0.1).name('crossfade (s)');
+presetFolder.add(config, 'applyPreset').name('Apply');
+presetFolder.add(config, 'presetName').name('save as');
+presetFolder.add(config, 'savePreset').name('Save');
+presetFolder.add(config, 'deletePreset').name('Delete');
+presetFolder.add(config, 'exportPreset').name('Export JSON');
+presetFolder.add(config, 'importPreset').name('Import JSON');
+presetFolder.add(config, 'sharePreset').name('Copy Share Link');
+const themeFolder = gui.addFolder('Ambient Theme');
+themeFolder.add(config, 'themeMode', THEME_MODES).name('mode').listen().onChange(v => themes.setMode(v));
+themeFolder.add(config, 'timeOfDay', 0, 24, 0.1).name('time of day (h)').listen().onChange(v => {
+    themes.hour = v;
+    if (config.themeMode === 'clock' || config.themeMode === 'off') {
+        config.themeMode = 'manual';
+        themes.setMode('manual');
+    }
+});
+themeFolder.add(config, 'themeSpeed', 0, 24, 0.1).name('simulated h/s').onChange(v => { themes.speed = v; });
+themeFolder.add(config, 'loadTheme').name('Load Keyframes JSON');
+themeFolder.close();
+const exportFolder = gui.addFolder('Export');
+exportFolder.add(config, 'exportWidth', 320, 7680, 1).name('width');
+exportFolder.add(config, 'exportHeight', 240, 4320, 1).name('height');
+exportFolder.add(config, 'exportFps', [24, 25, 30, 60]).name('fps');
+exportFolder.add(config, 'exportDuration', 1, 120, 1).name('duration (s)');
+exportFolder.add(config, 'exportSeed', 1, 9999, 1).name('seed');
+exportFolder.add(config, 'exportFormat', ['webm', 'png']).name('format');
+exportFolder.add(config, 'loadTimeline').name('Load Gesture Timeline');
+exportFolder.add(config, 'startExport').name('Start');
+exportFolder.add(config, 'cancelExport').name('Cancel');
+exportFolder.add(config, 'exportProgress').name('progress').listen().disable();
+exportFolder.close();
+const collabFolder = gui.addFolder('Collaborate');
+collabFolder.add(config, 'collabUrl').name('relay');
+collabFolder.add(config, 'collabRoom').name('room');
+collabFolder.add(config, 'collabName').name('name');
+collabFolder.add(config, 'collabConnect').name('Connect');
+collabFolder.add(config, 'collabDisconnect').name('Disconnect');
+collabFolder.add(config, 'collabStatus').name('status').listen().disable();
+collabFolder.add(config, 'collabPeers').name('others').listen().disable();
+collabFolder.close();
+const timelineFolder = gui.addFolder('Timeline');
+timelineFolder.add(config, 'playTimeline').name('Play');
+timelineFolder.add(config, 'pauseTimeline').name('Pause');
+timelineFolder.add(config, 'stopTimeline').name('Stop');
+const timelineScrub = timelineFolder.add(timeline, 'time', 0, Math.max(timeline.duration, 0.01), 0.01).name('time (s)').listen()
+    .onChange(v => timeline.seek(v));
+const timelineLength = timelineFolder.add(timeline, 'duration', 0, 300, 0.5).name('length (s, 0 = auto)').onChange(refreshTimelineGUI);
+timelineFolder.add(timeline, 'loop');
+timelineFolder.add(timeline, 'speed', 0, 4, 0.05);
+timelineFolder.add(timeline, 'hold', 0, 10, 0.1).name('override hold (s)');
+timelineFolder.add(timeline, 'blendBack', 0, 10, 0.1).name('blend back (s)');
+timelineFolder.add(config, 'timelineEase', Object.keys(EASINGS)).name('ease');
+timelineFolder.add(config, 'keyCamera').name('Key Camera');
+timelineFolder.add(config, 'keyScene').name('Key Colors, Glow & Physics');
+timelineFolder.add(config, 'timelineEvent', Object.keys(controlActions)).name('event');
+timelineFolder.add(config, 'addTimelineEvent').name('Add Event');
+timelineFolder.add(config, 'clearTimeline').name('Clear');
+timelineFolder.add(config, 'exportTimeline').name('Export JSON');
+timelineFolder.add(config, 'importTimeline').name('Import JSON');
+timelineFolder.close();
+
+// The scrub range follows the timeline's length as keys are added
+function refreshTimelineGUI() {
+    timelineScrub.max(Math.max(timeline.duration, 0.01)).updateDisplay();
+    timelineLength.updateDisplay();
+}
+const controlFolder = gui.addFolder('MIDI / OSC');
+controlFolder.add(config, 'connectMidi').name('Connect MIDI');
+controlFolder.add(config, 'midiStatus').name('midi').listen().disable();
+controlFolder.add(config, 'oscUrl').name('osc bridge');
+controlFolder.add(config, 'connectOsc').name('Connect OSC');
+controlFolder.add(config, 'disconnectOsc').name('Disconnect OSC');
+controlFolder.add(config, 'oscStatus').name('osc').listen().disable();
+controlFolder.add(config, 'controlTarget', controlMapper.targetNames()).name('target');
+controlFolder.add(config, 'learnControl').name('Learn');
+controlFolder.add(config, 'unbindControl').name('Unbind Target');
+controlFolder.add(config, 'controlStatus').name('control').listen().disable();
+controlFolder.add(config, 'exportControls').name('Export JSON');
+controlFolder.add(config, 'importControls').name('Import JSON');
+controlFolder.add(config, 'clearControls').name('Clear All');
+controlFolder.close();
+const xrFolder = gui.addFolder('XR');
+const xrButtons = [
+    xrFolder.add(config, 'enterVR').name('Enter VR'),
+    xrFolder.add(config, 'enterAR').name('Enter AR')
+];
+xrFolder.add(config, 'emulateXR').name('Emulate (no headset)');
+xrFolder.add(config, 'exitXR').name('Exit');
+xrFolder.add(config, 'xrScale', 5, 60, 1).name('units per meter').onChange((v) => { xrMode.scale = v; });
+xrFolder.add(config, 'xrEmulatorPose', ['cycle', ...Object.keys(EMULATED_POSES)]).name('emulated hands').onChange((v) => {
+    if (xrMode.emulator) xrMode.emulator.pose = v;
+});
+xrFolder.add(config, 'xrEmulatorView', XR_EMULATOR_VIEWS).name('emulator view').onChange((v) => {
+    xrMode.view = v;
+    if (xrMode.mode === 'emulated') config.xrStatus = `emulated (${v})`;
+});
+xrFolder.add(config, 'xrStatus').name('status').listen().disable();
+xrFolder.close();
+// Greyed out where the browser or device can't start the session
+Promise.all(XR_MODES.map(mode => xrMode.isSupported(mode))).then((supported) => {
+    supported.forEach((ok, i) => { if (!ok) xrButtons[i].disable(); });
+    if (!supported.includes(true) && !xrMode.active) config.xrStatus = 'flat screen (no WebXR)';
+});
 gui.add(config, 'reset');
 
-function updateBloom() {
-    bloomManager.updateSettings(config);
+// Hidden file picker for mesh targets
+const modelInput = document.createElement('input');
+modelInput.type = 'file';
+modelInput.accept = '.glb,.gltf,.obj,.ply';
+modelInput.addEventListener('change', async () => {
+    const file = modelInput.files[0];
+    modelInput.value = '';
+    if (!file) return;
+
+    try {
+        const sampler = await loadMeshShape(file, { mode: config.modelSampling, seed: config.modelSeed });
+        heartSystem.registerShape(file.name, sampler);
+        config.shape = file.name;
+        shapeController.options(heartSystem.shapes.list());
+        heartSystem.morphTo(file.name, config.morphDuration);
+    } catch (e) {
+        console.error("Model Load Error:", e);
+        if (window.showError) window.showError("Model Load Error: " + e.message);
+    }
+});
+
+// Audio file picker + drag & drop
+const audioFileInput = document.createElement('input');
+audioFileInput.type = 'file';
+audioFileInput.accept = 'audio/*';
+audioFileInput.addEventListener('change', () => {
+    const file = audioFileInput.files[0];
+    audioFileInput.value = '';
+    if (file) startAudio(() => audioInput.startFile(file));
+});
+window.addEventListener('dragover', (e) => e.preventDefault());
+window.addEventListener('drop', (e) => {
+    const file = e.dataTransfer.files[0];
+    if (!file || !file.type.startsWith('audio/')) return;
+    e.preventDefault();
+    startAudio(() => audioInput.startFile(file));
+});
+
+// RR recordings (.csv or .json)
+const recordingInput = document.createElement('input');
+recordingInput.type = 'file';
+recordingInput.accept = '.csv,.json,.txt';
+recordingInput.addEventListener('change', async () => {
+    const file = recordingInput.files[0];
+    recordingInput.value = '';
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        const source = file.name.endsWith('.json') ? ReplayHeartRate.fromJSON(text) : ReplayHeartRate.fromCSV(text);
+        setHeartRateSource(source, 'replay');
+    } catch (e) {
+        console.error("Recording Load Error:", e);
+        if (window.showError) window.showError("Recording Load Error: " + e.message);
+    }
+});
+
+// Gesture sessions: record live landmarks, replay them without the camera
+const gestureRecorder = new GestureRecorder();
+let gestureReplay = null;
+
+function startGestureRecording() {
+    gestureRecorder.start();
+    gestureHandler.recorder = gestureRecorder;
+}
+
+function stopGestureRecording() {
+    if (!gestureRecorder.recording) return;
+    gestureRecorder.stop();
+    gestureHandler.recorder = null;
+    gestureRecorder.download();
+}
+
+const sessionInput = document.createElement('input');
+sessionInput.type = 'file';
+sessionInput.accept = '.json';
+sessionInput.addEventListener('change', async () => {
+    const file = sessionInput.files[0];
+    sessionInput.value = '';
+    if (!file) return;
+
+    try {
+        if (gestureReplay) gestureReplay.stop();
+        gestureReplay = new LandmarkReplay(await file.text(), gestureHandler);
+        gestureHandler.paused = true;
+        gestureReplay.play({
+            onEnd: () => {
+                gestureHandler.paused = inputProvider !== 'camera';
+                gestureHandler.classifier.reset();
+                // Without live detection nothing would release the session's last gesture
+                if (gestureHandler.paused || !gestureHandler.isReady) {
+                    onGestureUpdate({ type: 'IDLE', strength: 0, rotationY: undefined });
+                }
+            }
+        });
+    } catch (e) {
+        gestureHandler.paused = inputProvider !== 'camera';
+        console.error("Gesture Session Error:", e);
+        if (window.showError) window.showError("Gesture Session Error: " + e.message);
+    }
+});
+
+function createSyntheticSource() {
+    return new SyntheticHeartRate({ bpm: config.syntheticBpm, variability: config.syntheticVariability });
+}
+
+function refreshSynthetic() {
+    if (config.heartRateSource === 'synthetic') setHeartRateSource(createSyntheticSource(), 'synthetic');
+}
+
+async function connectBluetooth() {
+    const source = new BluetoothHeartRate();
+    try {
+        source.onDisconnect = () => {
+            if (heartRateSource !== source) return;
+            setHeartRateSource(null);
+            if (window.showError) window.showError("Heart rate monitor disconnected, back to the built-in beat");
+        };
+        const name = await source.connect();
+        setHeartRateSource(source, 'bluetooth');
+        console.log("Heart rate monitor connected:", name);
+    } catch (e) {
+        source.dispose();
+        console.error("Bluetooth Error:", e);
+        if (window.showError) window.showError("Bluetooth Heart Rate Failed: " + e.message);
+    }
+}
+
+async function startAudio(start) {
+    try {
+        await start();
+    } catch (e) {
+        console.error("Audio Init Error:", e);
+        if (window.showError) window.showError("Audio Init Failed: " + e.message);
+    }
+}
+
+// One 'surface' emitter driven by the Sparks & Trails folder
+function updateEmitter() {
+    if (config.sparksPerBeat === 0 && config.sparkRate === 0) {
+        heartSystem.removeEmitter('surface');
+        return;
+    }
+    heartSystem.addEmitter('surface', {
+        perBeat: config.sparksPerBeat,
+        rate: config.sparkRate,
+        lifetime: [config.sparkLifetime * 0.6, config.sparkLifetime * 1.4]
+    });
+}
+
+function updateTrails() {
+    heartSystem.setTrails({ enabled: config.trails, length: config.trailLength });
 }
 
 function resetSystem() {
     heartSystem.initParticles();
     state.gesture = { type: 'IDLE', strength: 0 };
+    rotationOffset = 0;
+}
+
+// Move the camera along its view axis, within the OrbitControls limits
+function zoomCamera(delta) {
+    timeline.override('cameraPosition');
+    const offset = camera.position.clone().sub(controls.target);
+    const distance = THREE.MathUtils.clamp(offset.length() + delta, controls.minDistance, controls.maxDistance);
+    camera.position.copy(controls.target).add(offset.setLength(distance));
+}
+
+function cycleShape(step) {
+    const shapes = heartSystem.shapes.list();
+    const i = (shapes.indexOf(config.shape) + step + shapes.length) % shapes.length;
+    config.shape = shapes[i];
+    shapeController.updateDisplay();
+    heartSystem.morphTo(config.shape, config.morphDuration);
+}
+
+function cyclePalette() {
+    timeline.override(['color1', 'color2']);
+    paletteIndex = (paletteIndex + 1) % palettes.length;
+    const [c1, c2] = palettes[paletteIndex];
+    applySettings({ color1: c1, color2: c2 });
+}
+
+// Preset GUI helpers: surface validation/storage errors instead of throwing from a button
+function presetAction(fn) {
+    try {
+        fn();
+    } catch (e) {
+        console.error("Preset Error:", e);
+        if (window.showError) window.showError(e.message);
+    }
+}
+
+function refreshPresetList(selected) {
+    config.preset = selected;
+    presetController.options(presets.list());
+}
+
+function downloadText(filename, text) {
+    downloadBlob(filename, new Blob([text], { type: 'application/json' }));
+}
+
+function downloadBlob(filename, blob) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+function sharePreset() {
+    const url = `${location.origin}${location.pathname}${location.search}#${presets.shareHash(config.preset)}`;
+    history.replaceState(null, '', url);
+    if (navigator.clipboard) navigator.clipboard.writeText(url);
+    console.log("Preset link:", url);
+}
+
+const presetInput = document.createElement('input');
+presetInput.type = 'file';
+presetInput.accept = '.json';
+presetInput.addEventListener('change', async () => {
+    const file = presetInput.files[0];
+    presetInput.value = '';
+    if (!file) return;
+    const text = await file.text();
+    presetAction(() => refreshPresetList(presets.importJSON(text).name));
+});
+
+const effectsInput = document.createElement('input');
+effectsInput.type = 'file';
+effectsInput.accept = '.json';
+effectsInput.addEventListener('change', async () => {
+    const file = effectsInput.files[0];
+    effectsInput.value = '';
+    if (!file) return;
+    const text = await file.text();
+    presetAction(() => {
+        bloomManager.fromJSON(JSON.parse(text));
+        const glow = bloomManager.getEffect('bloom') || bloomManager.getEffect('selectiveBloom');
+        if (glow) bloomManager.onEdit(glow.type, glow.settings);
+    });
+});
+
+const controlsInput = document.createElement('input');
+controlsInput.type = 'file';
+controlsInput.accept = '.json';
+controlsInput.addEventListener('change', async () => {
+    const file = controlsInput.files[0];
+    controlsInput.value = '';
+    if (!file) return;
+    const text = await file.text();
+    presetAction(() => controlMapper.fromJSON(JSON.parse(text)));
+});
+
+const sceneTimelineInput = document.createElement('input');
+sceneTimelineInput.type = 'file';
+sceneTimelineInput.accept = '.json';
+sceneTimelineInput.addEventListener('change', async () => {
+    const file = sceneTimelineInput.files[0];
+    sceneTimelineInput.value = '';
+    if (!file) return;
+    const text = await file.text();
+    presetAction(() => {
+        timeline.load(JSON.parse(text));
+        refreshTimelineGUI();
+    });
+});
+
+const themeInput = document.createElement('input');
+themeInput.type = 'file';
+themeInput.accept = '.json';
+themeInput.addEventListener('change', async () => {
+    const file = themeInput.files[0];
+    themeInput.value = '';
+    if (!file) return;
+    try {
+        themes.setKeyframes(JSON.parse(await file.text()));
+    } catch (e) {
+        console.error("Theme Error:", e);
+        if (window.showError) window.showError(e.message);
+    }
+});
+
+// --- HAND FIELDS ---
+// Palms and fingertips act where they appear on screen (see HandFields);
+// without a hand position (keyboard, timelines) gestures stay global.
+const handFields = new HandFields(camera, controls.target);
+const handSkeleton = new HandSkeleton(scene);
+
+// gesture -> same gesture with its hands as fields, plus any extra (remote) hand states
+function localizedGesture(gesture, others = []) {
+    const fields = [gesture, ...others].flatMap(g => handFields.fields(g)).slice(0, MAX_FIELDS);
+    if (fields.length === 0 && others.length === 0) return gesture;
+    return { ...gesture, type: 'IDLE', strength: 0, fields };
+}
+
+// raw: the input's gesture (landmarks), gesture: what the heart gets (fields)
+function updateHandSkeleton(raw, gesture) {
+    const hands = handFields.projectHands(raw);
+    handSkeleton.setVisible(config.showHandSkeleton && (hands.length > 0 || (gesture.fields || []).length > 0));
+    if (handSkeleton.group.visible) handSkeleton.update(hands, gesture.fields || [], camera);
+}
+
+// --- COLLABORATION ---
+// Every participant's hand becomes its own force field at its screen position;
+// scene settings and rotation are shared channels owned by one client at a time.
+const collab = new CollabSync();
+let remoteRotation = null;
+let lastSharedSettings = null; // JSON of the settings last sent or received
+
+collab.onStatus = (status) => { config.collabStatus = status === 'connected' ? `connected as ${collab.id}` : status; };
+collab.onPeers = (peers) => { config.collabPeers = peers.length; };
+collab.onUpdate = (channel, value) => {
+    if (channel === 'params') {
+        applySettings(value);
+        lastSharedSettings = JSON.stringify(sharedSettings());
+    } else if (channel === 'rotation') {
+        remoteRotation = value;
+    }
+};
+collab.onDenied = (channel, owner) => {
+    if (channel !== 'params') return;
+    console.info(`Scene settings are controlled by ${owner} right now`);
+    if (collab.snapshot.params) collab.onUpdate('params', collab.snapshot.params);
+};
+
+async function connectCollab() {
+    Object.assign(collab, { url: config.collabUrl, room: config.collabRoom, name: config.collabName });
+    remoteRotation = null;
+    lastSharedSettings = null;
+    try {
+        await collab.connect();
+    } catch (e) {
+        console.error("Collaboration Error:", e);
+        if (window.showError) window.showError(e.message);
+    }
+}
+
+// Everything a preset carries except the camera, which stays per screen
+function sharedSettings() {
+    const { cameraPosition, cameraTarget, cameraFov, ...settings } = readSettings();
+    return settings;
+}
+
+// Broadcast local setting changes; snap back if someone else holds the channel
+function syncSharedSettings() {
+    const json = JSON.stringify(sharedSettings());
+    if (json === lastSharedSettings) return;
+    lastSharedSettings = json;
+    if (collab.isLocked('params')) collab.onDenied('params', collab.owners.params);
+    else collab.setChannel('params', JSON.parse(json));
+}
+
+// Local + remote hands as force fields, rotation from whoever owns it
+function collaborativeGesture(gesture) {
+    collab.sendGesture(gesture);
+
+    const steering = gesture.rotationY !== undefined;
+    if (steering && !collab.isLocked('rotation')) {
+        collab.sendRotation(gesture.rotationY, true);
+    } else if (collab.isOwner('rotation')) {
+        collab.sendRotation(heartSystem.container.rotation.y, false); // keep others in step with idle spin
+    }
+
+    const remote = collab.activeHands().map(p => p.gesture);
+    return {
+        ...localizedGesture(gesture, remote),
+        type: 'IDLE',
+        strength: 0,
+        rotationY: collab.isLocked('rotation') && remoteRotation !== null ? remoteRotation : gesture.rotationY
+    };
+}
+
+const collabParams = new URLSearchParams(window.location.search);
+if (collabParams.get('collab')) {
+    config.collabUrl = collabParams.get('collab');
+    config.collabRoom = collabParams.get('room') || config.collabRoom;
+    connectCollab();
+}
+
+// --- EXPORT ---
+// Offline capture steps the scene at exactly 1/fps per frame with seeded noise,
+// so the same seed + timeline renders the same frames every time. Live inputs
+// (camera, pointer, MIDI / OSC, microphone, BLE monitors, peers) are kept out.
+let exportTimeline = new GestureTimeline();
+
+const frameCapture = new FrameCapture(renderer, {
+    prepare: async (seed) => {
+        await heartSystem.settle(); // a live frame still in the worker
+        audioInput.release(heartSystem, bloomManager, { noiseStrength: config.noiseStrength, bloomStrength: config.bloomStrength });
+        // Replayable heart-rate sources start from their first beat, live ones sit out
+        heartSystem.pulseSource = heartRateSource && !heartRateSource.live ? heartRateSource : null;
+        if (heartSystem.pulseSource) heartRateSource.reset();
+        heartSystem.pulseSpeed = 1.0;
+        presets.finishFade();
+
+        // Spend any orbit momentum now, and keep drags off the camera until the end
+        controls.enabled = false;
+        controls.enableDamping = false;
+        controls.update();
+        controls.enableDamping = true;
+
+        heartSystem.setSeed(seed);
+        heartSystem.initParticles();
+        heartSystem.time = 0;
+        heartSystem.container.rotation.y = 0;
+        rotationOffset = 0;
+        if (timeline.playing) timeline.seek(0); // a playing timeline starts over with the capture
+    },
+    step: async (dt, gesture) => {
+        stepScene(dt, gesture, false);
+        await heartSystem.settle();
+    },
+    render: () => bloomManager.render(),
+    resize: (width, height) => {
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+        renderer.setSize(width, height, false);
+        bloomManager.resize(width, height);
+    }
+});
+
+const timelineInput = document.createElement('input');
+timelineInput.type = 'file';
+timelineInput.accept = '.json';
+timelineInput.addEventListener('change', async () => {
+    const file = timelineInput.files[0];
+    timelineInput.value = '';
+    if (!file) return;
+    try {
+        exportTimeline = GestureTimeline.fromJSON(await file.text());
+        console.log(`Loaded gesture timeline: ${exportTimeline.keys.length} keys, ${exportTimeline.events.length} events`);
+    } catch (e) {
+        console.error("Timeline Error:", e);
+        if (window.showError) window.showError("Timeline Error: " + e.message);
+    }
+});
+
+// PNG frames go to a chosen folder where supported, otherwise one download each
+async function pngFrameWriter() {
+    const name = (i) => `frame-${String(i).padStart(5, '0')}.png`;
+    if (window.showDirectoryPicker) {
+        const dir = await window.showDirectoryPicker({ mode: 'readwrite' });
+        return async (blob, i) => {
+            const writable = await (await dir.getFileHandle(name(i), { create: true })).createWritable();
+            await writable.write(blob);
+            await writable.close();
+        };
+    }
+    return (blob, i) => downloadBlob(name(i), blob);
+}
+
+async function startExport() {
+    if (capturing) return;
+    try {
+        const onFrame = config.exportFormat === 'png' ? await pngFrameWriter() : undefined;
+        capturing = true;
+        const result = await frameCapture.capture({
+            width: config.exportWidth,
+            height: config.exportHeight,
+            fps: config.exportFps,
+            duration: config.exportDuration,
+            seed: config.exportSeed,
+            format: config.exportFormat,
+            timeline: exportTimeline,
+            onAction: (action, args) => gestureMapper.trigger(action, args),
+            onFrame,
+            onProgress: (done, total) => { config.exportProgress = `${done} / ${total}`; }
+        });
+        if (result instanceof Blob) downloadBlob(`kinetic-heart-${config.exportSeed}.webm`, result);
+    } catch (e) {
+        console.error("Export Error:", e);
+        if (window.showError) window.showError("Export Error: " + e.message);
+    } finally {
+        capturing = false;
+        heartSystem.setSeed(null);
+        heartSystem.pulseSource = heartRateSource; // the microphone takes it back on its next frame
+        controls.enabled = inputProvider !== 'pointer';
+        clock.getDelta(); // don't feed the capture time into the next live frame
+    }
+}
+
+// Shared link: #preset=...
+if (location.hash) {
+    presetAction(() => {
+        const shared = presets.loadFromHash(location.hash);
+        if (shared) console.log(`Loaded shared preset "${shared.name}"`);
+    });
 }
 
 function updateStatusUI(g) {
     if (g.type === 'IDLE') {
-        statusText.innerText = "Waiting for Hand...";
-        statusDot.className = "dot";
+        // Show any other recognized gesture, e.g. "PEACE"
+        const active = g.gestures && Object.keys(g.gestures).find(name => g.gestures[name].active);
+        const waiting = inputProvider === 'pointer' ? "Drag, pinch or press keys" : "Waiting for Hand...";
+        statusText.innerText = active ? active.replace(/_/g, ' ') : waiting;
+        statusDot.className = active ? "dot active" : "dot";
     } else if (g.type === 'EXPAND') {
         statusText.innerText = "Expanding";
         statusDot.className = "dot active";
@@ -119,33 +1400,86 @@ document.body.appendChild(stats.dom);
 // --- LOOP ---
 const clock = new THREE.Clock();
 
-function animate() {
-    requestAnimationFrame(animate);
+// One simulation tick; shared by the live loop and offline export (live = false:
+// no microphone and no peers, only what the capture scripts)
+function stepScene(delta, gestureState, live = true) {
+    presets.update(delta);
+    if (orbiting) timeline.override(CAMERA_TRACKS);
+    timeline.update(delta);
+    if (!xrMode.presenting) controls.update(); // the headset places the camera
+    updateFocus();
+    const theme = themes.update(delta);
+
+    // Audio drives pulse, noise and glow while a source is playing
+    if (live) {
+        audioInput.update();
+        audioInput.apply(heartSystem, bloomManager, {
+            noiseStrength: config.noiseStrength,
+            bloomStrength: theme ? theme.bloomStrength : config.bloomStrength
+        });
+    }
+
+    // Update Heart with gesture state
+    // We pass the raw gesture state.
+    // If rotation is defined in gesture, pass it (plus any mapped rotation offset).
+    let gesture = gestureState.rotationY === undefined
+        ? gestureState
+        : { ...gestureState, rotationY: gestureState.rotationY + rotationOffset };
+    if (collab.connected && live) gesture = collaborativeGesture(gesture);
+    else if (config.handFields) gesture = localizedGesture(gesture);
+    updateHandSkeleton(gestureState, gesture);
+    heartSystem.update(delta, gesture);
+}
+
+// Depth of field follows the orbit target unless focus is set by hand
+const cameraWorld = new THREE.Vector3();
+function updateFocus() {
+    if (!config.autoFocus || config.aperture === 0) return;
+    const distance = camera.getWorldPosition(cameraWorld).distanceTo(controls.target);
+    if (Math.abs(distance - config.focusDistance) < 0.01) return;
+    config.focusDistance = distance;
+    heartSystem.setPointStyle({ focusDistance: distance });
+}
+
+let frameCount = 0;
+// Runs through renderer.setAnimationLoop: XR sessions only get frames that way
+function animate(time, frame) {
+    // The capture drives the scene itself while exporting
+    if (capturing) return;
 
     const delta = clock.getDelta();
 
     stats.begin();
 
-    controls.update();
+    // MIDI / OSC values glide towards where the controls are
+    if (controlMapper.update(delta)) gui.controllersRecursive().forEach(c => c.updateDisplay());
 
-    // Update Heart with gesture state
-    // We pass the raw gesture state.
-    // If rotation is defined in gesture, pass it.
-    heartSystem.update(delta, state.gesture);
+    // Tracked (or emulated) XR hands -> gesture state
+    xrMode.update(delta, frame);
+
+    stepScene(delta, state.gesture);
+
+    // Shared settings go out a few times a second, not every frame
+    if (collab.connected && frameCount++ % 12 === 0) syncSharedSettings();
 
-    // Render with Bloom
-    bloomManager.render();
+    // Render with Bloom (both eyes in XR)
+    xrMode.render(bloomManager, delta);
 
     stats.end();
+
+    // Whole frame intervals, so GPU stalls and vsync misses count too
+    governor.sample(delta * 1000);
 }
 
 // --- RESIZE ---
-window.addEventListener('resize', () => {
+function resize() {
+    if (renderer.xr.isPresenting) return; // the headset owns the size until the session ends
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
     bloomManager.resize(window.innerWidth, window.innerHeight);
-});
+}
+window.addEventListener('resize', resize);
 
 // --- INIT ---
 // Hide loader after a brief moment (or wait for first frame)
@@ -153,7 +1487,7 @@ setTimeout(() => {
     if (loader) loader.style.opacity = 0;
     setTimeout(() => {
         if (loader) loader.style.display = 'none';
-        animate(); // Start loop
+        renderer.setAnimationLoop(animate); // Start loop
     }, 500);
 }, 1000); // 1s fake load time + wait for modules
 
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { ASSETS } from '../AssetResolver.js';
+
+const read = file => fs.readFileSync(new URL(`../${file}`, import.meta.url), 'utf8');
+
+// Vendored copies come from node_modules; ?assets=cdn loads these URLs instead
+test('CDN URLs load the same library versions package.json vendors', () => {
+    const { dependencies } = JSON.parse(read('package.json'));
+    const urls = [ASSETS.visionWasm.cdn, ...read('index.html').match(/https:\/\/[^"']+/g)];
+    const pinned = urls.map(url => /\/((?:@[\w-]+\/)?[\w.-]+)@([\d.]+)\//.exec(url)).filter(Boolean);
+
+    assert.deepEqual(new Set(pinned.map(m => m[1])), new Set(['three', 'lil-gui', '@mediapipe/tasks-vision']));
+    for (const [, name, version] of pinned) {
+        assert.equal(dependencies[name], version, `${name}: package.json ${dependencies[name]}, CDN ${version}`);
+    }
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioInput, BeatDetector } from '../AudioReactive.js';
+
+const SAMPLE_RATE = 48000;
+
+// `seconds` of a 60 Hz kick every 60/bpm seconds over a little hiss
+function kicks(bpm, seconds) {
+    const samples = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    let seed = 1;
+    for (let i = 0; i < samples.length; i++) {
+        const t = i / SAMPLE_RATE;
+        const sinceKick = t % (60 / bpm);
+        seed = (seed * 16807) % 2147483647;
+        samples[i] = Math.sin(2 * Math.PI * 60 * t) * Math.exp(-sinceKick * 20) + (seed / 2147483647 - 0.5) * 0.02;
+    }
+    return samples;
+}
+
+// AudioInput on a stand-in AnalyserNode: each call sees the last fftSize samples up
+// to the audio clock, like the real one, so consecutive windows overlap
+function createInput(samples) {
+    const input = new AudioInput();
+    input.context = { currentTime: 0, sampleRate: SAMPLE_RATE };
+    input.buffer = new Float32Array(2048);
+    input.analyser = {
+        getFloatTimeDomainData(buffer) {
+            const end = Math.round(input.context.currentTime * SAMPLE_RATE);
+            buffer.fill(0);
+            const start = Math.max(0, end - buffer.length);
+            buffer.set(samples.subarray(start, end), buffer.length - (end - start));
+        }
+    };
+    input.startTime = 0;
+    input.active = true;
+    return input;
+}
+
+test('overlapping analyser windows give the same bands and beats as the offline analysis', () => {
+    const samples = kicks(120, 6);
+    const frameSize = 1024;
+    const offline = BeatDetector.analyze(samples, SAMPLE_RATE, { frameSize });
+
+    const input = createInput(samples);
+    const live = [];
+    for (let end = frameSize; end <= samples.length; end += frameSize) {
+        input.context.currentTime = end / SAMPLE_RATE;
+        live.push({ ...input.update() });
+    }
+
+    assert.equal(live.length, offline.frames.length);
+    live.forEach((frame, i) => {
+        const expected = offline.frames[i];
+        assert.equal(frame.beat, expected.beat, `frame ${i}`);
+        for (const band of ['low', 'mid', 'high']) {
+            assert.ok(Math.abs(frame.bands[band] - expected.bands[band]) < 1e-6, `frame ${i} ${band}`);
+        }
+    });
+    assert.ok(Math.abs(offline.bpm - 120) < 3, `found ${offline.bpm} BPM`);
+});
+
+test('a second update at the same audio time feeds nothing new', () => {
+    const input = createInput(kicks(120, 1));
+    input.context.currentTime = 0.5;
+    const first = input.update();
+    assert.equal(input.update(), first);
+});
+
+test('the detected tempo keeps beating for a few bars after the music goes quiet', () => {
+    const input = new AudioInput();
+    const detector = input.detector;
+    detector.lastBeat = 1;
+    detector.intervals = [0.5, 0.5, 0.5];
+    const pulseAt = (time) => {
+        detector.envelope = 0; // nothing detected since
+        detector.result = { ...detector.result, time, bpm: detector.estimateBpm() };
+        return input.getPulse();
+    };
+
+    assert.ok(Math.abs(pulseAt(1.5) - input.gains.pulse) < 1e-9, "a full beat on the predicted one");
+    assert.ok(pulseAt(1.75) < input.gains.pulse * 0.25, "decayed between beats");
+    assert.ok(Math.abs(pulseAt(2.5) - input.gains.pulse) < 1e-9);
+    assert.equal(pulseAt(3.5), 0, "and stops after four beats");
+});
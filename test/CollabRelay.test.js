@@ -0,0 +1,148 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import crypto from 'node:crypto';
+import { createRelay } from '../CollabRelay.js';
+
+// Bare WebSocket client: masked frames out, unmasked text frames in
+function connect(port) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1');
+        const client = { socket, messages: [], waiters: [], closed: false };
+        let buffer = Buffer.alloc(0);
+        let open = false;
+
+        client.sendFrame = (payload, { opcode = 0x1, fin = true } = {}) => {
+            const data = Buffer.from(payload);
+            const mask = crypto.randomBytes(4);
+            let header;
+            if (data.length < 126) {
+                header = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | data.length]);
+            } else {
+                header = Buffer.alloc(4);
+                header[0] = (fin ? 0x80 : 0) | opcode;
+                header[1] = 0x80 | 126;
+                header.writeUInt16BE(data.length, 2);
+            }
+            socket.write(Buffer.concat([header, mask, data.map((b, i) => b ^ mask[i & 3])]));
+        };
+        client.send = message => client.sendFrame(typeof message === 'string' ? message : JSON.stringify(message));
+        // Resolves with the next message matching `type`
+        client.next = type => new Promise((done) => {
+            const found = client.messages.findIndex(m => m.type === type);
+            if (found >= 0) done(client.messages.splice(found, 1)[0]);
+            else client.waiters.push({ type, done });
+        });
+        client.whenClosed = new Promise((done) => { socket.on('close', () => { client.closed = true; done(); }); });
+        client.close = () => socket.end();
+
+        socket.on('error', reject);
+        socket.on('connect', () => {
+            socket.write(
+                'GET / HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+                `Sec-WebSocket-Key: ${crypto.randomBytes(16).toString('base64')}\r\nSec-WebSocket-Version: 13\r\n\r\n`
+            );
+        });
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            if (!open) {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end < 0) return;
+                assert.match(buffer.toString('latin1', 0, end), /^HTTP\/1\.1 101/);
+                buffer = buffer.subarray(end + 4);
+                open = true;
+                resolve(client);
+            }
+            while (buffer.length >= 2) {
+                let length = buffer[1] & 0x7f;
+                let offset = 2;
+                if (length === 126) {
+                    if (buffer.length < 4) return;
+                    length = buffer.readUInt16BE(2);
+                    offset = 4;
+                }
+                if (buffer.length < offset + length) return;
+                const opcode = buffer[0] & 0x0f;
+                const payload = buffer.subarray(offset, offset + length);
+                buffer = buffer.subarray(offset + length);
+                if (opcode === 0x8) {
+                    client.closeCode = payload.readUInt16BE(0);
+                    continue;
+                }
+                const message = JSON.parse(payload.toString('utf8'));
+                const waiter = client.waiters.findIndex(w => w.type === message.type);
+                if (waiter >= 0) client.waiters.splice(waiter, 1)[0].done(message);
+                else client.messages.push(message);
+            }
+        });
+    });
+}
+
+let relay;
+let port;
+
+before(async () => {
+    relay = createRelay({ port: 0, host: '127.0.0.1', leaseMs: 200 });
+    port = await relay.listen();
+});
+
+after(() => relay.close());
+
+async function join(room, name) {
+    const client = await connect(port);
+    client.send({ type: 'join', room, name });
+    client.welcome = await client.next('welcome');
+    return client;
+}
+
+test('peers in a room see each other and their updates', async () => {
+    const a = await join('fanout', 'A');
+    const b = await join('fanout', 'B');
+    assert.deepEqual(b.welcome.peers, [{ id: a.welcome.id, name: 'A' }]);
+    assert.equal((await a.next('join')).peer.name, 'B');
+
+    a.send({ type: 'update', channel: 'params', value: { damping: 0.9 }, active: true });
+    const update = await b.next('update');
+    assert.deepEqual(update, { type: 'update', id: a.welcome.id, channel: 'params', value: { damping: 0.9 } });
+
+    // A owns params now: B is turned away until the lease runs out
+    b.send({ type: 'update', channel: 'params', value: { damping: 0.5 }, active: true });
+    assert.equal((await b.next('denied')).owner, a.welcome.id);
+
+    const late = await join('fanout', 'C');
+    assert.deepEqual(late.welcome.snapshot, { params: { damping: 0.9 } });
+    [a, b, late].forEach(c => c.close());
+});
+
+test('messages that are not objects are answered with an error, not a crash', async () => {
+    const client = await join('garbage', 'G');
+    for (const text of ['null', '42', '"text"', '[1, 2]', 'not json']) {
+        client.send(text);
+        assert.equal((await client.next('error')).type, 'error');
+    }
+    // Still serving
+    const other = await join('garbage', 'H');
+    assert.equal(other.welcome.peers.length, 1);
+    client.close();
+    other.close();
+});
+
+test('a fragmented message over the size limit closes the connection', async () => {
+    const client = await join('huge', 'X');
+    const chunk = 'x'.repeat(60000);
+    client.sendFrame(chunk, { fin: false });
+    for (let i = 0; i < 18; i++) client.sendFrame(chunk, { opcode: 0x0, fin: false });
+    await client.whenClosed;
+    assert.equal(client.closeCode, 1009);
+});
+
+test('the last peer out removes the room', async () => {
+    const a = await join('empty', 'A');
+    a.send({ type: 'update', channel: 'rotation', value: 1, active: true });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.ok(relay.rooms.has('empty'));
+    a.close();
+    await a.whenClosed;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(relay.rooms.has('empty'), false);
+});
@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ControlMapper, parseMidi, parseOsc, DEFAULT_SMOOTHING } from '../ControlMapping.js';
+
+// A continuous parameter and a counting action, the two kinds of target
+function createTargets() {
+    const params = { damping: 0.5, count: 1000 };
+    const fired = [];
+    return {
+        params,
+        fired,
+        targets: {
+            damping: { min: 0, max: 1, get: () => params.damping, set: (v) => { params.damping = v; } },
+            count: { min: 0, max: 5000, step: 100, get: () => params.count, set: (v) => { params.count = v; } },
+            burst: { args: { strength: 1 }, trigger: (value, args) => fired.push({ value, args }) }
+        }
+    };
+}
+
+function memoryStorage() {
+    const items = new Map();
+    return { getItem: key => items.get(key) ?? null, setItem: (key, value) => items.set(key, value) };
+}
+
+test('parseMidi: CC, note on and note off', () => {
+    assert.deepEqual(parseMidi([0xb0, 7, 127]), { control: 'midi:cc:1:7', value: 1 });
+    assert.deepEqual(parseMidi([0xb3, 1, 0]), { control: 'midi:cc:4:1', value: 0 });
+    assert.deepEqual(parseMidi([0x90, 60, 64]), { control: 'midi:note:1:60', value: 64 / 127 });
+    assert.deepEqual(parseMidi([0x90, 60, 0]), { control: 'midi:note:1:60', value: 0 }, "note on at velocity 0 is a note off");
+    assert.deepEqual(parseMidi([0x8f, 60, 40]), { control: 'midi:note:16:60', value: 0 });
+    assert.equal(parseMidi([0xe0, 0, 64]), null, "pitch bend isn't mapped");
+    assert.equal(parseMidi([0xf8]), null, "clock");
+});
+
+test('parseOsc: first number or boolean is the value, clamped to 0-1', () => {
+    assert.deepEqual(parseOsc('/1/fader1', [0.25]), { control: 'osc:/1/fader1', value: 0.25 });
+    assert.deepEqual(parseOsc('/xy', ['label', 2]), { control: 'osc:/xy', value: 1 });
+    assert.deepEqual(parseOsc('/toggle', [false]), { control: 'osc:/toggle', value: 0 });
+    assert.deepEqual(parseOsc('/button'), { control: 'osc:/button', value: 1, momentary: true });
+    assert.equal(parseOsc('fader'), null);
+});
+
+test('learn binds the next control that moves', () => {
+    const { targets, params } = createTargets();
+    const mapper = new ControlMapper(targets, null);
+    const learned = [];
+    mapper.onLearn = binding => learned.push(binding);
+
+    mapper.learn('damping', { smoothing: 0 });
+    mapper.handle({ control: 'midi:cc:1:7', value: 0 }); // a fader parked at zero doesn't count
+    assert.equal(mapper.bindings.length, 0);
+    mapper.handle({ control: 'midi:cc:1:7', value: 0.2 });
+    assert.deepEqual(learned.map(b => [b.control, b.target]), [['midi:cc:1:7', 'damping']]);
+    assert.equal(mapper.learning, null);
+    assert.equal(params.damping, 0.5, "the learning message itself doesn't move the target");
+
+    mapper.handle({ control: 'midi:cc:1:7', value: 0.8 });
+    mapper.update(1 / 60);
+    assert.equal(params.damping, 0.8);
+    assert.throws(() => mapper.learn('nope'), /Unknown control target/);
+});
+
+test('update(dt) glides towards the control with the smoothing time constant', () => {
+    const { targets, params } = createTargets();
+    const mapper = new ControlMapper(targets, null);
+    mapper.bind('osc:/fader', 'damping');
+    params.damping = 0;
+    mapper.handle({ control: 'osc:/fader', value: 1 });
+
+    assert.equal(mapper.update(DEFAULT_SMOOTHING), true);
+    assert.ok(Math.abs(params.damping - (1 - Math.exp(-1))) < 1e-9, "one time constant covers 63%");
+
+    // Same place after the same time however it's split into frames
+    const steps = createTargets();
+    const stepped = new ControlMapper(steps.targets, null);
+    stepped.bind('osc:/fader', 'damping');
+    steps.params.damping = 0;
+    stepped.handle({ control: 'osc:/fader', value: 1 });
+    for (let i = 0; i < 10; i++) stepped.update(DEFAULT_SMOOTHING / 10);
+    assert.ok(Math.abs(steps.params.damping - params.damping) < 1e-9);
+
+    for (let i = 0; i < 120; i++) mapper.update(1 / 60);
+    assert.equal(params.damping, 1, "snaps to the goal once close enough");
+    assert.equal(mapper.update(1 / 60), false, "and stops reporting changes");
+});
+
+test('bindings narrow, invert and step the range', () => {
+    const { targets, params } = createTargets();
+    const mapper = new ControlMapper(targets, null);
+    mapper.bind('midi:cc:1:1', 'count', { min: 1000, max: 2000, invert: true, smoothing: 0 });
+    mapper.handle({ control: 'midi:cc:1:1', value: 0.333 });
+    mapper.update(1 / 60);
+    assert.equal(params.count, 1700);
+});
+
+test('actions fire on the rising edge only', () => {
+    const { targets, fired } = createTargets();
+    const mapper = new ControlMapper(targets, null);
+    mapper.bind('midi:note:1:36', 'burst', { args: { strength: 2 } });
+    const note = value => mapper.handle({ control: 'midi:note:1:36', value });
+
+    note(0.3); // below the trigger level
+    note(0.9); // fires
+    note(1); // still held
+    note(0); // released
+    note(0.6); // fires again
+    assert.deepEqual(fired, [{ value: 0.9, args: { strength: 2 } }, { value: 0.6, args: { strength: 2 } }]);
+
+    // Momentary OSC buttons have no release message: every press fires
+    mapper.bind('osc:/burst', 'burst');
+    mapper.handle(parseOsc('/burst'));
+    mapper.handle(parseOsc('/burst'));
+    assert.equal(fired.length, 4);
+});
+
+test('bindings persist and invalid ones are reported together', () => {
+    const { targets } = createTargets();
+    const storage = memoryStorage();
+    const mapper = new ControlMapper(targets, storage);
+    mapper.bind('midi:cc:1:7', 'damping', { smoothing: 0.2 });
+    assert.deepEqual(new ControlMapper(targets, storage).toJSON(), mapper.toJSON());
+
+    assert.throws(
+        () => mapper.fromJSON({ bindings: [{ control: 'cc7', target: 'nope', smoothing: -1 }] }),
+        (e) => e.message.split('\n').length === 4
+    );
+    assert.equal(mapper.bindings.length, 1, "nothing replaced after a failed import");
+});
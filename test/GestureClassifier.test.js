@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GestureClassifier, scoreHandPoses, defaultClassifierOptions } from '../GestureClassifier.js';
+
+// A right hand facing the camera in image coordinates (y down): fingers folded
+// (tips back towards the wrist, past their PIPs), thumb held as given
+function foldedHand(thumb) {
+    const hand = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+    hand[0] = { x: 0.5, y: 0.8, z: 0 };
+    [0.44, 0.48, 0.52, 0.56].forEach((x, f) => {
+        hand[5 + f * 4] = { x, y: 0.6, z: 0 }; // MCP
+        hand[6 + f * 4] = { x, y: 0.55, z: 0 }; // PIP
+        hand[7 + f * 4] = { x, y: 0.62, z: 0 }; // DIP
+        hand[8 + f * 4] = { x, y: 0.68, z: 0 }; // tip
+    });
+    thumb.forEach((p, i) => { hand[1 + i] = { x: p[0], y: p[1], z: 0 }; });
+    return hand;
+}
+
+const THUMB_UP = [[0.42, 0.72], [0.40, 0.62], [0.40, 0.54], [0.40, 0.46]];
+const THUMB_TUCKED = [[0.44, 0.72], [0.45, 0.66], [0.47, 0.64], [0.49, 0.63]];
+
+function hold(classifier, hand, frames = 10) {
+    let frame;
+    for (let i = 0; i < frames; i++) frame = classifier.classify([hand], i * 33);
+    return frame.gestures;
+}
+
+test('a thumbs-up is not also a fist', () => {
+    const scores = scoreHandPoses(foldedHand(THUMB_UP));
+    assert.equal(scores.THUMBS_UP, 1);
+    assert.equal(scores.FIST, 0);
+
+    const gestures = hold(new GestureClassifier(), foldedHand(THUMB_UP));
+    assert.equal(gestures.THUMBS_UP.active, true);
+    assert.equal(gestures.FIST.active, false);
+});
+
+test('a fist with the thumb tucked in is still a fist', () => {
+    const gestures = hold(new GestureClassifier(), foldedHand(THUMB_TUCKED));
+    assert.equal(gestures.FIST.active, true);
+    assert.equal(gestures.THUMBS_UP.active, false);
+});
+
+test('classify returns copies, not its live tracks', () => {
+    const classifier = new GestureClassifier();
+    const first = classifier.classify([foldedHand(THUMB_TUCKED)], 0);
+    first.gestures.FIST.active = true;
+    assert.equal(classifier.tracks.FIST.active, false);
+
+    const confidence = first.gestures.FIST.confidence;
+    classifier.classify([foldedHand(THUMB_TUCKED)], 33);
+    assert.equal(first.gestures.FIST.confidence, confidence, "earlier frames stay as they were");
+});
+
+test('scores between exit and enter neither turn a gesture on nor off', () => {
+    const classifier = new GestureClassifier({ smoothing: 1 }); // confidence = raw score
+    const between = (defaultClassifierOptions.enter + defaultClassifierOptions.exit) / 2;
+    const track = classifier.tracks.FIST;
+
+    for (let i = 0; i < 20; i++) classifier.updateTrack('FIST', between);
+    assert.equal(track.active, false, "not on below enter");
+    assert.equal(track.phase, null);
+
+    classifier.updateTrack('FIST', 0.9);
+    assert.deepEqual([track.active, track.phase], [true, 'start']);
+
+    for (let i = 0; i < 20; i++) classifier.updateTrack('FIST', between);
+    assert.deepEqual([track.active, track.phase], [true, 'hold'], "still on above exit");
+
+    classifier.updateTrack('FIST', defaultClassifierOptions.exit - 0.05);
+    assert.deepEqual([track.active, track.phase], [false, 'end']);
+});
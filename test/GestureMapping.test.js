@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GestureMapper, defaultGestureMap } from '../GestureMapping.js';
+import { GESTURES } from '../GestureClassifier.js';
+
+// A classifier-style gesture table with everything idle except `overrides`
+function gestures(overrides = {}) {
+    const table = {};
+    for (const name of GESTURES) table[name] = { active: false, confidence: 0, phase: null, value: 0 };
+    for (const [name, track] of Object.entries(overrides)) Object.assign(table[name], track);
+    return table;
+}
+
+function createMapper(map = defaultGestureMap) {
+    const fired = [];
+    const record = name => (event, args) => fired.push({ name, gesture: event.gesture, args });
+    const mapper = new GestureMapper(map, {
+        explode: record('explode'),
+        reset: record('reset'),
+        changePalette: record('changePalette')
+    });
+    mapper.fired = fired;
+    return mapper;
+}
+
+const STARTING = { active: true, confidence: 0.75, phase: 'start' };
+
+test('an open palm on its own explodes the heart', () => {
+    const mapper = createMapper();
+    mapper.handle(gestures({ OPEN_PALM: STARTING }));
+    assert.deepEqual(mapper.fired.map(f => f.name), ['explode']);
+});
+
+test('an open palm does not explode while the hand opens to expand', () => {
+    const mapper = createMapper();
+    mapper.handle(gestures({ OPEN_PALM: STARTING, PINCH_OPEN: { active: true, confidence: 0.9, phase: 'hold' } }));
+    mapper.handle(gestures({ OPEN_PALM: STARTING, PINCH_OPEN: { confidence: 0.6 } }), 0.033);
+    mapper.handle(gestures({ OPEN_PALM: STARTING, HANDS_APART: { active: true, confidence: 0.8, phase: 'start' } }));
+    assert.deepEqual(mapper.fired, []);
+});
+
+test('unknown gestures in unless are rejected', () => {
+    assert.throws(() => new GestureMapper([{ gesture: 'OPEN_PALM', action: 'explode', unless: ['WAVE'] }]), /unknown gesture in "unless": WAVE/);
+});
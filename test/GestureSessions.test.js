@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { GestureHandler } from '../GestureHandler.js';
+import { GestureRecorder, LandmarkReplay, frameToResult } from '../GestureRecorder.js';
+
+// Recorded sessions (see GestureRecorder) with the gesture sequence they must classify to
+const fixtures = new URL('./fixtures/sessions/', import.meta.url);
+
+function createHandler() {
+    return new GestureHandler(null, () => {}, { autoStart: false });
+}
+
+for (const file of readdirSync(fixtures).filter(name => name.endsWith('.json'))) {
+    test(`session ${file} replays to its expected gestures`, () => {
+        const replay = new LandmarkReplay(readFileSync(new URL(file, fixtures), 'utf8'), createHandler());
+        const { pass, expected, actual } = replay.verify();
+        assert.ok(pass, `expected ${expected.join(' > ')}, got ${actual.join(' > ')}`);
+    });
+}
+
+test('recordings carry the live gesture sequence as expected', () => {
+    const session = JSON.parse(readFileSync(new URL('fist.json', fixtures), 'utf8'));
+    const handler = createHandler();
+    const recorder = new GestureRecorder();
+    recorder.start();
+    for (const frame of session.frames) {
+        const result = frameToResult(frame);
+        recorder.record(result, frame.t + 1000, handler.processResult(result, frame.t).type);
+    }
+    const recorded = recorder.stop();
+
+    assert.deepEqual(recorded.expected, session.expected);
+    assert.equal(recorded.frames[0].t, 0);
+    assert.ok(new LandmarkReplay(recorded, createHandler()).verify().pass);
+});
+
+test('verify reports a mismatching sequence', () => {
+    const replay = new LandmarkReplay(readFileSync(new URL('fist.json', fixtures), 'utf8'), createHandler());
+    const { pass, actual } = replay.verify(['IDLE', 'EXPAND', 'IDLE']);
+    assert.equal(pass, false);
+    assert.deepEqual(actual, ['IDLE', 'CONTRACT', 'IDLE']);
+});
+
+test('a handler without a video disposes cleanly', () => {
+    const cancel = globalThis.cancelAnimationFrame;
+    globalThis.cancelAnimationFrame = () => {};
+    try {
+        const handler = createHandler();
+        handler.dispose();
+        assert.equal(handler.disposed, true);
+        assert.equal(handler.isReady, false);
+    } finally {
+        globalThis.cancelAnimationFrame = cancel;
+    }
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { HandFields, FINGERTIPS, INDEX_TIP, defaultHandFieldOptions } from '../HandFields.js';
+
+// Camera off to one side, looking at an orbit target away from the origin
+function createFields(options) {
+    const camera = new THREE.PerspectiveCamera(50, 1, 0.1, 1000);
+    const target = new THREE.Vector3(5, 2, -3);
+    camera.position.set(30, 20, 40);
+    camera.lookAt(target);
+    camera.updateMatrixWorld();
+    return new HandFields(camera, target, options);
+}
+
+// Image coordinates (y down), palm (wrist + MCPs) centred on the screen
+function openHand() {
+    const hand = Array.from({ length: 21 }, () => ({ x: 0.5, y: 0.5, z: 0 }));
+    hand[0] = { x: 0.5, y: 0.6, z: 0 };
+    [0.44, 0.48, 0.52, 0.56].forEach((x, f) => {
+        hand[5 + f * 4] = { x, y: 0.475, z: 0 }; // MCP
+        hand[6 + f * 4] = { x, y: 0.4, z: 0 }; // PIP
+        hand[7 + f * 4] = { x, y: 0.35, z: 0 }; // DIP
+        hand[8 + f * 4] = { x, y: 0.3, z: 0 }; // tip
+    });
+    [[0.42, 0.57], [0.38, 0.52], [0.35, 0.48], [0.32, 0.45]].forEach((p, i) => { hand[1 + i] = { x: p[0], y: p[1], z: 0 }; });
+    return hand;
+}
+
+// Same palm, fingertips folded back past their PIPs
+function fist() {
+    const hand = openHand();
+    [0.44, 0.48, 0.52, 0.56].forEach((x, f) => {
+        hand[7 + f * 4] = { x, y: 0.5, z: 0 };
+        hand[8 + f * 4] = { x, y: 0.55, z: 0 };
+    });
+    return hand;
+}
+
+function assertNear(actual, expected, message) {
+    assert.ok(actual.distanceTo(expected) < 1e-6, `${message}: ${actual.toArray()} != ${expected.toArray()}`);
+}
+
+const types = fields => fields.map(f => f.type);
+
+test('the centre of the screen projects to the orbit target', () => {
+    const handFields = createFields();
+    assertNear(handFields.project({ x: 0.5, y: 0.5 }), handFields.target, "screen centre");
+
+    const palm = handFields.palmCenter(openHand());
+    assertNear(handFields.project(palm), handFields.target, "palm centre");
+});
+
+test('landmark depth moves along the view ray, world positions stay put', () => {
+    const handFields = createFields();
+    const camera = handFields.camera.position;
+    const near = handFields.project({ x: 0.5, y: 0.5, z: -0.25 });
+    const depth = camera.distanceTo(handFields.target) - camera.distanceTo(near);
+    assert.ok(Math.abs(depth - 0.25 * defaultHandFieldOptions.depthScale) < 1e-6, "towards the camera");
+
+    assert.deepEqual(handFields.project({ x: 0, y: 0, world: [1, 2, 3] }).toArray(), [1, 2, 3]);
+});
+
+test('a fist attracts at the palm', () => {
+    const handFields = createFields();
+    const fields = handFields.fields({ type: 'CONTRACT', strength: 0.7, hands: [fist()] });
+    assert.deepEqual(types(fields), ['attract']);
+    assert.equal(fields[0].radius, defaultHandFieldOptions.palmRadius);
+    assert.equal(fields[0].strength, 0.7);
+    assertNear(new THREE.Vector3(fields[0].x, fields[0].y, fields[0].z), handFields.target, "at the palm");
+
+    assert.deepEqual(types(handFields.fields({ type: 'IDLE', hands: [fist()] })), ['attract'], "from the landmarks alone");
+});
+
+test('an expanding hand repels from every fingertip', () => {
+    const handFields = createFields();
+    const hand = openHand();
+    const fields = handFields.fields({ type: 'EXPAND', strength: 0.6, hands: [hand] });
+    assert.deepEqual(types(fields), ['repel', 'repel', 'repel', 'repel', 'repel']);
+    fields.forEach((field, i) => {
+        assertNear(new THREE.Vector3(field.x, field.y, field.z), handFields.project(hand[FINGERTIPS[i]]), `tip ${FINGERTIPS[i]}`);
+        assert.equal(field.radius, defaultHandFieldOptions.tipRadius);
+        assert.equal(field.strength, 0.6);
+    });
+});
+
+test('any other hand stirs a vortex at the index tip around the view axis', () => {
+    const handFields = createFields();
+    const hand = openHand();
+    const fields = handFields.fields({ type: 'IDLE', hands: [hand] });
+    assert.deepEqual(types(fields), ['vortex']);
+    assertNear(new THREE.Vector3(fields[0].x, fields[0].y, fields[0].z), handFields.project(hand[INDEX_TIP]), "index tip");
+    assert.equal(fields[0].radius, defaultHandFieldOptions.vortexRadius);
+    const towardsCamera = handFields.camera.position.clone().sub(handFields.target).normalize();
+    assertNear(new THREE.Vector3().fromArray(fields[0].axis), towardsCamera, "axis");
+});
+
+test('each hand gets its own behaviour', () => {
+    const handFields = createFields();
+    assert.deepEqual(types(handFields.fields({ type: 'EXPAND', strength: 1, hands: [fist(), openHand()] })),
+        ['attract', 'repel', 'repel', 'repel', 'repel', 'repel']);
+    // A held CONTRACT outlasts the raw finger count with one hand, not with two (hands coming together)
+    assert.deepEqual(types(handFields.fields({ type: 'CONTRACT', strength: 1, hands: [openHand()] })), ['attract']);
+    assert.deepEqual(types(handFields.fields({ type: 'CONTRACT', strength: 1, hands: [openHand(), openHand()] })), ['vortex', 'vortex']);
+});
+
+test('a fixed mode overrides the gesture', () => {
+    const handFields = createFields({ mode: 'repel' });
+    assert.deepEqual(types(handFields.fields({ type: 'CONTRACT', strength: 1, hands: [fist()] })), ['repel', 'repel', 'repel', 'repel', 'repel']);
+});
+
+test('states without landmarks get one field at the hand while a gesture is held', () => {
+    const handFields = createFields();
+    const hand = { x: 0.5, y: 0.5 };
+    assert.deepEqual(handFields.fields({ type: 'IDLE', hand }), []);
+    assert.deepEqual(handFields.fields({ type: 'EXPAND', strength: 0.6 }), [], "no hand, no field");
+
+    const contract = handFields.fields({ type: 'CONTRACT', strength: 0.5, hand });
+    assert.deepEqual(types(contract), ['attract']);
+    assert.equal(contract[0].strength, 0.5);
+    assertNear(new THREE.Vector3(contract[0].x, contract[0].y, contract[0].z), handFields.target, "at the hand");
+    assert.deepEqual(types(handFields.fields({ type: 'EXPAND', strength: 0.5, hand })), ['repel']);
+
+    const vortex = createFields({ mode: 'vortex' }).fields({ type: 'IDLE', hand });
+    assert.deepEqual(types(vortex), ['vortex']);
+    assert.equal(vortex[0].radius, defaultHandFieldOptions.vortexRadius);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReplayHeartRate, BluetoothHeartRate, SyntheticHeartRate, heartbeatEnvelope } from '../HeartRateSource.js';
+
+test('RR recordings parse from CSV with or without a header', () => {
+    assert.deepEqual(ReplayHeartRate.fromCSV('800\n810\n# note\n0.82\n').intervals, [0.8, 0.81, 0.82]);
+    assert.deepEqual(ReplayHeartRate.fromCSV('time,rr_ms\n0,800\n1,790\n').intervals, [0.8, 0.79]);
+});
+
+test('empty CSV recordings are rejected with a clear message', () => {
+    assert.throws(() => ReplayHeartRate.fromCSV(''), /CSV has no RR intervals/);
+    assert.throws(() => ReplayHeartRate.fromCSV('# only a comment\n\n'), /CSV has no RR intervals/);
+    assert.throws(() => ReplayHeartRate.fromCSV('rr\n'), /at least one RR interval/);
+    assert.throws(() => ReplayHeartRate.fromCSV('rr\n800\nabc\n'), /row 2: "abc"/);
+});
+
+test('a disconnected monitor drops its queued beats and reports it', () => {
+    const source = new BluetoothHeartRate({ bpm: 60 });
+    let disconnects = 0;
+    source.onDisconnect = () => disconnects++;
+    source.pendingRR.push(0.5, 0.5);
+    source.measuredBpm = 120;
+
+    source.onGattDisconnected();
+    assert.equal(disconnects, 1);
+    assert.equal(source.nextInterval(), 1, "keeps the last interval");
+});
+
+test('the beat envelope is continuous across the wrap into the next beat', () => {
+    for (const bpm of [30, 60, 120, 220]) {
+        const interval = 60 / bpm;
+        assert.ok(heartbeatEnvelope(0, interval) < 1e-6, `${bpm} BPM starts at rest`);
+        assert.ok(heartbeatEnvelope(interval - 1e-6, interval) < 0.01, `${bpm} BPM ends at rest`);
+        assert.equal(heartbeatEnvelope(0.05, interval), 1, "S1 peak");
+    }
+
+    // A source stepped at 240 fps: no frame-to-frame jump at the beat boundaries
+    const source = new SyntheticHeartRate({ bpm: 150, variability: 0 });
+    let last = source.getPulse(0);
+    let boundaries = 0;
+    source.onBeat(() => boundaries++);
+    for (let i = 1; i < 240 * 3; i++) {
+        const beatTime = source.beatTime;
+        const pulse = source.getPulse(i / 240);
+        if (source.beatTime < beatTime) {
+            assert.ok(Math.abs(pulse - last) < source.amplitude * 0.1, `jump of ${pulse - last} at the wrap`);
+        }
+        last = pulse;
+    }
+    assert.ok(boundaries >= 6);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { HeartSystem, MAX_PARTICLES } from '../HeartSystem.js';
+
+function quietly(fn) {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+test('a GPU backend that cannot start falls back with the CPU particle limit', () => {
+    // No renderer, so GPUParticleSim never starts
+    const heart = quietly(() => new HeartSystem(new THREE.Scene(), MAX_PARTICLES.gpu, { backend: 'gpu' }));
+    assert.equal(heart.backend, 'cpu');
+    assert.equal(heart.maxCount, MAX_PARTICLES.cpu);
+    assert.equal(heart.sim.maxCount, MAX_PARTICLES.cpu);
+    heart.setParticleCount(50000);
+    assert.equal(heart.currentCount, MAX_PARTICLES.cpu);
+    heart.dispose();
+});
+
+test('a worker that dies hands over at the CPU limit and says so', () => {
+    const heart = new HeartSystem(new THREE.Scene(), MAX_PARTICLES.worker);
+    // What fallBackToCPU reads from a WorkerSimulation (Node has no Worker to run a real one)
+    const { shapes, shape } = heart.sim;
+    heart.sim = { shapes, shape, pulseSpeed: 1, pulseSource: null, time: 2, currentCount: 12000, received: false, emitters: new Map(), trailOptions: null, dispose() {} };
+    const changes = [];
+    heart.onBackendChange = backend => changes.push([backend, heart.maxCount]);
+
+    quietly(() => heart.fallBackToCPU(new Error("worker crashed")));
+    assert.deepEqual(changes, [['cpu', MAX_PARTICLES.cpu]]);
+    assert.equal(heart.currentCount, MAX_PARTICLES.cpu);
+    heart.dispose();
+});
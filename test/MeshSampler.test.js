@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { collectTriangles, createInsideTest, sampleVolume, meshShape } from '../MeshSampler.js';
+import { createRandom } from '../Random.js';
+
+const torus = () => new THREE.Mesh(new THREE.TorusGeometry(10, 4, 48, 96));
+
+test('the grid inside-test agrees with the shape it was built from', () => {
+    const isInside = createInsideTest(collectTriangles(torus()));
+    const random = createRandom(3);
+    for (let i = 0; i < 2000; i++) {
+        const [x, y, z] = [random() * 30 - 15, random() * 30 - 15, random() * 10 - 5];
+        const tube = Math.hypot(Math.hypot(x, y) - 10, z); // distance from the tube's center line
+        if (Math.abs(tube - 4) < 0.1) continue; // the mesh is faceted near the surface
+        assert.equal(isInside(x, y, z), tube < 4, `(${x}, ${y}, ${z})`);
+    }
+});
+
+test('volume samples of a dense mesh land inside it, quickly', () => {
+    const tris = collectTriangles(new THREE.Mesh(new THREE.SphereGeometry(10, 128, 64)));
+    const start = performance.now();
+    const points = sampleVolume(tris, 5000, createRandom(1));
+    assert.ok(performance.now() - start < 2000, "no per-triangle scan per attempt");
+    for (let i = 0; i < points.length; i += 3) {
+        assert.ok(Math.hypot(points[i], points[i + 1], points[i + 2]) <= 10.001);
+    }
+});
+
+test('mesh shapes sample once per count and hand out copies', () => {
+    const shape = meshShape(torus(), { mode: 'volume' });
+    const first = shape(1000);
+    first.fill(0);
+    const second = shape(1000);
+    assert.notEqual(second, first);
+    assert.ok(second.some(v => v !== 0), "callers can't spoil the cache");
+    assert.deepEqual(meshShape(torus(), { mode: 'volume' })(1000), second);
+    assert.equal(shape(500).length, 1500);
+});
+
+test('point clouds sample their vertices, not triangles between them', () => {
+    const corners = [[-1, -1, -1], [1, -1, -1], [-1, 1, -1], [1, 1, -1], [-1, -1, 1], [1, -1, 1], [-1, 1, 1], [1, 1, 1]];
+    const ply = ['ply', 'format ascii 1.0', `element vertex ${corners.length}`, 'property float x', 'property float y', 'property float z', 'end_header',
+        ...corners.map(c => c.join(' '))].join('\n');
+    const geometry = new PLYLoader().parse(ply);
+    assert.equal(geometry.index, null, "no faces, no index");
+
+    const shape = meshShape(new THREE.Points(geometry), { size: 2 });
+    const key = (points, i) => [points[i], points[i + 1], points[i + 2]].join();
+    const vertices = new Set(corners.map(c => c.join()));
+
+    const once = shape(8);
+    const seen = new Set();
+    for (let i = 0; i < once.length; i += 3) seen.add(key(once, i));
+    assert.deepEqual(seen, vertices, "every vertex once before any repeats");
+
+    const many = shape(100);
+    for (let i = 0; i < many.length; i += 3) assert.ok(vertices.has(key(many, i)), key(many, i));
+    assert.deepEqual(meshShape(new THREE.Points(geometry), { size: 2 })(100), many);
+});
+
+test('a model with neither faces nor points is rejected', () => {
+    assert.throws(() => meshShape(new THREE.Group()), /no triangles or points/);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOscPacket, encodeOscMessage } from '../OscBridge.js';
+
+function bundle(...packets) {
+    const parts = [Buffer.from('#bundle\0', 'latin1'), Buffer.alloc(8)]; // time tag: ignored
+    for (const packet of packets) {
+        const size = Buffer.alloc(4);
+        size.writeInt32BE(packet.length);
+        parts.push(size, packet);
+    }
+    return Buffer.concat(parts);
+}
+
+test('messages round-trip through encode and parse', () => {
+    const [message] = parseOscPacket(encodeOscMessage('/1/fader1', [0.5, 'label', true, false, null]));
+    assert.deepEqual(message, { address: '/1/fader1', args: [0.5, 'label', true, false, null] });
+    assert.deepEqual(parseOscPacket(encodeOscMessage('/button')), [{ address: '/button', args: [] }]);
+});
+
+test('bundles, nested ones included, unpack in order', () => {
+    const packet = bundle(
+        encodeOscMessage('/a', [0.25]),
+        bundle(encodeOscMessage('/b', [1]), encodeOscMessage('/c')),
+        encodeOscMessage('/d', ['x'])
+    );
+    assert.deepEqual(parseOscPacket(packet).map(m => m.address), ['/a', '/b', '/c', '/d']);
+    assert.deepEqual(parseOscPacket(packet)[1].args, [1]);
+});
+
+test('malformed packets throw', () => {
+    const message = encodeOscMessage('/a', [1]);
+    const truncated = bundle(message).subarray(0, 20);
+    assert.throws(() => parseOscPacket(truncated), /Truncated OSC bundle/);
+    assert.throws(() => parseOscPacket(Buffer.from('abc\0')), /Not an OSC message/);
+    assert.throws(() => parseOscPacket(Buffer.from('/a\0\0,x\0\0')), /Unsupported OSC type tag/);
+});
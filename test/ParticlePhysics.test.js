@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createParticleState, stepParticles } from '../ParticlePhysics.js';
+
+// CPU reference for the force math every backend shares: one particle, one step,
+// checked against the formulas worked out by hand. random() -> 0.5 cancels the noise.
+const NO_NOISE = () => 0.5;
+const PARAMS = { springStrength: 0.1, damping: 0.5, noiseStrength: 1, integrator: 'euler' };
+
+function step({ position, previous = position, velocity = [0, 0, 0], target = [0, 0, 0] }, params, forces = {}, h = 1 / 60, random = NO_NOISE) {
+    const state = createParticleState(1);
+    state.position.set(position);
+    state.previous.set(previous);
+    state.velocity.set(velocity);
+    state.target.set(target);
+    stepParticles(state, 1, { ...PARAMS, ...params }, forces, h, random);
+    return { position: [...state.position], velocity: [...state.velocity] };
+}
+
+function assertClose(actual, expected, message) {
+    expected.forEach((v, i) => {
+        assert.ok(Math.abs(actual[i] - v) < 1e-5, `${message}: [${i}] ${actual[i]} != ${v}`);
+    });
+}
+
+// The test particle sits at (3, 4, 0): 5 from the center (+0.001 guards the division)
+const P = [3, 4, 0];
+const LEN = 5.001;
+
+test('spring: euler takes velocity first, then position', () => {
+    const r = step({ position: P, velocity: [1, 0, 0] }, {});
+    // f = (0 - p) * 0.1 = (-0.3, -0.4, 0); v = (v + f) * 0.5; p += v
+    assertClose(r.velocity, [0.35, -0.2, 0], "velocity");
+    assertClose(r.position, [3.35, 3.8, 0], "position");
+});
+
+test('spring pulls to the pulsed home', () => {
+    const r = step({ position: P, target: [2, 2, 2] }, {}, { pulseScale: 1.5 });
+    // home (3, 3, 3): f = (0, -0.1, 0.3)
+    assertClose(r.velocity, [0, -0.05, 0.15], "velocity");
+    assertClose(r.position, [3, 3.95, 0.15], "position");
+});
+
+test('EXPAND pushes out along the radius, CONTRACT pulls in', () => {
+    const spring = [-0.3, -0.4, 0];
+    const out = step({ position: P }, {}, { gesture: 'EXPAND', strength: 0.6 });
+    const push = 50 * 0.6 / 60; // 0.5 per tick at full radius
+    assertClose(out.velocity, [0, 1, 2].map(k => (spring[k] + P[k] / LEN * push) * 0.5), "expand");
+
+    const inward = step({ position: P }, {}, { gesture: 'CONTRACT', strength: 0.6 });
+    const pull = 5 * 0.6 / 60; // 0.05
+    assertClose(inward.velocity, [0, 1, 2].map(k => (spring[k] - P[k] * pull) * 0.5), "contract");
+});
+
+test('fields fade with (1 - d / radius)^falloff', () => {
+    const at = { x: 0, y: 0, z: 0, radius: 10, strength: 1.2, falloff: 1 };
+    const w = 1 - LEN / 10;
+    const noSpring = { springStrength: 0 };
+
+    const attract = step({ position: P }, noSpring, { fields: [{ ...at, type: 'attract' }] });
+    const pull = 5 * 1.2 * w / 60;
+    assertClose(attract.velocity, P.map(p => -p * pull * 0.5), "attract");
+
+    const repel = step({ position: P }, noSpring, { fields: [{ ...at, type: 'repel' }] });
+    const push = 50 * 1.2 * w / 60 / LEN;
+    assertClose(repel.velocity, P.map(p => p * push * 0.5), "repel");
+
+    // Around +Y: axis x d = (0, 0, -3), plus a slight pull in
+    const vortex = step({ position: P }, noSpring, { fields: [{ ...at, type: 'vortex' }] });
+    const spin = 20 * 1.2 * w / 60 / LEN;
+    const inward = 1.2 * w / 60;
+    assertClose(vortex.velocity, [-3 * inward * 0.5, -4 * inward * 0.5, -3 * spin * 0.5], "vortex");
+
+    const outside = step({ position: P }, noSpring, { fields: [{ ...at, radius: 5, type: 'attract' }] });
+    assertClose(outside.velocity, [0, 0, 0], "beyond the radius");
+});
+
+test('euler impulse is a damped velocity kick', () => {
+    const r = step({ position: P }, { springStrength: 0 }, { impulse: 2 });
+    assertClose(r.velocity, P.map(p => p / LEN * 2 * 0.5), "velocity");
+});
+
+test('verlet carries the last move, damped, plus f * s^2', () => {
+    const r = step({ position: P, previous: [2, 4, 0] }, { integrator: 'verlet' });
+    // x' = x + (x - x_prev) * 0.5 + f
+    assertClose(r.position, [3 + 0.5 - 0.3, 4 - 0.4, 0], "position");
+    assertClose(r.velocity, [0.2, -0.4, 0], "velocity is the move per tick");
+
+    const kicked = step({ position: P }, { integrator: 'verlet', springStrength: 0 }, { impulse: 2 });
+    assertClose(kicked.position, P.map(p => p + p / LEN * 2), "impulse moves the position directly");
+});
+
+test('a double-length step scales forces by s and damping by damping^s', () => {
+    const euler = step({ position: P, velocity: [1, 0, 0] }, {}, {}, 1 / 30);
+    // s = 2: v = (v + f * 2) * 0.25; p += v * 2
+    assertClose(euler.velocity, [0.1, -0.2, 0], "euler velocity");
+    assertClose(euler.position, [3.2, 3.6, 0], "euler position");
+
+    const verlet = step({ position: P, previous: [2, 4, 0] }, { integrator: 'verlet' }, {}, 1 / 30);
+    // x' = x + (x - x_prev) * 0.25 + f * 4
+    assertClose(verlet.position, [3 + 0.25 - 1.2, 4 - 1.6, 0], "verlet position");
+});
+
+test('noise adds (random() - 0.5) * noiseStrength per axis', () => {
+    const r = step({ position: P }, { springStrength: 0, noiseStrength: 0.4 }, {}, 1 / 60, () => 0.75);
+    assertClose(r.velocity, [0.05, 0.05, 0.05], "velocity");
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { ParticleSimulation } from '../ParticleSimulation.js';
+
+// Seeded runs of the headless core, compared against stored positions.
+// After an intended physics change: UPDATE_SNAPSHOTS=1 npm test, and review the diff.
+const file = new URL('./snapshots/particle-simulation.json', import.meta.url);
+const update = process.env.UPDATE_SNAPSHOTS === '1';
+const stored = existsSync(file) ? JSON.parse(readFileSync(file, 'utf8')) : {};
+const written = {};
+
+const FRAMES = 90;
+const SAMPLE_EVERY = 97; // particles in the snapshot: 0, 97, 194, ...
+
+const scenarios = {
+    'idle (euler)': { gesture: { type: 'IDLE', strength: 0 } },
+    'idle (verlet)': { integrator: 'verlet', gesture: { type: 'IDLE', strength: 0 } },
+    'expand': { gesture: { type: 'EXPAND', strength: 0.8 } },
+    'contract': { gesture: { type: 'CONTRACT', strength: 1 } },
+    'hand fields': {
+        gesture: {
+            type: 'IDLE',
+            strength: 0,
+            fields: [
+                { x: 4, y: 2, z: 0, radius: 8, strength: 1, type: 'repel' },
+                { x: -5, y: 0, z: 2, radius: 10, strength: 1, type: 'vortex', axis: [0, 0, 1] }
+            ]
+        }
+    },
+    'burst and morph': {
+        gesture: { type: 'IDLE', strength: 0 },
+        setup: sim => { sim.burst(1); sim.morphTo('sphere', 1); }
+    }
+};
+
+function run({ integrator, gesture, setup }) {
+    const sim = new ParticleSimulation(1000, { seed: 42, integrator });
+    sim.setParticleCount(1000);
+    if (setup) setup(sim);
+    for (let i = 0; i < FRAMES; i++) sim.update(1 / 60, gesture);
+
+    const positions = new Float32Array(sim.maxCount * 3);
+    const colors = new Float32Array(sim.maxCount * 3);
+    sim.writeFrame(positions, colors);
+    const sample = [];
+    for (let i = 0; i < sim.drawCount; i += SAMPLE_EVERY) {
+        sample.push([...positions.subarray(i * 3, i * 3 + 3), ...colors.subarray(i * 3, i * 3 + 3)].map(v => Math.round(v * 1e4) / 1e4));
+    }
+    return { time: Math.round(sim.time * 1e6) / 1e6, drawCount: sim.drawCount, sample };
+}
+
+for (const [name, scenario] of Object.entries(scenarios)) {
+    test(`snapshot: ${name}`, () => {
+        const actual = run(scenario);
+        written[name] = actual;
+        if (update || !stored[name]) return;
+        assert.deepEqual(actual, stored[name]);
+    });
+}
+
+test('snapshots are stored', () => {
+    // One particle per line
+    if (update) writeFileSync(file, JSON.stringify(written, null, 1).replace(/\[\s+([^[\]]+?)\s+\]/g, (m, row) => `[${row.replace(/\s+/g, ' ')}]`) + '\n');
+    else assert.deepEqual(Object.keys(stored).sort(), Object.keys(scenarios).sort(), "Run UPDATE_SNAPSHOTS=1 npm test to record them");
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ParticleSimulation } from '../ParticleSimulation.js';
+
+const IDLE = { type: 'IDLE', strength: 0 };
+
+function simulate(seed, frames, dt = 1 / 60, gesture = IDLE) {
+    const sim = new ParticleSimulation(500, { seed });
+    for (let i = 0; i < frames; i++) sim.update(dt, gesture);
+    return sim;
+}
+
+test('the same seed gives the same run', () => {
+    const a = simulate(7, 60, 1 / 60, { type: 'EXPAND', strength: 1 });
+    const b = simulate(7, 60, 1 / 60, { type: 'EXPAND', strength: 1 });
+    assert.deepEqual(a.state.position, b.state.position);
+    assert.deepEqual(a.state.velocity, b.state.velocity);
+    assert.notDeepEqual(simulate(8, 60).state.position, simulate(7, 60).state.position);
+});
+
+test('setSeed and initParticles start the run over', () => {
+    const sim = simulate(3, 30);
+    sim.setSeed(3);
+    sim.initParticles();
+    sim.time = 0;
+    for (let i = 0; i < 30; i++) sim.update(1 / 60, IDLE);
+    assert.deepEqual(sim.state.position, simulate(3, 30).state.position);
+});
+
+test('fixed steps make the display rate irrelevant', () => {
+    const at60 = simulate(5, 60, 1 / 60);
+    const at144 = simulate(5, 144, 1 / 144);
+    assert.equal(at144.time, at60.time);
+    assert.deepEqual(at144.state.position, at60.state.position);
+});
+
+test('a long stall is capped instead of fast-forwarded', () => {
+    const sim = simulate(5, 0);
+    assert.equal(sim.update(2, IDLE), sim.timestep.maxSteps);
+    assert.equal(sim.timestep.accumulator, 0);
+});
+
+test('resumeFrom keeps particles where they were drawn', () => {
+    const source = simulate(11, 45);
+    const positions = new Float32Array(source.maxCount * 3);
+    source.writeFrame(positions, new Float32Array(source.maxCount * 3));
+
+    const sim = new ParticleSimulation(500, { seed: 99 });
+    sim.resumeFrom(positions, source.currentCount, source.lastPulse);
+    const n = source.currentCount * 3;
+    assert.deepEqual(sim.state.position.subarray(0, n), positions.subarray(0, n));
+
+    // Homes are where the particles hover, so nothing flies across the shape
+    sim.params.noiseStrength = 0;
+    sim.pulseSource = { getPulse: () => source.lastPulse - 1 };
+    sim.update(1 / 60, IDLE);
+    for (let i = 0; i < n; i++) assert.ok(Math.abs(sim.state.position[i] - positions[i]) < 1e-3);
+});
+
+test('changing the particle count moves live sparks with the end of the shape', () => {
+    const sim = new ParticleSimulation(500, { seed: 4 });
+    sim.setParticleCount(300);
+    assert.equal(sim.emit(20), 20);
+    for (let i = 0; i < 5; i++) sim.update(1 / 60, IDLE);
+    const sparks = sim.state.position.slice(300 * 3, 320 * 3);
+    const ages = sim.lifecycle.age.slice(300, 320);
+
+    sim.setParticleCount(200);
+    assert.equal(sim.drawCount, 220);
+    assert.deepEqual(sim.state.position.slice(200 * 3, 220 * 3), sparks);
+    assert.deepEqual(sim.lifecycle.age.slice(200, 220), ages, "the sparks, not stale shape slots");
+
+    sim.setParticleCount(400);
+    assert.equal(sim.drawCount, 420);
+    assert.deepEqual(sim.state.position.slice(400 * 3, 420 * 3), sparks);
+    for (let i = 200 * 3; i < 400 * 3; i++) {
+        assert.equal(sim.state.position[i], sim.shapeArray[i], "slots the shape took back start at home");
+    }
+
+    sim.setParticleCount(490);
+    assert.equal(sim.drawCount, 500, "only the sparks past maxCount are dropped");
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PresetManager, builtInPresets, encodePresetHash } from '../PresetManager.js';
+
+// In-memory stand-in for localStorage
+function createStorage(items = {}) {
+    return {
+        items,
+        getItem: key => (key in items ? items[key] : null),
+        setItem: (key, value) => { items[key] = value; }
+    };
+}
+
+function createManager(storage = createStorage(), options) {
+    const scene = { settings: { ...builtInPresets.Default } };
+    const adapter = { read: () => ({ ...scene.settings }), apply: s => Object.assign(scene.settings, s) };
+    const manager = new PresetManager(adapter, storage, options);
+    manager.scene = scene;
+    return manager;
+}
+
+const preset = (name, settings) => JSON.stringify({ name, version: 1, settings: { ...builtInPresets.Default, ...settings } });
+
+test('particle counts past the backend maximum are rejected, not clamped', () => {
+    const manager = createManager(createStorage(), { maxParticles: 5000 });
+    assert.throws(() => manager.importJSON(preset('Dense', { particleCount: 20000 })), /particleCount must be between 100 and 5000 \(got 20000\)/);
+    assert.throws(() => manager.loadFromHash('#preset=' + encodePresetHash(JSON.parse(preset('Dense', { particleCount: 20000 })))), /particleCount/);
+    manager.importJSON(preset('Light', { particleCount: 5000 }));
+    manager.load('Light');
+    assert.equal(manager.scene.settings.particleCount, 5000);
+});
+
+test('presets stored on a bigger backend are kept but refuse to load', () => {
+    const storage = createStorage();
+    createManager(storage).importJSON(preset('Dense', { particleCount: 20000 }));
+
+    const manager = createManager(storage, { maxParticles: 5000 });
+    assert.ok(manager.list().includes('Dense'));
+    assert.throws(() => manager.load('Dense'), /particleCount/);
+    manager.save('Mine');
+    assert.ok(JSON.parse(storage.items['kinetic-heart.presets']).Dense, "still stored for the backend that can draw it");
+});
+
+test('imports and saves cannot replace a built-in', () => {
+    const manager = createManager();
+    assert.throws(() => manager.importJSON(preset('Default', { damping: 0.5 })), /"Default" is a built-in preset/);
+    assert.throws(() => manager.save('Calm'), /"Calm" is a built-in preset/);
+    assert.equal(manager.get('Default').settings.damping, builtInPresets.Default.damping);
+    assert.throws(() => manager.remove('Default'), /built in/);
+});
+
+test('an imported builtIn flag is dropped, so the preset can be persisted and deleted', () => {
+    const storage = createStorage();
+    const manager = createManager(storage);
+    const imported = manager.importJSON(JSON.stringify({ ...JSON.parse(preset('Sneaky')), builtIn: true }));
+    assert.equal(imported.builtIn, undefined);
+    assert.ok(JSON.parse(storage.items['kinetic-heart.presets']).Sneaky);
+
+    manager.remove('Sneaky');
+    assert.ok(!manager.list().includes('Sneaky'));
+    assert.deepEqual(JSON.parse(storage.items['kinetic-heart.presets']), {});
+});
+
+test('stored presets cannot shadow a built-in', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const storage = createStorage({
+            'kinetic-heart.presets': JSON.stringify({ Default: JSON.parse(preset('Default', { damping: 0.5 })) })
+        });
+        const manager = createManager(storage);
+        assert.equal(manager.get('Default').builtIn, true);
+        assert.equal(manager.get('Default').settings.damping, builtInPresets.Default.damping);
+    } finally {
+        console.warn = warn;
+    }
+});
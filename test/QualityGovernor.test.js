@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QualityGovernor } from '../QualityGovernor.js';
+
+// Governor plus a log of its tier changes, driven by synthetic frame-time traces
+function createGovernor(options) {
+    const governor = new QualityGovernor(options);
+    governor.changes = [];
+    governor.onChange = (tier, index, previous) => governor.changes.push({ time: governor.time, from: previous, to: index });
+    return governor;
+}
+
+// `seconds` worth of frames that each take `ms`
+function feed(governor, ms, seconds) {
+    const end = governor.time + seconds;
+    while (governor.time < end - 1e-9) governor.sample(ms);
+}
+
+test('steady stutter steps down one tier after downgradeAfter', () => {
+    const governor = createGovernor();
+    feed(governor, 30, 1.5); // 1.8x budget
+    assert.equal(governor.changes.length, 0, "20 frames to judge, then a full second over budget");
+    feed(governor, 30, 0.5);
+    assert.equal(governor.changes.length, 1);
+    assert.deepEqual([governor.changes[0].from, governor.changes[0].to], [0, 1]);
+    assert.ok(governor.changes[0].time >= 20 * 0.03 + 1);
+});
+
+test('a single hitch does not count', () => {
+    const governor = createGovernor();
+    for (let i = 0; i < 600; i++) governor.sample(i % 30 === 0 ? 100 : 16);
+    assert.equal(governor.changes.length, 0);
+});
+
+test('frames past severeAt drop two tiers at once', () => {
+    const governor = createGovernor();
+    feed(governor, 60, 3); // 3.6x budget
+    assert.deepEqual([governor.changes[0].from, governor.changes[0].to], [0, 2]);
+});
+
+test('headroom steps back up only after the upgrade wait', () => {
+    const governor = createGovernor({ startTier: 2 });
+    feed(governor, 16, 4.2);
+    assert.equal(governor.changes.length, 0, "under budget, but not for upgradeAfter yet");
+    feed(governor, 16, 0.5);
+    assert.deepEqual(governor.changes.map(c => c.to), [1]);
+
+    // The window starts over and the cooldown holds before the next one
+    feed(governor, 16, 4);
+    assert.equal(governor.changes.length, 1);
+    feed(governor, 16, 4);
+    assert.deepEqual(governor.changes.map(c => c.to), [1, 0]);
+    assert.ok(governor.changes[1].time - governor.changes[0].time >= governor.options.cooldown + governor.options.upgradeAfter);
+});
+
+test('an upgrade that fails on probation doubles the wait for that tier', () => {
+    const governor = createGovernor({ startTier: 1 });
+    feed(governor, 16, 6);
+    assert.deepEqual(governor.changes.map(c => c.to), [0]);
+
+    // Tier 0 can't hold: back down within the probation period
+    feed(governor, 30, 2);
+    assert.deepEqual(governor.changes.map(c => c.to), [0, 1]);
+    assert.ok(governor.changes[1].time - governor.changes[0].time < governor.options.probation);
+    assert.equal(governor.upgradeWait[0], 2 * governor.options.upgradeAfter);
+
+    // Headroom again: the next try waits the doubled time
+    const before = governor.time;
+    feed(governor, 16, 8);
+    assert.equal(governor.changes.length, 2, "still waiting out the doubled upgrade time");
+    feed(governor, 16, 4);
+    assert.deepEqual(governor.changes.map(c => c.to), [0, 1, 0]);
+    assert.ok(governor.changes[2].time - before >= 2 * governor.options.upgradeAfter);
+});
+
+test('an upgrade that holds past probation keeps the normal wait', () => {
+    const governor = createGovernor({ startTier: 1 });
+    feed(governor, 16, 6);
+    feed(governor, 16, governor.options.probation + 1);
+    feed(governor, 30, 4);
+    assert.deepEqual(governor.changes.map(c => c.to), [0, 1]);
+    assert.equal(governor.upgradeWait[0], governor.options.upgradeAfter);
+});
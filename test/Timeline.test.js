@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Timeline, sampleTrack, validateTimeline } from '../Timeline.js';
+
+// Adapter over a plain settings object, recording applied values and fired events
+function createTimeline(json, settings = {}) {
+    const applied = [];
+    const fired = [];
+    const timeline = new Timeline({
+        read: () => ({ ...settings }),
+        apply: (values) => {
+            applied.push(values);
+            Object.assign(settings, values);
+        },
+        trigger: (action, args) => fired.push({ action, args, time: timeline.time })
+    }, json);
+    return { timeline, settings, applied, fired };
+}
+
+test('tracks hold their first and last keys and ease into each key', () => {
+    const keys = [{ time: 1, value: 1 }, { time: 3, value: 2, ease: 'easeIn' }];
+    assert.equal(sampleTrack('bloomStrength', keys, 0), 1, "held before the first key");
+    assert.equal(sampleTrack('bloomStrength', keys, 5), 2, "held after the last key");
+    assert.equal(sampleTrack('bloomStrength', keys, 2), 1 + 0.5 ** 3, "easeIn halfway");
+
+    const step = [{ time: 0, value: 1 }, { time: 2, value: 3, ease: 'step' }];
+    assert.equal(sampleTrack('bloomStrength', step, 1.99), 1);
+    assert.equal(sampleTrack('bloomStrength', step, 2), 3);
+
+    assert.equal(sampleTrack('color1', [{ time: 0, value: '#000000' }, { time: 1, value: '#ffffff' }], 0.5), '#808080');
+    assert.equal(sampleTrack('particleCount', [{ time: 0, value: 1000 }, { time: 3, value: 2000 }], 1), 1333, "integers round");
+});
+
+test('camera paths pass through their keys on a curve', () => {
+    const keys = [
+        { time: 0, value: [0, 0, 40] },
+        { time: 1, value: [40, 0, 0] },
+        { time: 2, value: [0, 0, -40] }
+    ];
+    assert.deepEqual(sampleTrack('cameraPosition', keys, 1), [40, 0, 0]);
+    const mid = sampleTrack('cameraPosition', keys, 0.5);
+    assert.ok(Math.hypot(...mid) > Math.hypot(20, 0, 20), "bows outwards instead of cutting the corner");
+});
+
+test('a looped event fires exactly once per pass across the wrap', () => {
+    const { timeline, fired } = createTimeline({
+        duration: 1,
+        loop: true,
+        events: [
+            { time: 0, action: 'atStart' },
+            { time: 0.95, action: 'beforeWrap' },
+            { time: 1, action: 'atEnd' }
+        ]
+    });
+    timeline.play();
+    for (let i = 0; i < 8; i++) timeline.update(0.375); // wraps 1.125 -> 0.125, 1.25 -> 0.25, 1 -> 0
+    const count = name => fired.filter(e => e.action === name).length;
+    assert.equal(count('atStart'), 3);
+    assert.equal(count('beforeWrap'), 3);
+    assert.equal(count('atEnd'), 3, "the end is inclusive when wrapping");
+    assert.equal(timeline.time, 0);
+
+    timeline.update(0.375);
+    assert.equal(count('atStart'), 4, "landing exactly on 0 fires the start once, on the next pass");
+    assert.equal(count('atEnd'), 3);
+    assert.ok(timeline.playing);
+});
+
+test('a timeline that does not loop fires its last event and stops', () => {
+    const { timeline, fired } = createTimeline({ events: [{ time: 2, action: 'burst', args: { strength: 1 } }] });
+    timeline.play();
+    timeline.update(1.5);
+    timeline.update(1.5);
+    assert.deepEqual(fired.map(e => e.action), ['burst']);
+    assert.equal(timeline.playing, false);
+    assert.equal(timeline.time, 2);
+});
+
+test('an override holds a track back for `hold`, then blends back over `blendBack`', () => {
+    const { timeline, settings } = createTimeline({
+        tracks: { bloomStrength: [{ time: 0, value: 2 }, { time: 10, value: 2 }], bloomRadius: [{ time: 0, value: 0.5 }] }
+    }, { bloomStrength: 0, bloomRadius: 0 });
+    timeline.hold = 1.5;
+    timeline.blendBack = 2;
+    timeline.play();
+    timeline.override('bloomStrength');
+
+    const strengths = [];
+    for (let i = 0; i < 8; i++) {
+        timeline.update(0.5);
+        strengths.push(settings.bloomStrength);
+    }
+    assert.equal(settings.bloomRadius, 0.5, "other tracks keep playing");
+    // idle 0.5, 1.0: untouched; from 1.5 a smoothstep from 0 back to 2
+    const smooth = t => t * t * (3 - 2 * t);
+    assert.deepEqual(strengths, [0, 0, 2 * smooth(0.25), 2 * smooth(0.5), 2 * smooth(0.75), 2, 2, 2]);
+    assert.equal(timeline.overrides.size, 0);
+});
+
+test('touching an overridden track again restarts its hold', () => {
+    const { timeline, settings } = createTimeline({ tracks: { damping: [{ time: 0, value: 0.9 }] } }, { damping: 0.5 });
+    timeline.play();
+    timeline.override('damping');
+    for (let i = 0; i < 5; i++) {
+        timeline.update(1);
+        settings.damping = 0.5;
+        timeline.override('damping');
+    }
+    assert.equal(settings.damping, 0.5);
+});
+
+test('invalid timelines list every problem', () => {
+    assert.throws(() => validateTimeline({ tracks: { fog: [], damping: [{ time: -1, value: 0.5 }] }, events: [{ time: 1 }] }), (e) => {
+        assert.equal(e.errors.length, 3);
+        assert.match(e.message, /^Invalid timeline:\n- unknown track "fog"/);
+        return true;
+    });
+});
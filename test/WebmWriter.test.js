@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebmWriter } from '../WebmWriter.js';
+
+// Minimal EBML reader: [{ id, data, children }] for the master elements we look into
+const MASTERS = new Set([0x1A45DFA3, 0x18538067, 0x1549A966, 0x1654AE6B, 0xAE, 0xE0, 0x1F43B675]);
+
+function readVint(bytes, offset, keepMarker) {
+    const length = Math.clz32(bytes[offset]) - 23;
+    let value = keepMarker ? bytes[offset] : bytes[offset] & (0xff >> length);
+    for (let i = 1; i < length; i++) value = value * 256 + bytes[offset + i];
+    return { value, length };
+}
+
+function parse(bytes, start = 0, end = bytes.length) {
+    const elements = [];
+    for (let offset = start; offset < end;) {
+        const id = readVint(bytes, offset, true);
+        const size = readVint(bytes, offset + id.length);
+        const dataStart = offset + id.length + size.length;
+        const data = bytes.subarray(dataStart, dataStart + size.value);
+        elements.push({ id: id.value, data, children: MASTERS.has(id.value) ? parse(bytes, dataStart, dataStart + size.value) : null });
+        offset = dataStart + size.value;
+    }
+    return elements;
+}
+
+const find = (elements, id) => elements.find(e => e.id === id);
+const uint = data => data.reduce((v, b) => v * 256 + b, 0);
+
+async function write(frames) {
+    const writer = new WebmWriter({ codec: 'vp9', width: 640, height: 360 });
+    frames.forEach(([time, key]) => writer.addFrame(new Uint8Array([time & 0xff, 1, 2, 3]), time, key));
+    return parse(new Uint8Array(await writer.finish(40).arrayBuffer()));
+}
+
+test('frames keep their timestamps, one cluster per keyframe', async () => {
+    const frames = Array.from({ length: 50 }, (_, i) => [i * 40, i % 25 === 0]);
+    const [header, segment] = await write(frames);
+
+    assert.equal(header.id, 0x1A45DFA3);
+    assert.equal(new TextDecoder().decode(find(header.children, 0x4282).data), 'webm');
+
+    const info = find(segment.children, 0x1549A966);
+    assert.equal(uint(find(info.children, 0x2AD7B1).data), 1000000);
+    assert.equal(new DataView(find(info.children, 0x4489).data.slice().buffer).getFloat64(0), 2000);
+
+    const video = find(find(find(segment.children, 0x1654AE6B).children, 0xAE).children, 0xE0);
+    assert.equal(uint(find(video.children, 0xB0).data), 640);
+    assert.equal(uint(find(video.children, 0xBA).data), 360);
+
+    const clusters = segment.children.filter(e => e.id === 0x1F43B675);
+    assert.equal(clusters.length, 2);
+    const times = clusters.flatMap((cluster) => {
+        const base = uint(find(cluster.children, 0xE7).data);
+        return cluster.children.filter(e => e.id === 0xA3).map((block) => {
+            assert.equal(block.data[0], 0x81);
+            return base + new DataView(block.data.buffer, block.data.byteOffset).getInt16(1);
+        });
+    });
+    assert.deepEqual(times, frames.map(([time]) => time));
+});
+
+test('long stretches without a keyframe still fit the block timecodes', async () => {
+    const frames = Array.from({ length: 80 }, (_, i) => [i * 1000, i === 0]);
+    const segment = (await write(frames))[1];
+    assert.equal(segment.children.filter(e => e.id === 0x1F43B675).length, 3);
+});
+
+test('a stream has to start with a keyframe', () => {
+    const writer = new WebmWriter({ codec: 'vp8', width: 2, height: 2 });
+    assert.throws(() => writer.addFrame(new Uint8Array(1), 0, false), /keyframe/);
+    assert.throws(() => new WebmWriter({ codec: 'h264', width: 2, height: 2 }), /Unsupported WebM codec/);
+});